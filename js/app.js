@@ -4,8 +4,10 @@
  */
 
 import { eventBus, EVENTS } from './core/events.js';
-import { state, actions } from './core/state.js';
-import { showToast } from './core/utils.js';
+import { state, actions, history } from './core/state.js';
+import { showToast, escapeHtml } from './core/utils.js';
+import { linkUrl, readLink, LINK_PARAM } from './core/deep-link.js';
+import { EventInspector } from './core/event-inspector.js';
 
 // Import data modules
 import { NODES, LINKS } from './data/nodes.js';
@@ -36,6 +38,7 @@ class App {
     this.visualizations = new Map();
     this.activeViz = null;
     this.isInitialized = false;
+    this.eventInspector = new EventInspector();
   }
 
   /**
@@ -44,6 +47,9 @@ class App {
   async init() {
     console.log('Initializing MembraCon Proposal System...');
 
+    // Record events from the start while developing, so the inspector shows start-up
+    if (eventBus.validate) this.eventInspector.attach();
+
     // Wait for DOM
     if (document.readyState !== 'complete') {
       await new Promise(resolve => {
@@ -57,6 +63,8 @@ class App {
     this.initializeVisualizations();
     this.initializeEventListeners();
     this.initializeRoadmap();
+    this.initializeHistory();
+    await this.initializeDeepLinks();
 
     // Apply acronym tooltips
     setTimeout(() => applyAcronymTooltips(), 100);
@@ -151,15 +159,19 @@ class App {
       const tab = e.target.closest('.viz-tab');
       if (!tab || tab.disabled) return;
 
-      const vizId = tab.dataset.viz;
-      this.switchVisualization(vizId);
-
-      // Update active state
-      container.querySelectorAll('.viz-tab').forEach(t => t.classList.remove('active'));
-      tab.classList.add('active');
+      this.switchVisualization(tab.dataset.viz);
+      this.showVizTab(tab.dataset.viz);
     });
   }
 
+  /**
+   * Mark a visualization's tab active
+   * @param {string} vizId - Visualization ID
+   */
+  showVizTab(vizId) {
+    document.querySelectorAll('.viz-tab').forEach(t => t.classList.toggle('active', t.dataset.viz === vizId));
+  }
+
   /**
    * Get or create visualization by ID
    */
@@ -239,8 +251,6 @@ class App {
         viz.onSimulatorUpdate(results);
       }
     }
-
-    eventBus.emit(EVENTS.VIZ_TOGGLE, { viz: vizId });
   }
 
   /**
@@ -255,6 +265,14 @@ class App {
       });
     });
 
+    // E toggles the event inspector
+    document.addEventListener('keydown', (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key.toLowerCase() === 'e' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        this.eventInspector.toggle();
+      }
+    });
+
     // Handle window resize
     window.addEventListener('resize', () => {
       this.visualizations.forEach(viz => {
@@ -299,6 +317,150 @@ class App {
     });
   }
 
+  /**
+   * Initialize undo/redo, checkpoints and the history timeline
+   */
+  initializeHistory() {
+    const undoBtn = document.getElementById('historyUndo');
+    const redoBtn = document.getElementById('historyRedo');
+    const checkpointBtn = document.getElementById('historyCheckpoint');
+    const timeline = document.getElementById('historyTimeline');
+
+    undoBtn?.addEventListener('click', () => history.undo());
+    redoBtn?.addEventListener('click', () => history.redo());
+    checkpointBtn?.addEventListener('click', () => {
+      const name = prompt('Checkpoint name', `Checkpoint ${history.checkpoints().length + 1}`);
+      if (name !== null) history.checkpoint(name);
+    });
+    timeline?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-history-index]');
+      if (item) history.jump(Number(item.dataset.historyIndex));
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y), leaving text fields their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        history.redo();
+      }
+    });
+
+    // Bring the visualization back with the rest of the state
+    eventBus.on(EVENTS.STATE_RESTORED, ({ entry, snapshot, previous }) => {
+      if (snapshot.activeViz !== previous.activeViz) {
+        this.switchVisualization(snapshot.activeViz);
+        this.showVizTab(snapshot.activeViz);
+      }
+      showToast(`Restored: ${entry.checkpoint || entry.label}`);
+    });
+
+    const render = () => {
+      if (undoBtn) undoBtn.disabled = !history.canUndo();
+      if (redoBtn) redoBtn.disabled = !history.canRedo();
+      if (!timeline) return;
+
+      // Newest first
+      timeline.innerHTML = history.timeline().reverse().map(entry => {
+        const price = entry.results?.pricing?.recommended;
+        const detail = [
+          new Date(entry.timestamp).toLocaleTimeString(),
+          entry.results ? `${entry.results.bestSolution.name}${price ? ` · £${(price / 1000).toFixed(0)}k` : ''}` : null
+        ].filter(Boolean).join(' · ');
+        return `
+          <div class="mini${entry.current ? ' current' : ''}${entry.undone ? ' undone' : ''}" data-history-index="${entry.index}">
+            <div>
+              <div class="t">${escapeHtml(entry.checkpoint ? `${entry.checkpoint} — ${entry.label}` : entry.label)}</div>
+              <div class="s">${escapeHtml(detail)}</div>
+            </div>
+            <div class="kbd">${entry.checkpoint ? '★' : entry.current ? '●' : '↺'}</div>
+          </div>`;
+      }).join('');
+    };
+
+    eventBus.on(EVENTS.HISTORY_CHANGED, render);
+    render();
+  }
+
+  /**
+   * Initialize shareable links: copy one for the current case, and open
+   * the case in the page's URL on load and whenever the hash changes
+   */
+  async initializeDeepLinks() {
+    document.getElementById('shareLink')?.addEventListener('click', async () => {
+      const url = await linkUrl(state);
+      window.history.replaceState(null, '', url);
+      try {
+        await navigator.clipboard.writeText(url);
+        showToast('Link to this case copied');
+      } catch {
+        showToast('Link to this case is in the address bar', 2500);
+      }
+    });
+
+    window.addEventListener('hashchange', () => this.openLink());
+    await this.openLink();
+  }
+
+  /**
+   * Open the case encoded in the URL hash, if there is one
+   */
+  async openLink() {
+    let opened;
+    try {
+      opened = await readLink();
+    } catch (error) {
+      console.warn(`Ignoring #${LINK_PARAM} link:`, error.message);
+      showToast(error.message, 3000);
+      return;
+    }
+    if (!opened) return;
+
+    const { link, problems } = opened;
+    const flowGraph = this.visualizations.get('flow-graph');
+
+    // One history entry, so a single undo returns to the case before the link
+    history.batch('Opened shared link', () => {
+      if (link.mode) {
+        actions.setMode(link.mode);
+        flowGraph?.showMode(link.mode);
+      }
+      if (link.perspective) {
+        if (flowGraph) {
+          flowGraph.applyPerspective(link.perspective);
+        } else {
+          actions.setPerspective(link.perspective);
+        }
+      }
+      const node = link.node && flowGraph?.nodeById.get(link.node);
+      if (node) flowGraph.selectNode(node);
+
+      simulator.setInputs({ ...state.simulator.inputs, ...link.inputs });
+      if (link.run) {
+        simulator.run();
+      } else {
+        actions.updateSimulatorInputs(link.inputs);
+      }
+
+      if (link.viz && link.viz !== state.activeViz) {
+        this.switchVisualization(link.viz);
+        this.showVizTab(link.viz);
+      }
+    });
+
+    if (problems.length) {
+      console.warn('Shared link values ignored:', problems);
+      showToast(`Opened shared case; ignored ${problems.join(', ')}`, 4000);
+    } else {
+      showToast('Opened shared case');
+    }
+  }
+
   /**
    * Highlight a specific section
    * @param {string} target - Section identifier
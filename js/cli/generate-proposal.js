@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * generate-proposal.js - Headless command-line entry point for generateProposal()
+ *
+ * Usage:
+ *   node js/cli/generate-proposal.js <spec.json|spec.yaml|directory> [--out <dir>] [--ledger <file>] [--sign <key.jwk>]
+ *
+ * For every CustomerSpec file it writes, into the output folder:
+ *   <name>.html        Proposal document
+ *   <name>.json        generateJSON() payload
+ *   <name>.trail.json  Decision trail from the SolutionEngine
+ *   <name>.workflow.json  Approval workflow state (see proposal-workflow)
+ *   <name>.package.json  Signed package of the three (with --sign, once approved)
+ *
+ * Proposals are stored as numbered revisions of their reference
+ * (spec.reference, else the spec file name) in <out>/proposals.json; a
+ * revision's HTML and JSON include the changes since the previous one.
+ *
+ * Each generated proposal is appended to the hash-chained decision
+ * ledger (default <out>/ledger.json); its entry hash is printed in the
+ * proposal footer and metadata. The proposal is then submitted for
+ * approval; --sign issues it straight away only when the approval rules
+ * need no reviewer.
+ *
+ * Exit codes: 0 success, 1 validate() errors, 2 no feasible chain,
+ * 3 unreadable input, 4 ledger fails verification, 5 signing blocked
+ * pending approval, 64 usage error.
+ * With a directory the highest code of any spec is returned, after all
+ * specs have been processed.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { generateProposal } from '../proposal-engine.js';
+import { loadSpecFile, resolveSpecFiles } from './spec-loader.js';
+import { createFileStorage, openLedgerFile } from './ledger-file.js';
+import { ProposalStore } from '../engine/revisions.js';
+import { artefactPaths, writeWorkflowFile, issueSignedPackage } from './workflow-file.js';
+import { contentHashes, keyFingerprint } from '../engine/proposal-package.js';
+import { ProposalWorkflow, APPROVER_ROLES } from '../engine/approval.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  INVALID_SPEC: 1,
+  NO_FEASIBLE_SOLUTION: 2,
+  INPUT_ERROR: 3,
+  LEDGER_BROKEN: 4,
+  PENDING_APPROVAL: 5,
+  USAGE: 64
+};
+
+const USAGE = `Usage: generate-proposal <spec.json|spec.yaml|directory> [options]
+
+Options:
+  -o, --out <dir>      Output folder (default: ./proposals)
+  --ledger <file>      Decision ledger file (default: <out>/ledger.json)
+  --store <file>       Proposal revision store (default: <out>/proposals.json)
+  --user <name>        User recorded in the ledger (default: $USER)
+  --sign <key.jwk>     Issue a signed <name>.package.json if no approval is needed
+  --signer <name>      Issuer name recorded in the package manifest
+  -h, --help           Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = {
+    input: null, out: 'proposals', ledger: null, store: null,
+    user: null, sign: null, signer: null, help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '-o' || arg === '--out') {
+      options.out = argv[++i];
+      if (!options.out) throw new Error(`${arg} requires a directory`);
+    } else if (arg.startsWith('--out=')) {
+      options.out = arg.slice('--out='.length);
+    } else if (['--ledger', '--store', '--user', '--sign', '--signer'].includes(arg)) {
+      const key = arg.slice(2);
+      options[key] = argv[++i];
+      if (!options[key]) throw new Error(`${arg} requires a value`);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (options.input) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    } else {
+      options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Write a JSON file with stable formatting
+ */
+function writeJSON(path, data) {
+  return writeFile(path, JSON.stringify(data, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Generate the proposal artefacts for a single specification file
+ * @param {{name: string, path: string}} specFile - Spec file descriptor
+ * @param {string} outDir - Output folder
+ * @param {Object} ledgerOptions - { ledger, user, store } passed to generateProposal
+ * @param {Object} signing - { privateKey, signer } to also write a signed package (optional)
+ * @returns {Promise<{name: string, code: number, message: string}>} Outcome
+ */
+export async function processSpecFile(specFile, outDir, ledgerOptions = {}, signing = null) {
+  let inputData;
+  try {
+    inputData = await loadSpecFile(specFile.path);
+  } catch (error) {
+    return { name: specFile.name, code: EXIT_CODES.INPUT_ERROR, message: error.message };
+  }
+
+  const paths = artefactPaths(join(outDir, specFile.name));
+  const trailPath = paths.trail;
+
+  try {
+    // Without an explicit reference, re-running a spec file revises the same proposal
+    const reference = specFile.name.replace(/[^A-Za-z0-9._-]+/g, '-');
+    const result = await generateProposal({ reference, ...inputData }, ledgerOptions);
+
+    await writeFile(paths.html, result.proposal.html, 'utf8');
+    await writeJSON(paths.json, result.proposal.json);
+    await writeJSON(trailPath, result.decisionTrail);
+
+    const message = `${result.revision.reference} R${result.revision.number}: ` +
+      `${result.selectedSolution.name} (confidence ${(result.selectedSolution.confidence * 100).toFixed(0)}%)` +
+      (result.ledgerEntry ? ` — ledger #${result.ledgerEntry.index} ${result.ledgerEntry.hash.slice(0, 12)}` : '');
+    if (!ledgerOptions.ledger) {
+      return { name: specFile.name, code: EXIT_CODES.OK, message };
+    }
+
+    const actor = { user: ledgerOptions.user };
+    const workflow = ProposalWorkflow.forProposal(result, ledgerOptions.ledger);
+    await workflow.submit(actor, `Generated from ${specFile.name}`, await contentHashes(result));
+
+    let code = EXIT_CODES.OK;
+    let status = workflow.state === 'approved'
+      ? 'auto-approved'
+      : `awaiting ${workflow.outstandingRoles.map(role => APPROVER_ROLES[role]).join(', ')}`;
+
+    if (signing) {
+      if (workflow.canIssue) {
+        await issueSignedPackage(workflow, result, signing, actor, paths.package);
+        status = 'issued';
+      } else {
+        code = EXIT_CODES.PENDING_APPROVAL;
+        status += ' — not signed';
+      }
+    }
+    await writeWorkflowFile(paths.workflow, workflow);
+
+    return { name: specFile.name, code, message: `${message} — ${status}` };
+  } catch (error) {
+    if (error.code === 'INVALID_SPEC') {
+      return { name: specFile.name, code: EXIT_CODES.INVALID_SPEC, message: error.message };
+    }
+    if (error.code === 'NO_FEASIBLE_SOLUTION') {
+      // Keep the trail so engineers can see why every chain was excluded
+      await writeJSON(trailPath, error.decisionTrail);
+      return { name: specFile.name, code: EXIT_CODES.NO_FEASIBLE_SOLUTION, message: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.input) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let specFiles;
+  try {
+    specFiles = await resolveSpecFiles(options.input);
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  if (specFiles.length === 0) {
+    console.error(`No specification files found in ${options.input}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const outDir = resolve(options.out);
+  await mkdir(outDir, { recursive: true });
+
+  const ledgerPath = resolve(options.ledger || join(outDir, 'ledger.json'));
+  let ledger;
+  try {
+    ledger = await openLedgerFile(ledgerPath);
+  } catch (error) {
+    if (error.code !== 'LEDGER_BROKEN') {
+      console.error(`Cannot read ledger ${ledgerPath}: ${error.message}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+    console.error(`Refusing to extend a broken ledger: ${error.message}`);
+    return EXIT_CODES.LEDGER_BROKEN;
+  }
+  const storePath = resolve(options.store || join(outDir, 'proposals.json'));
+  let store;
+  try {
+    store = new ProposalStore({ storage: createFileStorage(storePath) });
+  } catch (error) {
+    console.error(`Cannot read revision store ${storePath}: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+  const ledgerOptions = { ledger, store, user: options.user || process.env.USER || 'cli' };
+
+  let signing = null;
+  if (options.sign) {
+    try {
+      signing = { privateKey: JSON.parse(await readFile(options.sign, 'utf8')), signer: options.signer };
+      if (!signing.privateKey.d) throw new Error('not a private key');
+    } catch (error) {
+      console.error(`Cannot read signing key ${options.sign}: ${error.message}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+    console.log(`Signing with key ${await keyFingerprint(signing.privateKey)}`);
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  for (const specFile of specFiles) {
+    const outcome = await processSpecFile(specFile, outDir, ledgerOptions, signing);
+    if (outcome.code === EXIT_CODES.OK) {
+      console.log(`✓ ${outcome.name}: ${outcome.message}`);
+    } else {
+      console.error(`✗ ${outcome.name}: ${outcome.message}`);
+    }
+    exitCode = Math.max(exitCode, outcome.code);
+  }
+
+  console.log(`Output written to ${outDir}`);
+  console.log(`Ledger ${ledgerPath}: ${ledger.entries.length} entries, head ${ledger.head.slice(0, 12)}`);
+  return exitCode;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * import-catalogue.js - Import quotation prices from Excel estimate workbooks
+ *
+ * Usage:
+ *   node js/cli/import-catalogue.js <workbook.xlsx>... [--version <id>] [--report <file>] [--strict] [--activate] [--dry-run]
+ *
+ * Each workbook's estimate sheets are mapped onto the catalogue add-ons,
+ * labour rates, pricing terms and BOM lines (and model tables, where a
+ * workbook has one); constant cells that map to nothing are listed. The
+ * result is laid over the active catalogue and stored as a new version in
+ * js/data/catalogues/. The apps keep pricing from the active version until
+ * the new one is signed off and activated (--activate, or "active" in
+ * index.json).
+ *
+ * Exit codes: 0 success, 1 unmapped cells with --strict, 3 unreadable
+ * workbook or catalogue, 64 usage error.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { importWorkbook, mergeCatalogue, validateCatalogue, diffCatalogues } from '../engine/catalogue.js';
+import { readWorkbook } from './xlsx-reader.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  UNMAPPED: 1,
+  INPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const CATALOGUE_DIR = fileURLToPath(new URL('../data/catalogues/', import.meta.url));
+const INDEX_FORMAT = 'membracon-catalogue-index';
+
+// Unmapped cells listed per sheet on the console (--report has them all)
+const UNMAPPED_SHOWN = 8;
+
+const USAGE = `Usage: import-catalogue <workbook.xlsx>... [options]
+
+Options:
+  --version <id>    Version label (default: imported-<date>)
+  --report <file>   Write the full mapping report as JSON
+  --strict          Fail when any constant cell is unmapped
+  --activate        Make the new version the one the apps price from
+  --dry-run         Report only; do not store the catalogue
+  -h, --help        Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { workbooks: [], version: null, report: null, strict: false, activate: false, dryRun: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--activate') {
+      options.activate = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--version' || arg === '--report') {
+      const key = arg.slice(2);
+      options[key] = argv[++i];
+      if (!options[key]) throw new Error(`${arg} requires a value`);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else {
+      options.workbooks.push(arg);
+    }
+  }
+
+  if (options.version && !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(options.version)) {
+    throw new Error('--version may only contain letters, digits, ".", "_" and "-"');
+  }
+
+  return options;
+}
+
+/**
+ * Read the catalogue index and its active version
+ * @param {string} dir - Catalogue directory
+ * @returns {Promise<Object>} { index, active }
+ */
+export async function loadActiveCatalogue(dir = CATALOGUE_DIR) {
+  const index = JSON.parse(await readFile(join(dir, 'index.json'), 'utf8'));
+  if (index.format !== INDEX_FORMAT) throw new Error(`${join(dir, 'index.json')} is not a catalogue index`);
+
+  const entry = index.versions.find(v => v.version === index.active);
+  if (!entry) throw new Error(`Active catalogue ${index.active} is not listed in the index`);
+
+  const active = validateCatalogue(JSON.parse(await readFile(join(dir, entry.file), 'utf8')));
+  return { index, active };
+}
+
+/**
+ * Pick an unused version label
+ */
+function nextVersion(index, requested) {
+  const base = requested || `imported-${new Date().toISOString().slice(0, 10)}`;
+  let version = base;
+  for (let n = 2; index.versions.some(v => v.version === version); n++) {
+    version = `${base}.${n}`;
+  }
+  return version;
+}
+
+/**
+ * Print the mapping report for one workbook
+ */
+function printReport(file, report) {
+  console.log(file);
+  report.sheets.forEach(sheet => {
+    const unmapped = sheet.unmapped.length;
+    console.log(`  ${sheet.name.padEnd(16)} ${(sheet.layout || 'not mapped').padEnd(10)} ` +
+      `${String(sheet.mapped).padStart(4)}/${sheet.cells} cells mapped${unmapped ? `, ${unmapped} unmapped` : ''}`);
+    sheet.unmapped.slice(0, UNMAPPED_SHOWN).forEach(cell => {
+      console.log(`      ${cell.ref.padEnd(6)} ${JSON.stringify(cell.value)}`);
+    });
+    if (unmapped > UNMAPPED_SHOWN) console.log(`      … ${unmapped - UNMAPPED_SHOWN} more`);
+  });
+  if (report.unmatchedAddons.length) {
+    console.log(`  Add-ons not priced by this workbook: ${report.unmatchedAddons.join(', ')}`);
+  }
+  report.warnings.forEach(warning => console.log(`  ! ${warning}`));
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (options.workbooks.length === 0) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let index;
+  let catalogue;
+  try {
+    ({ index, active: catalogue } = await loadActiveCatalogue());
+  } catch (error) {
+    console.error(`Cannot read the catalogue: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const base = catalogue;
+  const version = nextVersion(index, options.version);
+  const createdAt = new Date().toISOString();
+  const sources = [];
+  const reports = [];
+
+  for (const file of options.workbooks) {
+    let buffer;
+    let workbook;
+    try {
+      buffer = await readFile(file);
+      workbook = readWorkbook(buffer);
+    } catch (error) {
+      console.error(`Cannot read ${file}: ${error.message}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+
+    const { sections, report } = importWorkbook(workbook);
+    const source = {
+      file: basename(file),
+      sha256: createHash('sha256').update(buffer).digest('hex'),
+      sheets: report.sheets.filter(sheet => sheet.layout).map(sheet => sheet.name)
+    };
+    sources.push(source);
+    reports.push({ ...source, ...report });
+    printReport(source.file, report);
+
+    catalogue = mergeCatalogue(catalogue, sections, { version, createdAt, sources: [...sources] });
+  }
+
+  try {
+    validateCatalogue(catalogue);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const changes = diffCatalogues(base, catalogue);
+  console.log(`\n${changes.length} change(s) from ${base.version}`);
+  changes.forEach(change => {
+    console.log(`  ${change.path.padEnd(34)} ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+  });
+
+  if (options.report) {
+    await writeFile(options.report, JSON.stringify({ version, createdAt, workbooks: reports, changes }, null, 2) + '\n', 'utf8');
+    console.log(`\nMapping report written to ${options.report}`);
+  }
+
+  const unmapped = reports.reduce((sum, report) => sum + report.sheets.reduce((n, sheet) => n + sheet.unmapped.length, 0), 0);
+  if (options.strict && unmapped > 0) {
+    console.error(`\n✗ ${unmapped} unmapped cell(s); catalogue not stored`);
+    return EXIT_CODES.UNMAPPED;
+  }
+
+  if (options.dryRun) {
+    console.log('\nDry run: catalogue not stored');
+    return EXIT_CODES.OK;
+  }
+
+  const file = `${version}.json`;
+  await writeFile(join(CATALOGUE_DIR, file), JSON.stringify(catalogue, null, 2) + '\n', 'utf8');
+  if (options.activate) index.active = version;
+  index.versions.push({ version, file, createdAt, basedOn: base.version, sources: sources.map(s => s.file) });
+  await writeFile(join(CATALOGUE_DIR, 'index.json'), JSON.stringify(index, null, 2) + '\n', 'utf8');
+  console.log(`\nStored catalogue ${version} in ${CATALOGUE_DIR}` +
+    (options.activate ? ' (now active)' : `; ${index.active} stays active until it is activated`));
+
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
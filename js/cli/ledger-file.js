@@ -0,0 +1,76 @@
+/**
+ * ledger-file.js - File-backed storage for the decision ledger
+ *
+ * Gives DecisionLedger (and ProposalStore) the localStorage-style
+ * getItem/setItem they expect, backed by a single JSON file so
+ * command-line runs share one chain and one revision history.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+import { DecisionLedger } from '../engine/ledger.js';
+
+/**
+ * Storage adapter that keeps the whole ledger in one file
+ *
+ * The first key used owns the file; keys derived from it (the ledger's
+ * `${key}.unreadable` backup) are stored beside it as `${path}.unreadable`,
+ * so nothing written under another key can replace the file.
+ * @param {string} path - Ledger file path
+ * @returns {Object} { getItem, setItem }
+ */
+export function createFileStorage(path) {
+  let owner = null;
+  const fileFor = key => {
+    owner = owner ?? key;
+    if (key === owner) return path;
+    if (key.startsWith(`${owner}.`)) return `${path}${key.slice(owner.length)}`;
+    throw new Error(`${path} holds "${owner}"; cannot store "${key}" in it`);
+  };
+  return {
+    getItem: key => {
+      const file = fileFor(key);
+      return existsSync(file) ? readFileSync(file, 'utf8') : null;
+    },
+    setItem: (key, value) => writeFileSync(fileFor(key), value + '\n', 'utf8')
+  };
+}
+
+function brokenLedger(message, verification) {
+  const error = new Error(message);
+  error.code = 'LEDGER_BROKEN';
+  error.verification = verification;
+  return error;
+}
+
+/**
+ * Open a ledger file, refusing to extend a chain that does not verify
+ *
+ * A file that is not a readable ledger is refused as well: the browser
+ * ledger would start a new chain over it, which here would replace the
+ * audit history on the next append.
+ * @param {string} path - Ledger file path (created on first append)
+ * @returns {Promise<DecisionLedger>} Ledger
+ */
+export async function openLedgerFile(path) {
+  if (existsSync(path)) {
+    try {
+      DecisionLedger.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw brokenLedger(`${path}: not a readable decision ledger (${error.message})`, { valid: false, length: 0, brokenAt: 0, reason: error.message });
+    }
+  }
+
+  const ledger = new DecisionLedger({ storage: createFileStorage(path) });
+  const verification = await ledger.verify();
+  if (!verification.valid) {
+    throw brokenLedger(`${path}: ${verification.reason}`, verification);
+  }
+
+  return ledger;
+}
+
+export default {
+  createFileStorage,
+  openLedgerFile
+};
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * proposal-keys.js - Create the key pair used to sign proposal packages
+ *
+ * Usage:
+ *   node js/cli/proposal-keys.js <prefix>
+ *
+ * Writes <prefix>.private.jwk (keep it local; pass it to
+ * generate-proposal --sign) and <prefix>.public.jwk (share it with
+ * customers and auditors so verify-proposal can check the issuer).
+ * Existing files are never overwritten.
+ *
+ * Exit codes: 0 success, 3 key files exist or cannot be written,
+ * 64 usage error.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { generateSigningKey, keyFingerprint } from '../engine/proposal-package.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  OUTPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const USAGE = `Usage: proposal-keys <prefix>
+
+Writes <prefix>.private.jwk and <prefix>.public.jwk (ECDSA P-256).`;
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  if (argv.includes('-h') || argv.includes('--help')) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (argv.length !== 1 || argv[0].startsWith('-')) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const prefix = argv[0];
+  const { privateKey, publicKey } = await generateSigningKey();
+
+  try {
+    await mkdir(dirname(prefix), { recursive: true });
+    // 'wx' fails instead of replacing an existing key
+    await writeFile(`${prefix}.private.jwk`, JSON.stringify(privateKey, null, 2) + '\n', { flag: 'wx', mode: 0o600 });
+    await writeFile(`${prefix}.public.jwk`, JSON.stringify(publicKey, null, 2) + '\n', { flag: 'wx' });
+  } catch (error) {
+    console.error(`Cannot write key files: ${error.message}`);
+    return EXIT_CODES.OUTPUT_ERROR;
+  }
+
+  console.log(`Key ${await keyFingerprint(publicKey)}`);
+  console.log(`  private: ${prefix}.private.jwk (keep local)`);
+  console.log(`  public:  ${prefix}.public.jwk`);
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
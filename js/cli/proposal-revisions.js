@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * proposal-revisions.js - List proposal revisions and compare any two
+ *
+ * Usage:
+ *   node js/cli/proposal-revisions.js <proposals.json>
+ *   node js/cli/proposal-revisions.js <proposals.json> <reference> [--from <n>] [--to <n>] [--html <file>]
+ *
+ * Without a reference it lists every proposal and its revision count.
+ * With one it prints the revisions and the diff between two of them
+ * (default: the previous and the latest); --html also writes the change
+ * summary as rendered in a revised proposal.
+ *
+ * Exit codes: 0 success, 3 unreadable store or unknown revision,
+ * 64 usage error.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { ProposalStore, hasChanges, renderChangeSummary } from '../engine/revisions.js';
+import { formatCurrency } from '../core/utils.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  INPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const USAGE = `Usage: proposal-revisions <proposals.json> [reference] [options]
+
+Options:
+  --from <n>      Earlier revision (default: the one before --to)
+  --to <n>        Later revision (default: latest)
+  --html <file>   Write the change summary as HTML
+  -h, --help      Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { store: null, reference: null, from: null, to: null, html: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--from' || arg === '--to') {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 1) throw new Error(`${arg} requires a revision number`);
+      options[arg.slice(2)] = value;
+    } else if (arg === '--html') {
+      options.html = argv[++i];
+      if (!options.html) throw new Error('--html requires a file');
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (!options.store) {
+      options.store = arg;
+    } else if (!options.reference) {
+      options.reference = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Plain-text value for the console report
+ */
+function formatValue(kind, value, currency) {
+  if (value === null || value === undefined) return '—';
+  if (kind === 'money') return formatCurrency(value, currency);
+  if (kind === 'rate') return `${value.toFixed(2)} ${currency}`;
+  if (kind === 'percent') return `${(value * 100).toFixed(1)}%`;
+  return String(Math.round(value));
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.store) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let store;
+  try {
+    const text = await readFile(options.store, 'utf8');
+    store = new ProposalStore({ storage: { getItem: () => text, setItem: () => {} } });
+  } catch (error) {
+    console.error(`Cannot read ${options.store}: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  if (!options.reference) {
+    store.list().forEach(({ reference, revisions, latest }) => {
+      console.log(`${reference.padEnd(24)} ${String(revisions).padStart(3)} revision(s), latest ${latest.createdAt} ${latest.snapshot.chain.name}`);
+    });
+    return EXIT_CODES.OK;
+  }
+
+  const revisions = store.getRevisions(options.reference);
+  if (revisions.length === 0) {
+    console.error(`No proposal "${options.reference}" in ${options.store}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  revisions.forEach(r => {
+    console.log(`R${r.revision}  ${r.createdAt}  ${r.snapshot.chain.name.padEnd(22)} ` +
+      formatCurrency(r.snapshot.figures.price, r.snapshot.currency));
+  });
+
+  const to = options.to ?? revisions[revisions.length - 1].revision;
+  const from = options.from ?? to - 1;
+  if (from < 1) return EXIT_CODES.OK;
+
+  let diff;
+  try {
+    diff = store.diff(options.reference, from, to);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const currency = store.getRevision(options.reference, to).snapshot.currency;
+  console.log(`\nRevision ${from} → ${to}${hasChanges(diff) ? '' : ': no changes'}`);
+  if (diff.chain.changed) {
+    console.log(`  chain    ${diff.chain.before} → ${diff.chain.after}`);
+  }
+  diff.spec.forEach(item => {
+    console.log(`  spec     ${item.path}: ${JSON.stringify(item.before)} → ${JSON.stringify(item.after)}`);
+  });
+  diff.figures.filter(f => Math.abs(f.delta) > 1e-9).forEach(f => {
+    console.log(`  ${f.label.padEnd(18)} ${formatValue(f.kind, f.before, currency)} → ${formatValue(f.kind, f.after, currency)}`);
+  });
+
+  if (options.html) {
+    const html = renderChangeSummary(diff, {
+      money: value => formatCurrency(value, currency),
+      rate: value => new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(value),
+      percent: value => `${(value * 100).toFixed(1)}%`
+    });
+    await writeFile(options.html, html, 'utf8');
+    console.log(`\nChange summary written to ${options.html}`);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * proposal-workflow.js - Review, approve and issue generated proposals
+ *
+ * Usage:
+ *   node js/cli/proposal-workflow.js <name.workflow.json> status
+ *   node js/cli/proposal-workflow.js <name.workflow.json> <approve|reject> --role <role> --reason <text> [--roster <file>]
+ *   node js/cli/proposal-workflow.js <name.workflow.json> <revise|submit> --reason <text>
+ *   node js/cli/proposal-workflow.js <name.workflow.json> issue --sign <key.jwk> [--signer <name>]
+ *
+ * Every action is recorded with its reason in the decision ledger
+ * (default: ledger.json next to the workflow file). Approvers must be on
+ * the approver roster in the role they claim (default: approvers.json
+ * next to the workflow file), and one user cannot fill two roles.
+ * Submitting records the hashes of the proposal files; issuing signs the
+ * proposal package and is refused until all required roles approved, or
+ * when the files changed since they were submitted.
+ *
+ * Exit codes: 0 success, 1 action refused, 3 unreadable input,
+ * 4 ledger or workflow fails verification, 64 usage error.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { APPROVER_ROLES, validateRoster, assertRosterRole } from '../engine/approval.js';
+import { contentHashes } from '../engine/proposal-package.js';
+import { openLedgerFile } from './ledger-file.js';
+import { artefactPaths, readArtefacts, readWorkflowFile, writeWorkflowFile, issueSignedPackage } from './workflow-file.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  REFUSED: 1,
+  INPUT_ERROR: 3,
+  LEDGER_BROKEN: 4,
+  USAGE: 64
+};
+
+const ACTIONS = ['status', 'submit', 'approve', 'reject', 'revise', 'issue'];
+
+const USAGE = `Usage: proposal-workflow <name.workflow.json> <${ACTIONS.join('|')}> [options]
+
+Options:
+  --role <role>        Approver role (${Object.keys(APPROVER_ROLES).join(', ')})
+  --reason <text>      Reason recorded in the ledger (required except for issue)
+  --user <name>        User recorded in the ledger (default: $USER)
+  --ledger <file>      Decision ledger (default: ledger.json next to the workflow)
+  --roster <file>      Approver roster, user → roles (default: approvers.json next to the workflow)
+  --sign <key.jwk>     Private key for issue
+  --signer <name>      Issuer name recorded in the package manifest
+  -h, --help           Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = {
+    workflow: null, action: null, role: null, reason: null,
+    user: null, ledger: null, roster: null, sign: null, signer: null, help: false
+  };
+  const valued = ['--role', '--reason', '--user', '--ledger', '--roster', '--sign', '--signer'];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (valued.includes(arg)) {
+      const key = arg.slice(2);
+      options[key] = argv[++i];
+      if (!options[key]) throw new Error(`${arg} requires a value`);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (!options.workflow) {
+      options.workflow = arg;
+    } else if (!options.action) {
+      if (!ACTIONS.includes(arg)) throw new Error(`Unknown action "${arg}"`);
+      options.action = arg;
+    } else {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+  }
+
+  if (options.role && !APPROVER_ROLES[options.role]) {
+    throw new Error(`Unknown role "${options.role}"`);
+  }
+  if ((options.action === 'approve' || options.action === 'reject') && !options.role) {
+    throw new Error(`${options.action} requires --role <role>`);
+  }
+  if (options.action === 'issue' && !options.sign) {
+    throw new Error('issue requires --sign <key.jwk>');
+  }
+
+  return options;
+}
+
+/**
+ * Print the workflow state
+ */
+function printStatus(workflow) {
+  console.log(`${workflow.proposalId}: ${workflow.state.replace('_', ' ')}`);
+  workflow.assessment.reasons.forEach(reason => console.log(`  • ${reason}`));
+  workflow.assessment.requiredRoles.forEach(role => {
+    const approval = workflow.approvals.find(a => a.role === role);
+    console.log(`  ${approval ? '✓' : '·'} ${APPROVER_ROLES[role]}${approval ? ` — ${approval.user}` : ''}`);
+  });
+  workflow.history.forEach(step => {
+    console.log(`  #${step.ledgerIndex} ${step.at} ${step.user}${step.role ? ` (${step.role})` : ''}: ` +
+      `${step.action} → ${step.to} — ${step.reason}`);
+  });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.workflow || !options.action) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const workflowPath = resolve(options.workflow);
+  const ledgerPath = resolve(options.ledger || join(dirname(workflowPath), 'ledger.json'));
+
+  let workflow;
+  try {
+    workflow = await readWorkflowFile(workflowPath, await openLedgerFile(ledgerPath));
+  } catch (error) {
+    console.error(error.code === 'LEDGER_BROKEN' ? `Verification failed: ${error.message}` : `Cannot read input: ${error.message}`);
+    return error.code === 'LEDGER_BROKEN' ? EXIT_CODES.LEDGER_BROKEN : EXIT_CODES.INPUT_ERROR;
+  }
+
+  if (options.action === 'status') {
+    printStatus(workflow);
+    return EXIT_CODES.OK;
+  }
+
+  const actor = { user: options.user || process.env.USER || 'cli', role: options.role };
+
+  // Approvers act only in the roles the roster gives them
+  if (options.action === 'approve' || options.action === 'reject') {
+    const rosterPath = resolve(options.roster || join(dirname(workflowPath), 'approvers.json'));
+    let roster;
+    try {
+      roster = validateRoster(JSON.parse(await readFile(rosterPath, 'utf8')));
+    } catch (error) {
+      console.error(`Cannot read approver roster ${rosterPath}: ${error.message}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+    try {
+      assertRosterRole(roster, actor);
+    } catch (error) {
+      console.error(`✗ ${error.message}`);
+      return EXIT_CODES.REFUSED;
+    }
+  }
+
+  // Submit and issue work on the proposal files next to the workflow
+  const paths = artefactPaths(workflowPath.slice(0, -'.workflow.json'.length));
+  let result = null;
+  let signing = null;
+  if (options.action === 'submit' || options.action === 'issue') {
+    try {
+      result = await readArtefacts(paths);
+      if (options.sign) signing = { privateKey: JSON.parse(await readFile(options.sign, 'utf8')), signer: options.signer };
+    } catch (error) {
+      console.error(`Cannot read input: ${error.message}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+    if (result.proposal.json.metadata?.referenceId !== workflow.proposalId) {
+      console.error(`${paths.json} is not proposal ${workflow.proposalId}`);
+      return EXIT_CODES.INPUT_ERROR;
+    }
+  }
+
+  try {
+    if (options.action === 'issue') {
+      await issueSignedPackage(workflow, result, signing, actor, paths.package, options.reason);
+      console.log(`Signed package written to ${paths.package}`);
+    } else if (options.action === 'submit') {
+      await workflow.submit(actor, options.reason, await contentHashes(result));
+    } else {
+      await workflow[options.action](actor, options.reason);
+    }
+  } catch (error) {
+    if (!['INVALID_TRANSITION', 'REASON_REQUIRED', 'NOT_AN_APPROVER', 'ALREADY_APPROVED', 'ISSUE_BLOCKED', 'ARTEFACTS_CHANGED'].includes(error.code)) {
+      throw error;
+    }
+    console.error(`✗ ${error.message}`);
+    return EXIT_CODES.REFUSED;
+  }
+
+  await writeWorkflowFile(workflowPath, workflow);
+  printStatus(workflow);
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
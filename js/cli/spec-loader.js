@@ -0,0 +1,198 @@
+/**
+ * spec-loader.js - Read CustomerSpec input files for the command-line tools
+ *
+ * Accepts JSON (.json) and a block-style YAML subset (.yaml/.yml):
+ * nested mappings, "- item" lists, inline [a, b] lists, quoted and
+ * plain scalars, and # comments. Anchors, multi-line strings and
+ * multiple documents are not supported.
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { extname, join, basename } from 'node:path';
+
+export const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Parse a scalar YAML value
+ * @param {string} raw - Raw scalar text
+ * @returns {*} Parsed value
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+
+  if ((value.startsWith('"') && value.endsWith('"')) ||
+      (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Strip a trailing comment that is not inside quotes
+ * @param {string} line - Source line
+ * @returns {string} Line without comment
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Parse the supported YAML subset into plain objects
+ * @param {string} text - YAML source
+ * @returns {Object} Parsed document
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/)
+    .map((raw, index) => ({ raw: stripComment(raw), number: index + 1 }))
+    .filter(line => line.raw.trim() !== '' && line.raw.trim() !== '---')
+    .map(line => ({
+      indent: line.raw.match(/^ */)[0].length,
+      text: line.raw.trim(),
+      number: line.number
+    }));
+
+  let pos = 0;
+
+  function parseBlock(indent) {
+    if (lines[pos].text.startsWith('- ') || lines[pos].text === '-') {
+      return parseList(indent);
+    }
+    return parseMap(indent);
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (pos < lines.length && lines[pos].indent === indent && lines[pos].text.startsWith('-')) {
+      const item = lines[pos].text.slice(1).trim();
+      pos++;
+      if (item === '') {
+        list.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+      } else if (/^[^"'[][^:]*:(\s|$)/.test(item)) {
+        // "- key: value" starts an inline mapping item
+        lines.splice(pos, 0, { indent: indent + 2, text: item, number: lines[pos - 1].number });
+        list.push(parseMap(indent + 2));
+      } else {
+        list.push(parseScalar(item));
+      }
+    }
+    return list;
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const line = lines[pos];
+      const match = line.text.match(/^("[^"]*"|'[^']*'|[^:]+):(\s+(.*))?$/);
+      if (!match) {
+        throw new Error(`YAML line ${line.number}: expected "key: value"`);
+      }
+      const key = parseScalar(match[1]);
+      const rest = match[3] ?? '';
+      pos++;
+
+      if (rest !== '') {
+        map[key] = parseScalar(rest);
+      } else if (pos < lines.length && lines[pos].indent > indent) {
+        map[key] = parseBlock(lines[pos].indent);
+      } else if (pos < lines.length && lines[pos].indent === indent && lines[pos].text.startsWith('-')) {
+        // Lists may sit at the same indent as their parent key
+        map[key] = parseList(indent);
+      } else {
+        map[key] = null;
+      }
+    }
+    if (pos < lines.length && lines[pos].indent > indent) {
+      throw new Error(`YAML line ${lines[pos].number}: unexpected indentation`);
+    }
+    return map;
+  }
+
+  if (lines.length === 0) return {};
+  return parseBlock(lines[0].indent);
+}
+
+/**
+ * Load a single specification file
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Raw CustomerSpec input data
+ */
+export async function loadSpecFile(filePath) {
+  const text = await readFile(filePath, 'utf8');
+  const ext = extname(filePath).toLowerCase();
+
+  if (ext === '.json') {
+    return JSON.parse(text);
+  }
+  if (ext === '.yaml' || ext === '.yml') {
+    return parseYaml(text);
+  }
+  throw new Error(`Unsupported specification format "${ext}" (expected ${SPEC_EXTENSIONS.join(', ')})`);
+}
+
+/**
+ * Resolve a file or directory argument into specification files
+ *
+ * Outputs are named after the spec without its extension, so two specs
+ * that differ only in extension (plant.json, plant.yaml) are refused
+ * rather than one overwriting the other's proposal.
+ * @param {string} inputPath - File or directory path
+ * @returns {Promise<Array<{name: string, path: string}>>} Spec files, sorted by name
+ */
+export async function resolveSpecFiles(inputPath) {
+  const info = await stat(inputPath);
+
+  if (!info.isDirectory()) {
+    return [{ name: basename(inputPath, extname(inputPath)), path: inputPath }];
+  }
+
+  const entries = await readdir(inputPath);
+  const specFiles = entries
+    .filter(entry => SPEC_EXTENSIONS.includes(extname(entry).toLowerCase()))
+    .sort()
+    .map(entry => ({ name: basename(entry, extname(entry)), path: join(inputPath, entry) }));
+
+  // Case-insensitively, for file systems that fold case
+  const byName = new Map();
+  specFiles.forEach(file => {
+    const key = file.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), basename(file.path)]);
+  });
+  const clashes = [...byName.values()].filter(files => files.length > 1);
+  if (clashes.length) {
+    throw new Error(`Specs would write the same output files: ${clashes.map(files => files.join(' and ')).join('; ')}`);
+  }
+
+  return specFiles;
+}
+
+export default {
+  SPEC_EXTENSIONS,
+  parseYaml,
+  loadSpecFile,
+  resolveSpecFiles
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * train-win-model.js - Fit the win-probability model from past bids
+ *
+ * Usage:
+ *   node js/cli/train-win-model.js <history.csv|history.json> [--version <id>] [--l2 <n>] [--dry-run]
+ *
+ * The history holds one bid per row with columns sector, priceRatio,
+ * techFit (0-1), esgScore (0-100) and outcome (won/lost). The fitted
+ * coefficients and their calibration metrics are appended as a new
+ * version to js/data/win-models.js, which pricing then uses.
+ *
+ * Exit codes: 0 success, 2 training failed, 3 unreadable or invalid
+ * history, 64 usage error.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { WIN_MODELS } from '../data/win-models.js';
+import {
+  WIN_FEATURES,
+  getWinModel,
+  parseBidHistory,
+  trainWinModel,
+  calibrationReport
+} from '../engine/win-model.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  TRAINING_FAILED: 2,
+  INPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const REGISTRY_PATH = fileURLToPath(new URL('../data/win-models.js', import.meta.url));
+
+const USAGE = `Usage: train-win-model <history.csv|history.json> [options]
+
+Options:
+  --version <id>          Version label (default: trained-<date>)
+  --l2 <n>                Ridge penalty (default: 0.1)
+  --min-sector-bids <n>   Bids before a sector gets its own offset (default: 5)
+  --bins <n>              Reliability-table bins (default: 10)
+  --dry-run               Report only; do not store the model
+  -h, --help              Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { input: null, version: null, l2: 0.1, minSectorBids: 5, bins: 10, dryRun: false, help: false };
+  const numeric = { '--l2': 'l2', '--min-sector-bids': 'minSectorBids', '--bins': 'bins' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--version') {
+      options.version = argv[++i];
+      if (!options.version) throw new Error('--version requires a label');
+    } else if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (arg === '--bins' && (!Number.isInteger(value) || value < 1)) throw new Error('--bins requires a whole number of at least 1');
+      if (!Number.isFinite(value) || value < 0) throw new Error(`${arg} requires a non-negative number`);
+      options[numeric[arg]] = value;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (options.input) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    } else {
+      options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Pick an unused version label
+ */
+function nextVersion(requested) {
+  const base = requested || `trained-${new Date().toISOString().slice(0, 10)}`;
+  let version = base;
+  for (let n = 2; WIN_MODELS.some(model => model.version === version); n++) {
+    version = `${base}.${n}`;
+  }
+  return version;
+}
+
+/**
+ * Render the registry module
+ * @param {Object[]} models - All model versions, active last
+ * @returns {string} Module source
+ */
+export function renderRegistry(models) {
+  return `/**
+ * win-models.js - Versioned win-probability model coefficients
+ *
+ * Generated by js/cli/train-win-model.js; do not edit by hand.
+ * The last entry is the active model used by pricing.
+ */
+
+export const WIN_MODELS = ${JSON.stringify(models, null, 2)};
+
+export default WIN_MODELS;
+`;
+}
+
+/**
+ * Print a calibration report
+ */
+function printReport(label, report) {
+  console.log(`${label}: Brier ${report.brierScore.toFixed(4)}, log loss ${report.logLoss.toFixed(4)}`);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.input) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let records;
+  try {
+    const text = await readFile(options.input, 'utf8');
+    records = parseBidHistory(text, extname(options.input).toLowerCase() === '.json' ? 'json' : 'csv');
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  let fit;
+  try {
+    fit = trainWinModel(records, { l2: options.l2, minSectorBids: options.minSectorBids });
+  } catch (error) {
+    console.error(`Training failed: ${error.message}`);
+    return EXIT_CODES.TRAINING_FAILED;
+  }
+
+  const model = {
+    version: nextVersion(options.version),
+    trainedAt: new Date().toISOString(),
+    source: `${records.length} bids from ${options.input}`,
+    intercept: fit.intercept,
+    coefficients: fit.coefficients,
+    sectorOffsets: fit.sectorOffsets,
+    metrics: null
+  };
+  const report = calibrationReport(model, records, options.bins);
+  model.metrics = {
+    samples: report.samples,
+    winRate: report.winRate,
+    brierScore: report.brierScore,
+    logLoss: report.logLoss,
+    reliability: report.reliability
+  };
+
+  console.log(`Trained ${model.version} on ${records.length} bids (win rate ${(report.winRate * 100).toFixed(1)}%, ${fit.iterations} iterations)`);
+  console.log(`  intercept ${model.intercept}`);
+  WIN_FEATURES.forEach(key => console.log(`  ${key.padEnd(8)} ${model.coefficients[key]}`));
+  Object.entries(model.sectorOffsets).forEach(([sector, offset]) => console.log(`  sector:${sector} ${offset}`));
+
+  printReport(`${model.version} (in-sample)`, report);
+  printReport(`${getWinModel().version} (active)`, calibrationReport(getWinModel(), records, options.bins));
+
+  console.log('\nReliability        bids  predicted  observed');
+  report.reliability.forEach(bin => {
+    const range = `${bin.lower.toFixed(1)}–${bin.upper.toFixed(1)}`;
+    const predicted = bin.count ? bin.meanPredicted.toFixed(3) : '—';
+    const observed = bin.count ? bin.observedRate.toFixed(3) : '—';
+    console.log(`  ${range.padEnd(16)} ${String(bin.count).padStart(5)}  ${predicted.padStart(9)}  ${observed.padStart(8)}`);
+  });
+
+  if (options.dryRun) {
+    console.log('\nDry run: model not stored');
+  } else {
+    await writeFile(REGISTRY_PATH, renderRegistry([...WIN_MODELS, model]), 'utf8');
+    console.log(`\nStored ${model.version} in ${REGISTRY_PATH} (now active)`);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
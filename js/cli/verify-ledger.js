@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * verify-ledger.js - Audit a decision ledger export
+ *
+ * Usage:
+ *   node js/cli/verify-ledger.js <ledger.json> [--show <index>]
+ *
+ * Recomputes every entry's SHA-256 and chain link and reports the first
+ * broken link, if any. --show prints one entry (inputs, solution and
+ * decision trail) so a proposal's reasoning can be reviewed.
+ *
+ * Exit codes: 0 chain intact, 1 chain broken, 3 unreadable input,
+ * 64 usage error.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { DecisionLedger, verifyEntries } from '../engine/ledger.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  BROKEN: 1,
+  INPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const USAGE = `Usage: verify-ledger <ledger.json> [options]
+
+Options:
+  --show <index>   Print one entry after verifying
+  -h, --help       Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { input: null, show: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--show') {
+      options.show = Number(argv[++i]);
+      if (!Number.isInteger(options.show) || options.show < 0) throw new Error('--show requires an entry index');
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (options.input) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    } else {
+      options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.input) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let document;
+  try {
+    document = DecisionLedger.parse(await readFile(options.input, 'utf8'));
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const { entries } = document;
+  const verification = await verifyEntries(entries);
+
+  if (!verification.valid) {
+    console.error(`✗ Broken at entry ${verification.brokenAt} of ${verification.length}: ${verification.reason}`);
+    console.error(`  Entries 0–${verification.brokenAt - 1} verify; entry ${verification.brokenAt} and later cannot be trusted`);
+    return EXIT_CODES.BROKEN;
+  }
+
+  const head = entries.length ? entries[entries.length - 1].hash : null;
+  if (document.head && head && document.head !== head) {
+    console.error(`✗ Recorded head ${document.head} does not match last entry ${head} (entries truncated?)`);
+    return EXIT_CODES.BROKEN;
+  }
+
+  console.log(`✓ ${entries.length} entries verified${head ? `, head ${head}` : ''}`);
+
+  if (options.show !== null) {
+    const entry = entries[options.show];
+    if (!entry) {
+      console.error(`No entry ${options.show}`);
+      return EXIT_CODES.USAGE;
+    }
+    console.log(JSON.stringify(entry, null, 2));
+  }
+
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * verify-proposal.js - Check a signed proposal package
+ *
+ * Usage:
+ *   node js/cli/verify-proposal.js <name.package.json> [--trust <public.jwk>]... [--extract <dir>]
+ *
+ * Recomputes the content hashes, checks the manifest signature and, with
+ * --trust, that the package was signed by one of the given issuer keys.
+ * --extract writes the package members to a folder once they verify.
+ *
+ * Exit codes: 0 package intact, 1 altered, badly signed or untrusted,
+ * 3 unreadable input, 64 usage error.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { PACKAGE_FILES, verifyProposalPackage } from '../engine/proposal-package.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  INVALID: 1,
+  INPUT_ERROR: 3,
+  USAGE: 64
+};
+
+const USAGE = `Usage: verify-proposal <name.package.json> [options]
+
+Options:
+  --trust <public.jwk>   Trusted issuer key (repeatable)
+  --extract <dir>        Write the verified package members to <dir>
+  -h, --help             Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export function parseArgs(argv) {
+  const options = { input: null, trust: [], extract: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--trust') {
+      const path = argv[++i];
+      if (!path) throw new Error('--trust requires a public key file');
+      options.trust.push(path);
+    } else if (arg === '--extract') {
+      options.extract = argv[++i];
+      if (!options.extract) throw new Error('--extract requires a directory');
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option "${arg}"`);
+    } else if (options.input) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    } else {
+      options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!options.input) {
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  let pkg;
+  let trustedKeys;
+  try {
+    pkg = JSON.parse(await readFile(options.input, 'utf8'));
+    trustedKeys = await Promise.all(options.trust.map(async path => JSON.parse(await readFile(path, 'utf8'))));
+  } catch (error) {
+    console.error(`Cannot read input: ${error.message}`);
+    return EXIT_CODES.INPUT_ERROR;
+  }
+
+  const report = await verifyProposalPackage(pkg, { trustedKeys });
+
+  report.files.forEach(file => console.log(`  ${file.ok ? '✓' : '✗'} ${file.name}`));
+  if (!report.valid) {
+    report.errors.forEach(message => console.error(`✗ ${message}`));
+    return EXIT_CODES.INVALID;
+  }
+
+  console.log(`✓ ${report.referenceId} issued ${report.issuedAt}, signed by key ${report.keyId}` +
+    (report.trusted ? ' (trusted)' : ' (issuer not checked; pass --trust <public.jwk>)'));
+
+  if (options.extract) {
+    const dir = resolve(options.extract);
+    await mkdir(dir, { recursive: true });
+    // Only the known member names, so a crafted package cannot write elsewhere
+    for (const name of Object.values(PACKAGE_FILES).filter(name => name in pkg.files)) {
+      await writeFile(join(dir, name), pkg.files[name], 'utf8');
+    }
+    console.log(`Extracted to ${dir}`);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
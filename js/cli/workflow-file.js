@@ -0,0 +1,102 @@
+/**
+ * workflow-file.js - Approval workflow files shared by the CLIs
+ *
+ * generate-proposal writes <name>.workflow.json next to the proposal;
+ * proposal-workflow moves it through review and issues the signed
+ * package once the proposal is approved, provided the artefacts on disk
+ * are still the ones that were submitted.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+import { ProposalWorkflow } from '../engine/approval.js';
+import { contentHashes, createProposalPackage } from '../engine/proposal-package.js';
+
+/**
+ * Paths of a proposal's artefacts in the output folder
+ * @param {string} base - Output folder joined with the proposal name
+ * @returns {Object} { html, json, trail, workflow, package }
+ */
+export function artefactPaths(base) {
+  return {
+    html: `${base}.html`,
+    json: `${base}.json`,
+    trail: `${base}.trail.json`,
+    workflow: `${base}.workflow.json`,
+    package: `${base}.package.json`
+  };
+}
+
+/**
+ * Read a proposal's artefacts back in the shape generateProposal() returns them
+ * @param {Object} paths - artefactPaths() result
+ * @returns {Promise<Object>} { proposal: { html, json }, decisionTrail }
+ */
+export async function readArtefacts(paths) {
+  return {
+    proposal: { html: await readFile(paths.html, 'utf8'), json: JSON.parse(await readFile(paths.json, 'utf8')) },
+    decisionTrail: JSON.parse(await readFile(paths.trail, 'utf8'))
+  };
+}
+
+/**
+ * Save a workflow snapshot
+ */
+export function writeWorkflowFile(path, workflow) {
+  return writeFile(path, JSON.stringify(workflow, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Load a workflow snapshot and check it against the ledger
+ * @param {string} path - Workflow file
+ * @param {DecisionLedger} ledger - Decision ledger
+ * @returns {Promise<ProposalWorkflow>} Workflow
+ */
+export async function readWorkflowFile(path, ledger) {
+  const workflow = ProposalWorkflow.fromJSON(JSON.parse(await readFile(path, 'utf8')), ledger);
+  const audit = await workflow.audit();
+
+  if (!audit.valid) {
+    const error = new Error(`${path}: ${audit.reason}`);
+    error.code = 'LEDGER_BROKEN';
+    throw error;
+  }
+
+  return workflow;
+}
+
+/**
+ * Issue an approved proposal as a signed package
+ * @param {ProposalWorkflow} workflow - Approved workflow (throws ISSUE_BLOCKED otherwise, and
+ *   ARTEFACTS_CHANGED when result is not what was submitted)
+ * @param {Object} result - { proposal: { html, json }, decisionTrail }
+ * @param {Object} signing - { privateKey, signer }
+ * @param {Object} actor - { user }
+ * @param {string} packagePath - Where to write the package
+ * @param {string} reason - Issue note (default: names the signing key)
+ * @returns {Promise<Object>} Package
+ */
+export async function issueSignedPackage(workflow, result, signing, actor, packagePath, reason) {
+  // Refuse before signing so a blocked proposal never leaves as a valid package
+  workflow.assertCanIssue();
+  workflow.assertArtefacts(await contentHashes(result));
+
+  const pkg = await createProposalPackage(result, signing.privateKey, {
+    signer: signing.signer,
+    approval: {
+      requiredRoles: workflow.assessment.requiredRoles,
+      approvals: workflow.approvals
+    }
+  });
+  await writeFile(packagePath, JSON.stringify(pkg, null, 2) + '\n', 'utf8');
+  await workflow.issue(actor, reason || `Signed package issued with key ${pkg.manifest.keyId}`);
+  return pkg;
+}
+
+export default {
+  artefactPaths,
+  readArtefacts,
+  writeWorkflowFile,
+  readWorkflowFile,
+  issueSignedPackage
+};
@@ -0,0 +1,179 @@
+/**
+ * xlsx-reader.js - Minimal offline reader for Excel workbooks
+ *
+ * Reads cell values and formulas from an .xlsx file without third-party
+ * packages: the zip container is walked through its central directory and
+ * inflated with node:zlib, and the handful of SpreadsheetML parts needed
+ * (workbook, relationships, shared strings, worksheets) are parsed with
+ * regular expressions. Styles, drawings and charts are ignored.
+ */
+
+import { inflateRawSync } from 'node:zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Read error with a code, like the rest of the CLI helpers
+ */
+function xlsxError(message) {
+  const error = new Error(message);
+  error.code = 'XLSX_INVALID';
+  return error;
+}
+
+/**
+ * List and extract the entries of a zip archive
+ * @param {Buffer} buffer - Archive bytes
+ * @returns {Map<string, Buffer>} Entry name → uncompressed bytes
+ */
+export function readZip(buffer) {
+  // The end-of-central-directory record sits in the last 64 KiB (+22 bytes)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw xlsxError('Not a zip archive (no central directory)');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff) throw xlsxError('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw xlsxError('Corrupt zip central directory');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw xlsxError(`Corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, inflateRawSync(data));
+    } else {
+      throw xlsxError(`Unsupported compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Decode XML character references and Excel's _xHHHH_ escapes
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&(lt|gt|amp|quot|apos|#x[0-9a-fA-F]+|#\d+);/g, (match, ref) => {
+      if (ref[0] === '#') {
+        return String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+      }
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[ref];
+    })
+    .replace(/_x([0-9a-fA-F]{4})_/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Attributes of one XML start tag
+ */
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[name] = decodeXml(value);
+  }
+  return attrs;
+}
+
+/**
+ * Concatenated text of every <t> run inside a string item
+ */
+function runText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+/**
+ * Parse one worksheet part
+ * @param {string} xml - Worksheet XML
+ * @param {string[]} strings - Shared string table
+ * @returns {Map<string, Object>} Cell reference → { value, formula }
+ */
+function parseSheet(xml, strings) {
+  const cells = new Map();
+
+  for (const [, tag, body = ''] of xml.matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const attrs = attributes(tag);
+    const formulaMatch = /<f(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/f>)/.exec(body);
+    const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+    let value = null;
+    if (attrs.t === 's') {
+      value = raw === undefined ? null : strings[Number(raw)];
+    } else if (attrs.t === 'inlineStr') {
+      value = runText(body);
+    } else if (attrs.t === 'str' || attrs.t === 'e') {
+      value = raw === undefined ? null : decodeXml(raw);
+    } else if (attrs.t === 'b') {
+      value = raw === '1';
+    } else if (raw !== undefined) {
+      value = Number(raw);
+    }
+
+    const formula = formulaMatch ? (formulaMatch[1] !== undefined ? decodeXml(formulaMatch[1]) : '(shared)') : null;
+    if (value === null && formula === null) continue;
+    cells.set(attrs.r, { value, formula, error: attrs.t === 'e' });
+  }
+
+  return cells;
+}
+
+/**
+ * Read a workbook's sheets in tab order
+ * @param {Buffer} buffer - .xlsx file bytes
+ * @returns {Object} { sheets: [{ name, cells }] }
+ */
+export function readWorkbook(buffer) {
+  const entries = readZip(buffer);
+  const text = name => {
+    const entry = entries.get(name);
+    return entry ? entry.toString('utf8') : null;
+  };
+
+  const workbookXml = text('xl/workbook.xml');
+  if (!workbookXml) throw xlsxError('Not an Excel workbook (xl/workbook.xml missing)');
+
+  const targets = {};
+  for (const [, tag] of (text('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\s([^>]*?)\/?>/g)) {
+    const attrs = attributes(tag);
+    targets[attrs.Id] = attrs.Target.startsWith('/') ? attrs.Target.slice(1) : `xl/${attrs.Target}`;
+  }
+
+  const strings = [...(text('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => runText(m[1]));
+
+  const sheets = [...workbookXml.matchAll(/<sheet\s([^>]*?)\/?>/g)].map(([, tag]) => {
+    const attrs = attributes(tag);
+    const part = targets[attrs['r:id']];
+    const xml = part && text(part);
+    if (!xml) throw xlsxError(`Worksheet "${attrs.name}" is missing from the archive`);
+    return { name: attrs.name, cells: parseSheet(xml, strings) };
+  });
+
+  return { sheets };
+}
+
+export default {
+  readZip,
+  readWorkbook
+};
@@ -0,0 +1,242 @@
+/**
+ * deep-link.js - Shareable links to a digital-twin case
+ *
+ * A link carries the simulator's input vector, the mode, perspective,
+ * visualization tab and selected node in the URL hash (#case=...), as
+ * deflated JSON in base64url where the browser can compress, so a sales
+ * engineer can send a colleague the exact case on screen. Links are
+ * versioned: an older link is upgraded through MIGRATIONS before it is
+ * read, and every value is checked against the current schema, since a
+ * link is untrusted input. Values that fail are dropped (the app keeps
+ * its own) and reported, rather than failing the whole link.
+ */
+
+import { NODES } from '../data/nodes.js';
+import PERSPECTIVES from '../data/perspectives.js';
+
+export const LINK_VERSION = 1;
+
+// Hash parameter holding the encoded case
+export const LINK_PARAM = 'case';
+
+// Limits on untrusted links: token length, and decoded JSON (a few KB of
+// deflated data could otherwise inflate to hundreds of MB)
+export const MAX_TOKEN_LENGTH = 8192;
+export const MAX_LINK_BYTES = 64 * 1024;
+
+// Simulator inputs in state units, with the ranges the simulator form accepts
+export const LINK_INPUTS = {
+  sector: { min: 1, max: 6, integer: true },
+  flow: { min: 1, max: 10000 },
+  hours: { min: 1000, max: 8760 },
+  tss: { min: 0, max: 1000 },
+  tds: { min: 0, max: 50000 },
+  bod: { min: 0, max: 5000 },
+  cod: { min: 0, max: 10000 },
+  tssTarget: { min: 0, max: 100 },
+  tdsTarget: { min: 0, max: 5000 },
+  waterPriority: { min: 0, max: 1 },
+  carbonPriority: { min: 0, max: 1 },
+  energyPriority: { min: 0, max: 1 },
+  maxFootprint: { min: 10, max: 10000 },
+  maxBudget: { min: 100000, max: 50000000 }
+};
+
+export const LINK_MODES = ['full', 'flow', 'architecture', 'learning', 'roadmap'];
+
+export const LINK_VISUALIZATIONS = [
+  'flow-graph', 'scada-dashboard', 'decision-tree', 'treatment-train', 'sankey',
+  'carbon-clock', 'isometric-plant', 'optimization-3d', 'molecule-journey'
+];
+
+// Upgrades from each older link version to the next: version → (payload) => payload.
+// Add one whenever an input or view field is renamed, rescaled or removed.
+const MIGRATIONS = {};
+
+function linkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream, reading
+ * the output in chunks and giving up once it passes limit bytes
+ */
+async function pipe(bytes, stream, limit = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel();
+      throw new Error(`decoded link is larger than ${limit} bytes`);
+    }
+    chunks.push(value);
+  }
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * The shareable part of the app state
+ * @param {Object} state - App state (see state.js)
+ * @returns {Object} Link payload
+ */
+export function captureLink(state) {
+  return {
+    v: LINK_VERSION,
+    mode: state.mode,
+    perspective: state.perspective,
+    viz: state.activeViz,
+    node: state.selectedNode?.id ?? null,
+    inputs: Object.fromEntries(Object.keys(LINK_INPUTS).map(key => [key, state.simulator.inputs[key]])),
+    run: Boolean(state.simulator.results)
+  };
+}
+
+/**
+ * Encode a link payload for the URL
+ * @param {Object} payload - Link payload (see captureLink)
+ * @returns {Promise<string>} 'z' + deflated base64url, or 'j' + plain base64url
+ */
+export async function encodeLink(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === 'undefined') return 'j' + toBase64Url(bytes);
+  return 'z' + toBase64Url(await pipe(bytes, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Decode a URL token back into a (still unvalidated) payload
+ * @param {string} token - Encoded link
+ * @returns {Promise<Object>} Link payload (rejects with LINK_INVALID when the token is
+ *   unreadable or over MAX_TOKEN_LENGTH / MAX_LINK_BYTES)
+ */
+export async function decodeLink(token) {
+  const text = String(token || '');
+  try {
+    if (text.length > MAX_TOKEN_LENGTH) throw new Error(`token is longer than ${MAX_TOKEN_LENGTH} characters`);
+    let bytes = fromBase64Url(text.slice(1));
+    if (text[0] === 'z') {
+      bytes = await pipe(bytes, new DecompressionStream('deflate-raw'), MAX_LINK_BYTES);
+    } else if (text[0] !== 'j') {
+      throw new Error('unknown encoding');
+    }
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('not an object');
+    return payload;
+  } catch (error) {
+    throw linkError(`Link could not be read: ${error.message}`, 'LINK_INVALID');
+  }
+}
+
+/**
+ * Upgrade a payload to the current version and keep only valid values
+ * @param {Object} payload - Decoded payload
+ * @returns {Object} { link, problems }: link holds the values that passed
+ *   (mode, perspective, viz, node, inputs, run); problems describes the rest
+ */
+export function validateLink(payload) {
+  let version = payload.v;
+  if (!Number.isInteger(version) || version < 1) {
+    throw linkError(`Link has no valid version (got ${JSON.stringify(version)})`, 'LINK_INVALID');
+  }
+  if (version > LINK_VERSION) {
+    throw linkError(`Link is from a newer version of the app (v${version}, this app reads up to v${LINK_VERSION})`, 'LINK_UNSUPPORTED');
+  }
+  let upgraded = payload;
+  while (version < LINK_VERSION) {
+    upgraded = { ...MIGRATIONS[version](upgraded), v: version + 1 };
+    version++;
+  }
+
+  const problems = [];
+  const link = { inputs: {}, run: upgraded.run === true };
+  const choose = (field, value, allowed) => {
+    if (value === undefined || value === null) return;
+    if (allowed.includes(value)) {
+      link[field] = value;
+    } else {
+      problems.push(`unknown ${field} "${String(value).slice(0, 40)}"`);
+    }
+  };
+  choose('mode', upgraded.mode, LINK_MODES);
+  choose('perspective', upgraded.perspective, Object.keys(PERSPECTIVES));
+  choose('viz', upgraded.viz, LINK_VISUALIZATIONS);
+  choose('node', upgraded.node, NODES.map(node => node.id));
+
+  const inputs = upgraded.inputs && typeof upgraded.inputs === 'object' ? upgraded.inputs : {};
+  Object.entries(inputs).forEach(([key, value]) => {
+    // Own keys only: 'toString' or 'constructor' must not find a rule on the prototype
+    const rule = Object.hasOwn(LINK_INPUTS, key) ? LINK_INPUTS[key] : null;
+    if (!rule) {
+      problems.push(`unknown input "${key.slice(0, 40)}"`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+      problems.push(`${key} is not a valid number`);
+    } else if (value < rule.min || value > rule.max) {
+      problems.push(`${key} ${value} is outside ${rule.min}–${rule.max}`);
+    } else {
+      link.inputs[key] = value;
+    }
+  });
+
+  return { link, problems };
+}
+
+/**
+ * URL of the current case
+ * @param {Object} state - App state
+ * @param {string} base - Page URL (defaults to the current page)
+ * @returns {Promise<string>} URL with the case in its hash
+ */
+export async function linkUrl(state, base = location.href) {
+  const url = new URL(base);
+  url.hash = `${LINK_PARAM}=${await encodeLink(captureLink(state))}`;
+  return url.toString();
+}
+
+/**
+ * Read the case from a URL hash
+ * @param {string} hash - URL hash (defaults to the current page's)
+ * @returns {Promise<Object|null>} { link, problems } (see validateLink), or null when the hash has no case
+ */
+export async function readLink(hash = location.hash) {
+  const token = new URLSearchParams(hash.replace(/^#/, '')).get(LINK_PARAM);
+  if (!token) return null;
+  return validateLink(await decodeLink(token));
+}
+
+export default {
+  LINK_VERSION,
+  LINK_PARAM,
+  MAX_TOKEN_LENGTH,
+  MAX_LINK_BYTES,
+  LINK_INPUTS,
+  LINK_MODES,
+  LINK_VISUALIZATIONS,
+  captureLink,
+  encodeLink,
+  decodeLink,
+  validateLink,
+  linkUrl,
+  readLink
+};
@@ -0,0 +1,163 @@
+/**
+ * event-inspector.js - Overlay logging event bus traffic
+ *
+ * Lists every emit, newest first: the event name, its payload, the
+ * listeners it reached (with the pattern they subscribed with), handler
+ * errors and schema mismatches. Recording starts when the inspector is
+ * attached, so opening the overlay shows what led up to a problem. The
+ * filter takes an event name or pattern ('simulator:*').
+ */
+
+import { eventBus } from './events.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Payload as short JSON, tolerating cycles (d3 nodes) and large results
+ */
+function preview(data, limit = 2000) {
+  if (data === undefined) return 'undefined';
+  const seen = new WeakSet();
+  let text;
+  try {
+    text = JSON.stringify(data, (key, value) => {
+      if (value && typeof value === 'object') {
+        if (seen.has(value)) return '[circular]';
+        seen.add(value);
+      }
+      return value;
+    }, 2);
+  } catch (error) {
+    text = String(data);
+  }
+  return text.length > limit ? `${text.slice(0, limit)}\n…` : text;
+}
+
+function matchesFilter(filter, event) {
+  if (!filter) return true;
+  if (filter.endsWith('*')) return event.startsWith(filter.slice(0, -1));
+  return event.includes(filter);
+}
+
+/**
+ * Event inspector overlay
+ */
+export class EventInspector {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.bus - Event bus to observe
+   * @param {number} options.limit - Records kept
+   */
+  constructor({ bus = eventBus, limit = 200 } = {}) {
+    this.bus = bus;
+    this.limit = limit;
+    this.records = [];
+    this.element = null;
+    this.stop = null;
+    this.paused = false;
+    this.filter = '';
+  }
+
+  /**
+   * Start recording
+   */
+  attach() {
+    if (this.stop) return;
+    this.stop = this.bus.inspect(record => this.add(record));
+  }
+
+  /**
+   * Stop recording and remove the overlay
+   */
+  detach() {
+    this.stop?.();
+    this.stop = null;
+    this.element?.remove();
+    this.element = null;
+  }
+
+  add(record) {
+    if (this.paused) return;
+    this.records.unshift(record);
+    this.records.length = Math.min(this.records.length, this.limit);
+    if (this.isOpen()) this.render();
+  }
+
+  isOpen() {
+    return Boolean(this.element?.classList.contains('active'));
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.element.classList.remove('active');
+    } else {
+      this.attach();
+      this.build().classList.add('active');
+      this.render();
+    }
+  }
+
+  /**
+   * Create the overlay on first use
+   */
+  build() {
+    if (this.element) return this.element;
+
+    this.element = document.createElement('div');
+    this.element.className = 'event-inspector';
+    this.element.innerHTML = `
+      <div class="event-inspector-bar">
+        <b>Events</b>
+        <input type="search" data-role="filter" placeholder="Filter: name or simulator:*">
+        <button class="flow-toggle" data-action="pause">Pause</button>
+        <button class="flow-toggle" data-action="clear">Clear</button>
+        <button class="flow-toggle" data-action="close" title="Close (E)">✕</button>
+      </div>
+      <div class="event-inspector-list" data-role="list"></div>`;
+
+    this.element.querySelector('[data-role="filter"]').addEventListener('input', (e) => {
+      this.filter = e.target.value.trim();
+      this.render();
+    });
+    this.element.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'pause') {
+        this.paused = !this.paused;
+        button.textContent = this.paused ? 'Resume' : 'Pause';
+      } else if (button.dataset.action === 'clear') {
+        this.records = [];
+        this.render();
+      } else {
+        this.toggle();
+      }
+    });
+
+    document.body.appendChild(this.element);
+    return this.element;
+  }
+
+  render() {
+    const list = this.element.querySelector('[data-role="list"]');
+    const records = this.records.filter(record => matchesFilter(this.filter, record.event));
+
+    list.innerHTML = records.length ? records.map(record => {
+      const listeners = record.listeners.map(l => l.pattern === record.event ? l.name : `${l.name} (${l.pattern})`);
+      const issues = [
+        ...record.errors.map(({ listener, error }) => `<div class="event-inspector-error">${escapeHtml(listener.name)} threw: ${escapeHtml(error.message)}</div>`),
+        ...record.problems.map(problem => `<div class="event-inspector-problem">Schema: ${escapeHtml(problem)}</div>`)
+      ].join('');
+      return `
+        <details class="event-inspector-item${record.errors.length ? ' error' : record.problems.length ? ' problem' : ''}">
+          <summary>
+            <span class="t">${escapeHtml(record.event)}</span>
+            <span class="s">${new Date(record.timestamp).toLocaleTimeString()} · ${listeners.length} listener${listeners.length === 1 ? '' : 's'}</span>
+          </summary>
+          ${issues}
+          <div class="s">${escapeHtml(listeners.join(', ') || 'No listeners')}</div>
+          <pre>${escapeHtml(preview(record.data))}</pre>
+        </details>`;
+    }).join('') : `<p class="s">${this.records.length ? 'No events match the filter.' : 'No events yet.'}</p>`;
+  }
+}
+
+export default EventInspector;
@@ -1,15 +1,44 @@
 /**
  * events.js - Event bus for module communication
  * Allows decoupled communication between visualization modules
+ *
+ * Every event in EVENTS has a payload schema (EVENT_SCHEMAS). In
+ * development (served from localhost or a file, or with ?debug in the
+ * URL) each payload is checked against its schema and mismatches are
+ * logged; eventBus.validate turns this on or off. Listeners can subscribe
+ * to a namespace ('simulator:*') or to everything ('*'), and observers
+ * added with inspect() see every emit with the listeners it reached and
+ * the errors they threw (see event-inspector.js).
  */
 
+/**
+ * Whether the page runs in development
+ */
+function isDevelopment() {
+  const location = globalThis.location;
+  if (!location) return false;
+  return ['localhost', '127.0.0.1', ''].includes(location.hostname) || new URLSearchParams(location.search).has('debug');
+}
+
+/**
+ * Whether a subscription pattern matches an event name
+ * @param {string} pattern - Event name, 'namespace:*' or '*'
+ * @param {string} event - Event name
+ */
+function matches(pattern, event) {
+  if (pattern === '*' || pattern === event) return true;
+  return pattern.endsWith(':*') && event.startsWith(pattern.slice(0, -1));
+}
+
 export const eventBus = {
   listeners: new Map(),
+  observers: new Set(),
+  validate: isDevelopment(),
 
   /**
    * Subscribe to an event
-   * @param {string} event - Event name
-   * @param {Function} callback - Handler function
+   * @param {string} event - Event name, 'namespace:*' for a namespace or '*' for all events
+   * @param {Function} callback - Handler function (data, event name)
    * @returns {Function} Unsubscribe function
    */
   on(event, callback) {
@@ -39,9 +68,9 @@ export const eventBus = {
    * @param {Function} callback - Handler function
    */
   once(event, callback) {
-    const wrapper = (data) => {
+    const wrapper = (data, name) => {
       this.off(event, wrapper);
-      callback(data);
+      callback(data, name);
     };
     this.on(event, wrapper);
   },
@@ -52,17 +81,50 @@ export const eventBus = {
    * @param {*} data - Event data
    */
   emit(event, data) {
-    if (this.listeners.has(event)) {
-      this.listeners.get(event).forEach(callback => {
+    const problems = this.validate ? validatePayload(event, data) : [];
+    if (problems.length) {
+      console.warn(`Payload of "${event}" does not match its schema: ${problems.join('; ')}`, data);
+    }
+
+    // Exact listeners first, then namespace and catch-all ones
+    const invoked = [];
+    const errors = [];
+    [...this.listeners]
+      .filter(([pattern]) => matches(pattern, event))
+      .sort(([a], [b]) => (b === event) - (a === event))
+      .forEach(([pattern, callbacks]) => [...callbacks].forEach(callback => {
+        const listener = { name: callback.name || 'anonymous', pattern };
+        invoked.push(listener);
         try {
-          callback(data);
+          callback(data, event);
         } catch (error) {
+          errors.push({ listener, error });
           console.error(`Error in event handler for "${event}":`, error);
         }
+      }));
+
+    if (this.observers.size) {
+      const record = { event, data, listeners: invoked, errors, problems, timestamp: Date.now() };
+      this.observers.forEach(observer => {
+        try {
+          observer(record);
+        } catch (error) {
+          console.error('Error in event observer:', error);
+        }
       });
     }
   },
 
+  /**
+   * Observe every emit, e.g. for the event inspector
+   * @param {Function} observer - ({ event, data, listeners, errors, problems, timestamp }) => void
+   * @returns {Function} Function that stops observing
+   */
+  inspect(observer) {
+    this.observers.add(observer);
+    return () => this.observers.delete(observer);
+  },
+
   /**
    * Remove all listeners for an event
    * @param {string} event - Event name (optional, clears all if not provided)
@@ -105,7 +167,81 @@ export const EVENTS = {
 
   // Flow animation
   FLOW_TOGGLE: 'flow:toggle',
-  FLOW_UPDATE_VISIBILITY: 'flow:updateVisibility'
+  FLOW_UPDATE_VISIBILITY: 'flow:updateVisibility',
+
+  // State history (undo/redo, checkpoints, timeline jumps)
+  HISTORY_CHANGED: 'history:changed',
+  STATE_RESTORED: 'state:restored'
+};
+
+// Shape of the simulator's results (see Simulator.run)
+const RESULTS_SCHEMA = { inputs: 'object', solutions: 'array', bestSolution: 'object', pricing: 'object' };
+
+// Payload schema of each event. A schema is a type name ('string',
+// 'number', 'boolean', 'object', 'array', 'undefined' or 'any'), with a
+// trailing '?' when null and undefined are also allowed, or an object of
+// field → schema for an object payload (other fields are not checked).
+export const EVENT_SCHEMAS = {
+  // Results of the run now in state / of a run just made
+  [EVENTS.SIMULATOR_UPDATE]: RESULTS_SCHEMA,
+  [EVENTS.SIMULATOR_RESET]: 'undefined',
+  [EVENTS.SIMULATOR_RUN]: RESULTS_SCHEMA,
+
+  // A technology picked in a visualization; the best treatment chain changing between runs
+  [EVENTS.TECH_SELECTED]: { tech: 'string', source: 'string', path: 'array?' },
+  [EVENTS.TECH_CHAIN_CHANGED]: { techs: 'array', name: 'string', previous: 'array?' },
+
+  // viz is the visualization ID for VIZ_TOGGLE and the container ID for VIZ_RESIZE and VIZ_READY
+  [EVENTS.VIZ_TOGGLE]: { viz: 'string', previousViz: 'string?' },
+  [EVENTS.VIZ_RESIZE]: { viz: 'string', size: { width: 'number', height: 'number' } },
+  [EVENTS.VIZ_READY]: { viz: 'string', type: 'string' },
+
+  // The node (NODE_DESELECTED: the node that was selected)
+  [EVENTS.NODE_SELECTED]: { id: 'string' },
+  [EVENTS.NODE_DESELECTED]: { id: 'string' },
+  [EVENTS.NODE_HOVERED]: { id: 'string' },
+
+  [EVENTS.PERSPECTIVE_CHANGED]: { perspective: 'string', previousPerspective: 'string?' },
+  [EVENTS.MODE_CHANGED]: { mode: 'string', previousMode: 'string?' },
+
+  // Whether the animation is running; the node IDs particles are shown for (null: all)
+  [EVENTS.FLOW_TOGGLE]: 'boolean',
+  [EVENTS.FLOW_UPDATE_VISIBILITY]: { nodes: 'array?' },
+
+  [EVENTS.HISTORY_CHANGED]: { cursor: 'number', length: 'number', canUndo: 'boolean', canRedo: 'boolean' },
+  [EVENTS.STATE_RESTORED]: { entry: 'object', snapshot: 'object', previous: 'object' }
 };
 
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @returns {string[]} Problems, each prefixed with the path to the value
+ */
+function check(schema, value, path) {
+  if (typeof schema === 'object') {
+    if (typeOf(value) !== 'object') return [`${path || 'payload'} should be an object, got ${typeOf(value)}`];
+    return Object.entries(schema).flatMap(([key, inner]) => check(inner, value[key], path ? `${path}.${key}` : key));
+  }
+  const optional = schema.endsWith('?');
+  const type = optional ? schema.slice(0, -1) : schema;
+  if (type === 'any' || typeOf(value) === type) return [];
+  if (optional && (value === null || value === undefined)) return [];
+  return [`${path || 'payload'} should be ${schema}, got ${typeOf(value)}`];
+}
+
+/**
+ * Check an event payload against the event's schema
+ * @param {string} event - Event name
+ * @param {*} data - Payload
+ * @returns {string[]} Problems (empty when it matches, or the event has no schema)
+ */
+export function validatePayload(event, data) {
+  const schema = EVENT_SCHEMAS[event];
+  return schema ? check(schema, data, '') : [];
+}
+
 export default eventBus;
@@ -1,8 +1,18 @@
 /**
  * state.js - Global application state management
+ *
+ * Every actions.* call that changes tracked state is recorded in a
+ * command history with a snapshot of that state, so it can be undone,
+ * redone, marked as a named checkpoint or jumped back to from the
+ * timeline. Restoring a snapshot writes it back in one store transaction,
+ * so the usual change events fire once and visualizations re-render.
+ *
+ * The state lives in a reactive store (store.js): state is its proxy view,
+ * and store.subscribe('simulator.inputs.flow', ...) follows a nested value.
  */
 
 import { eventBus, EVENTS } from './events.js';
+import { createStore } from './store.js';
 
 // Initial state
 const initialState = {
@@ -34,9 +44,9 @@ const initialState = {
       cod: 350,
       tssTarget: 5,
       tdsTarget: 500,
-      waterPriority: 50,
-      carbonPriority: 30,
-      energyPriority: 20,
+      waterPriority: 0.5,
+      carbonPriority: 0.3,
+      energyPriority: 0.2,
       maxFootprint: 500,
       maxBudget: 2000000
     },
@@ -56,40 +66,31 @@ const initialState = {
   }
 };
 
-// Create reactive state with proxy
-function createState() {
-  let state = JSON.parse(JSON.stringify(initialState));
-
-  const handler = {
-    set(target, property, value) {
-      const oldValue = target[property];
-      target[property] = value;
-
-      // Emit events for state changes
-      if (property === 'mode') {
-        eventBus.emit(EVENTS.MODE_CHANGED, { mode: value, previousMode: oldValue });
-      } else if (property === 'perspective') {
-        eventBus.emit(EVENTS.PERSPECTIVE_CHANGED, { perspective: value, previousPerspective: oldValue });
-      } else if (property === 'selectedNode') {
-        if (value) {
-          eventBus.emit(EVENTS.NODE_SELECTED, value);
-        } else if (oldValue) {
-          eventBus.emit(EVENTS.NODE_DESELECTED, oldValue);
-        }
-      } else if (property === 'activeViz') {
-        eventBus.emit(EVENTS.VIZ_TOGGLE, { viz: value, previousViz: oldValue });
-      } else if (property === 'flowAnimationActive') {
-        eventBus.emit(EVENTS.FLOW_TOGGLE, value);
-      }
-
-      return true;
-    }
-  };
-
-  return new Proxy(state, handler);
-}
-
-export const state = createState();
+// Store holding the state tree; components can subscribe to any dotted path
+export const store = createStore(JSON.parse(JSON.stringify(initialState)));
+
+export const state = store.state;
+
+// Change events for top-level state, for the modules listening on the event bus
+store.subscribe('mode', (mode, previousMode) => {
+  eventBus.emit(EVENTS.MODE_CHANGED, { mode, previousMode });
+});
+store.subscribe('perspective', (perspective, previousPerspective) => {
+  eventBus.emit(EVENTS.PERSPECTIVE_CHANGED, { perspective, previousPerspective });
+});
+store.subscribe('selectedNode', (node, previousNode) => {
+  if (node) {
+    eventBus.emit(EVENTS.NODE_SELECTED, node);
+  } else if (previousNode) {
+    eventBus.emit(EVENTS.NODE_DESELECTED, previousNode);
+  }
+});
+store.subscribe('activeViz', (viz, previousViz) => {
+  eventBus.emit(EVENTS.VIZ_TOGGLE, { viz, previousViz });
+});
+store.subscribe('flowAnimationActive', active => {
+  eventBus.emit(EVENTS.FLOW_TOGGLE, active);
+});
 
 // State mutation helpers
 export const actions = {
@@ -118,22 +119,19 @@ export const actions = {
   },
 
   openSimulator() {
-    state.simulator = { ...state.simulator, isOpen: true };
+    state.simulator.isOpen = true;
   },
 
   closeSimulator() {
-    state.simulator = { ...state.simulator, isOpen: false };
+    state.simulator.isOpen = false;
   },
 
   updateSimulatorInputs(inputs) {
-    state.simulator = {
-      ...state.simulator,
-      inputs: { ...state.simulator.inputs, ...inputs }
-    };
+    store.transaction(() => Object.assign(state.simulator.inputs, inputs));
   },
 
   setSimulatorResults(results) {
-    state.simulator = { ...state.simulator, results };
+    state.simulator.results = results;
     eventBus.emit(EVENTS.SIMULATOR_UPDATE, results);
   },
 
@@ -142,40 +140,268 @@ export const actions = {
   },
 
   resetState() {
-    Object.assign(state, JSON.parse(JSON.stringify(initialState)));
+    store.transaction(() => Object.assign(state, JSON.parse(JSON.stringify(initialState))));
     eventBus.emit(EVENTS.SIMULATOR_RESET);
   },
 
   // Scenario player actions
   playScenario() {
-    state.scenario = { ...state.scenario, isPlaying: true };
+    state.scenario.isPlaying = true;
   },
 
   pauseScenario() {
-    state.scenario = { ...state.scenario, isPlaying: false };
+    state.scenario.isPlaying = false;
   },
 
   resetScenario() {
-    state.scenario = {
-      ...state.scenario,
-      isPlaying: false,
-      currentTime: 0
-    };
+    store.transaction(() => Object.assign(state.scenario, { isPlaying: false, currentTime: 0 }));
   },
 
   setScenarioTime(time) {
-    state.scenario = { ...state.scenario, currentTime: time };
+    state.scenario.currentTime = time;
   },
 
   setScenarioSpeed(speed) {
-    state.scenario = { ...state.scenario, speed };
+    state.scenario.speed = speed;
   },
 
   setActiveScenario(scenarioId) {
-    state.scenario = { ...state.scenario, activeScenario: scenarioId };
+    state.scenario.activeScenario = scenarioId;
   }
 };
 
+// Actions that only touch transient UI state and stay out of the history
+const UNTRACKED_ACTIONS = new Set([
+  'openSimulator',
+  'closeSimulator',
+  'playScenario',
+  'pauseScenario',
+  'resetScenario',
+  'setScenarioTime'
+]);
+
+// Top-level state restored by undo/redo (the simulator's inputs and results are restored separately)
+const TRACKED_KEYS = ['mode', 'perspective', 'activeViz', 'selectedNode', 'flowAnimationActive', 'simulatorRole'];
+
+const HISTORY_LIMIT = 100;
+
+// Timeline labels for recorded actions
+const ACTION_LABELS = {
+  setMode: mode => `Mode: ${mode}`,
+  setPerspective: perspective => `Perspective: ${perspective}`,
+  selectNode: node => `Selected ${node?.label || node?.id || 'node'}`,
+  clearSelection: () => 'Cleared selection',
+  toggleFlowAnimation: () => 'Toggled flow animation',
+  setActiveViz: vizId => `View: ${vizId}`,
+  updateSimulatorInputs: () => 'Simulator inputs',
+  setSimulatorResults: () => 'Simulator results',
+  setSimulatorRole: role => `Simulator role: ${role}`,
+  resetState: () => 'Reset',
+  setScenarioSpeed: speed => `Scenario speed ×${speed}`,
+  setActiveScenario: id => `Scenario: ${id ?? 'none'}`
+};
+
+/**
+ * Snapshot of the tracked state
+ *
+ * The store copies objects on write rather than mutating them, so a
+ * snapshot can share them by reference with the live state.
+ */
+function takeSnapshot() {
+  const current = store.snapshot();
+  const snapshot = Object.fromEntries(TRACKED_KEYS.map(key => [key, current[key]]));
+  snapshot.inputs = current.simulator.inputs;
+  snapshot.results = current.simulator.results;
+  snapshot.scenario = { speed: current.scenario.speed, activeScenario: current.scenario.activeScenario };
+  return snapshot;
+}
+
+function sameSnapshot(a, b) {
+  return TRACKED_KEYS.every(key => a[key] === b[key]) &&
+    a.inputs === b.inputs && a.results === b.results &&
+    a.scenario.speed === b.scenario.speed && a.scenario.activeScenario === b.scenario.activeScenario;
+}
+
+let nextEntryId = 0;
+
+// Command history over the tracked state
+export const history = {
+  entries: [],
+  cursor: -1,
+  batching: null,
+  restoring: false,
+
+  /**
+   * Start the history from the current state
+   */
+  init() {
+    this.entries = [{ id: nextEntryId++, label: 'Start', action: null, timestamp: Date.now(), checkpoint: null, snapshot: takeSnapshot() }];
+    this.cursor = 0;
+    this.changed();
+  },
+
+  /**
+   * Record the state after an action
+   * @param {string} action - Action name
+   * @param {string} label - Timeline label
+   */
+  record(action, label) {
+    if (this.restoring) return;
+    if (this.batching) {
+      this.batching.recorded = true;
+      return;
+    }
+
+    const snapshot = takeSnapshot();
+    if (sameSnapshot(snapshot, this.entries[this.cursor].snapshot)) return;
+
+    // A new action drops the undone entries
+    this.entries = this.entries.slice(0, this.cursor + 1);
+    this.entries.push({ id: nextEntryId++, label, action, timestamp: Date.now(), checkpoint: null, snapshot });
+
+    // Trim the oldest entries, keeping checkpoints
+    while (this.entries.length > HISTORY_LIMIT) {
+      const oldest = this.entries.findIndex(entry => !entry.checkpoint);
+      if (oldest === -1 || oldest === this.entries.length - 1) break;
+      this.entries.splice(oldest, 1);
+    }
+    this.cursor = this.entries.length - 1;
+    this.changed();
+  },
+
+  /**
+   * Record several actions as one history entry
+   * @param {string} label - Timeline label
+   * @param {Function} fn - Runs the actions
+   * @returns {*} fn's result
+   */
+  batch(label, fn) {
+    if (this.batching) return fn();
+    this.batching = { recorded: false };
+    try {
+      return fn();
+    } finally {
+      const { recorded } = this.batching;
+      this.batching = null;
+      if (recorded) this.record('batch', label);
+    }
+  },
+
+  canUndo() {
+    return this.cursor > 0;
+  },
+
+  canRedo() {
+    return this.cursor < this.entries.length - 1;
+  },
+
+  undo() {
+    if (this.canUndo()) this.jump(this.cursor - 1);
+  },
+
+  redo() {
+    if (this.canRedo()) this.jump(this.cursor + 1);
+  },
+
+  /**
+   * Restore the state as it was after a timeline entry
+   * @param {number} index - Entry index
+   */
+  jump(index) {
+    const entry = this.entries[index];
+    if (!entry || index === this.cursor) return;
+
+    const previous = takeSnapshot();
+    const { snapshot } = entry;
+    const simulatorChanged = previous.inputs !== snapshot.inputs || previous.results !== snapshot.results;
+    this.restoring = true;
+    try {
+      store.transaction(() => {
+        TRACKED_KEYS.forEach(key => store.set(key, snapshot[key]));
+        Object.assign(state.scenario, snapshot.scenario);
+        Object.assign(state.simulator, { inputs: snapshot.inputs, results: snapshot.results });
+      });
+      if (simulatorChanged) {
+        if (snapshot.results) {
+          eventBus.emit(EVENTS.SIMULATOR_UPDATE, snapshot.results);
+        } else {
+          eventBus.emit(EVENTS.SIMULATOR_RESET);
+        }
+      }
+      this.cursor = index;
+      eventBus.emit(EVENTS.STATE_RESTORED, { entry, snapshot, previous });
+    } finally {
+      this.restoring = false;
+    }
+    this.changed();
+  },
+
+  /**
+   * Name the current entry as a checkpoint
+   * @param {string} name - Checkpoint name
+   */
+  checkpoint(name) {
+    this.entries[this.cursor].checkpoint = String(name).trim() || `Checkpoint ${this.checkpoints().length + 1}`;
+    this.changed();
+  },
+
+  /**
+   * Named checkpoints, oldest first
+   * @returns {Object[]} { index, name, timestamp }
+   */
+  checkpoints() {
+    return this.entries
+      .map((entry, index) => ({ index, name: entry.checkpoint, timestamp: entry.timestamp }))
+      .filter(checkpoint => checkpoint.name);
+  },
+
+  /**
+   * Jump to a named checkpoint
+   * @param {string} name - Checkpoint name
+   * @returns {boolean} Whether the checkpoint exists
+   */
+  restoreCheckpoint(name) {
+    const index = this.entries.findIndex(entry => entry.checkpoint === name);
+    if (index !== -1) this.jump(index);
+    return index !== -1;
+  },
+
+  /**
+   * Timeline of recorded entries, oldest first
+   * @returns {Object[]} { index, id, label, timestamp, checkpoint, current, undone, inputs, results }
+   */
+  timeline() {
+    return this.entries.map((entry, index) => ({
+      index,
+      id: entry.id,
+      label: entry.label,
+      timestamp: entry.timestamp,
+      checkpoint: entry.checkpoint,
+      current: index === this.cursor,
+      undone: index > this.cursor,
+      inputs: entry.snapshot.inputs,
+      results: entry.snapshot.results
+    }));
+  },
+
+  changed() {
+    eventBus.emit(EVENTS.HISTORY_CHANGED, { cursor: this.cursor, length: this.entries.length, canUndo: this.canUndo(), canRedo: this.canRedo() });
+  }
+};
+
+// Record every tracked action in the history
+Object.keys(actions).filter(name => !UNTRACKED_ACTIONS.has(name)).forEach(name => {
+  const action = actions[name];
+  const label = ACTION_LABELS[name] || (() => name);
+  actions[name] = (...args) => {
+    const result = action(...args);
+    history.record(name, label(...args));
+    return result;
+  };
+});
+
+history.init();
+
 // Selectors for computing derived state
 export const selectors = {
   getVisibleNodes(perspective, nodes) {
@@ -186,17 +412,12 @@ export const selectors = {
     return new Set(perspectiveData.nodes);
   },
 
-  isSimulatorOpen() {
-    return state.simulator.isOpen;
-  },
+  // Memoized: recomputed only when the value they read changes
+  isSimulatorOpen: store.computed(() => state.simulator.isOpen),
 
-  getSimulatorInputs() {
-    return state.simulator.inputs;
-  },
+  getSimulatorInputs: store.computed(() => state.simulator.inputs),
 
-  getSimulatorResults() {
-    return state.simulator.results;
-  }
+  getSimulatorResults: store.computed(() => state.simulator.results)
 };
 
 // Helper to get perspective data (will be imported from data module)
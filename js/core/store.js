@@ -0,0 +1,365 @@
+/**
+ * store.js - Reactive state store with path subscriptions
+ *
+ * The state tree is never mutated in place: writing a value, however
+ * deep, copies the objects on its path and leaves everything else shared
+ * (copy-on-write). A subscriber to a dotted path ('simulator.inputs.flow')
+ * is notified when the value at that path is no longer the same object or
+ * primitive, so changes below it, at it or above it are all seen, and an
+ * old tree stays a valid snapshot.
+ *
+ * store.state is a Proxy view of the tree: reading nested objects returns
+ * further views, and assigning through any of them writes to the store.
+ * Computed selectors record the paths they read and recompute only when
+ * one of those values changes. Writes inside transaction() notify each
+ * subscriber once, when the outermost transaction ends.
+ */
+
+// View proxy → raw object it was created for
+const RAW = new WeakMap();
+
+// Dependency collectors of the computed selectors being evaluated
+const collectors = [];
+
+/**
+ * Split a dotted path into keys ('' is the root)
+ */
+function keysOf(path) {
+  if (Array.isArray(path)) return path.map(String);
+  return path === '' || path === undefined || path === '*' ? [] : String(path).split('.');
+}
+
+function isPlain(value) {
+  if (Array.isArray(value)) return true;
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Value at a path of a plain object tree
+ * @param {Object} tree - Tree
+ * @param {string|string[]} path - Dotted path or keys
+ * @returns {*} Value (undefined when the path does not exist)
+ */
+export function getIn(tree, path) {
+  return keysOf(path).reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), tree);
+}
+
+/**
+ * Copy of a tree with one value replaced, sharing every untouched branch
+ */
+function setIn(node, keys, value) {
+  if (!keys.length) return value;
+  const [key, ...rest] = keys;
+  const child = node === null || node === undefined ? undefined : node[key];
+  const next = setIn(child, rest, value);
+  if (node && typeof node === 'object' && key in node && child === next) return node;
+  const copy = Array.isArray(node) ? [...node] : { ...node };
+  copy[key] = next;
+  return copy;
+}
+
+/**
+ * Copy of a tree with one key removed
+ */
+function deleteIn(node, keys) {
+  if (!node || typeof node !== 'object' || !keys.length) return node;
+  const [key, ...rest] = keys;
+  if (!(key in node)) return node;
+  if (rest.length) {
+    const next = deleteIn(node[key], rest);
+    return next === node[key] ? node : setIn(node, [key], next);
+  }
+  const copy = Array.isArray(node) ? [...node] : { ...node };
+  delete copy[key];
+  return copy;
+}
+
+/**
+ * Replace views with their raw objects, copying only where one is found
+ */
+function unwrap(value, seen = new WeakSet()) {
+  if (RAW.has(value)) return RAW.get(value);
+  if (!isPlain(value) || seen.has(value)) return value;
+  seen.add(value);
+  let copy = null;
+  Object.keys(value).forEach(key => {
+    const inner = value[key];
+    const raw = unwrap(inner, seen);
+    if (raw !== inner) {
+      copy = copy || (Array.isArray(value) ? [...value] : { ...value });
+      copy[key] = raw;
+    }
+  });
+  return copy || value;
+}
+
+/**
+ * Record a read for the computed selector being evaluated
+ * @param {string} path - Dotted path read
+ * @param {boolean} whole - Whether the whole value was used (not just a child)
+ */
+function track(path, whole) {
+  const deps = collectors[collectors.length - 1];
+  if (deps) deps.set(path, deps.get(path) || whole);
+}
+
+/**
+ * Create a store
+ * @param {Object} initialState - Initial state tree
+ * @returns {Object} { state, get, peek, set, update, delete, subscribe, computed, transaction, snapshot, replace }
+ */
+export function createStore(initialState = {}) {
+  let root = unwrap(initialState);
+  let depth = 0;
+  let pending = null;
+  const subscriptions = new Set();
+  const views = new WeakMap();
+
+  /**
+   * Proxy view of the object at a path
+   */
+  function view(raw, keys) {
+    const path = keys.join('.');
+    let byPath = views.get(raw);
+    if (!byPath) views.set(raw, (byPath = new Map()));
+    if (byPath.has(path)) return byPath.get(path);
+
+    const current = () => getIn(root, keys) ?? raw;
+    const proxy = new Proxy(raw, {
+      get(_, key, receiver) {
+        if (typeof key === 'symbol') return Reflect.get(current(), key, receiver);
+        const node = current();
+        const value = node[key];
+        const childKeys = [...keys, key];
+        // Inherited members (array methods, toString) are not state
+        if (key in node && !Object.prototype.hasOwnProperty.call(node, key)) return value;
+        if (isPlain(value)) {
+          track(childKeys.join('.'), false);
+          return view(value, childKeys);
+        }
+        track(childKeys.join('.'), true);
+        return value;
+      },
+      set(_, key, value) {
+        if (typeof key === 'symbol') return false;
+        store.set([...keys, key], value);
+        return true;
+      },
+      deleteProperty(_, key) {
+        store.delete([...keys, key]);
+        return true;
+      },
+      has(_, key) {
+        track(path, true);
+        return key in current();
+      },
+      ownKeys() {
+        track(path, true);
+        return Reflect.ownKeys(current());
+      },
+      getOwnPropertyDescriptor(_, key) {
+        const descriptor = Reflect.getOwnPropertyDescriptor(current(), key);
+        return descriptor && { ...descriptor, value: proxy[key] };
+      }
+    });
+    RAW.set(proxy, raw);
+    byPath.set(path, proxy);
+    return proxy;
+  }
+
+  /**
+   * Apply a new tree and notify (or defer to the end of the transaction)
+   */
+  function commit(next, keys) {
+    if (next === root) return;
+    const previous = root;
+    root = next;
+    if (pending) {
+      pending.paths.push(keys.join('.'));
+      return;
+    }
+    notify(previous, [keys.join('.')]);
+  }
+
+  function notify(previous, paths) {
+    [...subscriptions].forEach(subscription => {
+      if (!subscriptions.has(subscription)) return;
+      const value = subscription.read();
+      if (Object.is(value, subscription.last)) return;
+      const oldValue = subscription.last;
+      subscription.last = value;
+      subscription.dispatch(value, oldValue, { paths, previous });
+    });
+  }
+
+  const store = {
+    /**
+     * Value at a path; objects come back as views (tracked in computed selectors)
+     * @param {string} path - Dotted path ('' for the whole state)
+     */
+    get(path = '') {
+      const keys = keysOf(path);
+      const value = getIn(root, keys);
+      track(keys.join('.'), !isPlain(value));
+      return isPlain(value) ? view(value, keys) : value;
+    },
+
+    /**
+     * Raw value at a path, untracked; treat it as read-only
+     * @param {string} path - Dotted path ('' for the whole state)
+     */
+    peek(path = '') {
+      return getIn(root, path);
+    },
+
+    /**
+     * Write a value at a path
+     * @param {string|string[]} path - Dotted path or keys
+     * @param {*} value - New value (views inside it are stored as their raw objects)
+     */
+    set(path, value) {
+      const keys = keysOf(path);
+      commit(setIn(root, keys, unwrap(value)), keys);
+    },
+
+    /**
+     * Write the result of a function of the current value
+     * @param {string} path - Dotted path
+     * @param {Function} fn - (current raw value) => new value
+     */
+    update(path, fn) {
+      this.set(path, fn(getIn(root, path)));
+    },
+
+    /**
+     * Remove a key
+     * @param {string|string[]} path - Dotted path or keys
+     */
+    delete(path) {
+      const keys = keysOf(path);
+      commit(deleteIn(root, keys), keys);
+    },
+
+    /**
+     * Subscribe to a path or a computed selector
+     *
+     * The callback gets the new and old raw values and { paths, previous }:
+     * the paths written since the last notification and the previous tree.
+     * @param {string|Function} target - Dotted path ('*' for any change) or computed()
+     * @param {Function} callback - (value, oldValue, change) => void
+     * @param {Object} options - Options
+     * @param {number} options.debounce - Wait this many ms after the last change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(target, callback, options = {}) {
+      const read = typeof target === 'function' ? target : () => getIn(root, target);
+      const subscription = { read, last: read() };
+      const call = (value, oldValue, change) => {
+        try {
+          callback(value, oldValue, change);
+        } catch (error) {
+          console.error(`Error in store subscriber for "${typeof target === 'function' ? 'computed' : target}":`, error);
+        }
+      };
+
+      if (options.debounce) {
+        let timer = null;
+        let first = null;
+        subscription.dispatch = (value, oldValue, change) => {
+          first = first || { oldValue, paths: [] };
+          first.paths.push(...change.paths);
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            const { oldValue: since, paths } = first;
+            first = null;
+            call(subscription.last, since, { paths, previous: change.previous });
+          }, options.debounce);
+        };
+      } else {
+        subscription.dispatch = call;
+      }
+
+      subscriptions.add(subscription);
+      return () => subscriptions.delete(subscription);
+    },
+
+    /**
+     * Memoized selector over the state
+     *
+     * The paths fn reads are recorded; the cached result is reused until
+     * the value at one of them changes.
+     * @param {Function} fn - () => derived value, reading store.state or store.get()
+     * @returns {Function} () => current derived value
+     */
+    computed(fn) {
+      let deps = null;
+      let result;
+      const stale = () => !deps || [...deps].some(([path, value]) => !Object.is(getIn(root, path), value));
+
+      const selector = () => {
+        if (stale()) {
+          const reads = new Map();
+          collectors.push(reads);
+          try {
+            result = fn();
+          } finally {
+            collectors.pop();
+          }
+          // Keep whole reads, and intermediate objects nothing below was read from
+          const paths = [...reads].filter(([path, whole]) =>
+            whole || ![...reads.keys()].some(other => other.startsWith(path + '.')));
+          deps = new Map(paths.map(([path]) => [path, getIn(root, path)]));
+        }
+        // A computed read inside another computed depends on the same paths
+        if (collectors.length) deps.forEach((_, path) => track(path, true));
+        return result;
+      };
+      return selector;
+    },
+
+    /**
+     * Make several writes with one notification per subscriber
+     * @param {Function} fn - Makes the writes
+     * @returns {*} fn's result
+     */
+    transaction(fn) {
+      if (!pending) pending = { previous: root, paths: [] };
+      depth++;
+      try {
+        return fn();
+      } finally {
+        depth--;
+        if (depth === 0) {
+          const { previous, paths } = pending;
+          pending = null;
+          if (root !== previous) notify(previous, paths);
+        }
+      }
+    },
+
+    /**
+     * The current raw tree (an immutable snapshot)
+     */
+    snapshot() {
+      return root;
+    },
+
+    /**
+     * Replace the whole tree, e.g. with an earlier snapshot
+     * @param {Object} tree - New tree
+     */
+    replace(tree) {
+      commit(unwrap(tree), []);
+    }
+  };
+
+  store.state = view(root, []);
+  return store;
+}
+
+export default {
+  createStore,
+  getIn
+};
@@ -35,20 +35,40 @@ export function formatValue(value, unit = '', decimals = 0) {
 /**
  * Format currency
  * @param {number} value - Value in base units
- * @param {string} currency - Currency symbol
- * @param {boolean} thousands - Divide by 1000 and add 'k'
+ * @param {string} currency - ISO 4217 code (locale-aware) or a literal symbol
+ * @param {boolean} thousands - Abbreviate large values (k / M)
+ * @param {string} locale - BCP 47 locale for ISO codes (default: runtime locale)
  * @returns {string} Formatted currency
  */
-export function formatCurrency(value, currency = '£', thousands = true) {
+export function formatCurrency(value, currency = 'GBP', thousands = true, locale) {
   if (typeof value !== 'number' || isNaN(value)) {
     return '--';
   }
+  if (/^[A-Z]{3}$/.test(currency)) {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      ...(thousands
+        ? { notation: 'compact', maximumSignificantDigits: 3 }
+        : { maximumFractionDigits: 0 })
+    }).format(value);
+  }
   if (thousands) {
     return `${currency}${(value / 1000).toFixed(0)}k`;
   }
   return `${currency}${value.toLocaleString()}`;
 }
 
+/**
+ * Format a date
+ * @param {Date|string|number} date - Date to format
+ * @param {string} locale - BCP 47 locale (default: runtime locale)
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, locale) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(date));
+}
+
 /**
  * Format percentage
  * @param {number} value - Value (0-1 or 0-100)
@@ -248,24 +268,27 @@ export function getCSSVar(varName) {
     .trim();
 }
 
+const hasWindow = typeof window !== 'undefined';
+
 /**
- * Request animation frame with fallback
+ * Request animation frame with fallback (also safe under Node)
  */
-export const raf = window.requestAnimationFrame ||
-  window.webkitRequestAnimationFrame ||
+export const raf = (hasWindow && (window.requestAnimationFrame ||
+  window.webkitRequestAnimationFrame)) ||
   ((callback) => setTimeout(callback, 16));
 
 /**
  * Cancel animation frame with fallback
  */
-export const cancelRaf = window.cancelAnimationFrame ||
-  window.webkitCancelAnimationFrame ||
+export const cancelRaf = (hasWindow && (window.cancelAnimationFrame ||
+  window.webkitCancelAnimationFrame)) ||
   clearTimeout;
 
 export default {
   escapeHtml,
   formatValue,
   formatCurrency,
+  formatDate,
   formatPercent,
   debounce,
   throttle,
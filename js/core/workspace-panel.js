@@ -0,0 +1,170 @@
+/**
+ * workspace-panel.js - Project list dialog for the workspace store
+ *
+ * One dialog shared by the quotation system and the proposal app: save
+ * the current project, search the workspace, open, duplicate or delete a
+ * project, and export or import the whole workspace. The host app does
+ * the saving and opening, since only it knows its inputs and results.
+ * Styling uses the host page's theme variables and .btn/.form-input
+ * classes, which both apps define.
+ */
+
+import { escapeHtml, formatDate } from './utils.js';
+
+const THEME = {
+  card: 'var(--card, var(--panel))',
+  line: 'var(--line, var(--border))',
+  muted: 'var(--muted, var(--text-secondary))'
+};
+
+// Records imported from older workspaces may have no (or no valid) timestamp
+const shownDate = value => (value && !Number.isNaN(Date.parse(value)) ? formatDate(value) : '—');
+
+// Fields of the save form, in display order
+const DETAIL_FIELDS = [
+  { key: 'name', label: 'Project' },
+  { key: 'reference', label: 'Reference' },
+  { key: 'customer', label: 'Customer' },
+  { key: 'site', label: 'Site' },
+  { key: 'location', label: 'Location' }
+];
+
+/**
+ * Download text as a file
+ */
+function download(text, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Show the workspace dialog
+ * @param {Object} options - Options
+ * @param {WorkspaceStore} options.store - Open workspace
+ * @param {Object} options.current - Details of the open project { id, name, reference, customer, site, location }
+ * @param {Function} options.onSave - async (details) => saved project; saves the current project
+ * @param {Function} options.onOpen - (project) => void; loads a getProject() result into the app
+ * @param {Function} options.onDelete - (id) => void; called after a project is deleted
+ * @param {Function} options.notify - (message, type) => void; type 'success' or 'error'
+ * @returns {Object} { close }
+ */
+export function openWorkspacePanel({ store, current = {}, onSave, onOpen, onDelete = () => {}, notify = () => {} }) {
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:9999';
+  overlay.innerHTML = `
+    <div style="background:${THEME.card};color:var(--text);border:1px solid ${THEME.line};border-radius:16px;padding:24px;width:min(760px,94vw);max-height:88vh;display:flex;flex-direction:column;gap:16px">
+      <div style="display:flex;align-items:center;justify-content:space-between">
+        <h2 style="font-size:18px;margin:0">Projects</h2>
+        <button class="btn btn-secondary" data-action="close">Close</button>
+      </div>
+      <form data-role="details" style="display:grid;grid-template-columns:repeat(5,1fr) auto;gap:8px;align-items:end">
+        ${DETAIL_FIELDS.map(field => `
+        <label style="font-size:11px;color:${THEME.muted}">${field.label}
+          <input class="form-input" name="${field.key}" value="${escapeHtml(current[field.key] || '')}" ${field.key === 'name' ? 'required' : ''} style="width:100%">
+        </label>`).join('')}
+        <button class="btn btn-primary" type="submit">${current.id ? 'Save' : 'Save as new'}</button>
+      </form>
+      <input class="form-input" type="search" data-role="search" placeholder="Search by project, reference, customer or site">
+      <div data-role="list" style="overflow:auto;flex:1;border-top:1px solid ${THEME.line}"></div>
+      <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap">
+        <button class="btn btn-secondary" data-action="export">Export workspace</button>
+        <button class="btn btn-secondary" data-action="import">Import workspace</button>
+        <label style="font-size:12px;color:${THEME.muted}"><input type="checkbox" data-role="replace"> Replace existing projects on import</label>
+        <input type="file" accept="application/json,.json" data-role="file" hidden>
+      </div>
+    </div>`;
+
+  const find = role => overlay.querySelector(`[data-role="${role}"]`);
+  const list = find('list');
+  const close = () => overlay.remove();
+  const fail = error => notify(error.problems ? `${error.message.split('\n')[0]} ${error.problems.join('; ')}` : error.message, 'error');
+
+  async function render() {
+    const projects = await store.listProjects({ query: find('search').value });
+    list.innerHTML = projects.length ? projects.map(project => `
+      <div style="display:flex;align-items:center;gap:12px;padding:10px 4px;border-bottom:1px solid ${THEME.line}${project.id === current.id ? ';font-weight:600' : ''}">
+        <div style="flex:1;min-width:0">
+          <div>${escapeHtml(project.name)}${project.reference ? ` <span style="color:${THEME.muted}">· ${escapeHtml(project.reference)}</span>` : ''}</div>
+          <div style="font-size:12px;color:${THEME.muted}">
+            ${escapeHtml([project.customer, project.site, project.location].filter(Boolean).join(' · ') || 'No customer')}
+            · ${project.runs} run${project.runs === 1 ? '' : 's'}, ${project.revisions} revision${project.revisions === 1 ? '' : 's'}
+            · updated ${shownDate(project.updatedAt)}
+          </div>
+        </div>
+        <button class="btn btn-secondary" data-action="open" data-id="${escapeHtml(project.id)}">Open</button>
+        <button class="btn btn-secondary" data-action="duplicate" data-id="${escapeHtml(project.id)}">Duplicate</button>
+        <button class="btn btn-secondary" data-action="delete" data-id="${escapeHtml(project.id)}">Delete</button>
+      </div>`).join('')
+      : `<p style="color:${THEME.muted};font-size:13px">${find('search').value ? 'No projects match the search.' : 'No saved projects yet.'}</p>`;
+  }
+
+  const actions = {
+    close,
+    async open(id) {
+      onOpen(await store.getProject(id));
+      close();
+    },
+    async duplicate(id) {
+      const copy = await store.duplicateProject(id);
+      notify(`Created ${copy.case.name}`, 'success');
+      await render();
+    },
+    async delete(id) {
+      const project = await store.getProject(id);
+      if (!confirm(`Delete ${project.case.name} with its runs and revisions?`)) return;
+      await store.deleteProject(id);
+      onDelete(id);
+      if (id === current.id) current = {};
+      await render();
+    },
+    async export() {
+      download(await store.export(), `membracon-workspace-${new Date().toISOString().slice(0, 10)}.json`);
+    },
+    import() {
+      find('file').click();
+    }
+  };
+
+  overlay.addEventListener('click', event => {
+    if (event.target === overlay) return close();
+    const button = event.target.closest('[data-action]');
+    if (button) actions[button.dataset.action](button.dataset.id)?.catch?.(fail);
+  });
+  find('search').addEventListener('input', () => render().catch(fail));
+  find('details').addEventListener('submit', event => {
+    event.preventDefault();
+    const form = new FormData(event.target);
+    const details = { id: current.id, ...Object.fromEntries(DETAIL_FIELDS.map(field => [field.key, String(form.get(field.key)).trim()])) };
+    onSave(details)
+      .then(project => {
+        current = { ...details, id: project.case.id };
+        notify(`Saved ${project.case.name}`, 'success');
+        event.target.querySelector('[type="submit"]').textContent = 'Save';
+        return render();
+      })
+      .catch(fail);
+  });
+  find('file').addEventListener('change', async event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const counts = await store.import(await file.text(), { replace: find('replace').checked });
+      notify(`Imported ${counts.cases} project${counts.cases === 1 ? '' : 's'}`, 'success');
+      await render();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  document.body.appendChild(overlay);
+  render().catch(fail);
+  return { close };
+}
+
+export default {
+  openWorkspacePanel
+};
@@ -0,0 +1,473 @@
+/**
+ * workspace-store.js - Persistent project workspace
+ *
+ * Keeps customers, their sites, cases (projects), the runs saved against
+ * a case (inputs and results from the quotation system or the proposal
+ * app) and numbered proposal revisions in IndexedDB, so work survives
+ * closing the tab. Both apps open the same database. Run inputs use the
+ * shared quotation module's feed-water terms (see ro-quotation.js), so a
+ * project saved in one app opens in the other. The whole workspace
+ * exports to, and imports from, a single JSON document.
+ *
+ * Where IndexedDB is unavailable (e.g. under Node) the store keeps its
+ * records in memory, as the decision ledger does with localStorage.
+ */
+
+import { randomHex } from './utils.js';
+
+export const WORKSPACE_FORMAT = 'membracon-workspace';
+export const WORKSPACE_VERSION = 1;
+
+const DB_NAME = 'membracon-workspace';
+const DB_VERSION = 1;
+
+// Object stores, each keyed by id, with the fields they are indexed on
+export const STORES = {
+  customers: ['name'],
+  sites: ['customerId'],
+  cases: ['customerId', 'siteId', 'updatedAt'],
+  runs: ['caseId'],
+  revisions: ['caseId']
+};
+
+// Record links checked on import: store → { field: referenced store }
+const LINKS = {
+  sites: { customerId: 'customers' },
+  cases: { customerId: 'customers', siteId: 'sites' },
+  runs: { caseId: 'cases' },
+  revisions: { caseId: 'cases' }
+};
+
+// Stores whose records are found and listed by name
+const NAMED = ['customers', 'sites', 'cases'];
+
+const clone = value => JSON.parse(JSON.stringify(value));
+const newId = prefix => `${prefix}-${Date.now().toString(36)}-${randomHex(6)}`;
+// Timestamps are ISO strings; records imported without one sort first
+const byCreated = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '');
+
+function workspaceError(message, code, problems) {
+  const error = new Error(message);
+  error.code = code;
+  if (problems) error.problems = problems;
+  return error;
+}
+
+/**
+ * Resolve an IndexedDB request
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Open (creating or upgrading) the workspace database
+ * @param {IDBFactory} factory - indexedDB
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase(factory, name) {
+  return new Promise((resolve, reject) => {
+    const req = factory.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      Object.entries(STORES).forEach(([store, indexes]) => {
+        if (db.objectStoreNames.contains(store)) return;
+        const objectStore = db.createObjectStore(store, { keyPath: 'id' });
+        indexes.forEach(index => objectStore.createIndex(index, index));
+      });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(workspaceError('Workspace database is open in an older version of the app; close other tabs and retry', 'WORKSPACE_BLOCKED'));
+  });
+}
+
+/**
+ * Workspace backend over an IndexedDB database
+ *
+ * write() applies { store: { clear, remove: [ids], put: [records] } } in
+ * one transaction, so a save or import lands completely or not at all.
+ * @param {IDBDatabase} db - Open database
+ * @returns {Object} { getAll, get, getByIndex, write, close }
+ */
+export function createIndexedDBBackend(db) {
+  const objectStore = store => db.transaction(store).objectStore(store);
+  return {
+    getAll: store => request(objectStore(store).getAll()),
+    get: (store, id) => request(objectStore(store).get(id)).then(record => record ?? null),
+    getByIndex: (store, index, value) => request(objectStore(store).index(index).getAll(value)),
+    write(changes) {
+      const names = Object.keys(changes);
+      if (!names.length) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(names, 'readwrite');
+        names.forEach(name => {
+          const { clear = false, remove = [], put = [] } = changes[name];
+          const target = tx.objectStore(name);
+          if (clear) target.clear();
+          remove.forEach(id => target.delete(id));
+          put.forEach(record => target.put(record));
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || workspaceError('Workspace transaction aborted', 'WORKSPACE_ABORTED'));
+      });
+    },
+    close: () => db.close()
+  };
+}
+
+/**
+ * In-memory workspace backend used when IndexedDB is unavailable
+ * @returns {Object} Backend (see createIndexedDBBackend)
+ */
+export function createMemoryBackend() {
+  const stores = Object.fromEntries(Object.keys(STORES).map(store => [store, new Map()]));
+  return {
+    getAll: async store => [...stores[store].values()].map(clone),
+    get: async (store, id) => (stores[store].has(id) ? clone(stores[store].get(id)) : null),
+    getByIndex: async (store, index, value) => [...stores[store].values()].filter(r => r[index] === value).map(clone),
+    async write(changes) {
+      Object.entries(changes).forEach(([name, { clear = false, remove = [], put = [] }]) => {
+        if (clear) stores[name].clear();
+        remove.forEach(id => stores[name].delete(id));
+        put.forEach(record => stores[name].set(record.id, clone(record)));
+      });
+    },
+    close() {}
+  };
+}
+
+/**
+ * Words of a search query, lower-cased
+ */
+function searchTerms(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Project workspace
+ */
+export class WorkspaceStore {
+  /**
+   * @param {Object} backend - createIndexedDBBackend() or createMemoryBackend() result
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Open the workspace
+   * @param {Object} options - Options
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: indexedDB, else memory)
+   * @param {string} options.name - Database name
+   * @returns {Promise<WorkspaceStore>} Store
+   */
+  static async open(options = {}) {
+    const factory = options.indexedDB || globalThis.indexedDB;
+    if (!factory) return new WorkspaceStore(createMemoryBackend());
+    return new WorkspaceStore(createIndexedDBBackend(await openDatabase(factory, options.name || DB_NAME)));
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.backend.close();
+  }
+
+  /**
+   * Projects, most recently updated first
+   *
+   * Every word of the query must appear in the project name, reference,
+   * customer, site or site location.
+   * @param {Object} options - Options
+   * @param {string} options.query - Search text
+   * @returns {Promise<Object[]>} { id, name, reference, source, customer, site, location, createdAt, updatedAt, runs, revisions }
+   */
+  async listProjects({ query = '' } = {}) {
+    const [cases, customers, sites, runs, revisions] = await Promise.all(
+      ['cases', 'customers', 'sites', 'runs', 'revisions'].map(store => this.backend.getAll(store)));
+    const customerById = new Map(customers.map(c => [c.id, c]));
+    const siteById = new Map(sites.map(s => [s.id, s]));
+    const count = records => records.reduce((counts, r) => counts.set(r.caseId, (counts.get(r.caseId) || 0) + 1), new Map());
+    const runCounts = count(runs);
+    const revisionCounts = count(revisions);
+    const terms = searchTerms(query);
+
+    return cases
+      .map(record => {
+        const site = siteById.get(record.siteId);
+        return {
+          id: record.id,
+          name: record.name,
+          reference: record.reference || '',
+          source: record.source || '',
+          customer: customerById.get(record.customerId)?.name || '',
+          site: site?.name || '',
+          location: site?.location || '',
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt,
+          runs: runCounts.get(record.id) || 0,
+          revisions: revisionCounts.get(record.id) || 0
+        };
+      })
+      .filter(project => {
+        const text = [project.name, project.reference, project.customer, project.site, project.location].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  /**
+   * One project with its customer, site, runs and revisions
+   * @param {string} id - Case id
+   * @returns {Promise<Object|null>} { case, customer, site, runs, revisions, latestRun, latestRevision }
+   */
+  async getProject(id) {
+    const record = await this.backend.get('cases', id);
+    if (!record) return null;
+
+    const [customer, site, runs, revisions] = await Promise.all([
+      record.customerId ? this.backend.get('customers', record.customerId) : null,
+      record.siteId ? this.backend.get('sites', record.siteId) : null,
+      this.backend.getByIndex('runs', 'caseId', id),
+      this.backend.getByIndex('revisions', 'caseId', id)
+    ]);
+    runs.sort(byCreated);
+    revisions.sort((a, b) => a.revision - b.revision);
+    return {
+      case: record,
+      customer,
+      site,
+      runs,
+      revisions,
+      latestRun: runs[runs.length - 1] || null,
+      latestRevision: revisions[revisions.length - 1] || null
+    };
+  }
+
+  /**
+   * Create or update a project, optionally adding a run and a revision
+   *
+   * Customers are matched by name and sites by name within the customer,
+   * so saving twice for the same customer does not duplicate them.
+   * @param {Object} details - Project details
+   * @param {string} details.id - Case id (omit to create a project)
+   * @param {string} details.name - Project name
+   * @param {string} details.reference - Quote or tender reference
+   * @param {string} details.source - App that created the project (e.g. 'quotation', 'proposal')
+   * @param {Object} details.customer - { name, ...fields }
+   * @param {Object} details.site - { name, location, ...fields }
+   * @param {Object} details.run - { kind, inputs, results, ... } to append
+   * @param {Object} details.revision - { snapshot, ... } to store as the next revision
+   * @returns {Promise<Object>} getProject() result
+   */
+  async saveProject({ id, name, reference, source = '', customer, site, run, revision } = {}) {
+    const existing = id ? await this.backend.get('cases', id) : null;
+    if (id && !existing) throw workspaceError(`No project ${id} in the workspace`, 'PROJECT_NOT_FOUND');
+    const projectName = String(name ?? existing?.name ?? '').trim();
+    if (!projectName) throw workspaceError('A project needs a name', 'WORKSPACE_INVALID', ['name is required']);
+
+    const now = new Date().toISOString();
+    const changes = {};
+    const put = (store, record) => {
+      (changes[store] = changes[store] || { put: [] }).put.push(record);
+      return record;
+    };
+
+    let customerId = existing?.customerId || null;
+    if (customer?.name?.trim()) {
+      const key = customer.name.trim().toLowerCase();
+      const match = (await this.backend.getAll('customers')).find(c => c.name.toLowerCase() === key);
+      customerId = put('customers', { ...match, ...customer, name: match?.name || customer.name.trim(), id: match?.id || newId('cust'), createdAt: match?.createdAt || now, updatedAt: now }).id;
+    }
+
+    let siteId = customerId === existing?.customerId ? existing?.siteId || null : null;
+    if (site?.name?.trim() && customerId) {
+      const key = site.name.trim().toLowerCase();
+      const match = (await this.backend.getByIndex('sites', 'customerId', customerId)).find(s => s.name.toLowerCase() === key);
+      siteId = put('sites', { ...match, ...site, name: match?.name || site.name.trim(), customerId, id: match?.id || newId('site'), createdAt: match?.createdAt || now, updatedAt: now }).id;
+    }
+
+    const caseId = existing?.id || newId('case');
+    put('cases', {
+      ...existing,
+      id: caseId,
+      name: projectName,
+      reference: String(reference ?? existing?.reference ?? '').trim(),
+      source: existing?.source || source,
+      customerId,
+      siteId,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+
+    if (run) put('runs', { ...clone(run), id: newId('run'), caseId, createdAt: now });
+    if (revision) {
+      const count = existing ? (await this.backend.getByIndex('revisions', 'caseId', caseId)).length : 0;
+      put('revisions', { ...clone(revision), id: newId('rev'), caseId, revision: count + 1, createdAt: now });
+    }
+
+    await this.backend.write(changes);
+    return this.getProject(caseId);
+  }
+
+  /**
+   * Start a new project from an existing one
+   *
+   * The copy keeps the customer, site, reference and latest run; it has
+   * no revisions, so its first proposal is revision 1.
+   * @param {string} id - Case id
+   * @param {Object} options - Options
+   * @param {string} options.name - Name of the copy (default: "<name> (copy)")
+   * @returns {Promise<Object>} getProject() result for the copy
+   */
+  async duplicateProject(id, { name } = {}) {
+    const project = await this.getProject(id);
+    if (!project) throw workspaceError(`No project ${id} in the workspace`, 'PROJECT_NOT_FOUND');
+
+    const now = new Date().toISOString();
+    const caseId = newId('case');
+    const put = [];
+    const changes = {
+      cases: {
+        put: [{
+          ...project.case,
+          id: caseId,
+          name: String(name || `${project.case.name} (copy)`).trim(),
+          duplicatedFrom: id,
+          createdAt: now,
+          updatedAt: now
+        }]
+      },
+      runs: { put }
+    };
+    if (project.latestRun) put.push({ ...project.latestRun, id: newId('run'), caseId, createdAt: now });
+
+    await this.backend.write(changes);
+    return this.getProject(caseId);
+  }
+
+  /**
+   * Delete a project with its runs and revisions
+   *
+   * Customers and sites no other project refers to are deleted too.
+   * @param {string} id - Case id
+   * @returns {Promise<void>}
+   */
+  async deleteProject(id) {
+    const project = await this.getProject(id);
+    if (!project) throw workspaceError(`No project ${id} in the workspace`, 'PROJECT_NOT_FOUND');
+
+    const others = (await this.backend.getAll('cases')).filter(c => c.id !== id);
+    const { customerId, siteId } = project.case;
+    await this.backend.write({
+      cases: { remove: [id] },
+      runs: { remove: project.runs.map(r => r.id) },
+      revisions: { remove: project.revisions.map(r => r.id) },
+      sites: { remove: siteId && !others.some(c => c.siteId === siteId) ? [siteId] : [] },
+      customers: { remove: customerId && !others.some(c => c.customerId === customerId) ? [customerId] : [] }
+    });
+  }
+
+  /**
+   * Export the whole workspace as JSON
+   * @returns {Promise<string>} Workspace document
+   */
+  async export() {
+    const records = await Promise.all(Object.keys(STORES).map(store => this.backend.getAll(store)));
+    return JSON.stringify({
+      format: WORKSPACE_FORMAT,
+      version: WORKSPACE_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...Object.fromEntries(Object.keys(STORES).map((store, i) => [store, records[i]]))
+    }, null, 2);
+  }
+
+  /**
+   * Import an exported workspace
+   *
+   * Records replace those with the same id; with replace set, everything
+   * else in the workspace is deleted first.
+   * @param {string} text - Workspace document
+   * @param {Object} options - Options
+   * @param {boolean} options.replace - Replace the workspace instead of merging
+   * @returns {Promise<Object>} Records imported per store
+   */
+  async import(text, { replace = false } = {}) {
+    const data = WorkspaceStore.parse(text);
+    await this.backend.write(Object.fromEntries(Object.keys(STORES).map(store => [store, { clear: replace, put: data[store] }])));
+    return Object.fromEntries(Object.keys(STORES).map(store => [store, data[store].length]));
+  }
+
+  /**
+   * Parse and check an exported workspace document
+   * @param {string} text - Workspace document
+   * @returns {Object} { customers, sites, cases, runs, revisions }
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw workspaceError(`Workspace document is not JSON: ${error.message}`, 'WORKSPACE_INVALID', [error.message]);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data) || data.format !== WORKSPACE_FORMAT) {
+      throw workspaceError('Not a workspace document', 'WORKSPACE_INVALID', ['format is not ' + WORKSPACE_FORMAT]);
+    }
+    if (data.version > WORKSPACE_VERSION) {
+      throw workspaceError(`Workspace version ${data.version} is newer than supported (${WORKSPACE_VERSION})`, 'WORKSPACE_INVALID');
+    }
+
+    const problems = [];
+    const stores = {};
+    Object.keys(STORES).forEach(store => {
+      if (data[store] !== undefined && !Array.isArray(data[store])) problems.push(`${store} must be an array`);
+      stores[store] = Array.isArray(data[store]) ? data[store] : [];
+      stores[store].forEach((record, i) => {
+        if (!record || typeof record.id !== 'string' || !record.id) problems.push(`${store}[${i}] needs a string id`);
+        if (NAMED.includes(store) && (typeof record?.name !== 'string' || !record.name.trim())) {
+          problems.push(`${store}[${i}] needs a name`);
+        }
+        ['createdAt', 'updatedAt'].forEach(field => {
+          const value = record?.[field];
+          if (value !== undefined && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+            problems.push(`${store}[${i}].${field} must be an ISO date string`);
+          }
+        });
+      });
+    });
+
+    const ids = Object.fromEntries(Object.keys(STORES).map(store => [store, new Set(stores[store].map(r => r?.id))]));
+    Object.entries(LINKS).forEach(([store, fields]) => {
+      stores[store].forEach((record, i) => {
+        Object.entries(fields).forEach(([field, target]) => {
+          const value = record?.[field];
+          const required = field === 'caseId';
+          if ((value || required) && !ids[target].has(value)) {
+            problems.push(`${store}[${i}].${field} ${JSON.stringify(value ?? null)} is not in ${target}`);
+          }
+        });
+      });
+    });
+
+    if (problems.length) {
+      throw workspaceError(`Invalid workspace document:\n  ${problems.join('\n  ')}`, 'WORKSPACE_INVALID', problems);
+    }
+    return stores;
+  }
+}
+
+export default {
+  WORKSPACE_FORMAT,
+  WORKSPACE_VERSION,
+  STORES,
+  createIndexedDBBackend,
+  createMemoryBackend,
+  WorkspaceStore
+};
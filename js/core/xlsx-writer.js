@@ -0,0 +1,240 @@
+/**
+ * xlsx-writer.js - Minimal Excel workbook writer
+ *
+ * Builds an .xlsx file from plain sheet descriptions, in the browser or
+ * in Node, without third-party packages. Cells may carry formulas, which
+ * stay live in Excel; their computed values are stored alongside so the
+ * file also reads correctly in viewers that do not recalculate. Entries
+ * are zipped uncompressed ("stored"), which every spreadsheet app accepts.
+ *
+ * Sheet description:
+ *   { name, columns: [width, ...], rows: [[cell, ...], ...] }
+ * where a cell is null, a number, a string, a boolean, or
+ *   { value, formula, style } with style one of CELL_STYLES.
+ */
+
+// Cell styles, in styles.xml cellXfs order
+export const CELL_STYLES = ['default', 'bold', 'money', 'moneyBold', 'percent', 'title', 'wrap'];
+
+const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Column letters for a 1-based column number
+ * @param {number} n - Column number (1 = A)
+ * @returns {string} Column letters
+ */
+export function columnName(n) {
+  let name = '';
+  for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) {
+    name = String.fromCharCode(65 + ((i - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * A1 reference for 1-based column and row numbers
+ */
+export function cellRef(col, row) {
+  return `${columnName(col)}${row}`;
+}
+
+const escapeXml = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+/**
+ * Worksheet XML for one cell
+ */
+function cellXml(ref, cell) {
+  const spec = cell !== null && typeof cell === 'object' ? cell : { value: cell };
+  const style = spec.style ? CELL_STYLES.indexOf(spec.style) : 0;
+  if (style < 0) throw new Error(`Unknown cell style "${spec.style}"`);
+  const s = style ? ` s="${style}"` : '';
+  const f = spec.formula ? `<f>${escapeXml(spec.formula.replace(/^=/, ''))}</f>` : '';
+  const { value } = spec;
+
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}>${f}<v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b">${f}<v>${value ? 1 : 0}</v></c>`;
+  if (typeof value === 'string') {
+    return f
+      ? `<c r="${ref}"${s} t="str">${f}<v>${escapeXml(value)}</v></c>`
+      : `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  }
+  return f || s ? `<c r="${ref}"${s}>${f}</c>` : '';
+}
+
+/**
+ * Worksheet part
+ */
+function sheetXml(sheet) {
+  const cols = (sheet.columns || []).map((width, i) =>
+    width ? `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>` : '').join('');
+  const rows = sheet.rows.map((row, r) => {
+    const cells = (row || []).map((cell, c) => cellXml(cellRef(c + 1, r + 1), cell ?? null)).join('');
+    return cells ? `<row r="${r + 1}">${cells}</row>` : '';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${rows}</sheetData></worksheet>`;
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="&quot;£&quot;#,##0.00"/><numFmt numFmtId="165" formatCode="0.0%"/></numFmts>' +
+  '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="14"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="7">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>' +
+  '</cellXfs></styleSheet>';
+
+/**
+ * All package parts of a workbook
+ */
+function workbookParts(sheets) {
+  const sheetEntries = sheets.map((sheet, i) =>
+    `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+  const sheetRels = sheets.map((sheet, i) =>
+    `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+  const sheetTypes = sheets.map((sheet, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+
+  return [
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      `${sheetTypes}</Types>`],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${sheetEntries}</sheets><calcPr calcId="191029" fullCalcOnLoad="1"/></workbook>`],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      `${sheetRels}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>'],
+    ['xl/styles.xml', STYLES_XML],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet)])
+  ];
+}
+
+// CRC-32 (IEEE) lookup table for the zip headers
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip entries without compression
+ * @param {Array} files - [name, Uint8Array] pairs
+ * @returns {Uint8Array} Archive bytes
+ */
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(([name, data]) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(12, 0x0021, true);     // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, 0x0021, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let at = 0;
+  parts.forEach(part => {
+    out.set(part, at);
+    at += part.length;
+  });
+  return out;
+}
+
+/**
+ * Build an .xlsx file
+ * @param {Object[]} sheets - Sheet descriptions, in tab order
+ * @returns {Uint8Array} Workbook bytes
+ */
+export function writeWorkbook(sheets) {
+  const names = sheets.map(sheet => sheet.name);
+  names.forEach(name => {
+    if (!name || name.length > 31 || /[\\/?*[\]:]/.test(name)) throw new Error(`Invalid sheet name "${name}"`);
+  });
+  if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+    throw new Error('Sheet names must be unique');
+  }
+
+  const encoder = new TextEncoder();
+  return zipStored(workbookParts(sheets).map(([name, xml]) => [name, encoder.encode(xml)]));
+}
+
+/**
+ * Wrap workbook bytes for download in the browser
+ * @param {Uint8Array} bytes - writeWorkbook() result
+ * @returns {Blob} Spreadsheet blob
+ */
+export function workbookBlob(bytes) {
+  return new Blob([bytes], { type: MIME_TYPE });
+}
+
+export default {
+  CELL_STYLES,
+  columnName,
+  cellRef,
+  writeWorkbook,
+  workbookBlob
+};
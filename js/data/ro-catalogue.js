@@ -0,0 +1,280 @@
+/**
+ * ro-catalogue.js - Built-in RO quotation price catalogue
+ *
+ * Same shape as the versions in js/data/catalogues/. The quotation apps
+ * price from the active version there; this copy fills in anything that
+ * version lacks and stands in for it when it cannot be fetched.
+ */
+
+export const BUILTIN_CATALOGUE = {
+  "format": "membracon-catalogue",
+  "formatVersion": 1,
+  "version": "builtin",
+  "createdAt": null,
+  "basedOn": null,
+  "sources": [],
+  "currency": "GBP",
+  "models": {
+    "0.25": {
+      "code": "MEMR0025",
+      "roCost": 1700,
+      "membranes": 1,
+      "power": 0.5,
+      "cip": 3500,
+      "pipework": 3000,
+      "labour": 2000,
+      "shipping": 1000
+    },
+    "0.5": {
+      "code": "MEMR005",
+      "roCost": 2200,
+      "membranes": 2,
+      "power": 0.75,
+      "cip": 3500,
+      "pipework": 4000,
+      "labour": 3000,
+      "shipping": 1000
+    },
+    "1": {
+      "code": "MEMR01",
+      "roCost": 3500,
+      "membranes": 4,
+      "power": 1.5,
+      "cip": 3500,
+      "pipework": 5000,
+      "labour": 4000,
+      "shipping": 1000
+    },
+    "1.5": {
+      "code": "MEMR015",
+      "roCost": 4000,
+      "membranes": 5,
+      "power": null,
+      "cip": 3500,
+      "pipework": 6000,
+      "labour": 4000,
+      "shipping": 1000
+    },
+    "2": {
+      "code": "MEMR02",
+      "roCost": 4500,
+      "membranes": 2,
+      "power": 3,
+      "cip": 3500,
+      "pipework": 6000,
+      "labour": 5000,
+      "shipping": 1000
+    },
+    "3": {
+      "code": "MEMR03",
+      "roCost": 5000,
+      "membranes": 3,
+      "power": 4,
+      "cip": 3500,
+      "pipework": 7000,
+      "labour": 5000,
+      "shipping": 1000
+    },
+    "4": {
+      "code": "MEMR04",
+      "roCost": 5500,
+      "membranes": 4,
+      "power": 4,
+      "cip": 3500,
+      "pipework": 7000,
+      "labour": 6000,
+      "shipping": 1500
+    },
+    "6": {
+      "code": "MEMR06",
+      "roCost": 12100,
+      "membranes": 6,
+      "power": 7.5,
+      "cip": 3500,
+      "pipework": 8000,
+      "labour": 8000,
+      "shipping": 1500
+    },
+    "9": {
+      "code": "MEMR09",
+      "roCost": 15954,
+      "membranes": 9,
+      "power": 7.5,
+      "cip": 4716,
+      "pipework": 9000,
+      "labour": 10000,
+      "shipping": 1500
+    },
+    "12": {
+      "code": "MEMR012",
+      "roCost": 23250,
+      "membranes": 12,
+      "power": 11,
+      "cip": 4716,
+      "pipework": 10000,
+      "labour": 12000,
+      "shipping": 2500
+    },
+    "16": {
+      "code": "MEMR016",
+      "roCost": 27500,
+      "membranes": 16,
+      "power": 11,
+      "cip": 4716,
+      "pipework": 11000,
+      "labour": 15000,
+      "shipping": 2750
+    }
+  },
+  "addons": {
+    "container": {
+      "name": "Container (20ft)",
+      "cost": 5500,
+      "supplier": "Container Co"
+    },
+    "uv": {
+      "name": "UV Disinfection",
+      "cost": 2500,
+      "supplier": "Trojan UV"
+    },
+    "flush": {
+      "name": "Permeate Flushing",
+      "cost": 700,
+      "supplier": "Ecosoft"
+    },
+    "monitoring": {
+      "name": "Remote Monitoring",
+      "cost": 1500,
+      "supplier": "Membracon"
+    },
+    "secondRO": {
+      "name": "Second Stage RO",
+      "cost": 8000,
+      "supplier": "Ecosoft"
+    },
+    "carbonFilter": {
+      "name": "Carbon Filter",
+      "cost": 1062,
+      "supplier": "Ecosoft"
+    },
+    "ironRemoval": {
+      "name": "Iron Removal",
+      "cost": 3500,
+      "supplier": "Ecosoft"
+    },
+    "phDosing": {
+      "name": "pH Dosing",
+      "cost": 1400,
+      "supplier": "Grundfos"
+    },
+    "antiscalant": {
+      "name": "Antiscalant Dosing",
+      "cost": 1400,
+      "supplier": "Grundfos"
+    },
+    "softener": {
+      "name": "Water Softener",
+      "cost": 3000,
+      "supplier": "Ecosoft"
+    },
+    "boostPump": {
+      "name": "Boost Pump",
+      "cost": 2000,
+      "supplier": "Grundfos"
+    },
+    "container10": {
+      "name": "Container (10ft)",
+      "cost": 3000,
+      "supplier": "Container Co"
+    },
+    "container40": {
+      "name": "Container (40ft)",
+      "cost": 10500,
+      "supplier": "Container Co"
+    },
+    "nxFiltration": {
+      "name": "NX Filtration System",
+      "cost": 8500,
+      "supplier": "NX Filtration"
+    },
+    "atlantiumUV": {
+      "name": "Atlantium Hydro-Optic UV",
+      "cost": 6500,
+      "supplier": "Atlantium"
+    },
+    "bnovateMonitoring": {
+      "name": "bNovate Process Intelligence",
+      "cost": 4500,
+      "supplier": "bNovate"
+    },
+    "ironRemovalDedicated": {
+      "name": "Dedicated Iron Removal System",
+      "cost": 5500,
+      "supplier": null
+    },
+    "sandFilter": {
+      "name": "Sand Filter",
+      "cost": 2500,
+      "supplier": null
+    },
+    "multimediaFilter": {
+      "name": "Multimedia Filter",
+      "cost": 3000,
+      "supplier": null
+    },
+    "pretreatmentPackage": {
+      "name": "Pre-treatment Package",
+      "cost": 8500,
+      "supplier": null
+    }
+  },
+  "labour": [
+    {
+      "id": "mechanical",
+      "name": "Mechanical Install",
+      "unit": "man-days",
+      "qty": 12,
+      "rate": 325
+    },
+    {
+      "id": "electrical",
+      "name": "Electrical Install",
+      "unit": "man-days",
+      "qty": 5,
+      "rate": 325
+    },
+    {
+      "id": "mileage",
+      "name": "Mileage",
+      "unit": "miles",
+      "qty": 1200,
+      "rate": 0.45
+    },
+    {
+      "id": "accommodation",
+      "name": "Accommodation",
+      "unit": "nights",
+      "qty": 12,
+      "rate": 125
+    },
+    {
+      "id": "commissioning",
+      "name": "Commissioning",
+      "unit": "man-days",
+      "qty": 2,
+      "rate": 350
+    },
+    {
+      "id": "survey",
+      "name": "Site Survey",
+      "unit": "man-days",
+      "qty": 1,
+      "rate": 350
+    }
+  ],
+  "pricing": null,
+  "milestones": null,
+  "bom": []
+};
+
+export default BUILTIN_CATALOGUE;
@@ -6,6 +6,9 @@
 export const TECHNOLOGIES = {
   UF: {
     id: 'UF',
+    role: 'membraneFiltration', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['membraneFiltration'],
+    chemicals: ['hypochlorite', 'citricAcid'],
     name: 'Ultrafiltration',
     fullName: 'Ultrafiltration Membrane',
     description: 'Membrane filtration process that removes particles, bacteria, and some viruses using pore sizes of 0.01-0.1 microns.',
@@ -19,12 +22,17 @@ export const TECHNOLOGIES = {
     maintenance: 0.02, // annual % of CAPEX
     chemicalConsumption: 0.01, // £/m³
     lifespan: 7, // years
+    replacementFraction: 0.35, // share of stage equipment renewed each lifespan (membranes)
+    recovery: 0.95, // permeate / feed flow (backwash losses)
     applications: ['Pre-treatment', 'Clarification', 'Pathogen removal'],
     operatingPressure: '0.5-2 bar',
     poreSize: '0.01-0.1 µm'
   },
   MBR: {
     id: 'MBR',
+    role: 'biological', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['biological', 'membraneFiltration'],
+    chemicals: ['hypochlorite', 'citricAcid'],
     name: 'Membrane Bioreactor',
     fullName: 'Membrane Bioreactor System',
     description: 'Combines biological treatment with membrane filtration for wastewater, integrating activated sludge process with membrane separation.',
@@ -38,12 +46,18 @@ export const TECHNOLOGIES = {
     maintenance: 0.04,
     chemicalConsumption: 0.03,
     lifespan: 10,
+    replacementFraction: 0.30, // membrane cassettes
+    recovery: 0.98, // waste activated sludge draw-off
+    destroys: ['bod', 'cod'], // biologically degraded, not concentrated
     applications: ['Wastewater treatment', 'Industrial effluent', 'Water reuse'],
     operatingPressure: '0.2-0.5 bar',
     mlss: '8,000-12,000 mg/L'
   },
   RO: {
     id: 'RO',
+    role: 'desalination', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['desalination'],
+    chemicals: ['antiscalant', 'sodiumBisulfite', 'citricAcid', 'caustic'],
     name: 'Reverse Osmosis',
     fullName: 'Reverse Osmosis Membrane System',
     description: 'High-pressure membrane process that removes dissolved salts, minerals, and most contaminants using semi-permeable membranes.',
@@ -57,12 +71,25 @@ export const TECHNOLOGIES = {
     maintenance: 0.03,
     chemicalConsumption: 0.05,
     lifespan: 5,
+    replacementFraction: 0.25, // membrane elements
+    recovery: 0.75, // design recovery
+    permeatePhShift: -1.0, // CO₂ passes the membrane, bicarbonate does not
+    pressureDriven: {
+      ndp: 10, // bar, net driving pressure at 25 °C
+      pressureLoss: 2, // bar, feed-concentrate channel
+      pumpEfficiency: 0.80,
+      referenceTds: 2000, // mg/L, feed TDS at which `energy` applies
+      referenceRecovery: 0.75
+    },
     applications: ['Desalination', 'Demineralization', 'High-purity water'],
     operatingPressure: '10-70 bar',
-    recovery: '70-85%'
+    recoveryRange: '70-85%'
   },
   UV: {
     id: 'UV',
+    role: 'disinfection', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['disinfection'],
+    chemicals: [],
     name: 'UV Disinfection',
     fullName: 'Ultraviolet Disinfection System',
     description: 'Uses ultraviolet light to inactivate pathogens without chemical addition. Effective against bacteria, viruses, and protozoa.',
@@ -76,12 +103,17 @@ export const TECHNOLOGIES = {
     maintenance: 0.05,
     chemicalConsumption: 0.0,
     lifespan: 15, // with lamp replacement
+    replacementFraction: 0.60, // reactors and ballasts
+    recovery: 1.0,
     applications: ['Disinfection', 'Polishing', 'Dechlorination'],
     uvDose: '40-400 mJ/cm²',
     logReduction: '4-6 log'
   },
   AOP: {
     id: 'AOP',
+    role: 'oxidation', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['oxidation'],
+    chemicals: ['hydrogenPeroxide', 'ozone'],
     name: 'Advanced Oxidation',
     fullName: 'Advanced Oxidation Process',
     description: 'Chemical process using hydroxyl radicals to oxidize and break down organic compounds and micropollutants.',
@@ -95,12 +127,19 @@ export const TECHNOLOGIES = {
     maintenance: 0.04,
     chemicalConsumption: 0.15,
     lifespan: 12,
+    replacementFraction: 0.40, // lamps, reactors and dosing skid
+    recovery: 1.0,
+    destroys: ['tss', 'tds', 'bod', 'cod'], // oxidised in place, no reject stream
+    permeatePhShift: -0.2,
     applications: ['Micropollutant removal', 'Taste/odor control', 'COD reduction'],
     oxidants: ['O3', 'H2O2', 'UV/H2O2'],
     targetCompounds: ['Pharmaceuticals', 'Pesticides', 'PFAS']
   },
   NF: {
     id: 'NF',
+    role: 'desalination', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['desalination'],
+    chemicals: ['antiscalant', 'citricAcid', 'caustic'],
     name: 'Nanofiltration',
     fullName: 'Nanofiltration Membrane System',
     description: 'Membrane process between UF and RO, removing divalent ions, organics, and color while allowing monovalent ions to pass.',
@@ -114,12 +153,25 @@ export const TECHNOLOGIES = {
     maintenance: 0.03,
     chemicalConsumption: 0.03,
     lifespan: 6,
+    replacementFraction: 0.25, // membrane elements
+    recovery: 0.85,
+    permeatePhShift: -0.3,
+    pressureDriven: {
+      ndp: 5,
+      pressureLoss: 1.5,
+      pumpEfficiency: 0.80,
+      referenceTds: 2000,
+      referenceRecovery: 0.85
+    },
     applications: ['Softening', 'Color removal', 'Selective ion removal'],
     operatingPressure: '5-20 bar',
     mwco: '200-1000 Da'
   },
   DAF: {
     id: 'DAF',
+    role: 'pretreatment', // position in a treatment train (see TREATMENT_ROLES)
+    functions: ['solidsSeparation'],
+    chemicals: ['coagulant', 'polymer'],
     name: 'Dissolved Air Flotation',
     fullName: 'Dissolved Air Flotation System',
     description: 'Physical separation process using micro-bubbles to float suspended solids, oils, and grease to the surface for removal.',
@@ -133,12 +185,24 @@ export const TECHNOLOGIES = {
     maintenance: 0.02,
     chemicalConsumption: 0.02,
     lifespan: 20,
+    replacementFraction: 1.0, // full unit
+    recovery: 0.97, // float sludge removal
     applications: ['FOG removal', 'Pre-treatment', 'Algae removal'],
     loadingRate: '5-15 m/h',
     bubbleSize: '30-100 µm'
   }
 };
 
+// Treatment roles in flow order; a synthesized chain never goes backwards
+export const TREATMENT_ROLES = {
+  pretreatment: { order: 1, label: 'Pre-treatment' },
+  biological: { order: 2, label: 'Biological treatment' },
+  membraneFiltration: { order: 2, label: 'Membrane filtration' },
+  oxidation: { order: 3, label: 'Oxidation' },
+  desalination: { order: 4, label: 'Desalination' },
+  disinfection: { order: 5, label: 'Disinfection' }
+};
+
 // Common technology chains for treatment trains
 export const TECH_CHAINS = [
   { techs: ['UF', 'RO'], name: 'UF + RO', description: 'Standard high-purity treatment' },
@@ -191,41 +255,251 @@ export const INDUSTRY_PRESETS = {
   }
 };
 
+// Pollutants carried by a stream, in mg/L
+export const STREAM_POLLUTANTS = ['tss', 'tds', 'bod', 'cod'];
+
+// Reference raw water used when a chain is evaluated without a feed
+export const DEFAULT_FEED_STREAM = {
+  flow: 100,        // m³/h
+  tss: 150,         // mg/L
+  tds: 2500,        // mg/L
+  bod: 200,         // mg/L
+  cod: 350,         // mg/L
+  ph: 7.2,
+  temperature: 20   // °C
+};
+
+/**
+ * Create a stream object, filling missing fields from the reference feed
+ * @param {Object} data - Partial stream (flow, tss, tds, bod, cod, ph, temperature)
+ * @returns {Object} Complete stream
+ */
+export function createStream(data = {}) {
+  const stream = {};
+  Object.keys(DEFAULT_FEED_STREAM).forEach(key => {
+    const value = data[key];
+    stream[key] = typeof value === 'number' && !isNaN(value) ? value : DEFAULT_FEED_STREAM[key];
+  });
+  return stream;
+}
+
+/**
+ * Osmotic pressure of a solution (van 't Hoff, NaCl-equivalent TDS)
+ * @param {number} tds - Total dissolved solids (mg/L)
+ * @param {number} temperature - Temperature (°C)
+ * @returns {number} Osmotic pressure (bar)
+ */
+export function osmoticPressure(tds, temperature = 25) {
+  // ≈ 0.77 bar per 1000 mg/L at 25 °C
+  return 0.00077 * tds * (temperature + 273.15) / 298.15;
+}
+
+/**
+ * Membrane temperature correction factor relative to 25 °C
+ * @param {number} temperature - Temperature (°C)
+ * @returns {number} Permeability multiplier
+ */
+export function temperatureCorrectionFactor(temperature) {
+  return Math.exp(2640 * (1 / 298.15 - 1 / (temperature + 273.15)));
+}
+
+/**
+ * Feed pressure and pump energy of a pressure-driven membrane stage
+ * @param {Object} params - Technology pressureDriven parameters
+ * @param {number} feedTds - Stage feed TDS (mg/L)
+ * @param {number} recovery - Stage recovery (0-1)
+ * @param {number} rejection - TDS rejection (0-1)
+ * @param {number} temperature - Feed temperature (°C)
+ * @returns {{feedPressure: number, pumpEnergy: number}} bar, kWh/m³ permeate
+ */
+function membranePressure(params, feedTds, recovery, rejection, temperature) {
+  // Log-mean concentration factor along the feed channel
+  const concentrationFactor = recovery > 0 ? Math.log(1 / (1 - recovery)) / recovery : 1;
+  const permeateTds = feedTds * (1 - rejection);
+  const osmoticDifference = osmoticPressure(feedTds * concentrationFactor, temperature) -
+                            osmoticPressure(permeateTds, temperature);
+  const ndp = params.ndp / temperatureCorrectionFactor(temperature);
+  const feedPressure = osmoticDifference + ndp + params.pressureLoss;
+
+  // 1 bar·m³ = 100 kJ = 0.02778 kWh
+  const pumpEnergy = feedPressure * 0.02778 / (params.pumpEfficiency * recovery);
+  return { feedPressure, pumpEnergy };
+}
+
+/**
+ * Simulate one treatment stage
+ * @param {string} techId - Technology ID
+ * @param {Object} feed - Stage feed stream
+ * @param {Object} options - Stage options
+ * @param {number} options.recovery - Override of the technology's design recovery
+ * @param {number} options.concentrateRecycle - Fraction of reject returned to the stage feed (0-0.9)
+ * @returns {Object} Stage result with permeate and reject streams
+ */
+export function simulateStage(techId, feed, options = {}) {
+  const tech = TECHNOLOGIES[techId];
+  if (!tech) {
+    throw new Error(`Unknown technology "${techId}"`);
+  }
+
+  const recovery = options.recovery ?? tech.recovery ?? 1;
+  const recycle = recovery < 1 ? Math.min(Math.max(options.concentrateRecycle || 0, 0), 0.9) : 0;
+  const destroys = tech.destroys || [];
+
+  // With concentrate recycle the membrane sees fresh feed plus returned reject:
+  // R = ρ·Qc, Qc = (1-r)(F+R)  =>  F+R = F / (1 - ρ(1-r))
+  const loopFlow = feed.flow / (1 - recycle * (1 - recovery));
+  const recycleFlow = loopFlow - feed.flow;
+  const permeateFlow = loopFlow * recovery;
+  const rejectFlow = feed.flow - permeateFlow;
+
+  const membraneFeed = { ...feed, flow: loopFlow };
+  const permeate = { ...feed, flow: permeateFlow };
+  const reject = { ...feed, flow: rejectFlow };
+
+  STREAM_POLLUTANTS.forEach(key => {
+    const removal = tech[`${key}Removal`] || 0;
+
+    if (recovery >= 1 || destroys.includes(key)) {
+      // Removed load is degraded in place rather than concentrated
+      permeate[key] = feed[key] * (1 - removal);
+      reject[key] = rejectFlow > 0 ? feed[key] : 0;
+      return;
+    }
+
+    // Loop concentration Cm solves Cm(F+R) = F·Cf + R·k·Cm,
+    // where k = Cc/Cm = (1 - r(1-rej)) / (1-r)
+    const k = (1 - recovery * (1 - removal)) / (1 - recovery);
+    const loopConc = feed.flow * feed[key] / (loopFlow - recycleFlow * k);
+    membraneFeed[key] = loopConc;
+    permeate[key] = loopConc * (1 - removal);
+    reject[key] = loopConc * k;
+  });
+
+  permeate.ph = feed.ph + (tech.permeatePhShift || 0);
+
+  // Energy: pressure-driven stages scale with osmotic pressure and recovery
+  let feedPressure = null;
+  let specificEnergy = tech.energy; // kWh per m³ feed for non-pressure stages
+  let power = tech.energy * feed.flow;
+
+  if (tech.pressureDriven) {
+    const params = tech.pressureDriven;
+    const actual = membranePressure(params, membraneFeed.tds, recovery, tech.tdsRemoval, feed.temperature);
+    const reference = membranePressure(params, params.referenceTds, params.referenceRecovery, tech.tdsRemoval, 25);
+
+    feedPressure = actual.feedPressure;
+    specificEnergy = tech.energy * actual.pumpEnergy / reference.pumpEnergy; // kWh per m³ permeate
+    power = specificEnergy * permeateFlow;
+  }
+
+  return {
+    tech: techId,
+    name: tech.name,
+    feed: { ...feed },
+    membraneFeed,
+    permeate,
+    reject: rejectFlow > 0 ? reject : null,
+    recovery: feed.flow > 0 ? permeateFlow / feed.flow : 0,
+    concentrateRecycle: recycle,
+    feedPressure,
+    specificEnergy,
+    power
+  };
+}
+
+/**
+ * Simulate a treatment chain stage by stage
+ * @param {string[]} techs - Array of technology IDs, in flow order
+ * @param {Object} feed - Raw water stream
+ * @param {Object} stageOptions - Per-technology options keyed by tech ID (see simulateStage)
+ * @returns {Object} Stage results, product and reject streams
+ */
+export function simulateChain(techs, feed = DEFAULT_FEED_STREAM, stageOptions = {}) {
+  const raw = createStream(feed);
+  const stages = [];
+  let stream = raw;
+
+  techs.forEach(techId => {
+    if (!TECHNOLOGIES[techId]) return;
+    const stage = simulateStage(techId, stream, stageOptions[techId]);
+    stages.push(stage);
+    stream = stage.permeate;
+  });
+
+  const rejects = stages.filter(stage => stage.reject).map(stage => ({ tech: stage.tech, ...stage.reject }));
+  const power = stages.reduce((sum, stage) => sum + stage.power, 0);
+
+  return {
+    feed: raw,
+    product: stream,
+    rejects,
+    stages,
+    recovery: raw.flow > 0 ? stream.flow / raw.flow : 0,
+    power,
+    specificEnergy: stream.flow > 0 ? power / stream.flow : 0
+  };
+}
+
+/**
+ * Combine reject streams into a single blended concentrate
+ * @param {Object[]} rejects - Reject streams
+ * @returns {Object|null} Flow-weighted blend
+ */
+export function blendStreams(rejects) {
+  const flow = rejects.reduce((sum, s) => sum + s.flow, 0);
+  if (flow <= 0) return null;
+
+  const blend = { flow };
+  [...STREAM_POLLUTANTS, 'ph', 'temperature'].forEach(key => {
+    blend[key] = rejects.reduce((sum, s) => sum + s[key] * s.flow, 0) / flow;
+  });
+  return blend;
+}
+
 /**
  * Calculate combined performance of technology chain
  * @param {string[]} techs - Array of technology IDs
+ * @param {Object} feed - Raw water stream (defaults to DEFAULT_FEED_STREAM)
+ * @param {Object} stageOptions - Per-technology stage options
  * @returns {Object} Combined performance metrics
  */
-export function calculateChainPerformance(techs) {
-  let tssRemoval = 0, tdsRemoval = 0, bodRemoval = 0, codRemoval = 0;
-  let totalEnergy = 0, totalFootprint = 0, totalCapex = 0;
+export function calculateChainPerformance(techs, feed = DEFAULT_FEED_STREAM, stageOptions = {}) {
+  const result = simulateChain(techs, feed, stageOptions);
+  let totalFootprint = 0, totalCapex = 0;
   let totalMaintenance = 0, totalChemicals = 0;
 
   techs.forEach(techId => {
     const tech = TECHNOLOGIES[techId];
     if (!tech) return;
 
-    // Serial removal: 1 - (1-r1)(1-r2)
-    tssRemoval = 1 - (1 - tssRemoval) * (1 - tech.tssRemoval);
-    tdsRemoval = 1 - (1 - tdsRemoval) * (1 - tech.tdsRemoval);
-    bodRemoval = 1 - (1 - bodRemoval) * (1 - tech.bodRemoval);
-    codRemoval = 1 - (1 - codRemoval) * (1 - tech.codRemoval);
-
     // Additive metrics
-    totalEnergy += tech.energy;
     totalFootprint += tech.footprint;
     totalCapex += tech.capexFactor;
     totalMaintenance += tech.maintenance;
     totalChemicals += tech.chemicalConsumption;
   });
 
+  // Removal from the simulated streams; fall back to serial fractions for a zero feed
+  const removal = key => {
+    if (result.feed[key] > 0) {
+      return 1 - result.product[key] / result.feed[key];
+    }
+    return 1 - techs.reduce((rest, id) => rest * (1 - (TECHNOLOGIES[id]?.[`${key}Removal`] || 0)), 1);
+  };
+
   return {
     techs,
-    tssRemoval,
-    tdsRemoval,
-    bodRemoval,
-    codRemoval,
-    energy: totalEnergy,
+    tssRemoval: removal('tss'),
+    tdsRemoval: removal('tds'),
+    bodRemoval: removal('bod'),
+    codRemoval: removal('cod'),
+    energy: result.specificEnergy, // kWh per m³ product
+    power: result.power,           // kW
+    recovery: result.recovery,
+    feed: result.feed,
+    product: result.product,
+    rejects: result.rejects,
+    stages: result.stages,
     footprint: totalFootprint,
     capexFactor: totalCapex,
     maintenance: totalMaintenance,
@@ -235,7 +509,16 @@ export function calculateChainPerformance(techs) {
 
 export default {
   TECHNOLOGIES,
+  TREATMENT_ROLES,
   TECH_CHAINS,
   INDUSTRY_PRESETS,
+  STREAM_POLLUTANTS,
+  DEFAULT_FEED_STREAM,
+  createStream,
+  osmoticPressure,
+  temperatureCorrectionFactor,
+  simulateStage,
+  simulateChain,
+  blendStreams,
   calculateChainPerformance
 };
@@ -0,0 +1,24 @@
+/**
+ * win-models.js - Versioned win-probability model coefficients
+ *
+ * Generated by js/cli/train-win-model.js; do not edit by hand.
+ * The last entry is the active model used by pricing.
+ */
+
+export const WIN_MODELS = [
+  {
+    "version": "prior-1",
+    "trainedAt": null,
+    "source": "Hand-tuned prior (no bid history)",
+    "intercept": 3,
+    "coefficients": {
+      "markup": -10,
+      "techFit": 5,
+      "esg": 3
+    },
+    "sectorOffsets": {},
+    "metrics": null
+  }
+];
+
+export default WIN_MODELS;
@@ -0,0 +1,412 @@
+/**
+ * approval.js - Proposal approval workflow
+ *
+ * Lifecycle: draft → pending_review → approved | rejected → issued
+ * (a rejected proposal can be revised back to draft).
+ *
+ * Which approvers a proposal needs follows from its confidence
+ * (CONFIG.autoApproveThreshold / manualReviewThreshold), its margin
+ * against CONFIG.minMargin and its deal size. A proposal that needs no
+ * approver is approved on submission; anything else cannot be issued
+ * until every required role has approved it. Each transition is recorded
+ * with its reason in the decision ledger before it takes effect. The
+ * submission also records the SHA-256 of each artefact under review, and
+ * issuing is refused once the artefacts no longer match.
+ */
+
+import { CONFIG } from './engine-config.js';
+import { canonicalJSON } from './ledger.js';
+
+export const APPROVAL_STATES = ['draft', 'pending_review', 'approved', 'rejected', 'issued'];
+
+export const APPROVER_ROLES = {
+  engineering: 'Engineering lead',
+  commercial: 'Commercial manager',
+  director: 'Director'
+};
+
+// action → { from states, to state } (approve only completes once all roles have signed)
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending_review' },
+  approve: { from: ['pending_review'], to: 'approved' },
+  reject: { from: ['pending_review'], to: 'rejected' },
+  revise: { from: ['rejected'], to: 'draft' },
+  issue: { from: ['approved'], to: 'issued' }
+};
+
+// Identity recorded for transitions the rules make on their own
+export const SYSTEM_ACTOR = { user: 'system', role: null };
+
+function workflowError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Work out which approvers a proposal needs
+ * @param {Object} basis - Approval basis
+ * @param {number} basis.confidence - Solution confidence (0-1)
+ * @param {number} basis.margin - Markup over cost (price / cost − 1)
+ * @param {number} basis.dealSize - Quoted price
+ * @returns {Object} { autoApprove, requiredRoles, reasons }
+ */
+export function assessApproval({ confidence, margin, dealSize }) {
+  const required = new Set();
+  const reasons = [];
+
+  if (confidence < CONFIG.manualReviewThreshold) {
+    required.add('engineering').add('director');
+    reasons.push(`Confidence ${(confidence * 100).toFixed(0)}% is below the manual-review threshold (${CONFIG.manualReviewThreshold * 100}%): manual override`);
+  } else if (confidence < CONFIG.autoApproveThreshold) {
+    required.add('engineering');
+    reasons.push(`Confidence ${(confidence * 100).toFixed(0)}% is below the auto-approve threshold (${CONFIG.autoApproveThreshold * 100}%): technical review`);
+  }
+
+  // Small tolerance so a price rounded to the floor still passes
+  if (margin < CONFIG.minMargin - 1e-6) {
+    required.add('commercial');
+    reasons.push(`Margin ${(margin * 100).toFixed(1)}% is below the ${CONFIG.minMargin * 100}% floor`);
+  }
+
+  if (dealSize >= CONFIG.strategicDealThreshold) {
+    required.add('commercial').add('director');
+    reasons.push(`Deal size ${Math.round(dealSize)} reaches the strategic threshold (${CONFIG.strategicDealThreshold})`);
+  } else if (dealSize >= CONFIG.largeDealThreshold) {
+    required.add('commercial');
+    reasons.push(`Deal size ${Math.round(dealSize)} reaches the large-deal threshold (${CONFIG.largeDealThreshold})`);
+  }
+
+  return {
+    autoApprove: required.size === 0,
+    requiredRoles: Object.keys(APPROVER_ROLES).filter(role => required.has(role)),
+    reasons
+  };
+}
+
+/**
+ * Check an approver roster: user name → roles the user may approve in
+ * @param {Object} roster - e.g. { "alice": ["engineering"], "bob": ["commercial", "director"] }
+ * @returns {Object} The roster (throws ROSTER_INVALID listing every problem)
+ */
+export function validateRoster(roster) {
+  const problems = [];
+  if (!roster || typeof roster !== 'object' || Array.isArray(roster)) {
+    problems.push('roster must be an object of user → roles');
+  } else {
+    Object.entries(roster).forEach(([user, roles]) => {
+      if (!Array.isArray(roles) || roles.length === 0) {
+        problems.push(`${user}: roles must be a non-empty array`);
+      } else {
+        roles.filter(role => !Object.hasOwn(APPROVER_ROLES, role))
+          .forEach(role => problems.push(`${user}: unknown role "${role}"`));
+      }
+    });
+  }
+  if (problems.length) {
+    const error = workflowError(`Invalid approver roster: ${problems.join('; ')}`, 'ROSTER_INVALID');
+    error.problems = problems;
+    throw error;
+  }
+  return roster;
+}
+
+/**
+ * Throw NOT_AN_APPROVER unless the roster lets the user act in the role
+ * @param {Object} roster - Approver roster (see validateRoster)
+ * @param {Object} actor - { user, role }
+ */
+export function assertRosterRole(roster, actor) {
+  const roles = Object.hasOwn(roster, actor.user) ? roster[actor.user] : [];
+  if (!roles.includes(actor.role)) {
+    throw workflowError(
+      `${actor.user} is not on the approver roster as ${APPROVER_ROLES[actor.role] || actor.role}` +
+        (roles.length ? ` (may approve as ${roles.join(', ')})` : ''),
+      'NOT_AN_APPROVER'
+    );
+  }
+}
+
+/**
+ * Approval state machine for one proposal
+ */
+export class ProposalWorkflow {
+  /**
+   * @param {Object} options - Workflow options
+   * @param {string} options.proposalId - Proposal reference (metadata.referenceId)
+   * @param {Object} options.basis - { confidence, margin, dealSize }
+   * @param {DecisionLedger} options.ledger - Ledger every transition is recorded in
+   */
+  constructor({ proposalId, basis, ledger }) {
+    if (!ledger) throw workflowError('An approval workflow needs a decision ledger', 'LEDGER_REQUIRED');
+
+    this.proposalId = proposalId;
+    this.basis = basis;
+    this.ledger = ledger;
+    this.assessment = assessApproval(basis);
+    this.state = 'draft';
+    this.artefacts = null;
+    this.approvals = [];
+    this.history = [];
+  }
+
+  /**
+   * Build a workflow for a generateProposal() result
+   * @param {Object} result - generateProposal() result
+   * @param {DecisionLedger} ledger - Decision ledger
+   * @returns {ProposalWorkflow} Workflow in draft
+   */
+  static forProposal(result, ledger) {
+    const { recommended } = result.pricing;
+    return new ProposalWorkflow({
+      proposalId: result.proposal.json.metadata.referenceId,
+      basis: {
+        confidence: result.selectedSolution.confidence,
+        margin: recommended.margin,
+        dealSize: recommended.price
+      },
+      ledger
+    });
+  }
+
+  /**
+   * Roles still to approve
+   */
+  get outstandingRoles() {
+    return this.assessment.requiredRoles.filter(role => !this.approvals.some(a => a.role === role));
+  }
+
+  /**
+   * Whether the proposal may be issued now
+   */
+  get canIssue() {
+    return this.state === 'approved';
+  }
+
+  /**
+   * Record a transition in the ledger, then apply it
+   * @param {string} action - Action name (see TRANSITIONS)
+   * @param {Object} actor - { user, role }
+   * @param {string} reason - Reason recorded with the transition
+   * @param {Object} options - { to: target state override, details: extra ledger fields }
+   */
+  async transition(action, actor, reason, { to = TRANSITIONS[action].to, details = {} } = {}) {
+    const rule = TRANSITIONS[action];
+    if (!rule.from.includes(this.state)) {
+      throw workflowError(`Cannot ${action} a proposal that is ${this.state.replace('_', ' ')}`, 'INVALID_TRANSITION');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw workflowError(`A reason is required to ${action} a proposal`, 'REASON_REQUIRED');
+    }
+
+    const entry = await this.ledger.append({
+      type: 'approval',
+      user: actor.user,
+      proposalId: this.proposalId,
+      action,
+      role: actor.role ?? null,
+      from: this.state,
+      to,
+      reason,
+      ...details
+    });
+
+    this.history.push({
+      action,
+      from: this.state,
+      to,
+      user: actor.user,
+      role: actor.role ?? null,
+      reason,
+      at: entry.timestamp,
+      ledgerIndex: entry.index,
+      ledgerHash: entry.hash
+    });
+    this.state = to;
+    return this;
+  }
+
+  /**
+   * Submit for review (approved straight away when no approver is required)
+   * @param {Object} actor - { user }
+   * @param {string} reason - Why the proposal is ready
+   * @param {Object} artefacts - Member name → SHA-256 of the artefacts under review (see contentHashes)
+   */
+  async submit(actor, reason, artefacts = null) {
+    // The submission pins the basis, the approvers it requires and what they review
+    await this.transition('submit', actor, reason, { details: { basis: this.basis, assessment: this.assessment, artefacts } });
+    this.artefacts = artefacts;
+    if (this.assessment.autoApprove) {
+      await this.transition('approve', SYSTEM_ACTOR,
+        `Auto-approved: confidence ${(this.basis.confidence * 100).toFixed(0)}%, margin ${(this.basis.margin * 100).toFixed(1)}%, within deal-size limits`);
+    }
+    return this;
+  }
+
+  /**
+   * Approve in one of the required roles; each role needs a different user
+   * @param {Object} actor - { user, role }
+   * @param {string} reason - Approval rationale
+   */
+  async approve(actor, reason) {
+    if (!this.assessment.requiredRoles.includes(actor.role)) {
+      throw workflowError(
+        `Role "${actor.role}" is not an approver for this proposal (needs ${this.assessment.requiredRoles.join(', ') || 'none'})`,
+        'NOT_AN_APPROVER'
+      );
+    }
+    if (!this.outstandingRoles.includes(actor.role)) {
+      throw workflowError(`The ${actor.role} approval has already been given`, 'ALREADY_APPROVED');
+    }
+    const earlier = this.approvals.find(approval => approval.user === actor.user);
+    if (earlier) {
+      throw workflowError(`${actor.user} has already approved as ${earlier.role}; the ${actor.role} approval needs someone else`, 'ALREADY_APPROVED');
+    }
+
+    // Stays pending until the last outstanding role signs
+    const complete = this.outstandingRoles.length === 1;
+    await this.transition('approve', actor, reason, { to: complete ? 'approved' : 'pending_review' });
+    this.approvals.push({ role: actor.role, user: actor.user, at: this.history[this.history.length - 1].at });
+    return this;
+  }
+
+  /**
+   * Reject (any required role)
+   * @param {Object} actor - { user, role }
+   * @param {string} reason - Rejection reason
+   */
+  async reject(actor, reason) {
+    if (!this.assessment.requiredRoles.includes(actor.role)) {
+      throw workflowError(`Role "${actor.role}" is not an approver for this proposal`, 'NOT_AN_APPROVER');
+    }
+    return this.transition('reject', actor, reason);
+  }
+
+  /**
+   * Return a rejected proposal to draft; earlier approvals lapse
+   * @param {Object} actor - { user }
+   * @param {string} reason - What was changed
+   */
+  async revise(actor, reason) {
+    await this.transition('revise', actor, reason);
+    this.approvals = [];
+    return this;
+  }
+
+  /**
+   * Issue to the customer; blocked until the proposal is approved
+   * @param {Object} actor - { user }
+   * @param {string} reason - Issue note
+   */
+  async issue(actor, reason) {
+    this.assertCanIssue();
+    return this.transition('issue', actor, reason);
+  }
+
+  /**
+   * Throw ARTEFACTS_CHANGED unless the artefacts are the ones submitted for approval
+   * @param {Object} artefacts - Member name → SHA-256 of the artefacts about to be issued
+   */
+  assertArtefacts(artefacts) {
+    if (!this.artefacts) {
+      throw workflowError(`Proposal ${this.proposalId} was submitted without artefact hashes; revise and resubmit it`, 'ARTEFACTS_CHANGED');
+    }
+    const changed = Object.keys({ ...this.artefacts, ...artefacts }).filter(name => this.artefacts[name] !== artefacts[name]);
+    if (changed.length) {
+      throw workflowError(`${changed.join(', ')} changed since proposal ${this.proposalId} was submitted for approval`, 'ARTEFACTS_CHANGED');
+    }
+  }
+
+  /**
+   * Throw ISSUE_BLOCKED unless the proposal is approved
+   */
+  assertCanIssue() {
+    if (this.canIssue) return;
+    const waiting = this.state === 'pending_review'
+      ? ` (awaiting ${this.outstandingRoles.map(role => APPROVER_ROLES[role]).join(', ')})`
+      : '';
+    throw workflowError(`Proposal ${this.proposalId} cannot be issued: it is ${this.state.replace('_', ' ')}${waiting}`, 'ISSUE_BLOCKED');
+  }
+
+  /**
+   * Check the recorded history against the ledger, so an edited snapshot
+   * cannot claim approvals that were never recorded
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async audit() {
+    const chain = await this.ledger.verify();
+    if (!chain.valid) return { valid: false, reason: `Ledger broken: ${chain.reason}` };
+
+    let state = 'draft';
+    let artefacts = null;
+    for (const step of this.history) {
+      const entry = this.ledger.entries[step.ledgerIndex];
+      const p = entry?.payload;
+      if (!entry || entry.hash !== step.ledgerHash || entry.type !== 'approval' ||
+          p.proposalId !== this.proposalId || p.action !== step.action || p.from !== state || p.to !== step.to) {
+        return { valid: false, reason: `${step.action} → ${step.to} is not recorded in the ledger` };
+      }
+      if (step.action === 'submit' && canonicalJSON(p.basis) !== canonicalJSON(this.basis)) {
+        return { valid: false, reason: 'Approval basis differs from the one submitted' };
+      }
+      if (step.action === 'submit') artefacts = p.artefacts ?? null;
+      state = step.to;
+    }
+
+    if (canonicalJSON(artefacts) !== canonicalJSON(this.artefacts)) {
+      return { valid: false, reason: 'Artefact hashes differ from the ones submitted' };
+    }
+    return state === this.state
+      ? { valid: true, reason: null }
+      : { valid: false, reason: `State ${this.state} does not follow from the recorded history (${state})` };
+  }
+
+  /**
+   * Serializable snapshot
+   */
+  toJSON() {
+    return {
+      proposalId: this.proposalId,
+      basis: this.basis,
+      assessment: this.assessment,
+      state: this.state,
+      artefacts: this.artefacts,
+      approvals: this.approvals,
+      history: this.history
+    };
+  }
+
+  /**
+   * Restore a workflow from a snapshot
+   * @param {Object} data - toJSON() output
+   * @param {DecisionLedger} ledger - Decision ledger
+   * @returns {ProposalWorkflow} Workflow
+   */
+  static fromJSON(data, ledger) {
+    if (!APPROVAL_STATES.includes(data.state)) {
+      throw workflowError(`Unknown workflow state "${data.state}"`, 'INVALID_TRANSITION');
+    }
+    const workflow = new ProposalWorkflow({ proposalId: data.proposalId, basis: data.basis, ledger });
+    workflow.state = data.state;
+    workflow.artefacts = data.artefacts ?? null;
+    workflow.history = data.history || [];
+
+    // Approvals follow from the history (since the last revision), not the snapshot's own list
+    const lastRevision = workflow.history.map(step => step.action).lastIndexOf('revise');
+    workflow.approvals = workflow.history
+      .slice(lastRevision + 1)
+      .filter(step => step.action === 'approve' && step.role)
+      .map(step => ({ role: step.role, user: step.user, at: step.at }));
+    return workflow;
+  }
+}
+
+export default {
+  APPROVAL_STATES,
+  APPROVER_ROLES,
+  SYSTEM_ACTOR,
+  assessApproval,
+  validateRoster,
+  assertRosterRole,
+  ProposalWorkflow
+};
@@ -0,0 +1,512 @@
+/**
+ * catalogue.js - Quotation catalogue imported from the estimating workbooks
+ *
+ * The quotation apps price packaged RO systems from a catalogue of
+ * models, add-ons and labour rates. The figures originate in the Excel
+ * estimate workbooks; importWorkbook() maps a parsed workbook onto the
+ * catalogue sections and reports every constant cell it could not place,
+ * and mergeCatalogue() lays the result over the previous catalogue
+ * version so sections the workbook does not cover are carried forward.
+ *
+ * Workbooks are passed in already parsed ({ sheets: [{ name, cells }] },
+ * cells keyed by A1 reference), so this module has no file or zip
+ * handling and runs unchanged in the browser.
+ */
+
+export const CATALOGUE_FORMAT = 'membracon-catalogue';
+export const CATALOGUE_FORMAT_VERSION = 1;
+
+// Estimate-sheet column headers (the row containing "Qty:" and "Item:")
+const ESTIMATE_COLUMNS = {
+  qty: /^qty:?$/i,
+  item: /^item:?$/i,
+  supplier: /^supplier:?$/i,
+  partNo: /^part\s*no/i,
+  unitCost: /\(each\)/i,
+  markup: /^%$/
+};
+
+// Section markers in the quantity column, e.g. "Equipment:" / "Labour:"
+const SECTION_MARKER = /^([A-Za-z][A-Za-z ]*):$/;
+
+// Rows below the lines that adjust the sheet total (percent in the markup column)
+const ADJUSTMENTS = {
+  contingency: /^contingency$/i,
+  socialImpact: /^social impact$/i,
+  discount: /^customer discount$/i
+};
+
+// Labels of computed rows; their values are formulas and need no mapping
+const TOTAL_LABELS = /^(sub totals?|totals?:?|estimated gp.*|actual gp|as [%£]:)$/i;
+
+// Model sheet columns (the "Packaged RO Estimator" layout)
+export const MODEL_COLUMNS = {
+  flow: /^(permeate\s*)?flow|m3\/?h/i,
+  code: /^(model|code)/i,
+  roCost: /^ro\b.*cost/i,
+  membranes: /membranes/i,
+  power: /power|kw/i,
+  cip: /^cip/i,
+  pipework: /pipework/i,
+  labour: /^labou?r/i,
+  shipping: /shipping|delivery/i
+};
+
+// Catalogue add-ons and the workbook item descriptions that price them
+export const ADDON_ALIASES = {
+  container: /\b20\s*(ft|')\b.*container|container.*\b20\s*(ft|')/i,
+  uv: /\buv\b/i,
+  flush: /^perm(eate)?\s+flush/i,
+  monitoring: /remote monitoring/i,
+  secondRO: /second stage ro/i,
+  carbonFilter: /carbon/i,
+  ironRemoval: /iron removal/i,
+  phDosing: /\bph\b.*(dosing|control)/i,
+  antiscalant: /antiscalant/i,
+  softener: /softener/i,
+  boostPump: /boost(er)?\b.*pump/i
+};
+
+// Catalogue labour lines and the workbook descriptions that rate them
+export const LABOUR_ALIASES = {
+  mechanical: /mechanical/i,
+  electrical: /electrical/i,
+  mileage: /^mil(ea|ae|e)ge/i,
+  accommodation: /accom/i,
+  commissioning: /^commissioning/i,
+  survey: /survey/i
+};
+
+// Labour unit descriptions normalised to the apps' units
+const LABOUR_UNITS = [
+  [/man\s*-?\s*days?/i, 'man-days'],
+  [/mile/i, 'miles'],
+  [/hotel|room|night/i, 'nights']
+];
+
+// Labour rates come from the dedicated labour sheet before any other
+const LABOUR_SHEET = /labou?r/i;
+
+/**
+ * Column letters and row number of an A1 reference
+ * @param {string} ref - Cell reference, e.g. "AB12"
+ * @returns {Object} { column: "AB", row: 12, col: 28 }
+ */
+export function splitRef(ref) {
+  const match = /^([A-Z]+)(\d+)$/.exec(ref);
+  if (!match) throw new Error(`Bad cell reference "${ref}"`);
+  const col = [...match[1]].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  return { column: match[1], row: Number(match[2]), col };
+}
+
+/**
+ * Row-indexed view of a sheet that tracks which cells were mapped
+ */
+function sheetView(sheet) {
+  const rows = new Map();
+  for (const [ref, cell] of sheet.cells) {
+    const { column, row, col } = splitRef(ref);
+    if (!rows.has(row)) rows.set(row, []);
+    rows.get(row).push({ ref, column, col, ...cell });
+  }
+  rows.forEach(cells => cells.sort((a, b) => a.col - b.col));
+
+  const mapped = new Set();
+  return {
+    name: sheet.name,
+    rows: [...rows.keys()].sort((a, b) => a - b),
+    cells: row => rows.get(row) || [],
+    at: (column, row) => sheet.cells.get(`${column}${row}`) || null,
+    use: (...refs) => refs.forEach(ref => ref && sheet.cells.has(ref) && mapped.add(ref)),
+    mapped
+  };
+}
+
+const text = cell => (cell && typeof cell.value === 'string' ? cell.value.replace(/\s+/g, ' ').trim() : '');
+const number = cell => (cell && typeof cell.value === 'number' ? cell.value : null);
+
+/**
+ * camelCase id from a workbook description
+ */
+function slug(name) {
+  const words = name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ');
+  return words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1) : w)).join('');
+}
+
+/**
+ * Normalise a workbook labour unit
+ */
+function labourUnit(description) {
+  const match = LABOUR_UNITS.find(([pattern]) => pattern.test(description || ''));
+  return match ? match[1] : 'item';
+}
+
+/**
+ * Locate the header row and columns of an estimate sheet
+ */
+function findEstimateHeader(view) {
+  for (const row of view.rows) {
+    const columns = {};
+    view.cells(row).forEach(cell => {
+      Object.entries(ESTIMATE_COLUMNS).forEach(([key, pattern]) => {
+        if (!columns[key] && pattern.test(text(cell))) columns[key] = cell.column;
+      });
+    });
+    if (columns.qty && columns.item && columns.unitCost) return { row, columns };
+  }
+  return null;
+}
+
+/**
+ * Read the BOM lines and adjustments of an estimate sheet
+ * ("Estimate sheet." layout: Qty | Item | Supplier | Part no | each | total | % | sell)
+ */
+function readEstimateSheet(view, header) {
+  const { columns } = header;
+  const ref = (key, row) => (columns[key] ? `${columns[key]}${row}` : null);
+  const value = (key, row) => (columns[key] ? view.at(columns[key], row) : null);
+
+  view.use(...view.cells(header.row).map(cell => cell.ref));
+
+  const lines = [];
+  const adjustments = {};
+  let section = null;
+
+  view.rows.filter(row => row > header.row).forEach(row => {
+    const marker = SECTION_MARKER.exec(text(value('qty', row)));
+    if (marker) {
+      section = slug(marker[1]);
+      view.use(ref('qty', row));
+      return;
+    }
+
+    const item = text(value('item', row));
+    const adjustment = Object.keys(ADJUSTMENTS).find(key => ADJUSTMENTS[key].test(item));
+    if (adjustment) {
+      adjustments[adjustment] = (number(value('markup', row)) || 0) / 100;
+      view.use(ref('qty', row), ref('item', row), ref('markup', row));
+      return;
+    }
+
+    view.cells(row).filter(cell => TOTAL_LABELS.test(text(cell))).forEach(cell => view.use(cell.ref));
+
+    const unitCost = number(value('unitCost', row));
+    if (!item || TOTAL_LABELS.test(item) || unitCost === null) return;
+
+    // Labour lines carry their unit ("man days") in the supplier column
+    const supplier = text(value('supplier', row)) || null;
+    lines.push({
+      sheet: view.name,
+      row,
+      section,
+      qty: number(value('qty', row)) || 0,
+      item,
+      ...(section === 'labour' ? { unit: supplier } : { supplier }),
+      partNo: text(value('partNo', row)) || null,
+      unitCost,
+      markup: number(value('markup', row)) === null ? null : number(value('markup', row)) / 100,
+      source: `${view.name}!${ref('unitCost', row)}`
+    });
+    view.use(ref('qty', row), ref('item', row), ref('supplier', row), ref('partNo', row), ref('unitCost', row), ref('markup', row));
+  });
+
+  return { lines, adjustments };
+}
+
+/**
+ * Read a model table (one row per packaged RO model, keyed by flow)
+ */
+function readModelSheet(view) {
+  for (const row of view.rows) {
+    const columns = {};
+    view.cells(row).forEach(cell => {
+      const key = Object.keys(MODEL_COLUMNS).find(k => !columns[k] && MODEL_COLUMNS[k].test(text(cell)));
+      if (key) columns[key] = cell.column;
+    });
+    if (!columns.flow || !columns.roCost) continue;
+
+    view.use(...view.cells(row).filter(cell => Object.values(columns).includes(cell.column)).map(cell => cell.ref));
+    const models = {};
+    for (const next of view.rows.filter(r => r > row)) {
+      const flow = number(view.at(columns.flow, next));
+      const roCost = number(view.at(columns.roCost, next));
+      if (flow === null || roCost === null) break;
+
+      const model = {};
+      Object.entries(columns).filter(([key]) => key !== 'flow').forEach(([key, column]) => {
+        const cell = view.at(column, next);
+        model[key] = key === 'code' ? text(cell) || null : number(cell);
+        view.use(`${column}${next}`);
+      });
+      view.use(`${columns.flow}${next}`);
+      models[String(flow)] = { ...model, source: `${view.name}!${columns.roCost}${next}` };
+    }
+    return models;
+  }
+  return null;
+}
+
+/**
+ * Find payment milestones: a row of labelled shares that sum to 100%
+ */
+function readMilestones(view) {
+  for (const row of view.rows) {
+    const shares = view.cells(row).filter(cell => !cell.formula && number(cell) > 0 && number(cell) <= 1);
+    if (shares.length < 2) continue;
+
+    const total = shares.reduce((sum, cell) => sum + cell.value, 0);
+    const labels = shares.map(cell => text(view.at(cell.column, row - 1)));
+    if (Math.abs(total - 1) > 1e-6 || labels.some(label => !label)) continue;
+
+    view.use(...shares.map(cell => cell.ref), ...shares.map(cell => `${cell.column}${row - 1}`));
+    return shares.map((cell, i) => ({ name: labels[i], share: cell.value, source: `${view.name}!${cell.ref}` }));
+  }
+  return null;
+}
+
+/**
+ * Pick one line per catalogue id, warning when lines disagree on price
+ */
+function matchAliases(lines, aliases, warnings, label) {
+  const matches = {};
+  lines.forEach(line => {
+    const id = Object.keys(aliases).find(key => aliases[key].test(line.item));
+    if (!id) return;
+    if (!matches[id]) {
+      matches[id] = line;
+    } else if (matches[id].unitCost !== line.unitCost) {
+      warnings.push(`${label} "${id}": ${line.source} (${line.unitCost}) ignored, using ${matches[id].source} (${matches[id].unitCost})`);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Map a parsed workbook onto catalogue sections
+ * @param {Object} workbook - { sheets: [{ name, cells: Map<ref, { value, formula }> }] }
+ * @returns {Object} { sections, report } — sections holds only what the workbook provides
+ */
+export function importWorkbook(workbook) {
+  const warnings = [];
+  const sections = {};
+  const views = workbook.sheets.map(sheet => ({ view: sheetView(sheet), layout: null }));
+
+  const bom = [];
+  const pricing = {};
+  views.forEach(entry => {
+    const header = findEstimateHeader(entry.view);
+    if (header) {
+      const { lines, adjustments } = readEstimateSheet(entry.view, header);
+      bom.push(...lines);
+      const markups = lines.map(line => line.markup).filter(m => m !== null);
+      const key = LABOUR_SHEET.test(entry.view.name) ? 'labour' : 'equipment';
+      if (!pricing[key]) {
+        pricing[key] = {
+          markup: markups.length ? markups.reduce((a, b) => a + b, 0) / markups.length : null,
+          ...adjustments,
+          source: entry.view.name
+        };
+      }
+      entry.layout = 'estimate';
+      return;
+    }
+
+    const models = readModelSheet(entry.view);
+    if (models) {
+      sections.models = { ...sections.models, ...models };
+      entry.layout = 'models';
+    }
+  });
+
+  views.forEach(entry => {
+    if (sections.milestones) return;
+    const milestones = readMilestones(entry.view);
+    if (milestones) {
+      sections.milestones = milestones;
+      entry.layout = entry.layout || 'summary';
+    }
+  });
+
+  if (bom.length) {
+    sections.bom = bom;
+    sections.pricing = pricing;
+
+    const equipment = bom.filter(line => line.section !== 'labour');
+    const addons = matchAliases(equipment, ADDON_ALIASES, warnings, 'Add-on');
+    sections.addons = {};
+    Object.entries(addons).forEach(([id, line]) => {
+      sections.addons[id] = { cost: line.unitCost, supplier: line.supplier, item: line.item, source: line.source };
+    });
+
+    // Labour sheet first so its rates win over labour lines on equipment estimates
+    const labourLines = bom.filter(line => line.section === 'labour')
+      .sort((a, b) => Number(!LABOUR_SHEET.test(a.sheet)) - Number(!LABOUR_SHEET.test(b.sheet)));
+    const preferred = labourLines.filter(line => line.sheet === labourLines[0]?.sheet);
+    const matched = matchAliases(preferred, LABOUR_ALIASES, warnings, 'Labour');
+    sections.labour = preferred.map(line => ({
+      id: Object.keys(matched).find(key => matched[key] === line) || slug(line.item),
+      item: line.item,
+      unit: labourUnit(line.unit),
+      qty: line.qty,
+      rate: line.unitCost,
+      source: line.source
+    })).filter((entry, i, all) => all.findIndex(other => other.id === entry.id) === i);
+  }
+
+  const report = {
+    sheets: views.map(({ view, layout }) => {
+      const constants = [...view.rows].flatMap(row => view.cells(row)).filter(cell => !cell.formula && !cell.error);
+      return {
+        name: view.name,
+        layout,
+        cells: constants.length,
+        mapped: constants.filter(cell => view.mapped.has(cell.ref)).length,
+        unmapped: constants.filter(cell => !view.mapped.has(cell.ref)).map(cell => ({ ref: cell.ref, value: cell.value }))
+      };
+    }),
+    unmatchedAddons: Object.keys(ADDON_ALIASES).filter(id => sections.addons && !sections.addons[id]),
+    warnings
+  };
+
+  return { sections, report };
+}
+
+/**
+ * Check that a catalogue has the fields the quotation apps price from
+ * @param {Object} catalogue - Catalogue
+ * @returns {Object} The same catalogue
+ */
+export function validateCatalogue(catalogue) {
+  const problems = [];
+  if (!catalogue || catalogue.format !== CATALOGUE_FORMAT) {
+    problems.push('not a quotation catalogue');
+  } else {
+    Object.entries(catalogue.models || {}).forEach(([flow, model]) => {
+      if (!Number.isFinite(model.roCost)) problems.push(`model ${flow} has no RO cost`);
+    });
+    Object.entries(catalogue.addons || {}).forEach(([id, addon]) => {
+      if (!Number.isFinite(addon.cost)) problems.push(`add-on ${id} has no cost`);
+    });
+    (catalogue.labour || []).forEach(line => {
+      if (!line.id || !Number.isFinite(line.rate)) problems.push(`labour line ${line.id || '?'} has no rate`);
+    });
+  }
+
+  if (problems.length) {
+    const error = new Error(`Invalid catalogue: ${problems.join('; ')}`);
+    error.code = 'CATALOGUE_INVALID';
+    throw error;
+  }
+  return catalogue;
+}
+
+/**
+ * Lay imported sections over the previous catalogue version
+ * @param {Object} base - Previous catalogue
+ * @param {Object} sections - importWorkbook() sections
+ * @param {Object} meta - { version, createdAt, sources }
+ * @returns {Object} New catalogue version
+ */
+export function mergeCatalogue(base, sections, meta) {
+  const addons = { ...base.addons };
+  Object.entries(sections.addons || {}).forEach(([id, imported]) => {
+    addons[id] = {
+      ...addons[id],
+      name: addons[id]?.name || imported.item,
+      cost: imported.cost,
+      supplier: imported.supplier || addons[id]?.supplier || null,
+      source: imported.source
+    };
+  });
+
+  // Workbook quantities belong to that project: the catalogue keeps its
+  // default quantities and lines new to it start at zero
+  let labour = base.labour;
+  if (sections.labour) {
+    const previous = id => base.labour.find(line => line.id === id);
+    labour = sections.labour.map(line => ({
+      id: line.id,
+      name: previous(line.id)?.name || line.item,
+      unit: line.unit === 'item' && previous(line.id) ? previous(line.id).unit : line.unit,
+      qty: previous(line.id)?.qty ?? 0,
+      rate: line.rate,
+      source: line.source
+    }));
+    // Lines the workbook does not price are carried forward
+    labour.push(...base.labour.filter(line => !labour.some(other => other.id === line.id)));
+  }
+
+  return {
+    format: CATALOGUE_FORMAT,
+    formatVersion: CATALOGUE_FORMAT_VERSION,
+    version: meta.version,
+    createdAt: meta.createdAt,
+    basedOn: base.version,
+    sources: meta.sources,
+    currency: base.currency,
+    models: { ...base.models, ...sections.models },
+    addons,
+    labour,
+    pricing: sections.pricing || base.pricing || null,
+    milestones: sections.milestones || base.milestones || null,
+    bom: sections.bom || base.bom || []
+  };
+}
+
+/**
+ * Priced values of a catalogue as dotted paths (provenance and BOM excluded)
+ */
+function pricedValues(catalogue) {
+  const values = {};
+  Object.entries(catalogue.models || {}).forEach(([flow, model]) => {
+    Object.entries(model).filter(([key]) => key !== 'source').forEach(([key, value]) => {
+      values[`models.${flow}.${key}`] = value;
+    });
+  });
+  Object.entries(catalogue.addons || {}).forEach(([id, addon]) => {
+    values[`addons.${id}.cost`] = addon.cost;
+    values[`addons.${id}.supplier`] = addon.supplier;
+  });
+  (catalogue.labour || []).forEach(line => {
+    values[`labour.${line.id}.rate`] = line.rate;
+    values[`labour.${line.id}.qty`] = line.qty;
+    values[`labour.${line.id}.unit`] = line.unit;
+  });
+  Object.entries(catalogue.pricing || {}).forEach(([group, terms]) => {
+    Object.entries(terms).filter(([key]) => key !== 'source').forEach(([key, value]) => {
+      values[`pricing.${group}.${key}`] = value;
+    });
+  });
+  (catalogue.milestones || []).forEach(milestone => {
+    values[`milestones.${milestone.name}`] = milestone.share;
+  });
+  return values;
+}
+
+/**
+ * Values that differ between two catalogue versions
+ * @param {Object} before - Earlier catalogue
+ * @param {Object} after - Later catalogue
+ * @returns {Object[]} { path, before, after }, sorted by path
+ */
+export function diffCatalogues(before, after) {
+  const a = pricedValues(before);
+  const b = pricedValues(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(path => a[path] !== b[path])
+    .sort()
+    .map(path => ({ path, before: a[path] ?? null, after: b[path] ?? null }));
+}
+
+export default {
+  CATALOGUE_FORMAT,
+  CATALOGUE_FORMAT_VERSION,
+  MODEL_COLUMNS,
+  ADDON_ALIASES,
+  LABOUR_ALIASES,
+  splitRef,
+  importWorkbook,
+  validateCatalogue,
+  mergeCatalogue,
+  diffCatalogues
+};
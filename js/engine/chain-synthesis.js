@@ -0,0 +1,203 @@
+/**
+ * chain-synthesis.js - Generate candidate treatment trains from TECHNOLOGIES
+ *
+ * Instead of relying only on the hand-written TECH_CHAINS list, every
+ * ordered combination of technologies is built and checked against
+ * ordering and compatibility rules, customer vendor preferences and
+ * the chemicals the site allows. The survivors are handed to the
+ * normal scoring in the simulator and the SolutionEngine.
+ */
+
+import { TECHNOLOGIES, TECH_CHAINS, TREATMENT_ROLES } from '../data/technologies.js';
+
+// Compatibility rules; each returns a reason string when the chain breaks it
+export const COMPATIBILITY_RULES = [
+  {
+    id: 'ordering',
+    description: 'Stages follow the treatment order (pre-treatment → membranes → disinfection)',
+    check(techs) {
+      for (let i = 1; i < techs.length; i++) {
+        const prev = TREATMENT_ROLES[techs[i - 1].role].order;
+        const next = TREATMENT_ROLES[techs[i].role].order;
+        if (next < prev) {
+          return `${techs[i].id} (${TREATMENT_ROLES[techs[i].role].label}) cannot follow ${techs[i - 1].id}`;
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'duplicateFunction',
+    description: 'No two stages perform the same function',
+    check(techs) {
+      const seen = new Map();
+      for (const tech of techs) {
+        for (const fn of tech.functions) {
+          if (seen.has(fn)) return `${tech.id} duplicates the ${fn} function of ${seen.get(fn)}`;
+          seen.set(fn, tech.id);
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'membranePretreatment',
+    description: 'Desalination membranes need upstream membrane filtration',
+    check(techs) {
+      const index = techs.findIndex(t => t.role === 'desalination');
+      if (index === -1) return null;
+      const protectedFeed = techs.slice(0, index).some(t => t.functions.includes('membraneFiltration'));
+      return protectedFeed ? null : `${techs[index].id} requires UF or MBR pre-treatment (SDI control)`;
+    }
+  },
+  {
+    id: 'clearFeed',
+    description: 'Oxidation and UV need a low-turbidity feed',
+    check(techs) {
+      for (let i = 0; i < techs.length; i++) {
+        if (techs[i].role !== 'oxidation' && techs[i].role !== 'disinfection') continue;
+        const clarified = techs.slice(0, i).some(t => t.functions.includes('membraneFiltration'));
+        if (!clarified) return `${techs[i].id} requires upstream membrane filtration for UV transmittance`;
+      }
+      return null;
+    }
+  },
+  {
+    id: 'completeTreatment',
+    description: 'A train does not end in pre-treatment',
+    check(techs) {
+      const last = techs[techs.length - 1];
+      return last.role === 'pretreatment' ? `${last.id} cannot be the final stage` : null;
+    }
+  }
+];
+
+/**
+ * Check whether a technology matches a vendor preference entry
+ * (entries may be technology IDs or names, case-insensitive)
+ */
+function matchesPreference(tech, entry) {
+  const value = String(entry).toLowerCase();
+  return tech.id.toLowerCase() === value || tech.name.toLowerCase() === value;
+}
+
+/**
+ * Check a chain against the compatibility rules and customer constraints
+ * @param {string[]} techIds - Technology IDs in flow order
+ * @param {Object} options - Synthesis options (see synthesizeChains)
+ * @returns {{valid: boolean, reasons: string[]}} Result with violation reasons
+ */
+export function checkChain(techIds, options = {}) {
+  const {
+    include = [],
+    exclude = [],
+    allowedChemicals = ['all']
+  } = options;
+
+  const techs = techIds.map(id => TECHNOLOGIES[id]);
+  const unknown = techIds.filter((id, i) => !techs[i]);
+  if (unknown.length) {
+    return { valid: false, reasons: [`Unknown technology: ${unknown.join(', ')}`] };
+  }
+
+  const reasons = [];
+
+  COMPATIBILITY_RULES.forEach(rule => {
+    const reason = rule.check(techs);
+    if (reason) reasons.push(reason);
+  });
+
+  techs.forEach(tech => {
+    if (exclude.some(entry => matchesPreference(tech, entry))) {
+      reasons.push(`${tech.id} is excluded by vendor preferences`);
+    }
+  });
+
+  include.forEach(entry => {
+    if (!techs.some(tech => matchesPreference(tech, entry))) {
+      reasons.push(`Vendor preferences require ${entry}`);
+    }
+  });
+
+  if (!allowedChemicals.includes('all')) {
+    techs.forEach(tech => {
+      const blocked = tech.chemicals.filter(chem => !allowedChemicals.includes(chem));
+      if (blocked.length) {
+        reasons.push(`${tech.id} needs chemicals not allowed on site: ${blocked.join(', ')}`);
+      }
+    });
+  }
+
+  return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Build the display name used across the system (matches TECH_CHAINS naming)
+ * @param {string[]} techIds - Technology IDs
+ * @returns {string} Chain name
+ */
+export function chainName(techIds) {
+  return techIds.length === 1 ? `${techIds[0]} Only` : techIds.join(' + ');
+}
+
+/**
+ * Describe a synthesized chain, reusing the curated description when one exists
+ */
+function describeChain(techIds) {
+  const curated = TECH_CHAINS.find(chain => chain.techs.join('|') === techIds.join('|'));
+  if (curated) return curated.description;
+  return 'Synthesized: ' + techIds.map(id => TECHNOLOGIES[id].name).join(' → ');
+}
+
+/**
+ * Generate every valid treatment train
+ * @param {Object} options - Synthesis options
+ * @param {number} options.maxStages - Maximum stages per train (default 4)
+ * @param {string[]} options.include - Technologies every train must contain
+ * @param {string[]} options.exclude - Technologies no train may contain
+ * @param {string[]} options.allowedChemicals - Chemicals allowed on site (['all'] for any)
+ * @param {Function} options.onReject - Called with (techIds, reasons) for each rejected train
+ * @returns {Array<{techs: string[], name: string, description: string, synthesized: boolean}>} Chains
+ */
+export function synthesizeChains(options = {}) {
+  const { maxStages = 4, onReject } = options;
+  const ids = Object.keys(TECHNOLOGIES);
+  const chains = [];
+
+  // Depth-first build of ordered trains without repeated technologies;
+  // only prefixes that respect the treatment order are extended
+  const extend = (prefix) => {
+    if (prefix.length > 0) {
+      const result = checkChain(prefix, options);
+      if (result.valid) {
+        chains.push({
+          techs: [...prefix],
+          name: chainName(prefix),
+          description: describeChain(prefix),
+          synthesized: !TECH_CHAINS.some(chain => chain.techs.join('|') === prefix.join('|'))
+        });
+      } else if (onReject) {
+        onReject([...prefix], result.reasons);
+      }
+    }
+
+    if (prefix.length >= maxStages) return;
+
+    const lastOrder = prefix.length ? TREATMENT_ROLES[TECHNOLOGIES[prefix[prefix.length - 1]].role].order : 0;
+    ids.forEach(id => {
+      if (prefix.includes(id)) return;
+      if (TREATMENT_ROLES[TECHNOLOGIES[id].role].order < lastOrder) return;
+      extend([...prefix, id]);
+    });
+  };
+
+  extend([]);
+  return chains;
+}
+
+export default {
+  COMPATIBILITY_RULES,
+  checkChain,
+  chainName,
+  synthesizeChains
+};
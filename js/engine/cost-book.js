@@ -0,0 +1,186 @@
+/**
+ * cost-book.js - Versioned cost book with regional profiles
+ *
+ * Every rate that turns engineering quantities into money lives here
+ * rather than in CONFIG or inline literals. Books are immutable once
+ * issued: a price change is a new entry with a later effectiveFrom,
+ * so a quote can always be reproduced from the cost-book id recorded
+ * in its generateJSON() metadata.
+ *
+ * All monetary rates are in the book's currency (the company's base
+ * currency, GBP); quoting in other currencies happens downstream.
+ */
+
+// Regional profiles
+export const REGIONS = {
+  UK: { name: 'United Kingdom', locale: 'en-GB' },
+  EU: { name: 'European Union', locale: 'de-DE' },
+  ME: { name: 'Middle East (GCC)', locale: 'en-AE' }
+};
+
+export const DEFAULT_REGION = 'UK';
+
+// Cost books, oldest first within each region
+export const COST_BOOKS = [
+  {
+    id: 'UK-2024.1',
+    region: 'UK',
+    version: '2024.1',
+    currency: 'GBP',
+    effectiveFrom: '2024-01-01',
+    notes: 'UK rates at 2024 energy prices',
+    rates: {
+      electricityRate: 0.19,        // per kWh
+      laborCostPerHour: 42,         // per hour
+      laborHoursPerYear: 2000,      // operator hours per plant
+      discountRate: 0.08,           // for NPV calculations
+      waterValue: 2.30,             // per m³ of product water (customer savings for IRR/payback)
+      escalation: { energy: 0.05, chemicals: 0.04, maintenance: 0.035, labor: 0.04, replacement: 0.03, water: 0.04 }, // annual increase per cost category
+      financing: { interestRate: 0.070, targetEquityIrr: 0.12, indexation: 0.030 }, // debt rate, provider equity hurdle, contract indexation
+      gridCarbonFactor: 0.207,      // kgCO2/kWh
+      baseEquipmentCost: 4800,      // per m³/h capacity
+      installationFactor: { standard: 1.25, containerized: 1.15 },
+      optionalModuleCost: { UV: 190 }, // per m³/h
+      chemicalPriceIndex: 1.05      // multiplier on TECHNOLOGIES chemicalConsumption
+    }
+  },
+  {
+    id: 'UK-2025.1',
+    region: 'UK',
+    version: '2025.1',
+    currency: 'GBP',
+    effectiveFrom: '2025-01-01',
+    notes: 'UK baseline (previously hardcoded in CONFIG)',
+    rates: {
+      electricityRate: 0.15,
+      laborCostPerHour: 45,
+      laborHoursPerYear: 2000,
+      discountRate: 0.08,
+      waterValue: 2.45,
+      escalation: { energy: 0.03, chemicals: 0.03, maintenance: 0.03, labor: 0.035, replacement: 0.025, water: 0.035 },
+      financing: { interestRate: 0.065, targetEquityIrr: 0.12, indexation: 0.025 },
+      gridCarbonFactor: 0.233,
+      baseEquipmentCost: 5000,
+      installationFactor: { standard: 1.25, containerized: 1.15 },
+      optionalModuleCost: { UV: 200 },
+      chemicalPriceIndex: 1.0
+    }
+  },
+  {
+    id: 'EU-2025.1',
+    region: 'EU',
+    version: '2025.1',
+    currency: 'GBP',
+    effectiveFrom: '2025-01-01',
+    notes: 'EU average rates, priced in GBP',
+    rates: {
+      electricityRate: 0.17,
+      laborCostPerHour: 40,
+      laborHoursPerYear: 1800,
+      discountRate: 0.07,
+      waterValue: 2.60,
+      escalation: { energy: 0.025, chemicals: 0.025, maintenance: 0.025, labor: 0.03, replacement: 0.02, water: 0.03 },
+      financing: { interestRate: 0.055, targetEquityIrr: 0.10, indexation: 0.020 },
+      gridCarbonFactor: 0.251,
+      baseEquipmentCost: 5250,
+      installationFactor: { standard: 1.30, containerized: 1.18 },
+      optionalModuleCost: { UV: 210 },
+      chemicalPriceIndex: 1.0
+    }
+  },
+  {
+    id: 'ME-2025.1',
+    region: 'ME',
+    version: '2025.1',
+    currency: 'GBP',
+    effectiveFrom: '2025-01-01',
+    notes: 'GCC rates, priced in GBP; higher installation for site logistics',
+    rates: {
+      electricityRate: 0.07,
+      laborCostPerHour: 22,
+      laborHoursPerYear: 2400,
+      discountRate: 0.09,
+      waterValue: 1.40,
+      escalation: { energy: 0.02, chemicals: 0.025, maintenance: 0.02, labor: 0.025, replacement: 0.02, water: 0.02 },
+      financing: { interestRate: 0.070, targetEquityIrr: 0.13, indexation: 0.020 },
+      gridCarbonFactor: 0.420,
+      baseEquipmentCost: 4900,
+      installationFactor: { standard: 1.35, containerized: 1.20 },
+      optionalModuleCost: { UV: 200 },
+      chemicalPriceIndex: 1.10
+    }
+  }
+];
+
+/**
+ * Normalize a date argument to YYYY-MM-DD
+ */
+function toDateString(date) {
+  if (!date) return new Date().toISOString().slice(0, 10);
+  if (date instanceof Date) return date.toISOString().slice(0, 10);
+  return String(date).slice(0, 10);
+}
+
+/**
+ * List the cost books for a region (all regions when omitted)
+ * @param {string} region - Region code
+ * @returns {Object[]} Cost books, oldest first
+ */
+export function listCostBooks(region) {
+  return COST_BOOKS
+    .filter(book => !region || book.region === region)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+}
+
+/**
+ * Select a cost book
+ * @param {Object} selection - Selection criteria
+ * @param {string} selection.id - Exact cost-book id (pins a version; wins over region/date)
+ * @param {string} selection.region - Region code (default UK)
+ * @param {string|Date} selection.date - Pricing date (default today)
+ * @returns {Object} Cost book
+ */
+export function getCostBook(selection = {}) {
+  const { id, region = DEFAULT_REGION, date } = selection;
+
+  if (id) {
+    const book = COST_BOOKS.find(b => b.id === id);
+    if (!book) throw new Error(`Unknown cost book "${id}"`);
+    return book;
+  }
+
+  if (!REGIONS[region]) {
+    throw new Error(`Unknown cost-book region "${region}"`);
+  }
+
+  const day = toDateString(date);
+  const effective = listCostBooks(region).filter(book => book.effectiveFrom <= day);
+  if (effective.length === 0) {
+    throw new Error(`No ${region} cost book is effective on ${day}`);
+  }
+  return effective[effective.length - 1];
+}
+
+/**
+ * Summary of a cost book for proposal metadata
+ * @param {Object} book - Cost book
+ * @returns {Object} { id, region, version, currency, effectiveFrom }
+ */
+export function describeCostBook(book) {
+  return {
+    id: book.id,
+    region: book.region,
+    version: book.version,
+    currency: book.currency,
+    effectiveFrom: book.effectiveFrom
+  };
+}
+
+export default {
+  REGIONS,
+  DEFAULT_REGION,
+  COST_BOOKS,
+  listCostBooks,
+  getCostBook,
+  describeCostBook
+};
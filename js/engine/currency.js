@@ -0,0 +1,105 @@
+/**
+ * currency.js - Quote currencies and offline FX-rate tables
+ *
+ * Costs are computed in the cost book's base currency; a proposal may be
+ * quoted in any currency listed here. FX tables are dated snapshots kept
+ * in the repository (no network access at quote time), and the table id
+ * used for a quote is recorded alongside the converted figures.
+ */
+
+// Supported quote currencies with their default formatting locale
+export const CURRENCIES = {
+  GBP: { name: 'Pound sterling', locale: 'en-GB' },
+  EUR: { name: 'Euro', locale: 'de-DE' },
+  USD: { name: 'US dollar', locale: 'en-US' },
+  AED: { name: 'UAE dirham', locale: 'en-AE' },
+  SAR: { name: 'Saudi riyal', locale: 'en-SA' },
+  QAR: { name: 'Qatari riyal', locale: 'en-QA' },
+  CHF: { name: 'Swiss franc', locale: 'de-CH' }
+};
+
+// FX snapshots, oldest first; rates are units of currency per 1 unit of base
+export const FX_TABLES = [
+  {
+    id: 'FX-2025Q1',
+    asOf: '2025-03-31',
+    base: 'GBP',
+    rates: { GBP: 1, EUR: 1.195, USD: 1.292, AED: 4.745, SAR: 4.845, QAR: 4.703, CHF: 1.141 }
+  },
+  {
+    id: 'FX-2025Q2',
+    asOf: '2025-06-30',
+    base: 'GBP',
+    rates: { GBP: 1, EUR: 1.168, USD: 1.371, AED: 5.035, SAR: 5.142, QAR: 4.991, CHF: 1.092 }
+  }
+];
+
+/**
+ * Select an FX table
+ * @param {Object} selection - Selection criteria
+ * @param {string} selection.id - Exact table id (wins over date)
+ * @param {string|Date} selection.date - Quote date; latest table on or before it (default today)
+ * @returns {Object} FX table
+ */
+export function getFxTable(selection = {}) {
+  const { id, date } = selection;
+
+  if (id) {
+    const table = FX_TABLES.find(t => t.id === id);
+    if (!table) throw new Error(`Unknown FX table "${id}"`);
+    return table;
+  }
+
+  const day = (date instanceof Date ? date.toISOString() : String(date || new Date().toISOString())).slice(0, 10);
+  const available = FX_TABLES.filter(t => t.asOf <= day);
+  if (available.length === 0) {
+    throw new Error(`No FX table is available on ${day}`);
+  }
+  return available[available.length - 1];
+}
+
+/**
+ * Exchange rate between two currencies
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} table - FX table
+ * @returns {number} Units of `to` per unit of `from`
+ */
+export function getRate(from, to, table) {
+  if (from === to) return 1;
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  if (!fromRate) throw new Error(`${table.id} has no rate for ${from}`);
+  if (!toRate) throw new Error(`${table.id} has no rate for ${to}`);
+  return toRate / fromRate;
+}
+
+/**
+ * Convert an amount between currencies (rounded to whole units)
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} table - FX table
+ * @returns {number} Amount in `to`
+ */
+export function convert(amount, from, to, table) {
+  return Math.round(amount * getRate(from, to, table));
+}
+
+/**
+ * Default locale for a currency
+ * @param {string} code - Currency code
+ * @returns {string} BCP 47 locale
+ */
+export function currencyLocale(code) {
+  return CURRENCIES[code]?.locale || 'en-GB';
+}
+
+export default {
+  CURRENCIES,
+  FX_TABLES,
+  getFxTable,
+  getRate,
+  convert,
+  currencyLocale
+};
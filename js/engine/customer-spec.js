@@ -0,0 +1,224 @@
+/**
+ * customer-spec.js - Customer specification handling
+ */
+
+import { createStream } from '../data/technologies.js';
+import { CONFIG, SECTOR_IDS } from './engine-config.js';
+import { DEFAULT_REGION, getCostBook } from './cost-book.js';
+import { CURRENCIES, getFxTable, getRate } from './currency.js';
+import { PAYMENT_STRUCTURES } from './financing.js';
+
+/**
+ * Normalize ESG weights to sum to 1 (equal weights when all are zero)
+ */
+function normalizeWeights(water = 0, carbon = 0, energy = 0) {
+  const total = water + carbon + energy;
+  if (total === 0) {
+    return { water: 0.33, carbon: 0.33, energy: 0.34 };
+  }
+  return { water: water / total, carbon: carbon / total, energy: energy / total };
+}
+
+/**
+ * Customer specification structure
+ */
+export class CustomerSpec {
+  /**
+   * Build a specification from the simulator's input vector
+   * @param {Object} inputs - Simulator inputs (see state.simulator.inputs)
+   * @returns {CustomerSpec} Equivalent specification
+   */
+  static fromSimulatorInputs(inputs) {
+    const weights = normalizeWeights(inputs.waterPriority, inputs.carbonPriority, inputs.energyPriority);
+
+    return new CustomerSpec({
+      sector: SECTOR_IDS[inputs.sector] || inputs.sector,
+      flowRate: inputs.flow,
+      operatingHours: inputs.hours,
+      feedWater: {
+        tss: inputs.tss,
+        tds: inputs.tds,
+        bod: inputs.bod,
+        cod: inputs.cod,
+        ph: inputs.ph,
+        temperature: inputs.temperature
+      },
+      // The simulator only sets TSS/TDS targets; BOD/COD carry no requirement
+      targetQuality: {
+        tss: inputs.tssTarget,
+        tds: inputs.tdsTarget,
+        bod: inputs.bod,
+        cod: inputs.cod
+      },
+      constraints: {
+        maxFootprint: inputs.maxFootprint,
+        maxCapex: inputs.maxBudget
+      },
+      optionalModules: [],
+      esgPriorities: weights,
+      costBook: inputs.costBook
+    });
+  }
+
+  constructor(data = {}) {
+    // Tender reference shared by every revision of the proposal (see revisions.js)
+    this.reference = data.reference || null;
+
+    this.sector = data.sector || 'pharmaceutical';
+    this.flowRate = data.flowRate || 100; // m³/h
+    this.operatingHours = data.operatingHours || 8000; // hours/year
+    this.projectTerm = data.projectTerm || CONFIG.projectLifespan; // years
+
+    this.feedWater = {
+      tds: data.feedWater?.tds || 1500,  // mg/L
+      tss: data.feedWater?.tss || 50,    // mg/L
+      bod: data.feedWater?.bod || 120,   // mg/L
+      cod: data.feedWater?.cod || 200,   // mg/L
+      ph: data.feedWater?.ph || 7.2,
+      temperature: data.feedWater?.temperature ?? 20 // °C
+    };
+
+    this.targetQuality = {
+      tds: data.targetQuality?.tds || 10,
+      tss: data.targetQuality?.tss || 0.1,
+      bod: data.targetQuality?.bod || 1,
+      cod: data.targetQuality?.cod || 5
+    };
+
+    this.constraints = {
+      maxFootprint: data.constraints?.maxFootprint || null,  // m²
+      maxPower: data.constraints?.maxPower || null,          // kW
+      maxCapex: data.constraints?.maxCapex || null,          // £
+      containerized: data.constraints?.containerized || false,
+      allowedChemicals: data.constraints?.allowedChemicals || ['all']
+    };
+
+    this.optionalModules = data.optionalModules || ['UV', 'chemicalDosing'];
+
+    this.esgPriorities = {
+      water: data.esgPriorities?.water ?? CONFIG.defaultEsgWeights.water,
+      carbon: data.esgPriorities?.carbon ?? CONFIG.defaultEsgWeights.carbon,
+      energy: data.esgPriorities?.energy ?? CONFIG.defaultEsgWeights.energy
+    };
+
+    this.vendorPreferences = {
+      include: data.vendorPreferences?.include || [],
+      exclude: data.vendorPreferences?.exclude || []
+    };
+
+    // Cost-book selection: an id pins a version, otherwise the book
+    // effective on `date` (default today) for `region` is used
+    this.costBook = {
+      id: data.costBook?.id || null,
+      region: data.costBook?.region || DEFAULT_REGION,
+      date: data.costBook?.date || null
+    };
+
+    // BOO/BOT financing overrides; unset terms fall back to CONFIG
+    // defaults and the cost book's market rates (see financing.js)
+    this.financing = { ...data.financing };
+
+    // Quote currency (default: cost-book currency), formatting locale
+    // (default: the currency's) and FX table (default: latest)
+    this.quote = {
+      currency: data.quote?.currency || null,
+      locale: data.quote?.locale || null,
+      fxTable: data.quote?.fxTable || null
+    };
+  }
+
+  /**
+   * Resolve the selected cost book
+   */
+  getCostBook() {
+    return getCostBook(this.costBook);
+  }
+
+  /**
+   * Get the currency the proposal is quoted in
+   */
+  getQuoteCurrency() {
+    return this.quote.currency || this.getCostBook().currency;
+  }
+
+  /**
+   * Resolve the FX table used for conversion
+   */
+  getFxTable() {
+    return getFxTable({ id: this.quote.fxTable });
+  }
+
+  /**
+   * Calculate required removal rates
+   */
+  getRequiredRemoval() {
+    return {
+      tds: 1 - (this.targetQuality.tds / this.feedWater.tds),
+      tss: 1 - (this.targetQuality.tss / this.feedWater.tss),
+      bod: 1 - (this.targetQuality.bod / this.feedWater.bod),
+      cod: 1 - (this.targetQuality.cod / this.feedWater.cod)
+    };
+  }
+
+  /**
+   * Get the raw water feed as a stream for the stage model
+   */
+  getFeedStream() {
+    return createStream({ flow: this.flowRate, ...this.feedWater });
+  }
+
+  /**
+   * Get annual water volume
+   */
+  getAnnualVolume() {
+    return this.flowRate * this.operatingHours; // m³/year
+  }
+
+  /**
+   * Validate specification completeness
+   */
+  validate() {
+    const errors = [];
+
+    if (this.reference !== null && !/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(String(this.reference))) {
+      errors.push('Reference may only contain letters, digits, ".", "_" and "-" (max 64)');
+    }
+    if (this.flowRate <= 0) errors.push('Flow rate must be positive');
+    if (!Number.isInteger(this.projectTerm) || this.projectTerm < 1 || this.projectTerm > 40) {
+      errors.push('Project term must be a whole number of years between 1 and 40');
+    }
+    if (this.feedWater.tds < this.targetQuality.tds) errors.push('Target TDS exceeds feed TDS');
+    if (this.feedWater.tss < this.targetQuality.tss) errors.push('Target TSS exceeds feed TSS');
+
+    const { structure, debtShare, transferYear } = this.financing;
+    if (structure !== undefined && !PAYMENT_STRUCTURES.includes(structure)) {
+      errors.push(`Unknown financing structure "${structure}"`);
+    }
+    if (debtShare !== undefined && !(debtShare >= 0 && debtShare <= 0.9)) {
+      errors.push('Debt share must be between 0 and 0.9');
+    }
+    if (transferYear !== undefined &&
+        !(Number.isInteger(transferYear) && transferYear >= 1 && transferYear <= this.projectTerm)) {
+      errors.push('BOT transfer year must fall within the project term');
+    }
+
+    try {
+      const costBook = this.getCostBook();
+      const currency = this.getQuoteCurrency();
+      if (!CURRENCIES[currency]) {
+        errors.push(`Unsupported quote currency "${currency}"`);
+      } else {
+        getRate(costBook.currency, currency, this.getFxTable());
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default CustomerSpec;
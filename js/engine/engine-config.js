@@ -0,0 +1,51 @@
+/**
+ * engine-config.js - Shared configuration for the proposal engine and simulator
+ *
+ * Rates and unit prices are not configured here; they come from the
+ * selected cost book (see cost-book.js).
+ */
+
+export const CONFIG = {
+  projectLifespan: 10,   // default project term, years
+  assetLife: 25,         // depreciation life of non-replaceable equipment, years
+
+  // Margin settings
+  defaultMargin: 0.20,
+  minMargin: 0.10,
+  maxMargin: 0.40,
+
+  // BOO/BOT financing defaults (market rates come from the cost book)
+  defaultFinancing: {
+    structure: 'availability', // 'availability' payment or per-m³ 'tariff'
+    debtShare: 0.70,
+    loanTerm: 7,               // years
+    botTransferYear: 5
+  },
+
+  // Confidence thresholds
+  autoApproveThreshold: 0.80,
+  manualReviewThreshold: 0.50,
+
+  // Deal sizes (quoted price, cost-book currency) that need sign-off
+  largeDealThreshold: 2000000,     // commercial approval
+  strategicDealThreshold: 5000000, // director approval
+
+  // ESG weights defaults
+  defaultEsgWeights: {
+    water: 0.40,
+    carbon: 0.35,
+    energy: 0.25
+  }
+};
+
+// Simulator sector ids (x₁ in the input vector) mapped to CustomerSpec sectors
+export const SECTOR_IDS = {
+  1: 'pharmaceutical',
+  2: 'foodBeverage',
+  3: 'power',
+  4: 'municipal',
+  5: 'oilGas',
+  6: 'semiconductor'
+};
+
+export default CONFIG;
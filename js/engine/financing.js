@@ -0,0 +1,183 @@
+/**
+ * financing.js - BOO/BOT financial structuring
+ *
+ * Models a financed contract from the provider's side: the plant cost is
+ * funded by debt (annuity repayment) and equity, the provider runs the
+ * plant and pays its operating and replacement costs, and the customer
+ * pays either
+ *   - an availability payment: a fixed, indexed capacity charge, with
+ *     energy and chemicals passed through at cost (the customer carries
+ *     their escalation), or
+ *   - a tariff: one indexed price per m³ billed on the plant's annual
+ *     throughput, covering every cost (the provider carries escalation).
+ * The payment level is solved so the provider earns its target equity IRR; under BOT
+ * the customer buys the plant at the transfer value in the transfer year
+ * and runs it for the rest of the project term.
+ *
+ * Every model also reports the customer's cost NPV and LCOW over the same
+ * project term, so a CapEx sale and BOO/BOT compare on one basis.
+ */
+
+import { CONFIG } from './engine-config.js';
+import { calculateLifecycle, calculateResidualValue, calculateIRR } from './lifecycle.js';
+
+export const PAYMENT_STRUCTURES = ['availability', 'tariff'];
+
+// OpEx categories passed through at cost under an availability payment
+export const PASS_THROUGH_CATEGORIES = ['energy', 'chemicals'];
+
+/**
+ * Resolve financing terms from the spec, CONFIG defaults and the cost book
+ * @param {CustomerSpec} spec - Customer specification
+ * @returns {Object} Financing terms
+ */
+export function resolveFinancingTerms(spec) {
+  const market = spec.getCostBook().rates.financing;
+  const requested = spec.financing || {};
+  const defaults = CONFIG.defaultFinancing;
+
+  return {
+    structure: requested.structure ?? defaults.structure,
+    debtShare: requested.debtShare ?? defaults.debtShare,
+    interestRate: requested.interestRate ?? market.interestRate,
+    loanTerm: requested.loanTerm ?? defaults.loanTerm,
+    targetEquityIrr: requested.targetEquityIrr ?? market.targetEquityIrr,
+    indexation: requested.indexation ?? market.indexation,
+    transferYear: requested.transferYear ?? Math.min(defaults.botTransferYear, spec.projectTerm),
+    transferValue: requested.transferValue ?? null
+  };
+}
+
+/**
+ * Annual debt service of an annuity loan
+ * @param {number} principal - Amount borrowed
+ * @param {number} rate - Annual interest rate
+ * @param {number} years - Repayment term
+ * @returns {number} Annual payment
+ */
+export function calculateDebtService(principal, rate, years) {
+  if (principal <= 0 || years <= 0) return 0;
+  if (rate === 0) return principal / years;
+  return principal * rate / (1 - Math.pow(1 + rate, -years));
+}
+
+/**
+ * Structure a BOO or BOT contract
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} solution - Evaluated solution (capex, performance, opexBreakdown)
+ * @param {string} model - 'BOO' or 'BOT'
+ * @param {Object} terms - Financing terms (see resolveFinancingTerms)
+ * @returns {Object} Payment level, tariff schedule, provider IRRs and customer cost basis. Each
+ *   schedule row's payment is what the customer pays that year; tariff is the price per m³
+ *   under a tariff, else the payment per m³ of throughput
+ */
+export function structureFinancedContract(spec, solution, model, terms = resolveFinancingTerms(spec)) {
+  const term = spec.projectTerm;
+  const operatedYears = model === 'BOT' ? terms.transferYear : term;
+  const lifecycle = calculateLifecycle(spec, solution.performance, solution.capex, solution.opexBreakdown, { term });
+  const { discountRate, annualProduct } = lifecycle;
+
+  // Funding
+  const investment = solution.capex;
+  const debt = investment * terms.debtShare;
+  const equity = investment - debt;
+  const loanYears = Math.min(terms.loanTerm, operatedYears);
+  const debtService = calculateDebtService(debt, terms.interestRate, loanYears);
+
+  // What the provider receives or keeps at the end of its operation
+  const transferValue = model === 'BOT'
+    ? terms.transferValue ?? calculateResidualValue(spec, solution.techs, operatedYears)
+    : 0;
+  const endValue = model === 'BOT' ? transferValue : lifecycle.residualValue;
+
+  // A replacement due in the transfer year is left to the new owner, in
+  // line with the transfer value (which assumes no renewal that year)
+  const deferredReplacement = model === 'BOT' && operatedYears < term
+    ? lifecycle.cashFlows[operatedYears].replacement
+    : 0;
+
+  const tariff = terms.structure === 'tariff';
+  const years = lifecycle.cashFlows.slice(1, operatedYears + 1).map(flow => ({
+    year: flow.year,
+    index: Math.pow(1 + terms.indexation, flow.year - 1),
+    opex: flow.opex,
+    passThrough: tariff ? 0 : PASS_THROUGH_CATEGORIES.reduce((sum, category) => sum + flow[category], 0),
+    replacement: flow.year === operatedYears ? flow.replacement - deferredReplacement : flow.replacement,
+    debtService: flow.year <= loanYears ? debtService : 0,
+    end: flow.year === operatedYears ? endValue : 0
+  }));
+
+  // Solve the indexed charge so equity NPV at the target IRR is zero: the
+  // first-year capacity payment, or the first-year price per m³ of throughput
+  // (pass-through costs are reimbursed as they fall, so they net out)
+  const hurdle = year => Math.pow(1 + terms.targetEquityIrr, year);
+  const fixed = years.reduce((sum, y) => sum + (y.opex - y.passThrough + y.replacement + y.debtService - y.end) / hurdle(y.year), 0);
+  const billed = tariff ? annualProduct : 1;
+  const unit = years.reduce((sum, y) => sum + y.index * billed / hurdle(y.year), 0);
+  const baseCharge = unit > 0 ? (equity + fixed) / unit : 0;
+
+  const schedule = years.map(y => {
+    const charge = baseCharge * billed * y.index;
+    const payment = charge + y.passThrough;
+    return {
+      year: y.year,
+      payment: Math.round(payment),
+      capacityPayment: tariff ? 0 : Math.round(charge),
+      passThrough: Math.round(y.passThrough),
+      volume: Math.round(annualProduct),
+      tariff: tariff ? baseCharge * y.index : annualProduct > 0 ? payment / annualProduct : 0,
+      opex: y.opex,
+      replacement: y.replacement,
+      debtService: Math.round(y.debtService),
+      transfer: model === 'BOT' ? Math.round(y.end) : 0,
+      equityCashFlow: Math.round(payment - y.opex - y.replacement - y.debtService + y.end),
+      projectCashFlow: Math.round(payment - y.opex - y.replacement + y.end)
+    };
+  });
+
+  // Customer cost over the full project term: payments, then (BOT) the
+  // transfer price and own operation with the residual value at the end
+  const discount = year => Math.pow(1 + discountRate, year);
+  let customerCost = schedule.reduce((sum, row) => sum + (row.payment + row.transfer) / discount(row.year), 0);
+  if (model === 'BOT') {
+    customerCost += deferredReplacement / discount(operatedYears);
+    lifecycle.cashFlows.slice(operatedYears + 1).forEach(flow => {
+      customerCost += (flow.opex + flow.replacement - flow.residual) / discount(flow.year);
+    });
+  }
+  const discountedVolume = lifecycle.cashFlows.slice(1)
+    .reduce((sum, flow) => sum + annualProduct / discount(flow.year), 0);
+
+  return {
+    model,
+    structure: terms.structure,
+    contractTerm: operatedYears,
+    annual: schedule[0]?.payment ?? 0,
+    tariff: schedule[0]?.tariff ?? 0,
+    transferYear: model === 'BOT' ? operatedYears : null,
+    transferValue: model === 'BOT' ? Math.round(transferValue) : null,
+    financing: {
+      investment,
+      debt: Math.round(debt),
+      equity: Math.round(equity),
+      interestRate: terms.interestRate,
+      loanTerm: loanYears,
+      debtService: Math.round(debtService),
+      targetEquityIrr: terms.targetEquityIrr,
+      indexation: terms.indexation
+    },
+    schedule,
+    providerIrr: calculateIRR([-equity, ...schedule.map(row => row.equityCashFlow)]),
+    projectIrr: calculateIRR([-investment, ...schedule.map(row => row.projectCashFlow)]),
+    customerNpv: Math.round(customerCost),
+    lcow: discountedVolume > 0 ? customerCost / discountedVolume : 0
+  };
+}
+
+export default {
+  PAYMENT_STRUCTURES,
+  PASS_THROUGH_CATEGORIES,
+  resolveFinancingTerms,
+  calculateDebtService,
+  structureFinancedContract
+};
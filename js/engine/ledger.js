@@ -0,0 +1,289 @@
+/**
+ * ledger.js - Tamper-evident decision ledger
+ *
+ * An append-only list of decision records (inputs, chosen solution,
+ * decision trail, user, timestamp). Each entry stores the SHA-256 of its
+ * canonical JSON together with the previous entry's hash, so editing,
+ * removing or reordering any entry breaks every link after it. Hashing
+ * uses WebCrypto (crypto.subtle), available in browsers and Node 20+.
+ *
+ * Persistence goes through a localStorage-compatible storage object
+ * (getItem/setItem); the ledger is exported and imported as JSON.
+ */
+
+export const LEDGER_FORMAT = 'membracon-ledger';
+export const LEDGER_VERSION = 1;
+export const GENESIS_HASH = '0'.repeat(64);
+
+const DEFAULT_STORAGE_KEY = 'membracon.ledger';
+
+/**
+ * Serialize a value as canonical JSON (sorted keys, no whitespace)
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value ?? null);
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalJSON(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+}
+
+/**
+ * SHA-256 of a string as lowercase hex
+ * @param {string} text - Input text
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash an entry's content (everything except its own hash)
+ * @param {Object} entry - Ledger entry
+ * @returns {Promise<string>} Hex digest
+ */
+export function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return sha256Hex(canonicalJSON(content));
+}
+
+/**
+ * Verify a chain of entries
+ * @param {Object[]} entries - Ledger entries, oldest first
+ * @returns {Promise<Object>} { valid, length, brokenAt, reason }
+ */
+export async function verifyEntries(entries) {
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const fail = reason => ({ valid: false, length: entries.length, brokenAt: i, reason });
+
+    if (entry.index !== i) return fail(`Entry ${i} has index ${entry.index}`);
+    if (entry.previousHash !== previousHash) return fail(`Entry ${i} does not link to entry ${i - 1}`);
+    if (await hashEntry(entry) !== entry.hash) return fail(`Entry ${i} content does not match its hash`);
+
+    previousHash = entry.hash;
+  }
+
+  return { valid: true, length: entries.length, brokenAt: null, reason: null };
+}
+
+/**
+ * In-memory storage used when localStorage is unavailable (e.g. under Node)
+ * @returns {Object} { getItem, setItem }
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+/**
+ * Whether a storage error means the quota is used up
+ */
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+}
+
+/**
+ * Append-only hash-chained decision ledger
+ */
+export class DecisionLedger {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.storage - localStorage-compatible storage (default: localStorage, else memory)
+   * @param {string} options.key - Storage key
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || globalThis.localStorage || createMemoryStorage();
+    this.key = options.key || DEFAULT_STORAGE_KEY;
+    this.entries = [];
+    this.pending = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Load persisted entries
+   *
+   * An unreadable stored ledger (corrupt or hand-edited) is moved to a
+   * backup key and a new chain is started, with the reason in
+   * this.warning, rather than failing the page that creates the ledger.
+   */
+  load() {
+    const raw = this.storage.getItem(this.key);
+    this.warning = null;
+    try {
+      this.entries = raw ? DecisionLedger.parse(raw).entries : [];
+    } catch (error) {
+      const backupKey = `${this.key}.unreadable`;
+      this.entries = [];
+      try {
+        this.storage.setItem(backupKey, raw);
+      } catch (backupError) {
+        console.warn('Could not back up the unreadable decision ledger:', backupError);
+      }
+      this.warning = `Stored decision ledger could not be read (${error.message}); it was kept as "${backupKey}" and a new chain started`;
+      console.warn(this.warning);
+    }
+  }
+
+  /**
+   * Persist entries
+   *
+   * The chain is stored whole, so it can outgrow the storage quota. Then
+   * the entries stay in memory (the chain is intact) and a
+   * LEDGER_STORAGE_FULL error asks for an export.
+   */
+  save() {
+    try {
+      this.storage.setItem(this.key, this.export());
+    } catch (cause) {
+      if (!isQuotaError(cause)) throw cause;
+      const error = new Error(`Decision ledger (${this.entries.length} entries) no longer fits in browser storage; export it to keep the newest entries`);
+      error.code = 'LEDGER_STORAGE_FULL';
+      error.cause = cause;
+      throw error;
+    }
+  }
+
+  /**
+   * Hash of the latest entry (genesis hash when empty)
+   */
+  get head() {
+    return this.entries.length ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+  }
+
+  /**
+   * Append a record
+   *
+   * Decision records carry inputs, solution and decisionTrail; other record
+   * types (e.g. 'approval') carry their own fields. Everything except type
+   * and user becomes the entry payload.
+   * @param {Object} record - Record content
+   * @param {string} record.type - Record type (e.g. 'proposal', 'simulation', 'approval')
+   * @param {string} record.user - Who made or triggered the decision
+   * @param {Object} record.inputs - Inputs the decision was made from
+   * @param {Object} record.solution - Chosen solution summary
+   * @param {Object[]} record.decisionTrail - SolutionEngine decision trail
+   * @returns {Promise<Object>} The new entry (rejects with LEDGER_STORAGE_FULL, carrying
+   *   the entry as error.entry, when it was appended but could not be persisted)
+   */
+  append({ type = 'decision', user = 'anonymous', ...payload }) {
+    // Serialize appends so concurrent calls cannot fork the chain
+    const next = this.pending.then(async () => {
+      const entry = {
+        index: this.entries.length,
+        timestamp: new Date().toISOString(),
+        user,
+        type,
+        // Round-trip through JSON so the stored entry hashes the same after export
+        payload: JSON.parse(JSON.stringify(payload)),
+        previousHash: this.head
+      };
+      entry.hash = await hashEntry(entry);
+
+      this.entries.push(entry);
+      try {
+        this.save();
+      } catch (error) {
+        // Appended in memory, just not persisted
+        error.entry = entry;
+        throw error;
+      }
+      return entry;
+    });
+
+    this.pending = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Verify the whole chain
+   * @returns {Promise<Object>} { valid, length, brokenAt, reason }
+   */
+  verify() {
+    return verifyEntries(this.entries);
+  }
+
+  /**
+   * Export the ledger as JSON
+   * @returns {string} Ledger document
+   */
+  export() {
+    return JSON.stringify({
+      format: LEDGER_FORMAT,
+      version: LEDGER_VERSION,
+      exportedAt: new Date().toISOString(),
+      head: this.head,
+      entries: this.entries
+    }, null, 2);
+  }
+
+  /**
+   * Replace the ledger with an exported document after verifying it
+   * @param {string} text - Ledger document
+   * @returns {Promise<Object>} Verification result
+   */
+  async import(text) {
+    const { head, entries } = DecisionLedger.parse(text);
+    const verification = await verifyEntries(entries);
+
+    // A valid prefix with a stale head means trailing entries were dropped
+    if (verification.valid && head && entries.length && head !== entries[entries.length - 1].hash) {
+      verification.valid = false;
+      verification.brokenAt = entries.length;
+      verification.reason = 'Recorded head does not match the last entry (entries removed)';
+    }
+
+    if (!verification.valid) {
+      const error = new Error(`Ledger rejected: ${verification.reason}`);
+      error.code = 'LEDGER_BROKEN';
+      error.verification = verification;
+      throw error;
+    }
+
+    this.entries = entries;
+    this.save();
+    return verification;
+  }
+
+  /**
+   * Parse an exported ledger document (without verifying it)
+   * @param {string} text - Ledger document
+   * @returns {Object} { head, entries }
+   */
+  static parse(text) {
+    const data = JSON.parse(text);
+    if (data.format !== LEDGER_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not a decision ledger document');
+    }
+    if (data.version > LEDGER_VERSION) {
+      throw new Error(`Ledger version ${data.version} is newer than supported (${LEDGER_VERSION})`);
+    }
+    return { head: data.head, entries: data.entries };
+  }
+}
+
+export default {
+  LEDGER_FORMAT,
+  LEDGER_VERSION,
+  GENESIS_HASH,
+  canonicalJSON,
+  sha256Hex,
+  hashEntry,
+  verifyEntries,
+  createMemoryStorage,
+  DecisionLedger
+};
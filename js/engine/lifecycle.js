@@ -0,0 +1,197 @@
+/**
+ * lifecycle.js - Year-by-year lifecycle cost model
+ *
+ * Builds the cash-flow schedule over the project term: capital in year 0,
+ * operating costs escalated per cost category, stage replacements at the
+ * end of each technology's lifespan and the residual value of the plant
+ * credited in the final year. The value of the product water (cost book
+ * waterValue) is the inflow used for the customer's IRR and payback.
+ */
+
+import { TECHNOLOGIES } from '../data/technologies.js';
+import { CONFIG } from './engine-config.js';
+
+const OPEX_CATEGORIES = ['energy', 'chemicals', 'maintenance', 'labor'];
+
+/**
+ * Equipment cost of one stage, before installation (base-year money)
+ */
+function stageEquipmentCost(spec, tech, rates) {
+  return spec.flowRate * rates.baseEquipmentCost * tech.capexFactor;
+}
+
+/**
+ * Schedule stage replacements from each technology's lifespan
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {string[]} techIds - Technologies in the chain
+ * @param {number} term - Project term (years)
+ * @returns {Array<{year: number, tech: string, name: string, cost: number}>} Replacements in base-year money
+ */
+export function scheduleReplacements(spec, techIds, term) {
+  const { rates } = spec.getCostBook();
+  const replacements = [];
+
+  techIds.forEach(id => {
+    const tech = TECHNOLOGIES[id];
+    const cost = Math.round(stageEquipmentCost(spec, tech, rates) * tech.replacementFraction);
+
+    // No replacement in the final year; the residual value covers it
+    for (let year = tech.lifespan; year < term; year += tech.lifespan) {
+      replacements.push({ year, tech: id, name: tech.name, cost });
+    }
+  });
+
+  return replacements.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Residual value of the plant at the end of the term (base-year money)
+ *
+ * Replaceable parts are written down over their lifespan from their last
+ * renewal; the rest of the equipment over CONFIG.assetLife.
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {string[]} techIds - Technologies in the chain
+ * @param {number} term - Project term (years)
+ * @returns {number} Residual value
+ */
+export function calculateResidualValue(spec, techIds, term) {
+  const { rates } = spec.getCostBook();
+
+  const value = techIds.reduce((total, id) => {
+    const tech = TECHNOLOGIES[id];
+    const equipment = stageEquipmentCost(spec, tech, rates);
+    const renewedAt = Math.floor((term - 1) / tech.lifespan) * tech.lifespan;
+    const replaceable = equipment * tech.replacementFraction *
+      Math.max(0, 1 - (term - renewedAt) / tech.lifespan);
+    const structure = equipment * (1 - tech.replacementFraction) *
+      Math.max(0, 1 - term / CONFIG.assetLife);
+    return total + replaceable + structure;
+  }, 0);
+
+  return Math.round(value);
+}
+
+/**
+ * Internal rate of return by bisection
+ * @param {number[]} flows - Net cash flows, year 0 first
+ * @returns {number|null} IRR, or null when the flows never change sign
+ */
+export function calculateIRR(flows) {
+  const npvAt = rate => flows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+
+  let low = -0.99;
+  let high = 1;
+  let npvLow = npvAt(low);
+  if (npvLow * npvAt(high) > 0) {
+    high = 10;
+    if (npvLow * npvAt(high) > 0) return null;
+  }
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npvAt(mid);
+    if (Math.abs(npvMid) < 1e-6) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Build the lifecycle cash-flow model
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @param {number} capex - Year-0 capital (cost basis or quoted price)
+ * @param {Object} opexBreakdown - First-year OpEx by category (from calculateOpex)
+ * @param {Object} options - Options
+ * @param {number} options.term - Project term in years (default spec.projectTerm)
+ * @returns {Object} { term, cashFlows, replacements, residualValue, npv, lcow, irr, paybackYears }
+ */
+export function calculateLifecycle(spec, perf, capex, opexBreakdown, options = {}) {
+  const term = options.term ?? spec.projectTerm;
+  const { rates } = spec.getCostBook();
+  const { discountRate, escalation, waterValue } = rates;
+
+  const annualProduct = spec.getAnnualVolume() * perf.recovery;
+  const replacements = scheduleReplacements(spec, perf.techs, term);
+  const residualValue = calculateResidualValue(spec, perf.techs, term);
+
+  const cashFlows = [{
+    year: 0,
+    capex: Math.round(capex),
+    opex: 0,
+    replacement: 0,
+    residual: 0,
+    waterValue: 0,
+    net: -Math.round(capex),
+    cumulative: -Math.round(capex)
+  }];
+
+  let discountedCost = capex;
+  let discountedVolume = 0;
+  let cumulative = -capex;
+  let paybackYears = null;
+
+  for (let year = 1; year <= term; year++) {
+    const discount = 1 / Math.pow(1 + discountRate, year);
+
+    const opexByCategory = Object.fromEntries(OPEX_CATEGORIES.map(category => [
+      category,
+      opexBreakdown[category] * Math.pow(1 + escalation[category], year - 1)
+    ]));
+    const opex = OPEX_CATEGORIES.reduce((sum, category) => sum + opexByCategory[category], 0);
+
+    const replacement = replacements
+      .filter(entry => entry.year === year)
+      .reduce((sum, entry) => sum + entry.cost, 0) * Math.pow(1 + escalation.replacement, year);
+
+    const residual = year === term ? residualValue : 0;
+    const value = annualProduct * waterValue * Math.pow(1 + escalation.water, year - 1);
+    const net = value - opex - replacement + residual;
+
+    if (paybackYears === null && cumulative + net >= 0) {
+      paybackYears = year - 1 + (-cumulative / net);
+    }
+    cumulative += net;
+
+    discountedCost += (opex + replacement - residual) * discount;
+    discountedVolume += annualProduct * discount;
+
+    cashFlows.push({
+      year,
+      capex: 0,
+      ...Object.fromEntries(OPEX_CATEGORIES.map(category => [category, Math.round(opexByCategory[category])])),
+      opex: Math.round(opex),
+      replacement: Math.round(replacement),
+      residual,
+      waterValue: Math.round(value),
+      net: Math.round(net),
+      cumulative: Math.round(cumulative)
+    });
+  }
+
+  return {
+    term,
+    discountRate,
+    annualProduct,
+    cashFlows,
+    replacements,
+    residualValue,
+    npv: Math.round(discountedCost),
+    lcow: discountedVolume > 0 ? discountedCost / discountedVolume : 0,
+    irr: calculateIRR(cashFlows.map(flow => flow.net)),
+    paybackYears
+  };
+}
+
+export default {
+  scheduleReplacements,
+  calculateResidualValue,
+  calculateIRR,
+  calculateLifecycle
+};
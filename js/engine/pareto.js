@@ -0,0 +1,150 @@
+/**
+ * pareto.js - Multi-objective Pareto ranking of candidate solutions
+ *
+ * Implements the fast non-dominated sort and crowding distance from
+ * NSGA-II (Deb et al., 2002). Rank 0 is the non-dominated front;
+ * crowding distance measures how isolated a solution is within its
+ * front (boundary solutions get Infinity).
+ */
+
+// Default objectives used by the proposal engine and simulator
+export const PARETO_OBJECTIVES = [
+  { key: 'capex', label: 'CAPEX', sense: 'min' },
+  { key: 'opex', label: 'OPEX', sense: 'min' },
+  { key: 'esg', label: 'ESG composite', sense: 'max' },
+  { key: 'risk', label: 'Risk', sense: 'min' }
+];
+
+/**
+ * Check whether point a dominates point b
+ * @param {Object} a - Objective values keyed by objective key
+ * @param {Object} b - Objective values keyed by objective key
+ * @param {Object[]} objectives - Objective definitions
+ * @returns {boolean} True if a is no worse in every objective and better in at least one
+ */
+export function dominates(a, b, objectives = PARETO_OBJECTIVES) {
+  let strictlyBetter = false;
+
+  for (const { key, sense } of objectives) {
+    const diff = sense === 'max' ? a[key] - b[key] : b[key] - a[key];
+    if (diff < 0) return false;
+    if (diff > 0) strictlyBetter = true;
+  }
+
+  return strictlyBetter;
+}
+
+/**
+ * Fast non-dominated sort
+ * @param {Object[]} points - Objective values per solution
+ * @param {Object[]} objectives - Objective definitions
+ * @returns {number[][]} Fronts as arrays of point indices, best first
+ */
+export function nonDominatedSort(points, objectives = PARETO_OBJECTIVES) {
+  const dominatedSets = points.map(() => []);
+  const dominationCounts = points.map(() => 0);
+  const fronts = [[]];
+
+  for (let p = 0; p < points.length; p++) {
+    for (let q = 0; q < points.length; q++) {
+      if (p === q) continue;
+      if (dominates(points[p], points[q], objectives)) {
+        dominatedSets[p].push(q);
+      } else if (dominates(points[q], points[p], objectives)) {
+        dominationCounts[p]++;
+      }
+    }
+    if (dominationCounts[p] === 0) fronts[0].push(p);
+  }
+
+  let i = 0;
+  while (fronts[i].length > 0) {
+    const next = [];
+    fronts[i].forEach(p => {
+      dominatedSets[p].forEach(q => {
+        dominationCounts[q]--;
+        if (dominationCounts[q] === 0) next.push(q);
+      });
+    });
+    i++;
+    fronts.push(next);
+  }
+
+  fronts.pop(); // trailing empty front
+  return fronts;
+}
+
+/**
+ * Crowding distance of the points in one front
+ * @param {Object[]} points - Objective values per solution
+ * @param {number[]} front - Indices of the points in the front
+ * @param {Object[]} objectives - Objective definitions
+ * @returns {Map<number, number>} Crowding distance by point index
+ */
+export function crowdingDistance(points, front, objectives = PARETO_OBJECTIVES) {
+  const distances = new Map(front.map(index => [index, 0]));
+  if (front.length <= 2) {
+    front.forEach(index => distances.set(index, Infinity));
+    return distances;
+  }
+
+  objectives.forEach(({ key }) => {
+    const sorted = [...front].sort((a, b) => points[a][key] - points[b][key]);
+    const min = points[sorted[0]][key];
+    const max = points[sorted[sorted.length - 1]][key];
+
+    distances.set(sorted[0], Infinity);
+    distances.set(sorted[sorted.length - 1], Infinity);
+    if (max === min) return;
+
+    for (let i = 1; i < sorted.length - 1; i++) {
+      const gap = (points[sorted[i + 1]][key] - points[sorted[i - 1]][key]) / (max - min);
+      distances.set(sorted[i], distances.get(sorted[i]) + gap);
+    }
+  });
+
+  return distances;
+}
+
+/**
+ * Rank points by dominance and crowding
+ * @param {Object[]} points - Objective values per solution
+ * @param {Object[]} objectives - Objective definitions
+ * @returns {Object} { fronts, ranks: [{rank, crowdingDistance, paretoOptimal}] } in input order
+ */
+export function paretoRank(points, objectives = PARETO_OBJECTIVES) {
+  const fronts = nonDominatedSort(points, objectives);
+  const ranks = points.map(() => null);
+
+  fronts.forEach((front, rank) => {
+    const distances = crowdingDistance(points, front, objectives);
+    front.forEach(index => {
+      ranks[index] = {
+        rank,
+        crowdingDistance: distances.get(index),
+        paretoOptimal: rank === 0
+      };
+    });
+  });
+
+  return { fronts, ranks };
+}
+
+/**
+ * Compare two ranked entries: lower rank first, then wider crowding distance
+ * @returns {number} Sort comparator result
+ */
+export function compareRanked(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+  if (a.crowdingDistance === b.crowdingDistance) return 0;
+  return b.crowdingDistance - a.crowdingDistance;
+}
+
+export default {
+  PARETO_OBJECTIVES,
+  dominates,
+  nonDominatedSort,
+  crowdingDistance,
+  paretoRank,
+  compareRanked
+};
@@ -0,0 +1,276 @@
+/**
+ * proposal-package.js - Signed proposal packages
+ *
+ * A package bundles the proposal HTML, the generateJSON() payload and the
+ * decision trail with a manifest of their SHA-256 hashes. The manifest is
+ * signed with ECDSA P-256 / SHA-256 (WebCrypto, browsers and Node 20+)
+ * using a locally held private key; the public key travels with the
+ * package so anyone can check that nothing was altered after issue.
+ * Whether the signer is MembraCon is decided by comparing the key
+ * fingerprint with a trusted key, not by the embedded key alone.
+ */
+
+import { canonicalJSON, sha256Hex } from './ledger.js';
+
+export const PACKAGE_FORMAT = 'membracon-proposal-package';
+export const PACKAGE_VERSION = 1;
+export const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+
+const KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Package member names, in manifest order
+export const PACKAGE_FILES = {
+  html: 'proposal.html',
+  json: 'proposal.json',
+  trail: 'decision-trail.json'
+};
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Public part of a JWK (the members that identify the key)
+ */
+function publicJwk(jwk) {
+  const { kty, crv, x, y } = jwk;
+  return { kty, crv, x, y };
+}
+
+/**
+ * Fingerprint of a public key: SHA-256 of its canonical JWK, first 16 bytes
+ * @param {Object} jwk - Public (or private) JWK
+ * @returns {Promise<string>} 32 hex characters
+ */
+export async function keyFingerprint(jwk) {
+  return (await sha256Hex(canonicalJSON(publicJwk(jwk)))).slice(0, 32);
+}
+
+/**
+ * Generate a signing key pair
+ * @returns {Promise<Object>} { privateKey, publicKey } as JWKs
+ */
+export async function generateSigningKey() {
+  const pair = await globalThis.crypto.subtle.generateKey(KEY_PARAMS, true, ['sign', 'verify']);
+  return {
+    privateKey: await globalThis.crypto.subtle.exportKey('jwk', pair.privateKey),
+    publicKey: await globalThis.crypto.subtle.exportKey('jwk', pair.publicKey)
+  };
+}
+
+/**
+ * Package members of a proposal, as they are hashed and signed
+ * @param {Object} result - { proposal: { html, json }, decisionTrail }
+ * @returns {Object} Member name → text
+ */
+export function packageContents(result) {
+  return {
+    [PACKAGE_FILES.html]: result.proposal.html,
+    [PACKAGE_FILES.json]: JSON.stringify(result.proposal.json, null, 2),
+    [PACKAGE_FILES.trail]: JSON.stringify(result.decisionTrail, null, 2)
+  };
+}
+
+/**
+ * SHA-256 of each package member, e.g. to pin what was submitted for approval
+ * @param {Object} result - { proposal: { html, json }, decisionTrail }
+ * @returns {Promise<Object>} Member name → hex hash
+ */
+export async function contentHashes(result) {
+  const hashes = {};
+  for (const [name, text] of Object.entries(packageContents(result))) {
+    hashes[name] = await sha256Hex(text);
+  }
+  return hashes;
+}
+
+/**
+ * Build and sign a proposal package
+ * @param {Object} result - generateProposal() result
+ * @param {Object} privateKey - Private signing key (JWK)
+ * @param {Object} options - Options
+ * @param {string} options.signer - Name recorded as the issuer
+ * @param {Object} options.approval - Approval record { requiredRoles, approvals } (see approval.js)
+ * @returns {Promise<Object>} Package
+ */
+export async function createProposalPackage(result, privateKey, options = {}) {
+  const json = result.proposal.json;
+  const contents = packageContents(result);
+
+  const files = [];
+  for (const [name, text] of Object.entries(contents)) {
+    files.push({ name, bytes: new TextEncoder().encode(text).length, sha256: await sha256Hex(text) });
+  }
+
+  const manifest = {
+    referenceId: json.metadata.referenceId,
+    issuedAt: new Date().toISOString(),
+    signer: options.signer || null,
+    keyId: await keyFingerprint(privateKey),
+    ledger: json.metadata.ledger || null,
+    approval: options.approval || null,
+    files
+  };
+
+  const key = await globalThis.crypto.subtle.importKey('jwk', privateKey, KEY_PARAMS, false, ['sign']);
+  const signature = await globalThis.crypto.subtle.sign(
+    SIGN_PARAMS,
+    key,
+    new TextEncoder().encode(canonicalJSON(manifest))
+  );
+
+  return {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    manifest,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      publicKey: publicJwk(privateKey),
+      value: toBase64(signature)
+    },
+    files: contents
+  };
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Structural problems that keep a package from being checked at all
+ * @param {Object} data - Parsed package
+ * @returns {string[]} Problems (empty when the package can be verified)
+ */
+function shapeProblems(data) {
+  const problems = [];
+  const { manifest, signature, files } = data;
+
+  if (!isObject(manifest)) {
+    problems.push('manifest must be an object');
+  } else if (!Array.isArray(manifest.files)) {
+    problems.push('manifest.files must be an array');
+  } else {
+    manifest.files.forEach((entry, i) => {
+      if (!isObject(entry) || typeof entry.name !== 'string' || typeof entry.sha256 !== 'string') {
+        problems.push(`manifest.files[${i}] must have a string name and sha256`);
+      }
+    });
+  }
+  if (!isObject(signature)) {
+    problems.push('signature must be an object');
+  } else {
+    if (!isObject(signature.publicKey)) problems.push('signature.publicKey must be a JWK object');
+    if (typeof signature.value !== 'string') problems.push('signature.value must be a string');
+  }
+  if (!isObject(files)) problems.push('files must be an object of member name → text');
+
+  return problems;
+}
+
+/**
+ * Verify a received proposal package
+ * @param {Object|string} pkg - Package object or its JSON text
+ * @param {Object} options - Options
+ * @param {Object[]} options.trustedKeys - Public JWKs or fingerprints of trusted issuers
+ * @returns {Promise<Object>} { valid, signatureValid, trusted, keyId, referenceId, issuedAt, files, errors };
+ *   a malformed package is reported with valid false, never thrown
+ */
+export async function verifyProposalPackage(pkg, options = {}) {
+  const invalid = problems => ({
+    valid: false, signatureValid: false, trusted: false, keyId: null,
+    referenceId: null, issuedAt: null, files: [], errors: problems
+  });
+
+  let data;
+  try {
+    data = typeof pkg === 'string' ? JSON.parse(pkg) : pkg;
+  } catch (error) {
+    return invalid([`Package is not JSON: ${error.message}`]);
+  }
+  if (!isObject(data) || data.format !== PACKAGE_FORMAT) {
+    return invalid(['Not a proposal package']);
+  }
+  const problems = shapeProblems(data);
+  if (problems.length) return invalid(problems);
+
+  const errors = [];
+  if (data.version > PACKAGE_VERSION) {
+    errors.push(`Package version ${data.version} is newer than supported (${PACKAGE_VERSION})`);
+  }
+
+  const { manifest, signature } = data;
+
+  // 1. Content hashes against the manifest
+  const files = [];
+  for (const entry of manifest.files) {
+    const text = data.files[entry.name];
+    const actual = typeof text === 'string' ? await sha256Hex(text) : null;
+    const ok = actual === entry.sha256;
+    files.push({ name: entry.name, expected: entry.sha256, actual, ok });
+    if (actual === null) errors.push(`${entry.name} is missing`);
+    else if (!ok) errors.push(`${entry.name} was modified after signing`);
+  }
+  Object.keys(data.files)
+    .filter(name => !manifest.files.some(entry => entry.name === name))
+    .forEach(name => errors.push(`${name} is not listed in the manifest`));
+
+  // 2. Signature over the manifest
+  let signatureValid = false;
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    errors.push(`Unsupported signature algorithm "${signature.algorithm}"`);
+  } else {
+    try {
+      const key = await globalThis.crypto.subtle.importKey('jwk', signature.publicKey, KEY_PARAMS, false, ['verify']);
+      signatureValid = await globalThis.crypto.subtle.verify(
+        SIGN_PARAMS,
+        key,
+        fromBase64(signature.value),
+        new TextEncoder().encode(canonicalJSON(manifest))
+      );
+      if (!signatureValid) errors.push('Manifest signature is invalid (manifest altered or wrong key)');
+    } catch (error) {
+      errors.push(`Signature could not be checked: ${error.message}`);
+    }
+  }
+
+  const keyId = await keyFingerprint(signature.publicKey);
+  if (manifest.keyId !== keyId) errors.push('Manifest key id does not match the signing key');
+
+  // 3. Issuer trust (null when the caller supplied no trusted keys)
+  let trusted = null;
+  if (options.trustedKeys?.length) {
+    const fingerprints = await Promise.all(options.trustedKeys.map(key =>
+      (typeof key === 'string' ? key : keyFingerprint(key))));
+    trusted = fingerprints.includes(keyId);
+    if (!trusted) errors.push(`Signing key ${keyId} is not a trusted issuer key`);
+  }
+
+  return {
+    valid: errors.length === 0 && signatureValid,
+    signatureValid,
+    trusted,
+    keyId,
+    referenceId: manifest.referenceId,
+    issuedAt: manifest.issuedAt,
+    files,
+    errors
+  };
+}
+
+export default {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  SIGNATURE_ALGORITHM,
+  PACKAGE_FILES,
+  keyFingerprint,
+  generateSigningKey,
+  packageContents,
+  contentHashes,
+  createProposalPackage,
+  verifyProposalPackage
+};
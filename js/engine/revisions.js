@@ -0,0 +1,331 @@
+/**
+ * revisions.js - Proposal revisions under a stable reference
+ *
+ * Every generated proposal is stored as a numbered revision of its
+ * tender reference (spec.reference, e.g. "E4924A"). A revision keeps a
+ * compact snapshot — specification, chosen chain and headline figures in
+ * the cost-book currency — so any two revisions can be compared without
+ * re-running the engine. Persistence goes through a localStorage-style
+ * storage object, as for the decision ledger.
+ */
+
+import { createMemoryStorage } from './ledger.js';
+
+export const STORE_FORMAT = 'membracon-proposals';
+export const STORE_VERSION = 1;
+
+const DEFAULT_STORAGE_KEY = 'membracon.proposals';
+
+// Headline figures compared between revisions, in report order
+export const REVISION_FIGURES = [
+  { key: 'price', label: 'Recommended price', kind: 'money' },
+  { key: 'margin', label: 'Margin', kind: 'percent' },
+  { key: 'capex', label: 'CapEx', kind: 'money' },
+  { key: 'opex', label: 'Annual OpEx', kind: 'money' },
+  { key: 'npv', label: 'Lifecycle NPV', kind: 'money' },
+  { key: 'lcow', label: 'LCOW (per m³)', kind: 'rate' },
+  { key: 'esgScore', label: 'ESG score', kind: 'score' },
+  { key: 'waterScore', label: 'Water score', kind: 'score' },
+  { key: 'carbonScore', label: 'Carbon score', kind: 'score' },
+  { key: 'energyScore', label: 'Energy score', kind: 'score' },
+  { key: 'confidence', label: 'Confidence', kind: 'percent' }
+];
+
+// Specification fields that identify rather than describe the request
+const IGNORED_SPEC_PATHS = ['reference'];
+
+/**
+ * Snapshot of a generated proposal for the revision store
+ * @param {CustomerSpec} spec - Specification
+ * @param {Object} solution - Selected solution
+ * @param {PricingModel} pricing - Pricing model
+ * @returns {Object} Snapshot
+ */
+export function snapshotProposal(spec, solution, pricing) {
+  const optimal = pricing.findOptimalPrice();
+  return {
+    spec: JSON.parse(JSON.stringify(spec)),
+    currency: pricing.baseCurrency,
+    chain: { name: solution.name, techs: [...solution.techs] },
+    figures: {
+      price: optimal.price,
+      margin: optimal.margin,
+      capex: solution.capex,
+      opex: solution.opex,
+      npv: solution.npv,
+      lcow: solution.lcow,
+      esgScore: solution.esgScore,
+      waterScore: solution.esgMetrics.waterScore,
+      carbonScore: solution.esgMetrics.carbonScore,
+      energyScore: solution.esgMetrics.energyScore,
+      confidence: solution.confidence
+    }
+  };
+}
+
+/**
+ * Flatten nested values into dotted paths
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Compare two revisions of one proposal
+ * @param {Object} before - Earlier revision record
+ * @param {Object} after - Later revision record
+ * @returns {Object} { reference, from, to, spec, chain, figures, currencyChanged }
+ */
+export function diffRevisions(before, after) {
+  const a = flatten(before.snapshot.spec);
+  const b = flatten(after.snapshot.spec);
+
+  const spec = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(path => !IGNORED_SPEC_PATHS.includes(path))
+    .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .sort()
+    .map(path => ({ path, before: a[path] ?? null, after: b[path] ?? null }));
+
+  const chainA = before.snapshot.chain;
+  const chainB = after.snapshot.chain;
+  const chain = {
+    before: chainA.name,
+    after: chainB.name,
+    changed: chainA.name !== chainB.name,
+    added: chainB.techs.filter(t => !chainA.techs.includes(t)),
+    removed: chainA.techs.filter(t => !chainB.techs.includes(t))
+  };
+
+  const figures = REVISION_FIGURES.map(({ key, label, kind }) => {
+    const from = before.snapshot.figures[key];
+    const to = after.snapshot.figures[key];
+    const delta = to - from;
+    return {
+      key,
+      label,
+      kind,
+      before: from,
+      after: to,
+      delta,
+      relative: from ? delta / Math.abs(from) : null
+    };
+  });
+
+  return {
+    reference: after.reference,
+    from: before.revision,
+    to: after.revision,
+    spec,
+    chain,
+    figures,
+    currencyChanged: before.snapshot.currency !== after.snapshot.currency
+  };
+}
+
+/**
+ * Whether a diff contains any change worth reporting
+ */
+export function hasChanges(diff) {
+  return diff.spec.length > 0 || diff.chain.changed || diff.figures.some(f => Math.abs(f.delta) > 1e-9);
+}
+
+/**
+ * Render a diff as a side-by-side HTML change summary
+ * @param {Object} diff - diffRevisions() result
+ * @param {Object} formatters - { money, rate, percent } value formatters
+ * @returns {string} HTML fragment
+ */
+export function renderChangeSummary(diff, formatters) {
+  const escape = text => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+  const plain = value => (value === null || value === undefined ? '—' : escape(Array.isArray(value) ? value.join(', ') : value));
+  const show = (kind, value) => {
+    if (value === null || value === undefined) return '—';
+    if (kind === 'money') return formatters.money(value);
+    if (kind === 'rate') return formatters.rate(value);
+    if (kind === 'percent') return formatters.percent(value);
+    return String(Math.round(value));
+  };
+  const change = figure => {
+    if (Math.abs(figure.delta) < 1e-9) return 'unchanged';
+    const sign = figure.delta > 0 ? '+' : '−';
+    const amount = figure.kind === 'percent'
+      ? `${(Math.abs(figure.delta) * 100).toFixed(1)} pts`
+      : figure.kind === 'score' ? `${Math.round(Math.abs(figure.delta))} pts` : show(figure.kind, Math.abs(figure.delta));
+    const relative = figure.relative !== null && figure.kind !== 'percent' && figure.kind !== 'score'
+      ? ` (${sign}${(Math.abs(figure.relative) * 100).toFixed(1)}%)`
+      : '';
+    return `${sign}${amount}${relative}`;
+  };
+
+  const chainNote = diff.chain.changed
+    ? `Treatment train changed from <strong>${escape(diff.chain.before)}</strong> to <strong>${escape(diff.chain.after)}</strong>` +
+      (diff.chain.added.length ? `; added ${escape(diff.chain.added.join(', '))}` : '') +
+      (diff.chain.removed.length ? `; removed ${escape(diff.chain.removed.join(', '))}` : '') + '.'
+    : `Treatment train unchanged (<strong>${escape(diff.chain.after)}</strong>).`;
+
+  return `
+  <h2>Changes since Revision ${diff.from}</h2>
+  <p>${chainNote}${diff.currencyChanged ? ' The cost-book currency differs between the revisions.' : ''}</p>
+  <table>
+    <tr>
+      <th>Item</th>
+      <th>Revision ${diff.from}</th>
+      <th>Revision ${diff.to}</th>
+      <th>Change</th>
+    </tr>
+    ${diff.figures.map(figure => `
+    <tr${Math.abs(figure.delta) > 1e-9 ? ' class="highlight"' : ''}>
+      <td>${escape(figure.label)}</td>
+      <td>${show(figure.kind, figure.before)}</td>
+      <td>${show(figure.kind, figure.after)}</td>
+      <td>${change(figure)}</td>
+    </tr>`).join('')}
+  </table>
+  ${diff.spec.length ? `
+  <table>
+    <tr>
+      <th>Specification</th>
+      <th>Revision ${diff.from}</th>
+      <th>Revision ${diff.to}</th>
+    </tr>
+    ${diff.spec.map(item => `
+    <tr>
+      <td>${escape(item.path)}</td>
+      <td>${plain(item.before)}</td>
+      <td>${plain(item.after)}</td>
+    </tr>`).join('')}
+  </table>` : '<p>No specification changes.</p>'}`;
+}
+
+/**
+ * Revision store keyed by proposal reference
+ */
+export class ProposalStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.storage - localStorage-compatible storage (default: localStorage, else memory)
+   * @param {string} options.key - Storage key
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || globalThis.localStorage || createMemoryStorage();
+    this.key = options.key || DEFAULT_STORAGE_KEY;
+    this.proposals = {};
+    this.load();
+  }
+
+  /**
+   * Load persisted revisions
+   */
+  load() {
+    const raw = this.storage.getItem(this.key);
+    if (!raw) return;
+
+    const data = JSON.parse(raw);
+    if (data.format !== STORE_FORMAT || typeof data.proposals !== 'object') {
+      throw new Error('Not a proposal revision store');
+    }
+    this.proposals = data.proposals;
+  }
+
+  /**
+   * Persist revisions
+   */
+  save() {
+    this.storage.setItem(this.key, JSON.stringify({
+      format: STORE_FORMAT,
+      version: STORE_VERSION,
+      proposals: this.proposals
+    }, null, 2));
+  }
+
+  /**
+   * All references with their revision counts
+   * @returns {Object[]} { reference, revisions, latest }
+   */
+  list() {
+    return Object.keys(this.proposals).sort().map(reference => {
+      const revisions = this.proposals[reference];
+      return { reference, revisions: revisions.length, latest: revisions[revisions.length - 1] };
+    });
+  }
+
+  /**
+   * Revisions of one proposal, oldest first
+   * @param {string} reference - Proposal reference
+   * @returns {Object[]} Revision records
+   */
+  getRevisions(reference) {
+    return this.proposals[reference] || [];
+  }
+
+  /**
+   * One revision (latest when no number is given)
+   * @param {string} reference - Proposal reference
+   * @param {number} revision - Revision number
+   * @returns {Object|null} Revision record
+   */
+  getRevision(reference, revision) {
+    const revisions = this.getRevisions(reference);
+    if (revision === undefined) return revisions[revisions.length - 1] || null;
+    return revisions.find(r => r.revision === revision) || null;
+  }
+
+  /**
+   * Number the next revision of a proposal will get
+   */
+  nextRevision(reference) {
+    return this.getRevisions(reference).length + 1;
+  }
+
+  /**
+   * Store a new revision
+   * @param {string} reference - Proposal reference
+   * @param {Object} snapshot - snapshotProposal() result
+   * @param {Object} details - Extra record fields (e.g. referenceId, ledger hash)
+   * @returns {Object} Revision record
+   */
+  add(reference, snapshot, details = {}) {
+    const record = {
+      reference,
+      revision: this.nextRevision(reference),
+      createdAt: new Date().toISOString(),
+      ...details,
+      snapshot
+    };
+    this.proposals[reference] = [...this.getRevisions(reference), record];
+    this.save();
+    return record;
+  }
+
+  /**
+   * Diff two stored revisions
+   * @param {string} reference - Proposal reference
+   * @param {number} from - Earlier revision
+   * @param {number} to - Later revision (default: latest)
+   * @returns {Object} diffRevisions() result
+   */
+  diff(reference, from, to) {
+    const before = this.getRevision(reference, from);
+    const after = this.getRevision(reference, to);
+    if (!before || !after) {
+      throw new Error(`Proposal ${reference} has no revision ${before ? to : from}`);
+    }
+    return diffRevisions(before, after);
+  }
+}
+
+export default {
+  STORE_FORMAT,
+  STORE_VERSION,
+  REVISION_FIGURES,
+  snapshotProposal,
+  diffRevisions,
+  hasChanges,
+  renderChangeSummary,
+  ProposalStore
+};
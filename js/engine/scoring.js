@@ -0,0 +1,278 @@
+/**
+ * scoring.js - Shared costing and scoring for the proposal engine and simulator
+ *
+ * Every CAPEX, OPEX, ESG, confidence and win-probability figure shown in
+ * the simulator panel or printed in a proposal comes from this module, so
+ * one case always produces one set of numbers. Functions take a
+ * CustomerSpec (see CustomerSpec.fromSimulatorInputs for the simulator)
+ * and a chain performance object from calculateChainPerformance(); rates
+ * and unit prices come from the spec's cost book (see cost-book.js).
+ */
+
+import { INDUSTRY_PRESETS } from '../data/technologies.js';
+import { CONFIG } from './engine-config.js';
+import { getWinModel, predictWin } from './win-model.js';
+
+// Specific energy of a conventional plant used as the ESG baseline
+export const BASELINE_SPECIFIC_ENERGY = 4.5; // kWh/m³
+
+/**
+ * Calculate CapEx
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @returns {number} CapEx (£)
+ */
+export function calculateCapex(spec, perf) {
+  const { rates } = spec.getCostBook();
+  let capex = spec.flowRate * rates.baseEquipmentCost * perf.capexFactor;
+
+  // Installation factor
+  capex *= spec.constraints.containerized
+    ? rates.installationFactor.containerized
+    : rates.installationFactor.standard;
+
+  // Add optional modules
+  if (spec.optionalModules.includes('UV') && !perf.techs.includes('UV')) {
+    capex += spec.flowRate * rates.optionalModuleCost.UV;
+  }
+
+  return Math.round(capex);
+}
+
+/**
+ * Calculate annual OpEx
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @returns {Object} OpEx breakdown and total (£/year)
+ */
+export function calculateOpex(spec, perf) {
+  const { rates } = spec.getCostBook();
+  const annualVolume = spec.getAnnualVolume();
+  const annualProduct = annualVolume * perf.recovery;
+
+  // Energy cost (specific energy is per m³ of product)
+  const energy = perf.energy * annualProduct * rates.electricityRate;
+
+  // Chemical cost
+  const chemicals = perf.chemicals * annualVolume * rates.chemicalPriceIndex;
+
+  // Maintenance (% of theoretical CapEx)
+  const maintenance = spec.flowRate * rates.baseEquipmentCost * perf.capexFactor * perf.maintenance;
+
+  // Labor (estimated hours)
+  const labor = rates.laborHoursPerYear * rates.laborCostPerHour;
+
+  const total = Math.round(energy + chemicals + maintenance + labor);
+
+  return {
+    energy,
+    chemicals,
+    maintenance,
+    labor,
+    total,
+    perCubicMeter: annualProduct > 0 ? total / annualProduct : 0
+  };
+}
+
+/**
+ * Calculate installed footprint
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @returns {number} Footprint (m²)
+ */
+export function calculateFootprint(spec, perf) {
+  return perf.footprint * spec.flowRate * 0.5;
+}
+
+/**
+ * Calculate energy and carbon
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @returns {Object} Energy metrics
+ */
+export function calculateEnergy(spec, perf) {
+  const { rates } = spec.getCostBook();
+  const totalPower = perf.power ?? perf.energy * spec.flowRate * perf.recovery; // kW
+  const annualEnergy = totalPower * spec.operatingHours; // kWh/year
+
+  return {
+    specificEnergy: perf.energy, // kWh/m³ product
+    totalPower,
+    annualEnergy,
+    carbonFactor: rates.gridCarbonFactor,
+    annualCarbon: annualEnergy * rates.gridCarbonFactor / 1000 // tonnes CO2/year
+  };
+}
+
+/**
+ * Calculate ESG metrics
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @returns {Object} ESG metrics with 0-100 scores
+ */
+export function calculateEsgMetrics(spec, perf) {
+  const { gridCarbonFactor } = spec.getCostBook().rates;
+  const annualProduct = spec.getAnnualVolume() * perf.recovery;
+
+  // Water recovery score (higher is better)
+  const waterRecovery = perf.recovery;
+  const waterScore = waterRecovery * 100;
+
+  // Carbon footprint (lower is better)
+  const annualEnergy = perf.energy * annualProduct;
+  const annualCarbonKg = annualEnergy * gridCarbonFactor;
+  const annualCarbonTonnes = annualCarbonKg / 1000;
+
+  // Baseline comparison
+  const baselineEnergy = BASELINE_SPECIFIC_ENERGY * annualProduct;
+  const baselineCarbonTonnes = (baselineEnergy * gridCarbonFactor) / 1000;
+  const carbonReduction = 1 - (annualCarbonTonnes / baselineCarbonTonnes);
+  const carbonScore = carbonReduction * 100;
+
+  // Energy efficiency score
+  const energyEfficiency = 1 - (perf.energy / BASELINE_SPECIFIC_ENERGY);
+  const energyScore = Math.max(0, energyEfficiency * 100);
+
+  // Composite ESG score
+  const composite =
+    waterScore * spec.esgPriorities.water +
+    carbonScore * spec.esgPriorities.carbon +
+    energyScore * spec.esgPriorities.energy;
+
+  return {
+    waterRecovery,
+    waterScore: Math.round(waterScore),
+    annualCarbonTonnes: Math.round(annualCarbonTonnes),
+    carbonReduction,
+    carbonScore: Math.round(carbonScore),
+    specificEnergy: perf.energy,
+    energyScore: Math.round(energyScore),
+    composite: Math.round(composite),
+    rating: composite >= 80 ? 'Excellent' :
+            composite >= 60 ? 'Good' :
+            composite >= 40 ? 'Moderate' : 'Needs Improvement'
+  };
+}
+
+/**
+ * Calculate solution confidence
+ * @param {CustomerSpec} spec - Customer specification
+ * @param {Object} perf - Chain performance
+ * @param {string} chainName - Chain display name (for sector presets)
+ * @returns {Object} Confidence (0-1) with contributing factors and routing decision
+ */
+export function calculateConfidence(spec, perf, chainName) {
+  const requiredRemoval = spec.getRequiredRemoval();
+  const base = 0.7;
+
+  // Sector match bonus
+  const sectorPreset = INDUSTRY_PRESETS[spec.sector];
+  const sectorMatch = sectorPreset && sectorPreset.preferredChains.includes(chainName) ? 0.15 : 0;
+
+  // Margin safety (how much the solution exceeds requirements)
+  const tdsMargin = requiredRemoval.tds > 0
+    ? (perf.tdsRemoval - requiredRemoval.tds) / requiredRemoval.tds
+    : 1;
+  const marginSafety = Math.min(0.1, tdsMargin * 0.5);
+
+  // Proven technology bonus
+  const provenTechnology = perf.techs.every(t => ['UF', 'RO', 'MBR'].includes(t)) ? 0.05 : 0;
+
+  const score = Math.max(0, Math.min(0.95, base + sectorMatch + marginSafety + provenTechnology));
+
+  return {
+    score,
+    factors: { base, sectorMatch, marginSafety, provenTechnology },
+    decision: score >= CONFIG.autoApproveThreshold ? 'Auto-approve recommended' :
+              score >= CONFIG.manualReviewThreshold ? 'Human review recommended' :
+              'Manual override required',
+    level: score >= CONFIG.autoApproveThreshold ? 'high' :
+           score >= CONFIG.manualReviewThreshold ? 'medium' : 'low'
+  };
+}
+
+/**
+ * Calculate multi-objective score
+ * @param {number} capex - CapEx (£)
+ * @param {number} opex - Annual OpEx (£)
+ * @param {number} esgComposite - ESG composite (0-100)
+ * @param {number} confidence - Confidence (0-1)
+ * @returns {number} Weighted score (higher is better)
+ */
+export function calculateScore(capex, opex, esgComposite, confidence) {
+  // Normalize costs (lower is better)
+  const maxCapex = 3000000;
+  const maxOpex = 500000;
+
+  const costScore = 1 - ((capex / maxCapex + opex / maxOpex) / 2);
+  const esgScore = esgComposite / 100;
+
+  // Weighted combination
+  return (costScore * 0.4 + esgScore * 0.35 + confidence * 0.25);
+}
+
+/**
+ * Calculate win probability based on price, using the trained win model
+ * @param {number} price - Quoted price (£)
+ * @param {number} cost - CapEx cost basis (£)
+ * @param {number} confidence - Solution confidence (0-1), the model's tech-fit feature
+ * @param {number} esgComposite - ESG composite (0-100)
+ * @param {string} sector - Customer sector (for the sector offset)
+ * @returns {Object} { z, probability, factors, sectorOffset, model }
+ */
+export function calculateWinProbability(price, cost, confidence, esgComposite, sector) {
+  const model = getWinModel();
+  const prediction = predictWin({
+    sector,
+    priceRatio: price / cost,
+    techFit: confidence,
+    esgScore: esgComposite
+  }, model);
+
+  return { ...prediction, model };
+}
+
+/**
+ * Find the price that maximizes expected margin (win probability × margin)
+ * @param {number} cost - CapEx cost basis (£)
+ * @param {number} confidence - Solution confidence (0-1)
+ * @param {number} esgComposite - ESG composite (0-100)
+ * @param {string} sector - Customer sector
+ * @returns {Object} { price, margin, winProbability, expectedValue, modelVersion }
+ */
+export function findOptimalPrice(cost, confidence, esgComposite, sector) {
+  let bestPrice = cost * 1.1;
+  let bestExpectedValue = 0;
+
+  for (let margin = CONFIG.minMargin; margin <= CONFIG.maxMargin + 1e-9; margin += 0.01) {
+    const price = Math.round(cost * (1 + margin));
+    const winProb = calculateWinProbability(price, cost, confidence, esgComposite, sector).probability;
+    const expectedValue = winProb * (price - cost);
+
+    if (expectedValue > bestExpectedValue) {
+      bestExpectedValue = expectedValue;
+      bestPrice = price;
+    }
+  }
+
+  return {
+    price: bestPrice,
+    margin: (bestPrice / cost) - 1,
+    winProbability: calculateWinProbability(bestPrice, cost, confidence, esgComposite, sector).probability,
+    expectedValue: bestExpectedValue,
+    modelVersion: getWinModel().version
+  };
+}
+
+export default {
+  BASELINE_SPECIFIC_ENERGY,
+  calculateCapex,
+  calculateOpex,
+  calculateFootprint,
+  calculateEnergy,
+  calculateEsgMetrics,
+  calculateConfidence,
+  calculateScore,
+  calculateWinProbability,
+  findOptimalPrice
+};
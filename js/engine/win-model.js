@@ -0,0 +1,329 @@
+/**
+ * win-model.js - Logistic win-probability model and its training routine
+ *
+ * P(win) = 1 / (1 + e^-z), z = intercept + Σ coefficient × feature + sector offset
+ *
+ * Features are centred so the intercept describes a typical bid:
+ *   markup   price ratio − 1 (quoted price / cost basis)
+ *   techFit  solution confidence at bid time − 0.7
+ *   esg      ESG composite / 100 − 0.7
+ *
+ * Coefficients are fitted from past bids by L2-regularized logistic
+ * regression (Newton–Raphson) and stored as versioned entries in
+ * data/win-models.js; pricing uses the latest entry.
+ */
+
+import { WIN_MODELS } from '../data/win-models.js';
+
+export const WIN_FEATURES = ['markup', 'techFit', 'esg'];
+
+// Column names accepted in bid-history files (compared lower-case, without separators)
+const HISTORY_COLUMNS = {
+  sector: ['sector'],
+  priceRatio: ['priceratio', 'price_ratio', 'markupratio'],
+  techFit: ['techfit', 'tech_fit', 'confidence'],
+  esgScore: ['esgscore', 'esg_score', 'esg'],
+  outcome: ['outcome', 'won', 'result']
+};
+
+const WON = ['won', 'win', '1', 'true', 'yes'];
+const LOST = ['lost', 'loss', '0', 'false', 'no'];
+
+/**
+ * Get a stored model (latest when no version is given)
+ * @param {string} version - Model version
+ * @returns {Object} Model
+ */
+export function getWinModel(version) {
+  if (!version) return WIN_MODELS[WIN_MODELS.length - 1];
+  const model = WIN_MODELS.find(m => m.version === version);
+  if (!model) throw new Error(`Unknown win model "${version}"`);
+  return model;
+}
+
+/**
+ * Centred model features for one bid
+ * @param {Object} bid - { priceRatio, techFit (0-1), esgScore (0-100) }
+ * @returns {Object} Feature values keyed by WIN_FEATURES
+ */
+export function winFeatures({ priceRatio, techFit, esgScore }) {
+  return {
+    markup: priceRatio - 1,
+    techFit: techFit - 0.7,
+    esg: esgScore / 100 - 0.7
+  };
+}
+
+/**
+ * Predict the win probability of a bid
+ * @param {Object} bid - { sector, priceRatio, techFit, esgScore }
+ * @param {Object} model - Model (default: latest)
+ * @returns {Object} { z, probability, factors, sectorOffset }
+ */
+export function predictWin(bid, model = getWinModel()) {
+  const factors = winFeatures(bid);
+  const sectorOffset = model.sectorOffsets?.[bid.sector] ?? 0;
+
+  const z = WIN_FEATURES.reduce(
+    (sum, key) => sum + model.coefficients[key] * factors[key],
+    model.intercept + sectorOffset
+  );
+
+  return {
+    z,
+    probability: 1 / (1 + Math.exp(-z)),
+    factors,
+    sectorOffset
+  };
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Normalize one raw history row into a training record
+ */
+function toRecord(row, label) {
+  const lookup = {};
+  Object.entries(row).forEach(([key, value]) => {
+    lookup[key.toLowerCase().replace(/[\s-]/g, '')] = value;
+  });
+
+  const pick = field => {
+    const key = HISTORY_COLUMNS[field].find(name => lookup[name] !== undefined && lookup[name] !== '');
+    return key === undefined ? undefined : lookup[key];
+  };
+
+  const record = {
+    sector: pick('sector') !== undefined ? String(pick('sector')) : null,
+    priceRatio: Number(pick('priceRatio')),
+    techFit: Number(pick('techFit')),
+    esgScore: Number(pick('esgScore'))
+  };
+
+  ['priceRatio', 'techFit', 'esgScore'].forEach(field => {
+    if (!Number.isFinite(record[field])) throw new Error(`${label}: missing or non-numeric ${field}`);
+  });
+
+  const outcome = String(pick('outcome') ?? '').toLowerCase();
+  if (WON.includes(outcome)) {
+    record.won = 1;
+  } else if (LOST.includes(outcome)) {
+    record.won = 0;
+  } else {
+    throw new Error(`${label}: outcome must be won/lost (got "${outcome}")`);
+  }
+
+  return record;
+}
+
+/**
+ * Parse a bid-history file
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object[]} Records { sector, priceRatio, techFit, esgScore, won }
+ */
+export function parseBidHistory(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.bids;
+    if (!Array.isArray(rows)) throw new Error('JSON bid history must be an array or { "bids": [...] }');
+    return rows.map((row, i) => toRecord(row, `bid ${i + 1}`));
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length < 2) throw new Error('CSV bid history needs a header and at least one row');
+
+  const header = splitCsvLine(lines[0]);
+  return lines.slice(1).map((line, i) => {
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((name, j) => [name, values[j]]));
+    return toRecord(row, `line ${i + 2}`);
+  });
+}
+
+/**
+ * Solve a small dense linear system (Gaussian elimination, partial pivoting)
+ */
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) throw new Error('Training data is degenerate (singular Hessian)');
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Fit the logistic model to past bids
+ * @param {Object[]} records - Training records (see parseBidHistory)
+ * @param {Object} options - Training options
+ * @param {number} options.l2 - Ridge penalty on coefficients and sector offsets (default 0.1)
+ * @param {number} options.minSectorBids - Bids needed before a sector gets its own offset (default 5)
+ * @param {number} options.maxIterations - Newton iterations (default 50)
+ * @returns {Object} { intercept, coefficients, sectorOffsets, iterations }
+ */
+export function trainWinModel(records, options = {}) {
+  const { l2 = 0.1, minSectorBids = 5, maxIterations = 50 } = options;
+
+  if (records.length < WIN_FEATURES.length + 2) {
+    throw new Error(`At least ${WIN_FEATURES.length + 2} bids are needed to train the model`);
+  }
+  const wins = records.filter(r => r.won).length;
+  if (wins === 0 || wins === records.length) {
+    throw new Error('Bid history must contain both won and lost bids');
+  }
+
+  const sectorCounts = {};
+  records.forEach(r => {
+    if (r.sector) sectorCounts[r.sector] = (sectorCounts[r.sector] || 0) + 1;
+  });
+  const sectors = Object.keys(sectorCounts).filter(s => sectorCounts[s] >= minSectorBids).sort();
+
+  // Design matrix: intercept, features, sector indicators
+  const rows = records.map(r => {
+    const f = winFeatures(r);
+    return [1, ...WIN_FEATURES.map(key => f[key]), ...sectors.map(s => (r.sector === s ? 1 : 0))];
+  });
+  const size = rows[0].length;
+  let beta = new Array(size).fill(0);
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    const gradient = new Array(size).fill(0);
+    const hessian = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    rows.forEach((x, i) => {
+      const z = x.reduce((sum, v, j) => sum + v * beta[j], 0);
+      const p = 1 / (1 + Math.exp(-z));
+      const w = p * (1 - p);
+      for (let j = 0; j < size; j++) {
+        gradient[j] += (records[i].won - p) * x[j];
+        for (let k = 0; k < size; k++) hessian[j][k] += w * x[j] * x[k];
+      }
+    });
+
+    // Penalize everything except the intercept
+    for (let j = 1; j < size; j++) {
+      gradient[j] -= l2 * beta[j];
+      hessian[j][j] += l2;
+    }
+
+    const step = solveLinear(hessian, gradient);
+    beta = beta.map((b, j) => b + step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) {
+      iterations++;
+      break;
+    }
+  }
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return {
+    intercept: round(beta[0]),
+    coefficients: Object.fromEntries(WIN_FEATURES.map((key, j) => [key, round(beta[j + 1])])),
+    sectorOffsets: Object.fromEntries(sectors.map((s, j) => [s, round(beta[j + 1 + WIN_FEATURES.length])])),
+    iterations
+  };
+}
+
+/**
+ * Calibration of a model against outcomes
+ * @param {Object} model - Model to evaluate
+ * @param {Object[]} records - Bids with outcomes
+ * @param {number} bins - Reliability-table bins, an integer ≥ 1 (default 10)
+ * @returns {Object} { samples, winRate, brierScore, logLoss, reliability }
+ */
+export function calibrationReport(model, records, bins = 10) {
+  if (!Number.isInteger(bins) || bins < 1) throw new Error(`Reliability bins must be an integer ≥ 1 (got ${bins})`);
+  const predictions = records.map(r => predictWin(r, model).probability);
+  const clamp = p => Math.min(1 - 1e-12, Math.max(1e-12, p));
+
+  const brierScore = predictions.reduce((sum, p, i) => sum + (p - records[i].won) ** 2, 0) / records.length;
+  const logLoss = -predictions.reduce((sum, p, i) =>
+    sum + (records[i].won ? Math.log(clamp(p)) : Math.log(1 - clamp(p))), 0) / records.length;
+
+  const reliability = Array.from({ length: bins }, (_, b) => ({
+    lower: b / bins,
+    upper: (b + 1) / bins,
+    count: 0,
+    meanPredicted: null,
+    observedRate: null
+  }));
+  predictions.forEach((p, i) => {
+    const bin = reliability[Math.min(bins - 1, Math.floor(p * bins))];
+    bin.count++;
+    bin.meanPredicted = (bin.meanPredicted || 0) + p;
+    bin.observedRate = (bin.observedRate || 0) + records[i].won;
+  });
+  reliability.forEach(bin => {
+    if (bin.count === 0) return;
+    bin.meanPredicted /= bin.count;
+    bin.observedRate /= bin.count;
+  });
+
+  return {
+    samples: records.length,
+    winRate: records.reduce((sum, r) => sum + r.won, 0) / records.length,
+    brierScore,
+    logLoss,
+    reliability
+  };
+}
+
+export default {
+  WIN_FEATURES,
+  getWinModel,
+  winFeatures,
+  predictWin,
+  parseBidHistory,
+  trainWinModel,
+  calibrationReport
+};
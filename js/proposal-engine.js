@@ -2,131 +2,37 @@
  * proposal-engine.js - Core logic for the WaterLogic Proposal System
  *
  * This module implements:
- * - Input specification handling
+ * - Input specification handling (engine/customer-spec.js)
  * - Solution design & recommendation
- * - Pricing intelligence (CapEx & OpEx)
+ * - Pricing intelligence (CapEx & OpEx, via engine/scoring.js)
  * - ESG optimization
  * - Proposal generation
  */
 
-import { TECHNOLOGIES, TECH_CHAINS, INDUSTRY_PRESETS, calculateChainPerformance } from './data/technologies.js';
-
-// ============================================================================
-// CONFIGURATION & CONSTANTS
-// ============================================================================
-
-export const CONFIG = {
-  // Pricing defaults
-  electricityRate: 0.15, // £/kWh
-  laborCostPerHour: 45,  // £/hour
-  discountRate: 0.08,    // 8% for NPV calculations
-  projectLifespan: 10,   // years
-
-  // Margin settings
-  defaultMargin: 0.20,
-  minMargin: 0.10,
-  maxMargin: 0.40,
-
-  // Confidence thresholds
-  autoApproveThreshold: 0.80,
-  manualReviewThreshold: 0.50,
-
-  // ESG weights defaults
-  defaultEsgWeights: {
-    water: 0.40,
-    carbon: 0.35,
-    energy: 0.25
-  },
-
-  // Grid carbon factor (UK average)
-  gridCarbonFactor: 0.233 // kgCO2/kWh
-};
-
-// ============================================================================
-// INPUT SPECIFICATION HANDLING
-// ============================================================================
-
-/**
- * Customer specification structure
- */
-export class CustomerSpec {
-  constructor(data = {}) {
-    this.sector = data.sector || 'pharmaceutical';
-    this.flowRate = data.flowRate || 100; // m³/h
-    this.operatingHours = data.operatingHours || 8000; // hours/year
-
-    this.feedWater = {
-      tds: data.feedWater?.tds || 1500,  // mg/L
-      tss: data.feedWater?.tss || 50,    // mg/L
-      bod: data.feedWater?.bod || 120,   // mg/L
-      cod: data.feedWater?.cod || 200,   // mg/L
-      ph: data.feedWater?.ph || 7.2
-    };
-
-    this.targetQuality = {
-      tds: data.targetQuality?.tds || 10,
-      tss: data.targetQuality?.tss || 0.1,
-      bod: data.targetQuality?.bod || 1,
-      cod: data.targetQuality?.cod || 5
-    };
-
-    this.constraints = {
-      maxFootprint: data.constraints?.maxFootprint || null,  // m²
-      maxPower: data.constraints?.maxPower || null,          // kW
-      maxCapex: data.constraints?.maxCapex || null,          // £
-      containerized: data.constraints?.containerized || false,
-      allowedChemicals: data.constraints?.allowedChemicals || ['all']
-    };
-
-    this.optionalModules = data.optionalModules || ['UV', 'chemicalDosing'];
-
-    this.esgPriorities = {
-      water: data.esgPriorities?.water || 0.40,
-      carbon: data.esgPriorities?.carbon || 0.35,
-      energy: data.esgPriorities?.energy || 0.25
-    };
-
-    this.vendorPreferences = {
-      include: data.vendorPreferences?.include || [],
-      exclude: data.vendorPreferences?.exclude || []
-    };
-  }
-
-  /**
-   * Calculate required removal rates
-   */
-  getRequiredRemoval() {
-    return {
-      tds: 1 - (this.targetQuality.tds / this.feedWater.tds),
-      tss: 1 - (this.targetQuality.tss / this.feedWater.tss),
-      bod: 1 - (this.targetQuality.bod / this.feedWater.bod),
-      cod: 1 - (this.targetQuality.cod / this.feedWater.cod)
-    };
-  }
-
-  /**
-   * Get annual water volume
-   */
-  getAnnualVolume() {
-    return this.flowRate * this.operatingHours; // m³/year
-  }
-
-  /**
-   * Validate specification completeness
-   */
-  validate() {
-    const errors = [];
-
-    if (this.flowRate <= 0) errors.push('Flow rate must be positive');
-    if (this.feedWater.tds < this.targetQuality.tds) errors.push('Target TDS exceeds feed TDS');
-    if (this.feedWater.tss < this.targetQuality.tss) errors.push('Target TSS exceeds feed TSS');
-
-    return {
-      valid: errors.length === 0,
-      errors
-    };
-  }
-}
+import { TECHNOLOGIES, calculateChainPerformance } from './data/technologies.js';
+import { synthesizeChains } from './engine/chain-synthesis.js';
+import { paretoRank } from './engine/pareto.js';
+import { CONFIG } from './engine/engine-config.js';
+import { CustomerSpec } from './engine/customer-spec.js';
+import { describeCostBook } from './engine/cost-book.js';
+import { calculateLifecycle } from './engine/lifecycle.js';
+import { resolveFinancingTerms, structureFinancedContract } from './engine/financing.js';
+import { getRate, currencyLocale } from './engine/currency.js';
+import { assessApproval } from './engine/approval.js';
+import { snapshotProposal, diffRevisions, renderChangeSummary } from './engine/revisions.js';
+import { formatCurrency, formatDate } from './core/utils.js';
+import {
+  calculateCapex,
+  calculateOpex,
+  calculateFootprint,
+  calculateEsgMetrics,
+  calculateConfidence,
+  calculateScore,
+  calculateWinProbability,
+  findOptimalPrice
+} from './engine/scoring.js';
+
+export { CONFIG, CustomerSpec };
 
 // ============================================================================
 // SOLUTION DESIGN & RECOMMENDATION
@@ -146,21 +52,68 @@ export class SolutionEngine {
    * Generate all feasible solutions
    */
   generateSolutions() {
+    const costBook = this.spec.getCostBook();
+    this.logDecision(`Priced with cost book ${costBook.id}`,
+      `${costBook.region} rates in ${costBook.currency}, effective ${costBook.effectiveFrom}`);
+
     const feasibleChains = this.filterFeasibleChains();
     const solutions = feasibleChains.map(chain => this.evaluateSolution(chain));
 
-    // Sort by multi-objective score
-    solutions.sort((a, b) => b.score - a.score);
+    this.rankPareto(solutions);
+
+    // Non-dominated solutions first, then by multi-objective score
+    solutions.sort((a, b) => (a.pareto.rank - b.pareto.rank) || (b.score - a.score));
 
     return solutions;
   }
 
+  /**
+   * Attach Pareto rank and crowding distance across CAPEX, OPEX, ESG and risk
+   */
+  rankPareto(solutions) {
+    const points = solutions.map(solution => ({
+      capex: solution.capex,
+      opex: solution.opex,
+      esg: solution.esgScore,
+      risk: 1 - solution.confidence
+    }));
+    const { fronts, ranks } = paretoRank(points);
+
+    solutions.forEach((solution, i) => {
+      solution.pareto = { ...ranks[i], objectives: points[i] };
+    });
+
+    if (fronts.length) {
+      this.logDecision(`Pareto front: ${fronts[0].length} of ${solutions.length} solutions non-dominated`,
+        fronts[0].map(i => solutions[i].name).join(', '));
+    }
+  }
+
+  /**
+   * Synthesize candidate chains honouring vendor preferences and allowed chemicals
+   */
+  synthesizeCandidates() {
+    let rejected = 0;
+    const chains = synthesizeChains({
+      include: this.spec.vendorPreferences.include,
+      exclude: this.spec.vendorPreferences.exclude,
+      allowedChemicals: this.spec.constraints.allowedChemicals,
+      onReject: () => { rejected++; }
+    });
+
+    const synthesized = chains.filter(chain => chain.synthesized).length;
+    this.logDecision(`Synthesized ${chains.length} candidate chains`,
+      `${synthesized} beyond the curated list; ${rejected} combinations rejected by ordering, compatibility, vendor or chemical rules`);
+
+    return chains;
+  }
+
   /**
    * Filter technology chains that can meet requirements
    */
   filterFeasibleChains() {
-    return TECH_CHAINS.filter(chain => {
-      const perf = calculateChainPerformance(chain.techs);
+    return this.synthesizeCandidates().filter(chain => {
+      const perf = calculateChainPerformance(chain.techs, this.spec.getFeedStream());
 
       // Check if chain meets removal requirements
       const meetsTds = perf.tdsRemoval >= this.requiredRemoval.tds;
@@ -180,27 +133,31 @@ export class SolutionEngine {
   }
 
   /**
-   * Evaluate a solution across all objectives
+   * Evaluate a solution across all objectives (shared scoring, see engine/scoring.js)
    */
   evaluateSolution(chain) {
-    const perf = calculateChainPerformance(chain.techs);
-    const annualVolume = this.spec.getAnnualVolume();
+    const perf = calculateChainPerformance(chain.techs, this.spec.getFeedStream());
 
     // Calculate costs
-    const baseCapex = this.calculateCapex(perf, chain.techs);
-    const annualOpex = this.calculateOpex(perf, annualVolume);
+    const baseCapex = calculateCapex(this.spec, perf);
+    const opexBreakdown = calculateOpex(this.spec, perf);
+    const annualOpex = opexBreakdown.total;
 
     // Calculate ESG metrics
-    const esgMetrics = this.calculateEsgMetrics(perf, annualVolume);
+    const esgMetrics = calculateEsgMetrics(this.spec, perf);
 
-    // Calculate water recovery (simplified model)
-    const waterRecovery = chain.techs.includes('RO') ? 0.82 : 0.95;
+    // Water recovery from the stage-by-stage stream model
+    const waterRecovery = perf.recovery;
 
     // Calculate confidence
-    const confidence = this.calculateConfidence(perf, chain);
+    const confidenceResult = calculateConfidence(this.spec, perf, chain.name);
+    const confidence = confidenceResult.score;
 
     // Calculate multi-objective score
-    const score = this.calculateScore(baseCapex, annualOpex, esgMetrics, confidence);
+    const score = calculateScore(baseCapex, annualOpex, esgMetrics.composite, confidence);
+
+    // Lifecycle cash flows at cost (replacements, escalation, residual value)
+    const lifecycle = calculateLifecycle(this.spec, perf, baseCapex, opexBreakdown);
 
     return {
       chain: chain,
@@ -208,153 +165,29 @@ export class SolutionEngine {
       name: chain.name,
       description: chain.description,
       performance: perf,
+      streams: {
+        feed: perf.feed,
+        product: perf.product,
+        rejects: perf.rejects,
+        stages: perf.stages
+      },
       capex: baseCapex,
       opex: annualOpex,
-      npv10yr: this.calculateNPV(baseCapex, annualOpex),
+      opexBreakdown,
+      lifecycle,
+      npv: lifecycle.npv,
+      lcow: lifecycle.lcow,
+      footprint: calculateFootprint(this.spec, perf),
       waterRecovery,
       esgMetrics,
       esgScore: esgMetrics.composite,
       confidence,
+      confidenceDecision: confidenceResult.decision,
       score,
       meetsRequirements: true
     };
   }
 
-  /**
-   * Calculate CapEx
-   */
-  calculateCapex(perf, techs) {
-    // Base equipment cost per m³/h capacity
-    const baseEquipmentCost = 5000; // £ per m³/h
-
-    let capex = this.spec.flowRate * baseEquipmentCost * perf.capexFactor;
-
-    // Installation factor
-    capex *= this.spec.constraints.containerized ? 1.15 : 1.25;
-
-    // Add optional modules
-    if (this.spec.optionalModules.includes('UV') && !techs.includes('UV')) {
-      capex += this.spec.flowRate * 200; // £200 per m³/h for UV
-    }
-
-    return Math.round(capex);
-  }
-
-  /**
-   * Calculate annual OpEx
-   */
-  calculateOpex(perf, annualVolume) {
-    // Energy cost
-    const energyCost = perf.energy * annualVolume * CONFIG.electricityRate;
-
-    // Chemical cost
-    const chemicalCost = perf.chemicals * annualVolume;
-
-    // Maintenance (% of theoretical CapEx)
-    const maintenanceCost = this.spec.flowRate * 5000 * perf.capexFactor * perf.maintenance;
-
-    // Labor (estimated hours)
-    const laborCost = 2000 * CONFIG.laborCostPerHour; // 2000 hours/year
-
-    return Math.round(energyCost + chemicalCost + maintenanceCost + laborCost);
-  }
-
-  /**
-   * Calculate 10-year NPV
-   */
-  calculateNPV(capex, annualOpex) {
-    let npv = capex;
-
-    for (let year = 1; year <= CONFIG.projectLifespan; year++) {
-      // Apply 3% annual OpEx increase
-      const opex = annualOpex * Math.pow(1.03, year - 1);
-      npv += opex / Math.pow(1 + CONFIG.discountRate, year);
-    }
-
-    return Math.round(npv);
-  }
-
-  /**
-   * Calculate ESG metrics
-   */
-  calculateEsgMetrics(perf, annualVolume) {
-    // Water recovery score (higher is better)
-    const waterRecovery = perf.tdsRemoval > 0.9 ? 0.82 : 0.95;
-    const waterScore = waterRecovery * 100;
-
-    // Carbon footprint (lower is better)
-    const annualEnergy = perf.energy * annualVolume;
-    const annualCarbonKg = annualEnergy * CONFIG.gridCarbonFactor;
-    const annualCarbonTonnes = annualCarbonKg / 1000;
-
-    // Baseline comparison (4.5 kWh/m³ typical)
-    const baselineEnergy = 4.5 * annualVolume;
-    const baselineCarbonTonnes = (baselineEnergy * CONFIG.gridCarbonFactor) / 1000;
-    const carbonReduction = 1 - (annualCarbonTonnes / baselineCarbonTonnes);
-    const carbonScore = carbonReduction * 100;
-
-    // Energy efficiency score
-    const baselineSpecificEnergy = 4.5;
-    const energyEfficiency = 1 - (perf.energy / baselineSpecificEnergy);
-    const energyScore = Math.max(0, energyEfficiency * 100);
-
-    // Composite ESG score
-    const composite =
-      waterScore * this.spec.esgPriorities.water +
-      carbonScore * this.spec.esgPriorities.carbon +
-      energyScore * this.spec.esgPriorities.energy;
-
-    return {
-      waterRecovery,
-      waterScore: Math.round(waterScore),
-      annualCarbonTonnes: Math.round(annualCarbonTonnes),
-      carbonReduction,
-      carbonScore: Math.round(carbonScore),
-      specificEnergy: perf.energy,
-      energyScore: Math.round(energyScore),
-      composite: Math.round(composite)
-    };
-  }
-
-  /**
-   * Calculate solution confidence
-   */
-  calculateConfidence(perf, chain) {
-    let confidence = 0.7; // Base confidence
-
-    // Sector match bonus
-    const sectorPreset = INDUSTRY_PRESETS[this.spec.sector];
-    if (sectorPreset && sectorPreset.preferredChains.includes(chain.name)) {
-      confidence += 0.15;
-    }
-
-    // Margin safety (how much the solution exceeds requirements)
-    const tdsMargin = (perf.tdsRemoval - this.requiredRemoval.tds) / this.requiredRemoval.tds;
-    confidence += Math.min(0.1, tdsMargin * 0.5);
-
-    // Proven technology bonus
-    if (chain.techs.every(t => ['UF', 'RO', 'MBR'].includes(t))) {
-      confidence += 0.05;
-    }
-
-    return Math.min(0.95, confidence);
-  }
-
-  /**
-   * Calculate multi-objective score
-   */
-  calculateScore(capex, opex, esgMetrics, confidence) {
-    // Normalize costs (lower is better)
-    const maxCapex = 3000000;
-    const maxOpex = 500000;
-
-    const costScore = 1 - ((capex / maxCapex + opex / maxOpex) / 2);
-    const esgScore = esgMetrics.composite / 100;
-
-    // Weighted combination
-    return (costScore * 0.4 + esgScore * 0.35 + confidence * 0.25);
-  }
-
   /**
    * Log a decision for audit trail
    */
@@ -385,6 +218,42 @@ export class PricingModel {
   constructor(solution, spec) {
     this.solution = solution;
     this.spec = spec;
+
+    // Costs are in the cost-book currency; quotes are converted from it
+    this.baseCurrency = spec.getCostBook().currency;
+    this.currency = spec.getQuoteCurrency();
+    this.locale = spec.quote.locale || currencyLocale(this.currency);
+    this.fxTable = spec.getFxTable();
+    this.fxRate = getRate(this.baseCurrency, this.currency, this.fxTable);
+  }
+
+  /**
+   * Convert a base-currency amount to the quote currency
+   */
+  convert(amount) {
+    return Math.round(amount * this.fxRate);
+  }
+
+  /**
+   * Convert a base-currency unit rate (e.g. per m³) without rounding
+   */
+  convertRate(rate) {
+    return rate * this.fxRate;
+  }
+
+  /**
+   * Format a base-currency amount in the quote currency and locale
+   */
+  format(amount, compact = true) {
+    return formatCurrency(this.convert(amount), this.currency, compact, this.locale);
+  }
+
+  /**
+   * Format a base-currency unit rate (e.g. LCOW per m³) in the quote currency
+   */
+  formatRate(rate) {
+    return new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency })
+      .format(this.convertRate(rate));
   }
 
   /**
@@ -398,40 +267,15 @@ export class PricingModel {
    * Calculate win probability based on price
    */
   calculateWinProbability(price) {
-    const priceRatio = price / this.solution.capex;
-
-    // Logistic regression model (simplified)
-    const z = 3 - (priceRatio - 1) * 10 +
-              (this.solution.confidence - 0.7) * 5 +
-              (this.solution.esgScore / 100 - 0.7) * 3;
-
-    return 1 / (1 + Math.exp(-z));
+    return calculateWinProbability(price, this.solution.capex,
+      this.solution.confidence, this.solution.esgScore, this.spec.sector).probability;
   }
 
   /**
    * Find optimal price point
    */
   findOptimalPrice() {
-    let bestPrice = this.solution.capex * 1.1;
-    let bestExpectedValue = 0;
-
-    for (let margin = 0.10; margin <= 0.40; margin += 0.01) {
-      const price = this.calculatePrice(margin);
-      const winProb = this.calculateWinProbability(price);
-      const expectedValue = winProb * (price - this.solution.capex);
-
-      if (expectedValue > bestExpectedValue) {
-        bestExpectedValue = expectedValue;
-        bestPrice = price;
-      }
-    }
-
-    return {
-      price: bestPrice,
-      margin: (bestPrice / this.solution.capex) - 1,
-      winProbability: this.calculateWinProbability(bestPrice),
-      expectedValue: bestExpectedValue
-    };
+    return findOptimalPrice(this.solution.capex, this.solution.confidence, this.solution.esgScore, this.spec.sector);
   }
 
   /**
@@ -453,45 +297,132 @@ export class PricingModel {
    * Get OpEx breakdown
    */
   getOpexBreakdown() {
-    const total = this.solution.opex;
+    const { energy, chemicals, maintenance, labor } = this.solution.opexBreakdown;
 
     return {
-      energy: Math.round(total * 0.42),
-      chemicals: Math.round(total * 0.28),
-      maintenance: Math.round(total * 0.18),
-      labor: Math.round(total * 0.12)
+      energy: Math.round(energy),
+      chemicals: Math.round(chemicals),
+      maintenance: Math.round(maintenance),
+      labor: Math.round(labor)
     };
   }
 
   /**
-   * Generate pricing options (CapEx sale, BOO, BOT)
+   * Customer lifecycle economics when buying the plant at a given price
+   */
+  getLifecycle(price = this.findOptimalPrice().price) {
+    return calculateLifecycle(this.spec, this.solution.performance, price, this.solution.opexBreakdown);
+  }
+
+  /**
+   * Generate pricing options (CapEx sale, BOO, BOT) on a common customer basis
    */
   getPricingOptions() {
     const capexPrice = this.calculatePrice();
-    const annualOpex = this.solution.opex;
+    const customerLifecycle = this.getLifecycle(capexPrice);
+    const terms = resolveFinancingTerms(this.spec);
+    const boo = structureFinancedContract(this.spec, this.solution, 'BOO', terms);
+    const bot = structureFinancedContract(this.spec, this.solution, 'BOT', terms);
 
     return {
       capexSale: {
         type: 'CapEx Sale',
         upfront: capexPrice,
         annual: 0,
+        contractTerm: 0,
+        customerNpv: customerLifecycle.npv,
+        lcow: customerLifecycle.lcow,
+        customerIrr: customerLifecycle.irr,
+        paybackYears: customerLifecycle.paybackYears,
+        providerIrr: null, // paid in full at handover
+        providerMargin: capexPrice - this.solution.capex,
         description: 'Full ownership transfer'
       },
       boo: {
         type: 'BOO (Build-Own-Operate)',
         upfront: 0,
-        annual: Math.round((this.solution.npv10yr * 1.3) / 10),
-        description: 'Service contract with full operation'
+        ...boo,
+        description: `Service contract with full operation for ${boo.contractTerm} years`
       },
       bot: {
         type: 'BOT (Build-Operate-Transfer)',
-        upfront: Math.round(capexPrice * 0.3),
-        annual: Math.round(annualOpex * 1.4),
-        transferYear: 5,
-        description: 'Leased operation with ownership transfer'
+        upfront: 0,
+        ...bot,
+        description: `Operated for ${bot.contractTerm} years, then transferred to the customer`
       }
     };
   }
+
+  /**
+   * Convert a pricing option to the quote currency
+   */
+  convertOption(option) {
+    const amounts = ['upfront', 'annual', 'customerNpv', 'providerMargin', 'transferValue'];
+    const converted = { ...option };
+
+    amounts.forEach(key => {
+      if (typeof option[key] === 'number') converted[key] = this.convert(option[key]);
+    });
+    converted.lcow = this.convertRate(option.lcow);
+    if (option.tariff !== undefined) converted.tariff = this.convertRate(option.tariff);
+    if (option.financing) {
+      converted.financing = {
+        ...option.financing,
+        investment: this.convert(option.financing.investment),
+        debt: this.convert(option.financing.debt),
+        equity: this.convert(option.financing.equity),
+        debtService: this.convert(option.financing.debtService)
+      };
+    }
+    if (option.schedule) {
+      converted.schedule = option.schedule.map(row => ({
+        ...row,
+        payment: this.convert(row.payment),
+        capacityPayment: this.convert(row.capacityPayment),
+        passThrough: this.convert(row.passThrough),
+        tariff: this.convertRate(row.tariff),
+        opex: this.convert(row.opex),
+        replacement: this.convert(row.replacement),
+        debtService: this.convert(row.debtService),
+        transfer: this.convert(row.transfer),
+        equityCashFlow: this.convert(row.equityCashFlow),
+        projectCashFlow: this.convert(row.projectCashFlow)
+      }));
+    }
+
+    return converted;
+  }
+
+  /**
+   * Get the commercial figures converted to the quote currency
+   */
+  getQuote() {
+    const convertAll = values => Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [key, this.convert(value)]));
+    const optimal = this.findOptimalPrice();
+    const options = this.getPricingOptions();
+
+    return {
+      currency: this.currency,
+      locale: this.locale,
+      fxTable: { id: this.fxTable.id, asOf: this.fxTable.asOf },
+      fxRate: this.fxRate,
+      capex: this.convert(this.solution.capex),
+      opex: this.convert(this.solution.opex),
+      npv: this.convert(this.solution.npv),
+      lcow: this.convertRate(this.solution.lcow),
+      recommended: {
+        ...optimal,
+        price: this.convert(optimal.price),
+        expectedValue: this.convert(optimal.expectedValue)
+      },
+      breakdown: {
+        capex: convertAll(this.getCapexBreakdown()),
+        opex: convertAll(this.getOpexBreakdown())
+      },
+      options: Object.fromEntries(Object.entries(options).map(([key, option]) => [key, this.convertOption(option)]))
+    };
+  }
 }
 
 // ============================================================================
@@ -502,10 +433,22 @@ export class PricingModel {
  * Generate complete proposal document
  */
 export class ProposalGenerator {
-  constructor(spec, solution, pricing) {
+  /**
+   * @param {CustomerSpec} spec - Specification (spec.reference is the tender reference)
+   * @param {Object} solution - Selected solution
+   * @param {PricingModel} pricing - Pricing model
+   * @param {Object} options - { ledgerEntry, revision (number), changes (diffRevisions() against the previous revision) }
+   */
+  constructor(spec, solution, pricing, options = {}) {
     this.spec = spec;
     this.solution = solution;
     this.pricing = pricing;
+    this.ledgerEntry = options.ledgerEntry || null;
+    this.revision = options.revision || 1;
+    this.changes = options.changes || null;
+    this.reference = spec.reference || `PROP-${Date.now().toString(36).toUpperCase()}`;
+    // One id for the HTML and JSON of this revision so a signed package ties them together
+    this.referenceId = `${this.reference}-R${this.revision}`;
   }
 
   /**
@@ -515,6 +458,11 @@ export class ProposalGenerator {
     const capexBreakdown = this.pricing.getCapexBreakdown();
     const opexBreakdown = this.pricing.getOpexBreakdown();
     const optimalPrice = this.pricing.findOptimalPrice();
+    const lifecycle = this.pricing.getLifecycle(optimalPrice.price);
+    const options = this.pricing.getPricingOptions();
+    const percent = value => value !== null
+      ? value.toLocaleString(this.pricing.locale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })
+      : '—';
 
     return `
 <!DOCTYPE html>
@@ -536,15 +484,15 @@ export class ProposalGenerator {
 <body>
   <h1>Technical Proposal</h1>
   <p><strong>Client Sector:</strong> ${this.getSectorName()}</p>
-  <p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>
-  <p><strong>Reference:</strong> PROP-${Date.now().toString(36).toUpperCase()}</p>
+  <p><strong>Date:</strong> ${formatDate(new Date(), this.pricing.locale)}</p>
+  <p><strong>Reference:</strong> ${this.reference}, Revision ${this.revision}</p>
 
   <h2>Executive Summary</h2>
   <p>
     Based on your requirements for ${this.spec.flowRate} m³/h water treatment capacity,
     we recommend the <strong>${this.solution.name}</strong> treatment train.
     This solution achieves ${(this.solution.performance.tdsRemoval * 100).toFixed(1)}% TDS removal
-    with ${this.solution.waterRecovery * 100}% water recovery.
+    with ${(this.solution.waterRecovery * 100).toFixed(1)}% water recovery.
   </p>
 
   <h2>Technical Solution</h2>
@@ -578,16 +526,38 @@ export class ProposalGenerator {
       <td>TDS (mg/L)</td>
       <td>${this.spec.feedWater.tds}</td>
       <td>${this.spec.targetQuality.tds}</td>
-      <td class="highlight">${(this.spec.feedWater.tds * (1 - this.solution.performance.tdsRemoval)).toFixed(1)}</td>
+      <td class="highlight">${this.solution.streams.product.tds.toFixed(1)}</td>
     </tr>
     <tr>
       <td>TSS (mg/L)</td>
       <td>${this.spec.feedWater.tss}</td>
       <td>${this.spec.targetQuality.tss}</td>
-      <td class="highlight">${(this.spec.feedWater.tss * (1 - this.solution.performance.tssRemoval)).toFixed(2)}</td>
+      <td class="highlight">${this.solution.streams.product.tss.toFixed(2)}</td>
     </tr>
   </table>
 
+  <h2>Stream Balance</h2>
+  <table>
+    <tr>
+      <th>Stage</th>
+      <th>Feed (m³/h)</th>
+      <th>Permeate (m³/h)</th>
+      <th>Reject (m³/h)</th>
+      <th>Permeate TDS (mg/L)</th>
+      <th>Reject TDS (mg/L)</th>
+    </tr>
+    ${this.solution.streams.stages.map(stage => `
+      <tr>
+        <td>${stage.name}</td>
+        <td>${stage.feed.flow.toFixed(1)}</td>
+        <td>${stage.permeate.flow.toFixed(1)}</td>
+        <td>${stage.reject ? stage.reject.flow.toFixed(1) : '—'}</td>
+        <td>${stage.permeate.tds.toFixed(1)}</td>
+        <td>${stage.reject ? stage.reject.tds.toFixed(0) : '—'}</td>
+      </tr>
+    `).join('')}
+  </table>
+
   <h2>Commercial Summary</h2>
   <table>
     <tr>
@@ -596,16 +566,130 @@ export class ProposalGenerator {
     </tr>
     <tr>
       <td>Capital Investment (CapEx)</td>
-      <td class="metric">£${(optimalPrice.price / 1000000).toFixed(2)}M</td>
+      <td class="metric">${this.pricing.format(optimalPrice.price)}</td>
     </tr>
     <tr>
       <td>Annual Operating Cost (OpEx)</td>
-      <td>£${(this.solution.opex / 1000).toFixed(0)}K</td>
+      <td>${this.pricing.format(this.solution.opex)}</td>
+    </tr>
+    <tr>
+      <td>${lifecycle.term}-Year Lifecycle Cost (NPV)</td>
+      <td>${this.pricing.format(lifecycle.npv)}</td>
+    </tr>
+    <tr>
+      <td>Levelized Cost of Water (LCOW)</td>
+      <td>${this.pricing.formatRate(lifecycle.lcow)}/m³</td>
+    </tr>
+    <tr>
+      <td>Payback</td>
+      <td>${lifecycle.paybackYears !== null
+        ? `${lifecycle.paybackYears.toLocaleString(this.pricing.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} years`
+        : 'Beyond project term'}</td>
+    </tr>
+    <tr>
+      <td>Internal Rate of Return (IRR)</td>
+      <td>${percent(lifecycle.irr)}</td>
+    </tr>
+  </table>
+  ${this.pricing.currency !== this.pricing.baseCurrency ? `
+  <p>
+    Prices in ${this.pricing.currency}, converted from ${this.pricing.baseCurrency} at
+    ${this.pricing.fxRate.toLocaleString(this.pricing.locale, { maximumFractionDigits: 4 })}
+    (${this.pricing.fxTable.id}, ${formatDate(this.pricing.fxTable.asOf, this.pricing.locale)}).
+  </p>` : ''}
+
+  <h2>Commercial Models</h2>
+  <p>
+    Customer cost is the present value of all payments over the ${this.spec.projectTerm}-year project term,
+    including own operation where the customer runs the plant.
+    ${options.boo.structure === 'tariff'
+      ? `BOO/BOT are billed at a price per m³ on the plant's throughput of ${Math.round(options.boo.schedule[0]?.volume ?? 0).toLocaleString(this.pricing.locale)} m³ a year,
+    indexed at ${percent(options.boo.financing.indexation)} a year, with all operating costs carried by MembraCon`
+      : `BOO/BOT availability payments are indexed at ${percent(options.boo.financing.indexation)} a year,
+    with energy and chemicals passed through at cost`},
+    and financed ${percent(options.boo.financing.debt / options.boo.financing.investment)} by debt
+    at ${percent(options.boo.financing.interestRate)}.
+  </p>
+  <table>
+    <tr>
+      <th>Model</th>
+      <th>Upfront</th>
+      <th>Year-1 Payment</th>
+      <th>Customer Cost (NPV)</th>
+      <th>LCOW</th>
+      <th>Provider Equity IRR</th>
     </tr>
+    ${Object.values(options).map(option => `
+      <tr>
+        <td>${option.type}</td>
+        <td>${option.upfront ? this.pricing.format(option.upfront) : '—'}</td>
+        <td>${option.annual
+          ? `${this.pricing.format(option.annual)}${option.structure === 'tariff' ? ` (${this.pricing.formatRate(option.tariff)}/m³)` : ''}`
+          : '—'}</td>
+        <td>${this.pricing.format(option.customerNpv)}</td>
+        <td>${this.pricing.formatRate(option.lcow)}/m³</td>
+        <td>${percent(option.providerIrr)}</td>
+      </tr>
+    `).join('')}
+  </table>
+  <p>
+    Under BOT the plant transfers in year ${options.bot.transferYear}
+    for ${this.pricing.format(options.bot.transferValue)}.
+  </p>
+  <table>
     <tr>
-      <td>10-Year NPV</td>
-      <td>£${(this.solution.npv10yr / 1000000).toFixed(2)}M</td>
+      <th>Year</th>
+      <th>BOO Payment</th>
+      <th>BOT Payment</th>
     </tr>
+    ${options.boo.schedule.map((row, i) => `
+      <tr>
+        <td>${row.year}</td>
+        <td>${this.pricing.format(row.payment)}</td>
+        <td>${options.bot.schedule[i] ? this.pricing.format(options.bot.schedule[i].payment) : '—'}</td>
+      </tr>
+    `).join('')}
+  </table>
+
+  <h2>Lifecycle Cost</h2>
+  <p>
+    Cash flows over ${lifecycle.term} years, discounted at ${lifecycle.discountRate.toLocaleString(this.pricing.locale, { style: 'percent', minimumFractionDigits: 1 })}.
+    Savings are valued at the cost book's water tariff; residual value of
+    ${this.pricing.format(lifecycle.residualValue)} is credited in year ${lifecycle.term}.
+  </p>
+  <table>
+    <tr>
+      <th>Year</th>
+      <th>Stage Replacement</th>
+      <th>Cost (today's prices)</th>
+    </tr>
+    ${lifecycle.replacements.length ? lifecycle.replacements.map(entry => `
+      <tr>
+        <td>${entry.year}</td>
+        <td>${entry.name}</td>
+        <td>${this.pricing.format(entry.cost)}</td>
+      </tr>
+    `).join('') : `<tr><td colspan="3">No replacements within the project term</td></tr>`}
+  </table>
+  <table>
+    <tr>
+      <th>Year</th>
+      <th>OpEx</th>
+      <th>Replacements</th>
+      <th>Water Value</th>
+      <th>Net</th>
+      <th>Cumulative</th>
+    </tr>
+    ${lifecycle.cashFlows.map(flow => `
+      <tr>
+        <td>${flow.year}</td>
+        <td>${this.pricing.format(flow.opex)}</td>
+        <td>${flow.replacement ? this.pricing.format(flow.replacement) : '—'}</td>
+        <td>${this.pricing.format(flow.waterValue)}</td>
+        <td>${this.pricing.format(flow.net)}</td>
+        <td>${this.pricing.format(flow.cumulative)}</td>
+      </tr>
+    `).join('')}
   </table>
 
   <h2>ESG Impact</h2>
@@ -635,12 +719,20 @@ export class ProposalGenerator {
       <td colspan="2"><strong>${this.solution.esgScore}/100</strong></td>
     </tr>
   </table>
-
+${this.changes ? renderChangeSummary(this.changes, {
+    money: value => this.pricing.format(value),
+    rate: value => this.pricing.formatRate(value),
+    percent
+  }) : ''}
   <div class="footer">
     <p>
       Generated by MembraCon WaterLogic AI Proposal System<br>
       Confidence Score: ${(this.solution.confidence * 100).toFixed(0)}% |
-      Decision Trail ID: ${Date.now().toString(36).toUpperCase()}
+      Cost Book: ${this.spec.getCostBook().id}<br>
+      ${this.ledgerEntry
+        ? `Decision Ledger: entry #${this.ledgerEntry.index}, sha256:${this.ledgerEntry.hash}`
+        : 'Decision Ledger: not recorded'}<br>
+      Signed copies of this proposal can be checked with verify-proposal.html
     </p>
   </div>
 </body>
@@ -656,22 +748,46 @@ export class ProposalGenerator {
       metadata: {
         generatedAt: new Date().toISOString(),
         version: '1.0',
-        referenceId: `PROP-${Date.now().toString(36).toUpperCase()}`
+        referenceId: this.referenceId,
+        reference: this.reference,
+        revision: this.revision,
+        changes: this.changes,
+        costBook: describeCostBook(this.spec.getCostBook()),
+        ledger: this.ledgerEntry
+          ? { index: this.ledgerEntry.index, hash: this.ledgerEntry.hash, previousHash: this.ledgerEntry.previousHash }
+          : null,
+        approval: this.getApproval()
       },
       specification: this.spec,
       solution: this.solution,
       pricing: {
+        currency: this.pricing.baseCurrency,
         capex: this.solution.capex,
         opex: this.solution.opex,
-        npv: this.solution.npv10yr,
+        npv: this.solution.npv,
+        lcow: this.solution.lcow,
+        lifecycle: this.pricing.getLifecycle(),
         recommended: this.pricing.findOptimalPrice(),
-        options: this.pricing.getPricingOptions()
+        options: this.pricing.getPricingOptions(),
+        quote: this.pricing.getQuote()
       },
       esg: this.solution.esgMetrics,
       confidence: this.solution.confidence
     };
   }
 
+  /**
+   * Approvers this proposal needs before it may be issued (see approval.js)
+   */
+  getApproval() {
+    const optimal = this.pricing.findOptimalPrice();
+    return assessApproval({
+      confidence: this.solution.confidence,
+      margin: optimal.margin,
+      dealSize: optimal.price
+    });
+  }
+
   getSectorName() {
     const names = {
       pharmaceutical: 'Pharmaceutical',
@@ -691,22 +807,38 @@ export class ProposalGenerator {
 
 /**
  * Main entry point for proposal generation
+ * @param {Object} inputData - Customer specification
+ * @param {Object} options - Options
+ * @param {DecisionLedger} options.ledger - Ledger to record the decision in (optional)
+ * @param {string} options.user - User recorded with the ledger entry
+ * @param {ProposalStore} options.store - Revision store; the proposal becomes the next revision of spec.reference (optional)
  */
-export async function generateProposal(inputData) {
+export async function generateProposal(inputData, options = {}) {
   // 1. Create specification
   const spec = new CustomerSpec(inputData);
   const validation = spec.validate();
 
   if (!validation.valid) {
-    throw new Error(`Invalid specification: ${validation.errors.join(', ')}`);
+    const error = new Error(`Invalid specification: ${validation.errors.join(', ')}`);
+    error.code = 'INVALID_SPEC';
+    error.errors = validation.errors;
+    throw error;
   }
 
+  // Pin the resolved cost book and FX table so the specification reproduces this quote
+  spec.costBook.id = spec.getCostBook().id;
+  spec.quote.fxTable = spec.getFxTable().id;
+  spec.reference = spec.reference || `PROP-${Date.now().toString(36).toUpperCase()}`;
+
   // 2. Generate solutions
   const engine = new SolutionEngine(spec);
   const solutions = engine.generateSolutions();
 
   if (solutions.length === 0) {
-    throw new Error('No feasible solutions found for the given requirements');
+    const error = new Error('No feasible solutions found for the given requirements');
+    error.code = 'NO_FEASIBLE_SOLUTION';
+    error.decisionTrail = engine.getDecisionTrail();
+    throw error;
   }
 
   // 3. Select best solution
@@ -715,26 +847,61 @@ export async function generateProposal(inputData) {
   // 4. Calculate pricing
   const pricing = new PricingModel(bestSolution, spec);
 
-  // 5. Generate proposal
-  const generator = new ProposalGenerator(spec, bestSolution, pricing);
+  // 5. Record the decision
+  const decisionTrail = engine.getDecisionTrail();
+  const ledgerEntry = options.ledger
+    ? await options.ledger.append({
+      type: 'proposal',
+      user: options.user,
+      inputs: spec,
+      solution: {
+        name: bestSolution.name,
+        techs: bestSolution.techs,
+        capex: bestSolution.capex,
+        opex: bestSolution.opex,
+        recommendedPrice: pricing.findOptimalPrice().price
+      },
+      decisionTrail
+    })
+    : null;
+
+  // 6. Number the revision and compare it with the previous one
+  const snapshot = snapshotProposal(spec, bestSolution, pricing);
+  const previous = options.store?.getRevision(spec.reference) || null;
+  const revision = options.store ? options.store.nextRevision(spec.reference) : 1;
+  const changes = previous
+    ? diffRevisions(previous, { reference: spec.reference, revision, snapshot })
+    : null;
+
+  // 7. Generate proposal
+  const generator = new ProposalGenerator(spec, bestSolution, pricing, { ledgerEntry, revision, changes });
+  options.store?.add(spec.reference, snapshot, {
+    referenceId: generator.referenceId,
+    ledgerHash: ledgerEntry?.hash || null
+  });
 
   return {
     specification: spec,
     solutions: solutions.slice(0, 5), // Top 5 solutions
     selectedSolution: bestSolution,
+    paretoFront: solutions.filter(solution => solution.pareto.paretoOptimal),
     pricing: {
       recommended: pricing.findOptimalPrice(),
       breakdown: {
         capex: pricing.getCapexBreakdown(),
         opex: pricing.getOpexBreakdown()
       },
-      options: pricing.getPricingOptions()
+      options: pricing.getPricingOptions(),
+      quote: pricing.getQuote()
     },
     proposal: {
       html: generator.generateHTML(),
       json: generator.generateJSON()
     },
-    decisionTrail: engine.getDecisionTrail()
+    decisionTrail,
+    ledgerEntry,
+    approval: generator.getApproval(),
+    revision: { reference: spec.reference, number: revision, changes }
   };
 }
 
@@ -0,0 +1,471 @@
+/**
+ * quotation-rules.js - Declarative alarm and auto-add-on rules
+ *
+ * A ruleset is plain JSON, so the admin settings page can change what the
+ * quotation apps raise and add without touching code:
+ *
+ *   {
+ *     "format": "membracon-rules",
+ *     "formatVersion": 1,
+ *     "rules": [
+ *       { "id": "sdi", "when": { "param": "sdi", "gt": 6 },
+ *         "alarm": { "level": "critical", "message": "SDI HIGH - ..." } },
+ *       { "id": "boostPump", "when": { "param": "pressure", "lt": 3 },
+ *         "component": { "addon": "boostPump", "cost": 2500 }, "reason": "Pressure < 3 bar" }
+ *     ]
+ *   }
+ *
+ * A condition compares one parameter (gt, gte, lt, lte, eq, ne; several
+ * comparisons must all hold) or combines conditions with all, any and not.
+ * A parameter that was not entered fails every comparison. Parameters are
+ * the feed-water inputs plus facts from the scaling assessment (see
+ * ruleFacts). Messages and reasons may quote facts as {name}.
+ *
+ * Rulesets are checked against RULES_SCHEMA (JSON Schema) before use.
+ */
+
+export const RULES_FORMAT = 'membracon-rules';
+export const RULES_FORMAT_VERSION = 1;
+
+// localStorage key the admin settings page saves to
+export const ADMIN_CONFIG_KEY = 'waterlogic_ai_config';
+
+// Parameters a condition may test, with the label alarms show
+export const RULE_PARAMETERS = {
+  permeateFlow: 'Permeate Flow',
+  permeateQuality: 'Target Quality',
+  recovery: 'Recovery',
+  conductivity: 'Conductivity',
+  tds: 'TDS',
+  tss: 'TSS',
+  pressure: 'Pressure',
+  temp: 'Temperature',
+  ph: 'pH',
+  chlorine: 'Chlorine',
+  iron: 'Iron',
+  hardness: 'Hardness',
+  turbidity: 'Turbidity',
+  sdi: 'SDI',
+  calcium: 'Calcium',
+  alkalinity: 'Alkalinity',
+  sulfate: 'Sulphate',
+  barium: 'Barium',
+  strontium: 'Strontium',
+  silica: 'Silica',
+  softenerRequired: 'Scaling',
+  antiscalantRequired: 'Scaling',
+  maxRecovery: 'Maximum recovery'
+};
+
+const COMPARISONS = { gt: '>', gte: '≥', lt: '<', lte: '≤', eq: '=', ne: '≠' };
+const ALARM_LEVELS = ['critical', 'warning', 'info'];
+
+export const RULES_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Quotation rules',
+  type: 'object',
+  required: ['format', 'formatVersion', 'rules'],
+  properties: {
+    format: { enum: [RULES_FORMAT] },
+    formatVersion: { enum: [RULES_FORMAT_VERSION] },
+    source: { type: 'string' },
+    rules: { type: 'array', items: { $ref: '#/definitions/rule' } }
+  },
+  definitions: {
+    rule: {
+      type: 'object',
+      required: ['id', 'when'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        enabled: { type: 'boolean' },
+        when: { $ref: '#/definitions/condition' },
+        alarm: {
+          type: 'object',
+          required: ['level', 'message'],
+          additionalProperties: false,
+          properties: {
+            level: { enum: ALARM_LEVELS },
+            message: { type: 'string', minLength: 1 }
+          }
+        },
+        component: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            addon: { type: 'string', minLength: 1 },
+            name: { type: 'string', minLength: 1 },
+            cost: { type: 'number', minimum: 0 }
+          },
+          anyOf: [{ required: ['addon'] }, { required: ['name', 'cost'] }]
+        },
+        reason: { type: 'string' }
+      },
+      anyOf: [{ required: ['alarm'] }, { required: ['component'] }]
+    },
+    condition: {
+      anyOf: [
+        {
+          type: 'object',
+          required: ['param'],
+          minProperties: 2,
+          additionalProperties: false,
+          properties: {
+            param: { enum: Object.keys(RULE_PARAMETERS) },
+            ...Object.fromEntries(Object.keys(COMPARISONS).map(op => [op, { type: ['number', 'boolean'] }]))
+          }
+        },
+        {
+          type: 'object',
+          required: ['all'],
+          additionalProperties: false,
+          properties: { all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } } }
+        },
+        {
+          type: 'object',
+          required: ['any'],
+          additionalProperties: false,
+          properties: { any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } } }
+        },
+        {
+          type: 'object',
+          required: ['not'],
+          additionalProperties: false,
+          properties: { not: { $ref: '#/definitions/condition' } }
+        }
+      ]
+    }
+  }
+};
+
+// Built-in rules (from the Packaged RO Estimator); softener and antiscalant
+// follow the scaling assessment rather than a hardness threshold
+export const DEFAULT_RULES = {
+  format: RULES_FORMAT,
+  formatVersion: RULES_FORMAT_VERSION,
+  source: 'builtin',
+  rules: [
+    { id: 'lowTemp', when: { param: 'temp', lt: 15 },
+      alarm: { level: 'warning', message: 'Temperature is low - check this could affect flow. Perhaps increase size of system.' } },
+    { id: 'ultraPure', when: { param: 'permeateQuality', lt: 10 },
+      alarm: { level: 'warning', message: 'Conductivity below 10 µS/cm requires second stage RO system.' } },
+    { id: 'sdi', when: { param: 'sdi', gt: 6 },
+      alarm: { level: 'critical', message: 'SDI HIGH - Pre-treatment required; RO at risk of rapid fouling.' } },
+    { id: 'tds', when: { param: 'tds', gt: 1000 },
+      alarm: { level: 'warning', message: 'TDS HIGH - May require high-rejection membranes and/or pre-treatment.' } },
+    { id: 'tss', when: { param: 'tss', gt: 5 },
+      alarm: { level: 'critical', message: 'TSS HIGH - Full pre-treatment required (sand/multi-media + cartridge).' } },
+    { id: 'turbidity', when: { param: 'turbidity', gt: 5 },
+      alarm: { level: 'critical', message: 'Turbidity HIGH - Must install pre-treatment (sand filter + cartridge filter).' } },
+    { id: 'lowPressure', when: { param: 'pressure', lt: 3 },
+      alarm: { level: 'warning', message: 'Pressure is too low - needs Boost pump.' } },
+    { id: 'ironHigh', when: { param: 'iron', gt: 0.3 },
+      alarm: { level: 'critical', message: 'Iron Levels HIGH - Dedicated iron removal system required.' } },
+    { id: 'iron', when: { param: 'iron', gt: 0.1, lte: 0.3 },
+      alarm: { level: 'warning', message: 'Iron Levels elevated - Iron removal recommended.' } },
+    { id: 'ph', when: { any: [{ param: 'ph', lt: 5 }, { param: 'ph', gt: 9 }] },
+      alarm: { level: 'critical', message: 'pH out of range - Risk of irreversible membrane damage.' } },
+    { id: 'chlorine', when: { param: 'chlorine', gt: 0.05 },
+      alarm: { level: 'warning', message: 'Chlorine detected - Carbon filter + SMBS recommended.' } },
+
+    { id: 'carbonFilter', when: { param: 'chlorine', gt: 0.05 }, component: { addon: 'carbonFilter' }, reason: 'Chlorine > 0.05 ppm' },
+    { id: 'ironRemovalDedicated', when: { param: 'iron', gt: 0.3 }, component: { addon: 'ironRemovalDedicated' }, reason: 'Iron > 0.3 mg/L' },
+    { id: 'ironRemoval', when: { param: 'iron', gt: 0.1, lte: 0.3 }, component: { addon: 'ironRemoval' }, reason: 'Iron > 0.1 mg/L' },
+    { id: 'softener', when: { param: 'softenerRequired', eq: true }, component: { addon: 'softener' }, reason: '{softenerReason}' },
+    { id: 'antiscalant', when: { param: 'antiscalantRequired', eq: true }, component: { addon: 'antiscalant' }, reason: '{antiscalantReason}' },
+    { id: 'sandFilter', when: { param: 'turbidity', gt: 5 }, component: { addon: 'sandFilter' }, reason: 'Turbidity > 5 NTU' },
+    { id: 'multimediaFilter', when: { param: 'tss', gt: 5 }, component: { addon: 'multimediaFilter' }, reason: 'TSS > 5 ppm' },
+    { id: 'pretreatmentPackage', when: { param: 'sdi', gt: 6 }, component: { addon: 'pretreatmentPackage' }, reason: 'SDI > 6' },
+    { id: 'phDosing', when: { any: [{ param: 'ph', lt: 6 }, { param: 'ph', gt: 8.5 }] }, component: { addon: 'phDosing' }, reason: 'pH outside 6-8.5' },
+    { id: 'boostPump', when: { param: 'pressure', lt: 3 }, component: { addon: 'boostPump' }, reason: 'Pressure < 3 bar' },
+    { id: 'secondRO', when: { param: 'permeateQuality', lt: 10 }, component: { addon: 'secondRO' }, reason: 'Target conductivity < 10 µS/cm' }
+  ]
+};
+
+/**
+ * Problems with a value against a JSON Schema (the subset RULES_SCHEMA uses)
+ * @returns {string[]} One message per problem
+ */
+function schemaProblems(value, schema, path, root) {
+  if (schema.$ref) return schemaProblems(value, root.definitions[schema.$ref.split('/').pop()], path, root);
+
+  const problems = [];
+  const types = [].concat(schema.type || []);
+  const typeOf = v => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+  if (types.length && !types.includes(typeOf(value))) {
+    return [`${path} should be ${types.join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`];
+  }
+  if (typeof value === 'string' && value.length < (schema.minLength ?? 0)) problems.push(`${path} should not be empty`);
+  if (typeof value === 'number' && (!Number.isFinite(value) || value < (schema.minimum ?? -Infinity))) {
+    problems.push(`${path} should be a number${schema.minimum !== undefined ? ` ≥ ${schema.minimum}` : ''}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => problems.push(`${path}.${key} is required`));
+    if (Object.keys(value).length < (schema.minProperties ?? 0)) problems.push(`${path} is incomplete`);
+    Object.entries(value).forEach(([key, item]) => {
+      if (schema.properties?.[key]) problems.push(...schemaProblems(item, schema.properties[key], `${path}.${key}`, root));
+      else if (schema.additionalProperties === false) problems.push(`${path}.${key} is not allowed`);
+    });
+  }
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems ?? 0)) problems.push(`${path} should not be empty`);
+    if (schema.items) value.forEach((item, i) => problems.push(...schemaProblems(item, schema.items, `${path}[${i}]`, root)));
+  }
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => schemaProblems(value, branch, path, root));
+    if (!branches.some(branch => !branch.length)) {
+      // Report the branch that came closest
+      const closest = branches.reduce((best, branch) => (branch.length < best.length ? branch : best));
+      problems.push(...(closest.length === 1 && closest[0].endsWith('is required') && schema.anyOf.length > 1
+        ? [`${path} needs one of ${schema.anyOf.map(branch => (branch.required || []).join(' + ')).join(', ')}`]
+        : closest));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check a ruleset against RULES_SCHEMA
+ * @param {Object} ruleset - Ruleset
+ * @returns {Object} The same ruleset
+ */
+export function validateRules(ruleset) {
+  const problems = schemaProblems(ruleset, RULES_SCHEMA, 'ruleset', RULES_SCHEMA);
+  if (!problems.length) {
+    const ids = ruleset.rules.map(rule => rule.id);
+    ids.filter((id, i) => ids.indexOf(id) !== i).forEach(id => problems.push(`rule ${id} is defined twice`));
+  }
+
+  if (problems.length) {
+    const error = new Error(`Invalid rules: ${problems.join('; ')}`);
+    error.code = 'RULES_INVALID';
+    error.problems = problems;
+    throw error;
+  }
+  return ruleset;
+}
+
+/**
+ * Facts rules are evaluated on: the feed-water inputs and the scaling
+ * assessment (see water-chemistry.js)
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} scaling - assessScaling() result
+ * @returns {Object} Parameter → value
+ */
+export function ruleFacts(inputs, scaling) {
+  return {
+    ...inputs,
+    softenerRequired: scaling.softener.required,
+    softenerReason: scaling.softener.reason,
+    antiscalantRequired: scaling.antiscalant.required,
+    antiscalantReason: scaling.antiscalant.reason,
+    maxRecovery: Math.round(scaling.recoveryLimit.recovery * 100)
+  };
+}
+
+/**
+ * Whether a condition holds for the facts
+ */
+function holds(condition, facts) {
+  if (condition.all) return condition.all.every(part => holds(part, facts));
+  if (condition.any) return condition.any.some(part => holds(part, facts));
+  if (condition.not) return !holds(condition.not, facts);
+
+  const value = facts[condition.param];
+  if (value === undefined || value === null || Number.isNaN(value)) return false;
+  return Object.keys(COMPARISONS).filter(op => op in condition).every(op => {
+    const limit = condition[op];
+    switch (op) {
+      case 'gt': return value > limit;
+      case 'gte': return value >= limit;
+      case 'lt': return value < limit;
+      case 'lte': return value <= limit;
+      case 'eq': return value === limit;
+      default: return value !== limit;
+    }
+  });
+}
+
+/**
+ * First parameter a condition tests
+ */
+function conditionParam(condition) {
+  if (condition.param) return condition.param;
+  return conditionParam((condition.all || condition.any || [condition.not])[0]);
+}
+
+/**
+ * Condition in words, e.g. "Iron > 0.1 and Iron ≤ 0.3"
+ * @param {Object} condition - Rule condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+  if (condition.all) return condition.all.map(describeCondition).join(' and ');
+  if (condition.any) return condition.any.map(describeCondition).join(' or ');
+  if (condition.not) return `not (${describeCondition(condition.not)})`;
+  const label = RULE_PARAMETERS[condition.param] || condition.param;
+  return Object.keys(COMPARISONS).filter(op => op in condition)
+    .map(op => `${label} ${COMPARISONS[op]} ${condition[op]}`).join(' and ');
+}
+
+const fill = (text, facts) => text.replace(/\{(\w+)\}/g, (match, name) => (facts[name] ?? match));
+
+/**
+ * Rules that fire for the facts, in ruleset order
+ * @param {Object} ruleset - Ruleset (see DEFAULT_RULES)
+ * @param {Object} facts - See ruleFacts()
+ * @returns {Object[]} { id, param (label), value, alarm?, component?, reason }
+ */
+export function applyRules(ruleset, facts) {
+  return ruleset.rules.filter(rule => rule.enabled !== false && holds(rule.when, facts)).map(rule => {
+    const param = conditionParam(rule.when);
+    return {
+      id: rule.id,
+      param: RULE_PARAMETERS[param] || param,
+      value: facts[param],
+      ...(rule.alarm ? { alarm: { level: rule.alarm.level, message: fill(rule.alarm.message, facts) } } : {}),
+      ...(rule.component ? { component: rule.component } : {}),
+      reason: fill(rule.reason || describeCondition(rule.when), facts)
+    };
+  });
+}
+
+// Admin settings thresholds → the rules they set (see admin-ai-settings.html)
+const ADMIN_ALARMS = {
+  critical: {
+    sdi: ['sdi', t => ({ param: 'sdi', gt: t.max })],
+    ph: ['ph', t => ({ any: [{ param: 'ph', lt: t.min }, { param: 'ph', gt: t.max }] })],
+    chlorine: ['chlorine', t => ({ param: 'chlorine', gt: t.max })],
+    iron: ['ironHigh', t => ({ param: 'iron', gt: t.max })]
+  },
+  warnings: {
+    temperature: ['lowTemp', t => ({ param: 'temp', lt: t.min })],
+    hardness: ['hardness', t => ({ param: 'hardness', gt: t.max })],
+    tds: ['tds', t => ({ param: 'tds', gt: t.max })],
+    tss: ['tss', t => ({ param: 'tss', gt: t.max })],
+    turbidity: ['turbidity', t => ({ param: 'turbidity', gt: t.max })],
+    pressure: ['lowPressure', t => ({ param: 'pressure', lt: t.min })],
+    conductivityTarget: ['ultraPure', t => ({ param: 'permeateQuality', lt: t.max })]
+  }
+};
+
+// Softener and antiscalant keep their scaling triggers; only their cost is set
+const ADMIN_COMPONENTS = {
+  chlorine: ['carbonFilter', t => ({ param: 'chlorine', gt: t.threshold })],
+  iron_low: ['ironRemoval', (t, c) => ({ param: 'iron', gt: t.threshold, lte: c.iron_high?.threshold ?? 0.3 })],
+  iron_high: ['ironRemovalDedicated', t => ({ param: 'iron', gt: t.threshold })],
+  hardness_moderate: ['antiscalant', null],
+  hardness_high: ['softener', null],
+  turbidity: ['sandFilter', t => ({ param: 'turbidity', gt: t.threshold })],
+  tss: ['multimediaFilter', t => ({ param: 'tss', gt: t.threshold })],
+  sdi: ['pretreatmentPackage', t => ({ param: 'sdi', gt: t.threshold })],
+  pressure: ['boostPump', t => ({ param: 'pressure', lt: t.threshold })],
+  ph: ['phDosing', t => {
+    const [min, max] = String(t.range ?? '').split(/\s*[-–]\s*/).map(Number);
+    return { any: [{ param: 'ph', lt: min }, { param: 'ph', gt: max }] };
+  }],
+  quality: ['secondRO', t => ({ param: 'permeateQuality', lt: t.threshold })]
+};
+
+/**
+ * Whether every number a condition compares against is set
+ */
+function complete(condition) {
+  if (condition.all || condition.any) return (condition.all || condition.any).every(complete);
+  if (condition.not) return complete(condition.not);
+  return Object.keys(COMPARISONS).filter(op => op in condition).every(op => Number.isFinite(condition[op]));
+}
+
+/**
+ * Ruleset for the admin settings: their thresholds, messages and costs laid
+ * over the built-in rules, then any rules the config defines outright
+ * (config.rules, replacing built-in rules of the same id). Thresholds left
+ * blank keep the built-in value.
+ * @param {Object} config - Saved admin settings
+ * @param {Object} [base] - Ruleset to start from
+ * @returns {Object} Ruleset (not yet validated)
+ */
+export function rulesFromAdminConfig(config, base = DEFAULT_RULES) {
+  const rules = base.rules.map(rule => ({ ...rule }));
+  const upsert = (id, patch) => {
+    const i = rules.findIndex(rule => rule.id === id);
+    if (i >= 0) rules[i] = { ...rules[i], ...patch };
+    else rules.push({ id, ...patch });
+  };
+
+  Object.entries(ADMIN_ALARMS).forEach(([group, mapping]) => {
+    const level = group === 'critical' ? 'critical' : 'warning';
+    Object.entries(config.thresholds?.[group] || {}).forEach(([key, threshold]) => {
+      if (!mapping[key]) return;
+      const [id, condition] = mapping[key];
+      const when = condition(threshold);
+      const existing = rules.find(rule => rule.id === id);
+      if (!complete(when) && !existing) return;
+      upsert(id, {
+        ...(complete(when) ? { when } : {}),
+        alarm: { level, message: threshold.message || existing?.alarm?.message || describeCondition(when) }
+      });
+    });
+  });
+
+  const pretreatment = config.thresholds?.pretreatment || {};
+  Object.entries(pretreatment).forEach(([key, threshold]) => {
+    if (!ADMIN_COMPONENTS[key]) return;
+    const [id, condition] = ADMIN_COMPONENTS[key];
+    const existing = rules.find(rule => rule.id === id);
+    const when = condition && condition(threshold, pretreatment);
+    upsert(id, {
+      ...(when && complete(when) ? { when, reason: describeCondition(when) } : {}),
+      component: {
+        ...(existing?.component || { addon: id }),
+        ...(Number.isFinite(threshold.cost) ? { cost: threshold.cost } : {})
+      }
+    });
+  });
+
+  (config.rules || []).forEach(rule => upsert(rule.id, rule));
+
+  return {
+    format: RULES_FORMAT,
+    formatVersion: RULES_FORMAT_VERSION,
+    source: `admin ${config.timestamp || ''}`.trim(),
+    rules
+  };
+}
+
+/**
+ * Rules for the quotation apps: the admin settings when saved and valid,
+ * otherwise the built-in rules
+ * @param {Storage} [storage] - Where the admin page saved its settings
+ * @returns {Object} Ruleset
+ */
+export function loadRules(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(ADMIN_CONFIG_KEY);
+    if (!saved) return DEFAULT_RULES;
+    return validateRules(rulesFromAdminConfig(JSON.parse(saved)));
+  } catch (error) {
+    console.warn('Admin rules not loaded; using built-in rules.', error);
+    return DEFAULT_RULES;
+  }
+}
+
+export default {
+  RULES_FORMAT,
+  RULES_FORMAT_VERSION,
+  ADMIN_CONFIG_KEY,
+  RULE_PARAMETERS,
+  RULES_SCHEMA,
+  DEFAULT_RULES,
+  validateRules,
+  ruleFacts,
+  describeCondition,
+  applyRules,
+  rulesFromAdminConfig,
+  loadRules
+};
@@ -0,0 +1,223 @@
+/**
+ * quotation-workbook.js - Export a quotation as an Excel workbook
+ *
+ * Lays out the quotation system's BOM, labour, pricing summary, milestone
+ * payments and alarms in the house estimate-sheet format (Qty | Item |
+ * Supplier | Part no | each | total | % | sell). Totals, the pricing
+ * summary and the milestone amounts are formulas over the line cells, so
+ * an estimator can change quantities, prices or markups in Excel and the
+ * workbook recalculates.
+ */
+
+import { writeWorkbook } from '../core/xlsx-writer.js';
+
+// Feed-water inputs listed on the alarms sheet
+export const FEED_PARAMETERS = [
+  { key: 'permeateFlow', label: 'Permeate flow', unit: 'm³/hr' },
+  { key: 'recovery', label: 'Recovery', unit: '%' },
+  { key: 'permeateQuality', label: 'Target permeate conductivity', unit: 'µS/cm' },
+  { key: 'conductivity', label: 'Feed conductivity', unit: 'µS/cm' },
+  { key: 'tds', label: 'TDS', unit: 'mg/L' },
+  { key: 'tss', label: 'TSS', unit: 'mg/L' },
+  { key: 'pressure', label: 'Feed pressure', unit: 'bar' },
+  { key: 'temp', label: 'Temperature', unit: '°C' },
+  { key: 'ph', label: 'pH', unit: '' },
+  { key: 'chlorine', label: 'Free chlorine', unit: 'mg/L' },
+  { key: 'iron', label: 'Iron', unit: 'mg/L' },
+  { key: 'hardness', label: 'Hardness', unit: 'mg/L CaCO₃' },
+  { key: 'turbidity', label: 'Turbidity', unit: 'NTU' },
+  { key: 'sdi', label: 'SDI', unit: '' },
+  { key: 'calcium', label: 'Calcium', unit: 'mg/L' },
+  { key: 'alkalinity', label: 'Alkalinity', unit: 'mg/L CaCO₃' },
+  { key: 'sulfate', label: 'Sulphate', unit: 'mg/L' },
+  { key: 'barium', label: 'Barium', unit: 'mg/L' },
+  { key: 'strontium', label: 'Strontium', unit: 'mg/L' },
+  { key: 'silica', label: 'Silica', unit: 'mg/L SiO₂' }
+];
+
+const bold = value => ({ value, style: 'bold' });
+const money = (value, formula) => ({ value, formula, style: 'money' });
+const moneyBold = (value, formula) => ({ value, formula, style: 'moneyBold' });
+
+/**
+ * One estimate sheet: header block, a section of priced lines and sub totals
+ * @returns {Object} { sheet, subtotalRow, cost, sell }
+ */
+function estimateSheet(name, quote, section, columns, lines) {
+  const rows = [
+    [null, { value: `Quotation ${section.toLowerCase()}`, style: 'title' }],
+    [null, bold('Customer:'), quote.customer || '', null, null, null, bold('Quote No:'), quote.reference || ''],
+    [null, bold('Model:'), quote.modelCode || '', null, null, null, bold('Date:'), quote.date || ''],
+    [],
+    [null, ...columns.map(label => ({ value: label, style: 'wrap' }))],
+    [null, bold(`${section}:`)]
+  ];
+
+  const first = rows.length + 1;
+  let cost = 0;
+  let sell = 0;
+  lines.forEach(line => {
+    const r = rows.length + 1;
+    const total = line.qty * line.unitCost;
+    const lineSell = total * (1 + line.markup / 100);
+    cost += total;
+    sell += lineSell;
+    rows.push([
+      null,
+      line.qty,
+      line.item,
+      line.detail ?? '',
+      line.partNo ?? '',
+      money(line.unitCost),
+      money(total, `F${r}*B${r}`),
+      line.markup,
+      money(lineSell, `((H${r}/100)+1)*G${r}`),
+      ...(line.type ? [line.type] : [])
+    ]);
+  });
+  const last = rows.length;
+
+  rows.push([]);
+  const subtotalRow = rows.length + 1;
+  const sum = column => (last >= first ? `SUM(${column}${first}:${column}${last})` : '0');
+  rows.push([null, null, bold('Sub totals'), null, null, null, moneyBold(cost, sum('G')), null, moneyBold(sell, sum('I'))]);
+
+  return {
+    sheet: { name, columns: [2, 8, 44, 18, 14, 14, 14, 7, 16, 10], rows },
+    subtotalRow,
+    cost,
+    sell
+  };
+}
+
+/**
+ * Build the sheets of a quotation workbook
+ * @param {Object} quote - Quotation from the quotation system
+ * @param {string} quote.reference - Quote number
+ * @param {string} quote.customer - Customer name
+ * @param {string} quote.date - Quote date
+ * @param {string} quote.modelCode - Selected RO model
+ * @param {Object[]} quote.bom - { qty, name, supplier, partNo, cost, markup, type }
+ * @param {Object[]} quote.labour - { qty, name, unit, rate, markup }
+ * @param {Object[]} quote.milestones - { name, share }
+ * @param {Object[]} quote.alarms - { type, message }
+ * @param {Object} quote.inputs - Feed-water inputs (see FEED_PARAMETERS)
+ * @returns {Object[]} Sheet descriptions for writeWorkbook()
+ */
+export function quotationSheets(quote) {
+  const bom = estimateSheet('BOM', quote, 'Equipment',
+    ['Qty:', 'Item:', 'Supplier:', 'Part no:', 'Estimated price: (each)', 'Estimated price: (total)', '%', 'Total sell price:', 'Type:'],
+    quote.bom.map(item => ({
+      qty: item.qty, item: item.name, detail: item.supplier, partNo: item.partNo, unitCost: item.cost, markup: item.markup, type: item.type
+    })));
+
+  const labour = estimateSheet('Labour', quote, 'Labour',
+    ['Qty:', 'Item:', 'Unit:', '', 'Rate: (each)', 'Estimated price: (total)', '%', 'Total sell price:'],
+    quote.labour.map(line => ({
+      qty: line.qty, item: line.name, detail: line.unit, unitCost: line.rate, markup: line.markup
+    })));
+
+  // Pricing summary: one row per estimate sheet, then the total
+  const gp = (cost, sell) => (sell ? (sell - cost) / sell : 0);
+  const pricingRows = [
+    [null, { value: 'Pricing summary', style: 'title' }],
+    [],
+    [null, null, bold('Cost'), bold('Sell'), bold('GP (sell - cost)'), bold('GP %')]
+  ];
+  const pricingRow = (label, estimate, sheetName) => {
+    const r = pricingRows.length + 1;
+    return [
+      null,
+      bold(label),
+      money(estimate.cost, `${sheetName}!G${estimate.subtotalRow}`),
+      money(estimate.sell, `${sheetName}!I${estimate.subtotalRow}`),
+      money(estimate.sell - estimate.cost, `D${r}-C${r}`),
+      { value: gp(estimate.cost, estimate.sell), formula: `IF(D${r}=0,0,E${r}/D${r})`, style: 'percent' }
+    ];
+  };
+  pricingRows.push(pricingRow('Hardware', bom, 'BOM'));
+  pricingRows.push(pricingRow('Labour', labour, 'Labour'));
+  const totalRow = pricingRows.length + 1;
+  const cost = bom.cost + labour.cost;
+  const sell = bom.sell + labour.sell;
+  pricingRows.push([
+    null,
+    bold('Total'),
+    moneyBold(cost, `SUM(C${totalRow - 2}:C${totalRow - 1})`),
+    moneyBold(sell, `SUM(D${totalRow - 2}:D${totalRow - 1})`),
+    moneyBold(sell - cost, `D${totalRow}-C${totalRow}`),
+    { value: gp(cost, sell), formula: `IF(D${totalRow}=0,0,E${totalRow}/D${totalRow})`, style: 'percent' }
+  ]);
+
+  // Milestone payments as shares of the total sell price
+  const milestoneRows = [
+    [null, { value: 'Milestone payments', style: 'title' }],
+    [],
+    [null, bold('Milestone'), bold('Share'), bold('Amount')]
+  ];
+  const firstMilestone = milestoneRows.length + 1;
+  quote.milestones.forEach(milestone => {
+    const r = milestoneRows.length + 1;
+    milestoneRows.push([
+      null,
+      milestone.name,
+      { value: milestone.share, style: 'percent' },
+      money(sell * milestone.share, `Pricing!$D$${totalRow}*C${r}`)
+    ]);
+  });
+  const lastMilestone = milestoneRows.length;
+  const shareTotal = quote.milestones.reduce((sum, m) => sum + m.share, 0);
+  milestoneRows.push([
+    null,
+    bold('Total'),
+    { value: shareTotal, formula: `SUM(C${firstMilestone}:C${lastMilestone})`, style: 'percent' },
+    moneyBold(sell * shareTotal, `SUM(D${firstMilestone}:D${lastMilestone})`)
+  ]);
+
+  // Alarms raised for this feed water, then the inputs they were raised on
+  const alarmRows = [
+    [null, { value: 'Alarms', style: 'title' }],
+    [],
+    [null, bold('Level'), bold('Message')],
+    ...(quote.alarms.length
+      ? quote.alarms.map(alarm => [null, alarm.type, alarm.message])
+      : [[null, 'ok', 'All parameters within acceptable range.']]),
+    [],
+    [null, bold('Feed water'), bold('Value'), bold('Unit')],
+    ...FEED_PARAMETERS
+      .filter(p => quote.inputs && Number.isFinite(quote.inputs[p.key]))
+      .map(p => [null, p.label, quote.inputs[p.key], p.unit])
+  ];
+
+  return [
+    bom.sheet,
+    labour.sheet,
+    { name: 'Pricing', columns: [2, 14, 14, 14, 18, 10], rows: pricingRows },
+    { name: 'Milestones', columns: [2, 24, 10, 14], rows: milestoneRows },
+    { name: 'Alarms', columns: [2, 30, 80, 14], rows: alarmRows }
+  ];
+}
+
+/**
+ * Build a quotation workbook
+ * @param {Object} quote - Quotation (see quotationSheets)
+ * @returns {Uint8Array} .xlsx bytes
+ */
+export function quotationWorkbook(quote) {
+  return writeWorkbook(quotationSheets(quote));
+}
+
+/**
+ * Download file name for a quotation workbook
+ */
+export function quotationFileName(quote) {
+  const name = [quote.reference, quote.customer, quote.modelCode].filter(Boolean).join(' - ') || 'Quotation';
+  return `${name.replace(/[\\/:*?"<>|]+/g, '_')}.xlsx`;
+}
+
+export default {
+  FEED_PARAMETERS,
+  quotationSheets,
+  quotationWorkbook,
+  quotationFileName
+};
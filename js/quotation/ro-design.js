@@ -0,0 +1,342 @@
+/**
+ * ro-design.js - RO membrane array design
+ *
+ * Sizes and rates a brackish-water RO array from the feed water: the
+ * number of elements for a design flux, their arrangement in pressure
+ * vessels and stages, and the feed pressure, permeate TDS and concentrate
+ * TDS found by stepping through the array element by element with the
+ * solution-diffusion model:
+ *
+ *   Jw = A·TCF·(Pf − ΔP/2 − Pp − (πm − πp))     water flux (LMH)
+ *   Cp = B·TCF·Cm / (Jw + B·TCF)                permeate concentration
+ *   Cm = Cavg·e^(0.7·r)                         concentration polarisation
+ *
+ * with A and B referred to 25 °C and corrected by the membrane temperature
+ * correction factor (TCF). Pure functions; flows in m³/hr, pressures in
+ * bar, concentrations in mg/L.
+ */
+
+// Membrane elements, rated at 2000 mg/L NaCl, 15.5 bar, 25 °C, 15% recovery
+export const ELEMENTS = {
+  '8040': {
+    name: 'RO Membrane 8040',
+    area: 37,                   // m²
+    waterPermeability: 3.3,     // A, LMH/bar at 25 °C
+    saltPermeability: 0.19,     // B, LMH at 25 °C
+    maxPressure: 41,            // bar
+    maxFeedFlow: 17,            // m³/hr per vessel
+    minConcentrateFlow: 2.7,    // m³/hr per vessel
+    maxElementRecovery: 0.15
+  }
+};
+
+export const DEFAULT_ELEMENT = '8040';
+// Elements per pressure vessel, in order of preference
+export const VESSEL_LENGTHS = [3, 4, 2, 6, 5];
+
+// Average design flux by feed source, chosen on SDI (LMH)
+export const DESIGN_FLUX = [
+  { maxSdi: 3, flux: 28, source: 'Well water' },
+  { maxSdi: 5, flux: 22, source: 'Surface water' },
+  { maxSdi: Infinity, flux: 17, source: 'High-fouling water' }
+];
+
+// mg/L TDS per µS/cm
+export const TDS_FACTOR = 0.65;
+
+// Inputs used when a field is left blank
+const DEFAULTS = { temp: 25, recovery: 75, tds: 500, sdi: 3 };
+const RECOVERY_LIMITS = [0.01, 0.95];
+
+// Element pressure drop ΔP = k·Qavg^1.7 (bar, m³/hr)
+const PRESSURE_DROP_COEFFICIENT = 0.0075;
+const POLARISATION_COEFFICIENT = 0.7;
+
+const finite = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+/**
+ * Membrane temperature correction factor (1 at 25 °C)
+ * @param {number} temp - Feed temperature (°C)
+ * @returns {number} Share of the 25 °C permeability
+ */
+export function temperatureCorrection(temp) {
+  const t = finite(temp, DEFAULTS.temp);
+  return Math.exp((t >= 25 ? 2640 : 3020) * (1 / 298.15 - 1 / (273.15 + t)));
+}
+
+/**
+ * Osmotic pressure of a brackish water
+ * @param {number} tds - Total dissolved solids (mg/L)
+ * @param {number} temp - Temperature (°C)
+ * @returns {number} Osmotic pressure (bar)
+ */
+export function osmoticPressure(tds, temp) {
+  return 0.00079 * tds * (273.15 + finite(temp, DEFAULTS.temp)) / 298.15;
+}
+
+/**
+ * Design flux for the feed water
+ * @param {number} sdi - Silt density index
+ * @returns {Object} { flux (LMH), source }
+ */
+export function designFlux(sdi) {
+  const value = finite(sdi, DEFAULTS.sdi);
+  return DESIGN_FLUX.find(band => value <= band.maxSdi);
+}
+
+/**
+ * Elements needed to deliver a permeate flow at a flux
+ * @param {number} permeateFlow - m³/hr
+ * @param {number} flux - LMH
+ * @param {string} [elementId] - See ELEMENTS
+ * @returns {number} Element count
+ */
+export function elementsRequired(permeateFlow, flux, elementId = DEFAULT_ELEMENT) {
+  return Math.max(1, Math.ceil(permeateFlow * 1000 / (flux * ELEMENTS[elementId].area)));
+}
+
+/**
+ * Arrange elements in vessels and stages for a recovery
+ *
+ * Each element can take about maxElementRecovery of its feed, so the
+ * recovery sets how many elements the feed must pass in series. Vessels
+ * taper from stage to stage with the falling flow. A skid with too few
+ * vessels in series recirculates concentrate to reach the recovery.
+ * Vessels are all the same length, so an element count no vessel length
+ * divides is rounded up to whole vessels.
+ *
+ * @param {number} elements - Element count
+ * @param {number} recovery - System recovery (fraction)
+ * @param {Object} [options] - { elementsPerVessel, element }
+ * @returns {Object} { vessels, elementsPerVessel, elements, stages (vessels per stage), passRecovery, recirculation }
+ */
+export function arrayLayout(elements, recovery, { elementsPerVessel, element = DEFAULT_ELEMENT } = {}) {
+  const perVessel = Math.min(elements,
+    elementsPerVessel || VESSEL_LENGTHS.find(n => n <= elements && elements % n === 0) || VESSEL_LENGTHS[0]);
+  const vessels = Math.ceil(elements / perVessel);
+  const elementRecovery = ELEMENTS[element].maxElementRecovery;
+  const inSeries = Math.ceil(Math.log(1 - recovery) / Math.log(1 - elementRecovery));
+  const stageCount = Math.max(1, Math.min(vessels, Math.ceil(inSeries / perVessel)));
+
+  // Vessels per stage in proportion to each stage's feed flow
+  const stageRecovery = 1 - (1 - recovery) ** (1 / stageCount);
+  const weights = Array.from({ length: stageCount }, (_, i) => (1 - stageRecovery) ** i);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const stages = weights.map(w => Math.max(1, Math.floor(vessels * w / total)));
+  for (let i = 0; stages.reduce((sum, n) => sum + n, 0) < vessels; i = (i + 1) % stageCount) stages[i]++;
+
+  const passRecovery = 1 - (1 - elementRecovery) ** (stageCount * perVessel);
+  return {
+    vessels,
+    elementsPerVessel: perVessel,
+    elements: vessels * perVessel,
+    stages,
+    passRecovery: Math.min(recovery, passRecovery),
+    recirculation: recovery > passRecovery
+  };
+}
+
+/**
+ * One element at a feed flow, concentration and pressure
+ * @returns {Object} { permeateFlow, permeateTDS, pressureDrop, flux }
+ */
+function elementPerformance(feedFlow, feedTDS, feedPressure, spec, tcf, temp, permeatePressure) {
+  // No feed left (or none to start with): nothing to permeate, and recovery would be 0/0
+  if (!(feedFlow > 0)) return { permeateFlow: 0, permeateTDS: 0, pressureDrop: 0, flux: 0 };
+
+  const A = spec.waterPermeability * tcf;
+  const B = spec.saltPermeability * tcf;
+  let permeateFlow = 0;
+  let permeateTDS = 0;
+  let pressureDrop = 0;
+  let flux = 0;
+
+  // Fixed-point iteration, damped: flux depends on the concentration it leaves behind
+  for (let i = 0; i < 30; i++) {
+    const recovery = permeateFlow / feedFlow;
+    const concentrateTDS = (feedFlow * feedTDS - permeateFlow * permeateTDS) / (feedFlow - permeateFlow);
+    const membraneTDS = (feedTDS + concentrateTDS) / 2 * Math.exp(POLARISATION_COEFFICIENT * recovery);
+    pressureDrop = PRESSURE_DROP_COEFFICIENT * (feedFlow - permeateFlow / 2) ** 1.7;
+
+    const netPressure = feedPressure - pressureDrop / 2 - permeatePressure -
+      (osmoticPressure(membraneTDS, temp) - osmoticPressure(permeateTDS, temp));
+    flux = Math.max(0, A * netPressure);
+    permeateTDS = flux > 0 ? B * membraneTDS / (flux + B) : 0;
+    permeateFlow = Math.min((permeateFlow + flux * spec.area / 1000) / 2, feedFlow / 2);
+  }
+
+  return { permeateFlow, permeateTDS, pressureDrop, flux: permeateFlow * 1000 / spec.area };
+}
+
+/**
+ * Step the feed through the array at a feed pressure
+ * @returns {Object} Array performance with per-stage results
+ */
+function simulateArray(layout, feedFlow, feedTDS, feedPressure, spec, tcf, temp, permeatePressure) {
+  let flow = feedFlow;
+  let tds = feedTDS;
+  let pressure = feedPressure;
+  let permeateFlow = 0;
+  let permeateSalt = 0;
+  const stages = [];
+
+  layout.stages.forEach((vessels, index) => {
+    const stage = { stage: index + 1, vessels, feedFlow: flow, feedTDS: tds, feedPressure: pressure, permeateFlow: 0, maxElementRecovery: 0 };
+    let vesselFlow = flow / vessels;
+    let stageSalt = 0;
+
+    for (let e = 0; e < layout.elementsPerVessel; e++) {
+      const element = elementPerformance(vesselFlow, tds, pressure, spec, tcf, temp, permeatePressure);
+      if (element.permeateFlow > 0) {
+        stage.maxElementRecovery = Math.max(stage.maxElementRecovery, element.permeateFlow / vesselFlow);
+        tds = (vesselFlow * tds - element.permeateFlow * element.permeateTDS) / (vesselFlow - element.permeateFlow);
+      }
+      vesselFlow -= element.permeateFlow;
+      pressure -= element.pressureDrop;
+      stage.permeateFlow += element.permeateFlow * vessels;
+      stageSalt += element.permeateFlow * element.permeateTDS * vessels;
+    }
+
+    flow = vesselFlow * vessels;
+    stage.permeateTDS = stage.permeateFlow > 0 ? stageSalt / stage.permeateFlow : 0;
+    stage.concentrateFlow = flow;
+    stage.concentrateTDS = tds;
+    stage.pressureDrop = stage.feedPressure - pressure;
+    stage.flux = stage.permeateFlow * 1000 / (vessels * layout.elementsPerVessel * spec.area);
+    stages.push(stage);
+
+    permeateFlow += stage.permeateFlow;
+    permeateSalt += stageSalt;
+  });
+
+  return {
+    stages,
+    permeateFlow,
+    permeateTDS: permeateFlow > 0 ? permeateSalt / permeateFlow : 0,
+    concentrateFlow: flow,
+    concentrateTDS: tds
+  };
+}
+
+/**
+ * Design an RO array for the feed water
+ * @param {Object} inputs - Feed-water inputs (permeateFlow, recovery %, tds or conductivity, temp, sdi)
+ * @param {Object} [options]
+ * @param {number} [options.elements] - Element count (default: enough for the design flux)
+ * @param {number} [options.elementsPerVessel] - Default: see VESSEL_LENGTHS
+ * @param {string} [options.element] - Element id (see ELEMENTS)
+ * @param {number} [options.permeatePressure] - Permeate back-pressure (bar)
+ * @returns {Object} Design: array, flows, flux, feed pressure, permeate and concentrate TDS, warnings
+ * @throws {Error} code DESIGN_INVALID when the permeate flow is missing or not above zero
+ */
+export function designArray(inputs, options = {}) {
+  const { elementsPerVessel, element = DEFAULT_ELEMENT, permeatePressure = 0 } = options;
+  const spec = ELEMENTS[element];
+  const warnings = [];
+
+  const permeateFlow = inputs.permeateFlow;
+  if (!Number.isFinite(permeateFlow) || permeateFlow <= 0) {
+    const error = new Error(`Permeate flow must be a number above 0 m³/hr (got ${permeateFlow})`);
+    error.code = 'DESIGN_INVALID';
+    throw error;
+  }
+  const temp = finite(inputs.temp, DEFAULTS.temp);
+  const feedTDS = finite(inputs.tds, Number.isFinite(inputs.conductivity) ? inputs.conductivity * TDS_FACTOR : DEFAULTS.tds);
+  const requested = finite(inputs.recovery, DEFAULTS.recovery) / 100;
+  const recovery = Math.min(RECOVERY_LIMITS[1], Math.max(RECOVERY_LIMITS[0], requested));
+  if (recovery !== requested) warnings.push(`Recovery limited to ${Math.round(recovery * 100)}%`);
+
+  const target = designFlux(inputs.sdi);
+  const layout = arrayLayout(options.elements || elementsRequired(permeateFlow, target.flux, element), recovery,
+    { elementsPerVessel, element });
+  const elements = layout.elements;
+  const tcf = temperatureCorrection(temp);
+
+  // Raw feed for the recovery; concentrate recirculation makes up the array feed
+  const rawFeed = permeateFlow / recovery;
+  const arrayFeed = permeateFlow / layout.passRecovery;
+  const recirculationFlow = arrayFeed - rawFeed;
+
+  const run = pressure => {
+    let mixTDS = feedTDS;
+    let result = simulateArray(layout, arrayFeed, mixTDS, pressure, spec, tcf, temp, permeatePressure);
+    // Iterate the blend of raw feed and recirculated concentrate; a pressure
+    // that makes more permeate than the raw feed supplies is more than enough
+    for (let i = 0; recirculationFlow > 0 && result.permeateFlow < rawFeed && i < 20; i++) {
+      mixTDS = (rawFeed * feedTDS + recirculationFlow * result.concentrateTDS) / arrayFeed;
+      result = simulateArray(layout, arrayFeed, mixTDS, pressure, spec, tcf, temp, permeatePressure);
+    }
+    return result;
+  };
+
+  // Feed pressure that delivers the permeate flow (permeate rises with pressure)
+  let low = 0;
+  let high = spec.maxPressure * 2;
+  let result = run(high);
+  if (result.permeateFlow < permeateFlow) {
+    warnings.push(`Permeate flow not reached below ${high} bar`);
+  } else {
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2;
+      if (run(mid).permeateFlow < permeateFlow) low = mid;
+      else high = mid;
+    }
+    result = run(high);
+  }
+  const feedPressure = high;
+
+  const flux = permeateFlow * 1000 / (elements * spec.area);
+  if (flux > target.flux * 1.05) {
+    warnings.push(`Average flux ${flux.toFixed(1)} LMH exceeds the ${target.flux} LMH guideline for ${target.source.toLowerCase()}`);
+  }
+  if (feedPressure > spec.maxPressure) {
+    warnings.push(`Feed pressure ${feedPressure.toFixed(1)} bar exceeds the element limit of ${spec.maxPressure} bar`);
+  }
+  if (arrayFeed / layout.stages[0] > spec.maxFeedFlow) {
+    warnings.push(`Feed flow per vessel exceeds ${spec.maxFeedFlow} m³/hr`);
+  }
+  const lastStage = result.stages[result.stages.length - 1];
+  if (lastStage.concentrateFlow / lastStage.vessels < spec.minConcentrateFlow) {
+    warnings.push(`Concentrate flow per vessel is below ${spec.minConcentrateFlow} m³/hr`);
+  }
+
+  const concentrateTDS = result.concentrateTDS;
+  return {
+    element,
+    elements,
+    vessels: layout.vessels,
+    elementsPerVessel: layout.elementsPerVessel,
+    array: layout.stages.join(':'),
+    stages: result.stages,
+    recovery,
+    permeateFlow,
+    feedFlow: rawFeed,
+    concentrateFlow: rawFeed - permeateFlow,
+    recirculationFlow,
+    flux,
+    designFlux: target.flux,
+    feedSource: target.source,
+    feedPressure,
+    feedTDS,
+    permeateTDS: result.permeateTDS,
+    concentrateTDS,
+    concentrationFactor: feedTDS > 0 ? concentrateTDS / feedTDS : 0,
+    rejection: feedTDS > 0 ? 1 - result.permeateTDS / feedTDS : 0,
+    tcf,
+    warnings
+  };
+}
+
+export default {
+  ELEMENTS,
+  DEFAULT_ELEMENT,
+  VESSEL_LENGTHS,
+  DESIGN_FLUX,
+  TDS_FACTOR,
+  temperatureCorrection,
+  osmoticPressure,
+  designFlux,
+  elementsRequired,
+  arrayLayout,
+  designArray
+};
@@ -0,0 +1,352 @@
+/**
+ * ro-quotation.js - Shared RO quotation logic
+ *
+ * Sizing, alarms, auto add-ons, BOM, labour and margin calculation for the
+ * packaged RO systems, used by the quotation system, the WaterLogic app and
+ * the proposal app. Everything except loadCatalogue() and loadRules() is a
+ * pure function of its arguments; prices come from a catalogue (see
+ * js/data/catalogues/) and alarm and add-on thresholds from a ruleset (see
+ * quotation-rules.js).
+ *
+ * Feed-water inputs use the quotation system's field names: permeateFlow
+ * (m³/hr), permeateQuality (µS/cm), recovery (%), conductivity, tds, tss,
+ * pressure (bar), temp (°C), ph, chlorine, iron, hardness, turbidity, sdi,
+ * and optionally the scale-forming ions calcium, alkalinity, sulfate,
+ * barium, strontium and silica (see water-chemistry.js).
+ */
+
+import { BUILTIN_CATALOGUE } from '../data/ro-catalogue.js';
+import { ELEMENTS, TDS_FACTOR, designArray, designFlux, elementsRequired, temperatureCorrection } from './ro-design.js';
+import { assessScaling } from './water-chemistry.js';
+import { DEFAULT_RULES, applyRules, loadRules, ruleFacts } from './quotation-rules.js';
+
+export { BUILTIN_CATALOGUE, temperatureCorrection, assessScaling, DEFAULT_RULES, loadRules };
+
+// RO membrane element fitted to every model
+export const MEMBRANE = { name: 'RO Membrane 8040', supplier: 'Ecosoft', partNo: '8040', cost: 460 };
+
+// Model used when no permeate flow is given
+export const DEFAULT_FLOW = 9;
+
+// Overheads added to the build cost before markup
+export const OVERHEADS = { workshop: 0.05, contingency: 0.05, socialImpact: 0.02 };
+
+// Build-cost factor per construction material
+export const MATERIAL_FACTORS = { stainless: 1.0, grp: 0.85, pvc: 0.70 };
+
+// Container size → add-on id
+export const CONTAINER_ADDONS = { '10ft': 'container10', '20ft': 'container', '40ft': 'container40' };
+
+// Scaling index status → alarm level
+const SCALING_ALARM_TYPES = { antiscalant: 'info', exceeded: 'warning' };
+
+/**
+ * Fill in whatever a stored catalogue version lacks from the built-in one
+ * @param {Object} catalogue - Catalogue version
+ * @returns {Object} Complete catalogue
+ */
+export function withDefaults(catalogue) {
+  return {
+    ...BUILTIN_CATALOGUE,
+    ...catalogue,
+    models: { ...BUILTIN_CATALOGUE.models, ...catalogue.models },
+    addons: { ...BUILTIN_CATALOGUE.addons, ...catalogue.addons },
+    labour: catalogue.labour?.length ? catalogue.labour : BUILTIN_CATALOGUE.labour
+  };
+}
+
+/**
+ * Fetch the active catalogue version, falling back to the built-in prices
+ * (e.g. when the index cannot be fetched)
+ * @param {string} baseUrl - Catalogue directory
+ * @returns {Promise<Object>} Catalogue
+ */
+export async function loadCatalogue(baseUrl = 'js/data/catalogues/') {
+  const fetchJSON = async url => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+    return response.json();
+  };
+
+  try {
+    const index = await fetchJSON(`${baseUrl}index.json`);
+    const entry = index.versions.find(v => v.version === index.active);
+    if (!entry) throw new Error(`Active catalogue ${index.active} is not listed in the index`);
+    return withDefaults(await fetchJSON(`${baseUrl}${entry.file}`));
+  } catch (error) {
+    console.warn('Catalogue not loaded; using built-in prices.', error);
+    return BUILTIN_CATALOGUE;
+  }
+}
+
+/**
+ * Catalogue models in order of rated flow
+ * @returns {Object[]} { flow, code, roCost, membranes, power, cip, pipework, labour, shipping }
+ */
+export function modelList(catalogue) {
+  return Object.entries(catalogue.models)
+    .map(([flow, model]) => ({ flow: Number(flow), ...model }))
+    .sort((a, b) => a.flow - b.flow);
+}
+
+/**
+ * Smallest model rated for a permeate flow with enough membrane elements
+ * (the largest when none is)
+ * @param {Object} catalogue - Catalogue
+ * @param {number} flow - Required permeate flow (m³/hr)
+ * @param {number} [elements] - Required element count
+ * @returns {Object} Model (see modelList)
+ */
+export function selectModel(catalogue, flow, elements = 1) {
+  const models = modelList(catalogue);
+  const required = Number.isFinite(flow) ? flow : DEFAULT_FLOW;
+  return models.find(m => m.flow >= required && m.membranes >= elements) || models[models.length - 1];
+}
+
+/**
+ * Size the RO system for the feed water: the smallest skid with the
+ * elements the design flux calls for, and its array design (see ro-design.js)
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} catalogue - Catalogue
+ * @returns {Object} { model, design, scaling, tempFactor, feedFlow, rejectFlow, membraneArea, pressureVessels, feedPressure, flux, permeateConductivity, concentrateTDS, warnings }
+ */
+export function sizeSystem(inputs, catalogue) {
+  // A flow the array cannot be designed for (e.g. 0 typed into the form) sizes the default skid
+  const flow = inputs.permeateFlow > 0 ? inputs.permeateFlow : DEFAULT_FLOW;
+  const required = elementsRequired(flow, designFlux(inputs.sdi).flux);
+  const model = selectModel(catalogue, flow, required);
+  const design = designArray({ ...inputs, permeateFlow: flow }, { elements: model.membranes });
+
+  const warnings = [...design.warnings];
+  if (Number.isFinite(inputs.permeateFlow) && inputs.permeateFlow <= 0) {
+    warnings.unshift(`Permeate flow must be above 0; sized for ${DEFAULT_FLOW} m³/hr`);
+  }
+  if (model.membranes < required) {
+    warnings.unshift(`${required} membrane elements needed; the largest skid, ${model.code}, has ${model.membranes}`);
+  }
+
+  return {
+    model,
+    design,
+    scaling: assessScaling(inputs),
+    tempFactor: design.tcf,
+    feedFlow: design.feedFlow,
+    rejectFlow: design.concentrateFlow,
+    membraneArea: design.elements * ELEMENTS[design.element].area,
+    pressureVessels: design.vessels,
+    feedPressure: design.feedPressure,
+    flux: design.flux,
+    permeateConductivity: Number.isFinite(inputs.conductivity)
+      ? inputs.conductivity * (1 - design.rejection)
+      : design.permeateTDS / TDS_FACTOR,
+    concentrateTDS: design.concentrateTDS,
+    warnings
+  };
+}
+
+/**
+ * Rules that fire for the feed water, e.g. to record them in a decision log
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} [sizing] - sizeSystem() result (saves reassessing scaling)
+ * @param {Object} [rules] - Ruleset (see loadRules)
+ * @returns {Object[]} See applyRules() in quotation-rules.js
+ */
+export function evaluateRules(inputs, sizing, rules = DEFAULT_RULES) {
+  return applyRules(rules, ruleFacts(inputs, sizing?.scaling || assessScaling(inputs)));
+}
+
+/**
+ * Alarms raised by the rules, the scaling risk at the design recovery, and
+ * the array design when given
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} [sizing] - sizeSystem() result
+ * @param {Object} [rules] - Ruleset (see loadRules)
+ * @returns {Object[]} { id, type, param, value, message }
+ */
+export function evaluateAlarms(inputs, sizing, rules = DEFAULT_RULES) {
+  const scaling = sizing?.scaling || assessScaling(inputs);
+  const { recoveryLimit } = scaling;
+  return [
+    ...applyRules(rules, ruleFacts(inputs, scaling)).filter(fired => fired.alarm)
+      .map(({ id, param, value, alarm }) => ({ id, type: alarm.level, param, value, message: alarm.message })),
+    ...scaling.indices.filter(index => index.status !== 'ok').map(index => ({
+      id: `scaling-${index.id}`,
+      type: SCALING_ALARM_TYPES[index.status],
+      param: index.name,
+      value: Math.round(index.value * 100) / 100,
+      message: index.explanation
+    })),
+    ...(recoveryLimit.exceeded
+      ? [{ id: 'recovery', type: 'warning', param: 'Recovery', value: inputs.recovery, message: recoveryLimit.reason }]
+      : []),
+    ...(sizing ? sizing.warnings.map(message => ({ id: 'design', type: 'warning', param: 'Design', value: sizing.model.code, message })) : [])
+  ];
+}
+
+/**
+ * BOM line for a catalogue add-on
+ */
+function addonLine(catalogue, id, type, reason) {
+  const addon = catalogue.addons[id];
+  return {
+    id,
+    qty: 1,
+    name: addon.name,
+    supplier: addon.supplier || null,
+    partNo: addon.partNo || null,
+    cost: addon.cost,
+    type,
+    ...(reason ? { reason } : {})
+  };
+}
+
+/**
+ * Add-ons the rules call for; a rule's component may set the cost or name,
+ * or describe a component the catalogue does not have
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} catalogue - Catalogue
+ * @param {Object} [rules] - Ruleset (see loadRules)
+ * @returns {Object[]} BOM lines of type 'auto', with the reason
+ */
+export function selectAddons(inputs, catalogue, rules = DEFAULT_RULES) {
+  return evaluateRules(inputs, null, rules).filter(fired => fired.component).flatMap(({ id, component, reason }) => {
+    if (catalogue.addons[component.addon]) {
+      const line = addonLine(catalogue, component.addon, 'auto', reason);
+      return [{ ...line, name: component.name || line.name, cost: component.cost ?? line.cost }];
+    }
+    if (!component.name || !Number.isFinite(component.cost)) return [];
+    return [{ id: component.addon || id, qty: 1, name: component.name, supplier: null, partNo: null, cost: component.cost, type: 'auto', reason }];
+  });
+}
+
+/**
+ * Equipment BOM: the model's base lines, the add-ons the feed water calls
+ * for and the chosen options
+ * @param {Object} inputs - Feed-water inputs
+ * @param {Object} model - Selected model (see selectModel)
+ * @param {Object} catalogue - Catalogue
+ * @param {Object} [options]
+ * @param {boolean|string} [options.container] - Container size ('10ft', '20ft', '40ft'; true = 20ft)
+ * @param {boolean} [options.uv] - UV disinfection
+ * @param {boolean} [options.cip] - CIP system
+ * @param {boolean} [options.flush] - Permeate flushing
+ * @param {boolean} [options.monitoring] - Remote monitoring
+ * @param {boolean} [options.secondRO] - Second stage RO
+ * @param {string[]} [options.partners] - Technology-partner add-on ids
+ * @param {boolean} [options.labourAllowance] - Include the model's lump-sum labour
+ * @param {string} [options.material] - Construction material (see MATERIAL_FACTORS)
+ * @param {Object} [options.rules] - Ruleset for the add-ons (see loadRules)
+ * @returns {Object[]} { id, qty, name, supplier, partNo, cost, type, reason? }
+ */
+export function buildBom(inputs, model, catalogue, options = {}) {
+  const lines = [
+    { id: 'roSystem', qty: 1, name: `RO System ${model.code}`, supplier: 'Ecosoft', partNo: model.code, cost: model.roCost, type: 'base' },
+    { id: 'membranes', qty: model.membranes, ...MEMBRANE, type: 'base' },
+    { id: 'pipework', qty: 1, name: 'Pipework & Materials', supplier: 'Various', partNo: null, cost: model.pipework, type: 'base' },
+    ...(options.labourAllowance
+      ? [{ id: 'labour', qty: 1, name: 'Labour', supplier: null, partNo: null, cost: model.labour, type: 'base' }]
+      : []),
+    { id: 'shipping', qty: 1, name: 'Shipping', supplier: 'Logistics', partNo: null, cost: model.shipping, type: 'base' },
+    ...selectAddons(inputs, catalogue, options.rules)
+  ];
+
+  // Options already added for the feed water are not added twice
+  const manual = id => {
+    if (catalogue.addons[id] && !lines.some(line => line.id === id)) lines.push(addonLine(catalogue, id, 'manual'));
+  };
+  if (options.container) manual(CONTAINER_ADDONS[options.container === true ? '20ft' : options.container] || 'container');
+  if (options.uv) manual('uv');
+  if (options.cip) {
+    lines.push({ id: 'cip', qty: 1, name: 'CIP System', supplier: 'Membracon', partNo: 'CIP', cost: model.cip, type: 'manual' });
+  }
+  ['flush', 'monitoring', 'secondRO'].filter(id => options[id]).forEach(manual);
+  (options.partners || []).filter(id => catalogue.addons[id]).forEach(id => lines.push(addonLine(catalogue, id, 'partner')));
+
+  const factor = MATERIAL_FACTORS[options.material] ?? 1;
+  return factor === 1 ? lines : lines.map(line => ({ ...line, cost: Math.round(line.cost * factor) }));
+}
+
+/**
+ * Cost and sell each line at a markup
+ */
+function priceLines(lines, markup, unitCost) {
+  const mf = 1 + markup / 100;
+  let cost = 0;
+  let sell = 0;
+  const priced = lines.map(line => {
+    const totalCost = line.qty * unitCost(line);
+    const totalSell = totalCost * mf;
+    cost += totalCost;
+    sell += totalSell;
+    return { ...line, markup, totalCost, totalSell };
+  });
+  return { lines: priced, cost, sell };
+}
+
+/**
+ * Price BOM lines at a markup
+ * @param {Object[]} lines - BOM lines (see buildBom)
+ * @param {number} markup - Markup (%)
+ * @returns {Object} { lines (with markup, totalCost, totalSell), cost, sell }
+ */
+export function priceBom(lines, markup) {
+  return priceLines(lines, markup, line => line.cost);
+}
+
+/**
+ * Price labour lines at a markup
+ * @param {Object[]} lines - { id, name, unit, qty, rate }
+ * @param {number} markup - Markup (%)
+ * @returns {Object} { lines (with markup, totalCost, totalSell), cost, sell }
+ */
+export function priceLabour(lines, markup) {
+  return priceLines(lines, markup, line => line.rate);
+}
+
+/**
+ * Sell price and gross margin for a build cost
+ * @param {number} cost - Build cost
+ * @param {number} markup - Markup (%)
+ * @param {Object} [overheads] - Overhead name → share of cost (see OVERHEADS)
+ * @returns {Object} { cost, overheads (amounts), subtotal, sell, grossProfit, grossMargin (%) }
+ */
+export function calculateMargin(cost, markup, overheads = {}) {
+  const amounts = Object.fromEntries(Object.entries(overheads).map(([name, share]) => [name, cost * share]));
+  const subtotal = cost + Object.values(amounts).reduce((sum, amount) => sum + amount, 0);
+  const sell = subtotal * (1 + markup / 100);
+  const grossProfit = sell - subtotal;
+
+  return {
+    cost,
+    overheads: amounts,
+    subtotal,
+    sell,
+    grossProfit,
+    grossMargin: sell ? grossProfit / sell * 100 : 0
+  };
+}
+
+export default {
+  BUILTIN_CATALOGUE,
+  MEMBRANE,
+  DEFAULT_FLOW,
+  OVERHEADS,
+  MATERIAL_FACTORS,
+  CONTAINER_ADDONS,
+  DEFAULT_RULES,
+  withDefaults,
+  loadCatalogue,
+  loadRules,
+  temperatureCorrection,
+  assessScaling,
+  modelList,
+  selectModel,
+  sizeSystem,
+  evaluateRules,
+  evaluateAlarms,
+  selectAddons,
+  buildBom,
+  priceBom,
+  priceLabour,
+  calculateMargin
+};
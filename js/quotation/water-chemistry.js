@@ -0,0 +1,340 @@
+/**
+ * water-chemistry.js - Scaling risk of RO feed water
+ *
+ * Concentrates the scale-forming ions of the feed to the design recovery
+ * and rates the concentrate against the usual projection limits:
+ *
+ *   LSI / S&DSI = pH − pHs                       calcium carbonate
+ *   LSI:   pHs = pK2 − pKs + p[Ca] + p[Alk] + 5·pfm   (Standard Methods 2330)
+ *   S&DSI: pHs = p[Ca] + p[Alk] + K(I, T)             (Stiff & Davis, ASTM D4582)
+ *   saturation = γ2²·[M][SO4] / Ksp              CaSO4, BaSO4, SrSO4
+ *   saturation = SiO2 / solubility(T, pH)        amorphous silica
+ *
+ * Ions pass the membrane as CO2 does not, so the concentrate holds
+ * 1/(1 − r) of each ion and its pH rises by log10 of that factor.
+ * Activity coefficients come from the Davies equation on the ionic
+ * strength estimated from TDS; ion pairing is ignored, which errs on the
+ * side of scaling. Davies does not hold in brackish and sea-water
+ * concentrates, so above 10,000 mg/L TDS the S&DSI replaces the LSI, with
+ * the Stiff & Davis K in place of the activity terms.
+ *
+ * From the indices it recommends the maximum recovery, antiscalant dosing
+ * and softening. Pure functions; concentrations in mg/L, alkalinity and
+ * hardness as CaCO₃.
+ */
+
+import { TDS_FACTOR } from './ro-design.js';
+
+// Index limits in the concentrate, without and with antiscalant
+export const SCALING_LIMITS = {
+  calcite: { name: 'Calcium carbonate', untreated: 0, antiscalant: 1.8 },
+  gypsum: { name: 'CaSO₄', untreated: 100, antiscalant: 230 },
+  barite: { name: 'BaSO₄', untreated: 100, antiscalant: 6000 },
+  celestite: { name: 'SrSO₄', untreated: 100, antiscalant: 800 },
+  silica: { name: 'Silica', untreated: 100, antiscalant: 150 }
+};
+
+// Used for ions that were not measured
+export const ESTIMATES = {
+  calciumShare: 0.7,      // calcium share of total hardness
+  alkalinityShare: 0.8    // alkalinity as a share of total hardness
+};
+
+// Antiscalant dose range in the feed (mg/L)
+export const ANTISCALANT_DOSE = { min: 2, max: 5 };
+
+// Hardness (and barium, strontium) left after softening
+export const SOFTENER_LEAKAGE = 0.02;
+
+// Concentrate TDS above which the S&DSI replaces the LSI (mg/L)
+const SDSI_TDS = 10000;
+
+// Solubility products at 25 °C (log10)
+const LOG_KSP = { gypsum: -4.58, barite: -9.97, celestite: -6.63 };
+
+// Molar masses (g/mol); alkalinity as CaCO₃ is 50.04 g per equivalent
+const MOLAR_MASS = { calcium: 40.078, sulfate: 96.06, barium: 137.33, strontium: 87.62, alkalinity: 50.04 };
+
+const DEFAULTS = { temp: 25, ph: 7, recovery: 75, tds: 500 };
+const RECOVERY_LIMITS = [0, 0.95];
+
+const finite = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+const log10 = Math.log10;
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Davies activity coefficient of a monovalent ion (log10)
+ * @param {number} ionicStrength - mol/L
+ * @param {number} temp - °C
+ */
+function logGamma1(ionicStrength, temp) {
+  const t = temp + 273.15;
+  const dielectric = 60954 / (t + 116) - 68.937;
+  const a = 1.82e6 * (dielectric * t) ** -1.5;
+  const root = Math.sqrt(ionicStrength);
+  return -a * (root / (1 + root) - 0.3 * ionicStrength);
+}
+
+/**
+ * Saturation pH of calcium carbonate
+ * @param {number} calcium - Ca (mg/L)
+ * @param {number} alkalinity - mg/L as CaCO₃
+ * @param {number} tds - mg/L
+ * @param {number} temp - °C
+ * @returns {number} pHs
+ */
+export function saturationPH(calcium, alkalinity, tds, temp) {
+  const t = temp + 273.15;
+  const pK2 = 107.8871 + 0.03252849 * t - 5151.79 / t - 38.92561 * log10(t) + 563713.9 / t ** 2;
+  const pKs = 171.9065 + 0.077993 * t - 2839.319 / t - 71.595 * log10(t);
+  const pfm = -logGamma1(2.5e-5 * tds, temp);
+  const pCa = -log10(calcium / MOLAR_MASS.calcium / 1000);
+  const pAlk = -log10(alkalinity / MOLAR_MASS.alkalinity / 1000);
+  return pK2 - pKs + pCa + pAlk + 5 * pfm;
+}
+
+/**
+ * Stiff & Davis K: pK2 − pKs with the activity and ion-pairing corrections
+ * of saline water folded in, as a curve fit to the ASTM D4582 chart
+ * (0–50 °C, ionic strength up to about 3 mol/L)
+ * @param {number} ionicStrength - mol/L
+ * @param {number} temp - °C
+ * @returns {number} K
+ */
+export function stiffDavisK(ionicStrength, temp) {
+  return 2.022 * Math.exp((Math.log(ionicStrength) + 7.544) ** 2 / 102.6) - 0.0002 * temp ** 2 - 0.00097 * temp;
+}
+
+/**
+ * Saturation pH of calcium carbonate in saline water (Stiff & Davis)
+ * @param {number} calcium - Ca (mg/L)
+ * @param {number} alkalinity - mg/L as CaCO₃
+ * @param {number} tds - mg/L
+ * @param {number} temp - °C
+ * @returns {number} pHs
+ */
+export function stiffDavisPH(calcium, alkalinity, tds, temp) {
+  const pCa = -log10(calcium / MOLAR_MASS.calcium / 1000);
+  const pAlk = -log10(alkalinity / MOLAR_MASS.alkalinity / 1000);
+  return pCa + pAlk + stiffDavisK(2.5e-5 * tds, temp);
+}
+
+/**
+ * Solubility of amorphous silica
+ * @param {number} temp - °C
+ * @param {number} ph - pH (silicic acid dissociates above about pH 8)
+ * @returns {number} mg/L SiO₂
+ */
+export function silicaSolubility(temp, ph) {
+  return 10 ** (4.52 - 731 / (temp + 273.15)) * (1 + 10 ** (ph - 9.8));
+}
+
+/**
+ * Feed ions, estimating calcium and alkalinity from hardness when not measured
+ * @param {Object} inputs - Feed-water inputs
+ * @returns {Object} { temp, ph, tds, calcium, alkalinity, sulfate, barium, strontium, silica, assumed }
+ */
+export function feedIons(inputs) {
+  const assumed = [];
+  const hardness = inputs.hardness;
+  let calcium = inputs.calcium;
+  let alkalinity = inputs.alkalinity;
+  if (!Number.isFinite(calcium) && Number.isFinite(hardness)) {
+    calcium = hardness * ESTIMATES.calciumShare * MOLAR_MASS.calcium / 100.09;
+    assumed.push(`calcium taken as ${ESTIMATES.calciumShare * 100}% of hardness`);
+  }
+  if (!Number.isFinite(alkalinity) && Number.isFinite(hardness)) {
+    alkalinity = hardness * ESTIMATES.alkalinityShare;
+    assumed.push(`alkalinity taken as ${ESTIMATES.alkalinityShare * 100}% of hardness`);
+  }
+
+  return {
+    temp: finite(inputs.temp, DEFAULTS.temp),
+    ph: finite(inputs.ph, DEFAULTS.ph),
+    tds: finite(inputs.tds, Number.isFinite(inputs.conductivity) ? inputs.conductivity * TDS_FACTOR : DEFAULTS.tds),
+    calcium,
+    alkalinity,
+    sulfate: inputs.sulfate,
+    barium: inputs.barium,
+    strontium: inputs.strontium,
+    silica: inputs.silica,
+    assumed
+  };
+}
+
+/**
+ * Scaling indices of the concentrate at a concentration factor; indices
+ * whose ions are unknown are left out
+ * @param {Object} ions - See feedIons()
+ * @param {number} factor - Concentration factor, 1/(1 − recovery)
+ * @returns {Object[]} { id, name, value, unit, limit (untreated), antiscalantLimit }
+ */
+export function scalingIndices(ions, factor) {
+  const known = value => Number.isFinite(value) && value > 0;
+  const tds = ions.tds * factor;
+  const ph = ions.ph + log10(factor);
+  const molar = (ion, value) => value * factor / MOLAR_MASS[ion] / 1000;
+  const logGamma2 = 4 * logGamma1(2.5e-5 * tds, ions.temp);
+  const sulfateSaturation = (ion, mineral) =>
+    100 * 10 ** (2 * logGamma2 + log10(molar(ion, ions[ion]) * molar('sulfate', ions.sulfate)) - LOG_KSP[mineral]);
+
+  const indices = [];
+  const add = (id, value, unit, name = SCALING_LIMITS[id].name) => indices.push({
+    id, name, value, unit, limit: SCALING_LIMITS[id].untreated, antiscalantLimit: SCALING_LIMITS[id].antiscalant
+  });
+  if (known(ions.calcium) && known(ions.alkalinity)) {
+    const stiffDavis = tds > SDSI_TDS;
+    const pHs = (stiffDavis ? stiffDavisPH : saturationPH)(ions.calcium * factor, ions.alkalinity * factor, tds, ions.temp);
+    add('calcite', ph - pHs, '', stiffDavis ? 'S&DSI' : 'LSI');
+  }
+  if (known(ions.sulfate)) {
+    if (known(ions.calcium)) add('gypsum', sulfateSaturation('calcium', 'gypsum'), '%');
+    if (known(ions.barium)) add('barite', sulfateSaturation('barium', 'barite'), '%');
+    if (known(ions.strontium)) add('celestite', sulfateSaturation('strontium', 'celestite'), '%');
+  }
+  if (known(ions.silica)) add('silica', 100 * ions.silica * factor / silicaSolubility(ions.temp, ph), '%');
+  return indices;
+}
+
+/**
+ * Highest recovery at which every index stays within its limit
+ * @param {Object} ions - See feedIons()
+ * @param {string} limit - 'limit' (no antiscalant) or 'antiscalantLimit'
+ * @returns {Object} { recovery (fraction), limitedBy (index id or null) }
+ */
+export function maxRecovery(ions, limit) {
+  const exceeded = recovery => scalingIndices(ions, 1 / (1 - recovery)).find(index => index.value > index[limit]);
+  const [low, high] = RECOVERY_LIMITS;
+  if (!exceeded(high)) return { recovery: high, limitedBy: null };
+  if (exceeded(low)) return { recovery: 0, limitedBy: exceeded(low).id };
+
+  let ok = low;
+  let bad = high;
+  for (let i = 0; i < 30; i++) {
+    const mid = (ok + bad) / 2;
+    if (exceeded(mid)) bad = mid;
+    else ok = mid;
+  }
+  return { recovery: Math.floor(ok * 100) / 100, limitedBy: exceeded(bad).id };
+}
+
+/**
+ * Index status and a one-line explanation
+ */
+function rateIndex(index, recovery) {
+  const status = index.value <= index.limit ? 'ok' : index.value <= index.antiscalantLimit ? 'antiscalant' : 'exceeded';
+  const shown = index.unit === '%' ? `${Math.round(index.value)}%` : `${index.value >= 0 ? '+' : ''}${index.value.toFixed(2)}`;
+  const limitText = value => (index.unit === '%' ? `${value}%` : `${value > 0 ? '+' : ''}${value}`);
+  const verdict = {
+    ok: `within the ${limitText(index.limit)} limit without antiscalant`,
+    antiscalant: `above the ${limitText(index.limit)} limit without antiscalant, within the ${limitText(index.antiscalantLimit)} limit with it`,
+    exceeded: `above the ${limitText(index.antiscalantLimit)} limit even with antiscalant`
+  }[status];
+  return { ...index, status, explanation: `${index.name} ${shown} in the concentrate at ${Math.round(recovery * 100)}% recovery - ${verdict}` };
+}
+
+/**
+ * Rate one feed at one recovery
+ */
+function assess(ions, recovery) {
+  const indices = scalingIndices(ions, 1 / (1 - recovery)).map(index => rateIndex(index, recovery));
+  return {
+    indices,
+    maxRecovery: {
+      untreated: maxRecovery(ions, 'limit'),
+      antiscalant: maxRecovery(ions, 'antiscalantLimit')
+    }
+  };
+}
+
+/**
+ * Scaling risk of the feed at the design recovery, with the pre-treatment
+ * it calls for
+ *
+ * Antiscalant is dosed when an index exceeds its untreated limit. When an
+ * index that softening removes (calcium carbonate and the sulfates)
+ * exceeds even the antiscalant limit a softener is added, and the
+ * antiscalant is then judged on the softened feed. Silica beyond the
+ * antiscalant limit can only be met by a lower recovery.
+ *
+ * @param {Object} inputs - Feed-water inputs (see ro-quotation.js), plus
+ *   optional calcium, alkalinity, sulfate, barium, strontium and silica
+ * @returns {Object} { recovery, concentrationFactor, ions, indices, maxRecovery,
+ *   softener { required, reason }, antiscalant { required, dose, consumption, reason },
+ *   recoveryLimit { recovery, limitedBy, exceeded, reason } }
+ */
+export function assessScaling(inputs) {
+  const recovery = Math.min(RECOVERY_LIMITS[1], Math.max(RECOVERY_LIMITS[0], finite(inputs.recovery, DEFAULTS.recovery) / 100));
+  const ions = feedIons(inputs);
+  const raw = assess(ions, recovery);
+
+  const softenable = raw.indices.filter(index => index.status === 'exceeded' && index.id !== 'silica');
+  const softened = softenable.length
+    ? assess({
+      ...ions,
+      calcium: ions.calcium * SOFTENER_LEAKAGE,
+      barium: ions.barium * SOFTENER_LEAKAGE,
+      strontium: ions.strontium * SOFTENER_LEAKAGE
+    }, recovery)
+    : null;
+  const treated = softened || raw;
+
+  // Dose up the range as the worst index nears its antiscalant limit
+  const needing = treated.indices.filter(index => index.status !== 'ok');
+  const severity = Math.max(0, ...needing.map(index =>
+    Math.min(1, (index.value - index.limit) / (index.antiscalantLimit - index.limit))));
+  const dose = needing.length ? round(ANTISCALANT_DOSE.min + (ANTISCALANT_DOSE.max - ANTISCALANT_DOSE.min) * severity, 1) : 0;
+  const feedFlow = Number.isFinite(inputs.permeateFlow) && recovery > 0 ? inputs.permeateFlow / recovery : null;
+
+  const names = list => list.map(index => index.name).join(', ');
+  // Calcium and alkalinity estimates only matter to the calcium indices
+  const assumed = list => (ions.assumed.length && list.some(index => index.id === 'calcite' || index.id === 'gypsum')
+    ? ` (${ions.assumed.join('; ')})`
+    : '');
+  const limit = treated.maxRecovery.antiscalant;
+
+  return {
+    recovery,
+    concentrationFactor: 1 / (1 - recovery),
+    ions,
+    indices: raw.indices,
+    maxRecovery: raw.maxRecovery,
+    softened,
+    softener: {
+      required: softenable.length > 0,
+      reason: softenable.length
+        ? `${names(softenable)} above the antiscalant limit at ${Math.round(recovery * 100)}% recovery${assumed(softenable)}`
+        : null
+    },
+    antiscalant: {
+      required: needing.length > 0,
+      dose,
+      consumption: needing.length && feedFlow ? round(dose * feedFlow * 24 / 1000, 2) : null,
+      reason: needing.length
+        ? `${names(needing)} above the untreated limit${softened ? ' after softening' : ''} at ${Math.round(recovery * 100)}% recovery; dose ${dose} mg/L${assumed(needing)}`
+        : null
+    },
+    recoveryLimit: {
+      ...limit,
+      exceeded: recovery > limit.recovery,
+      reason: recovery > limit.recovery
+        ? `Recovery ${Math.round(recovery * 100)}% exceeds the ${Math.round(limit.recovery * 100)}% this feed allows with antiscalant (${SCALING_LIMITS[limit.limitedBy].name})`
+        : null
+    }
+  };
+}
+
+export default {
+  SCALING_LIMITS,
+  ESTIMATES,
+  ANTISCALANT_DOSE,
+  SOFTENER_LEAKAGE,
+  saturationPH,
+  stiffDavisK,
+  stiffDavisPH,
+  silicaSolubility,
+  feedIons,
+  scalingIndices,
+  maxRecovery,
+  assessScaling
+};
@@ -1,8 +1,26 @@
 /**
  * calculations.js - Mathematical calculations for the simulator
+ *
+ * Costing and scoring are delegated to engine/scoring.js through
+ * CustomerSpec.fromSimulatorInputs(), so the simulator panel and the
+ * generated proposal report the same numbers for the same case.
  */
 
-import { TECHNOLOGIES, calculateChainPerformance, TECH_CHAINS } from '../data/technologies.js';
+import { calculateChainPerformance, blendStreams } from '../data/technologies.js';
+import { synthesizeChains } from '../engine/chain-synthesis.js';
+import { PARETO_OBJECTIVES, paretoRank } from '../engine/pareto.js';
+import { CustomerSpec } from '../engine/customer-spec.js';
+import { calculateLifecycle } from '../engine/lifecycle.js';
+import {
+  calculateCapex,
+  calculateOpex,
+  calculateFootprint,
+  calculateEnergy as calculateEnergyMetrics,
+  calculateEsgMetrics,
+  calculateConfidence as calculateConfidenceScore,
+  calculateWinProbability as calculateWinScore,
+  findOptimalPrice
+} from '../engine/scoring.js';
 
 /**
  * Normalize ESG weights to sum to 1
@@ -33,6 +51,24 @@ export function calculateRemovalNeeded(inputs) {
   };
 }
 
+/**
+ * Adapt simulator inputs to the CustomerSpec used by the shared scoring
+ * @param {Object} inputs - Simulator inputs
+ * @returns {CustomerSpec} Specification
+ */
+export function toCustomerSpec(inputs) {
+  return CustomerSpec.fromSimulatorInputs(inputs);
+}
+
+/**
+ * Build the raw water stream from simulator inputs
+ * @param {Object} inputs - Simulator inputs
+ * @returns {Object} Feed stream
+ */
+export function getFeedStream(inputs) {
+  return toCustomerSpec(inputs).getFeedStream();
+}
+
 /**
  * Evaluate all technology chains and score them
  * @param {Object} inputs - Simulator inputs
@@ -40,18 +76,22 @@ export function calculateRemovalNeeded(inputs) {
  */
 export function evaluateTechnologies(inputs) {
   const removalNeeded = calculateRemovalNeeded(inputs);
-  const esgWeights = normalizeESGWeights(inputs);
+  const spec = toCustomerSpec(inputs);
+  const feed = spec.getFeedStream();
   const solutions = [];
 
-  TECH_CHAINS.forEach(chain => {
-    const perf = calculateChainPerformance(chain.techs);
+  synthesizeChains().forEach(chain => {
+    const perf = calculateChainPerformance(chain.techs, feed);
 
-    // Calculate actual footprint and CAPEX based on flow
-    const footprint = perf.footprint * inputs.flow * 0.5;
-    const capex = perf.capexFactor * inputs.flow * 1000;
+    // Footprint, CAPEX and OPEX from the shared scoring module
+    const footprint = calculateFootprint(spec, perf);
+    const capex = calculateCapex(spec, perf);
+    const opexBreakdown = calculateOpex(spec, perf);
+    const esgMetrics = calculateEsgMetrics(spec, perf);
+    const confidence = calculateConfidenceScore(spec, perf, chain.name).score;
 
-    // Water recovery estimate (simplified)
-    const recovery = removalNeeded.tds > 0.5 ? 0.75 : 0.9;
+    // Water recovery from the stage-by-stage stream model
+    const recovery = perf.recovery;
 
     // Technical score: how well does it meet requirements?
     const tssScore = perf.tssRemoval >= removalNeeded.tss ? 1 : perf.tssRemoval / (removalNeeded.tss || 1);
@@ -61,13 +101,8 @@ export function evaluateTechnologies(inputs) {
     // Cost score: how well does it fit budget?
     const costScore = 1 - Math.min(capex / inputs.maxBudget, 1);
 
-    // ESG score: weighted by priorities
-    const waterScore = recovery;
-    const energyScore = 1 - Math.min(perf.energy / 5, 1);
-    const carbonScore = 1 - Math.min(perf.energy * 0.5 / 2, 1); // Simplified carbon estimate
-    const esgScore = (waterScore * esgWeights.water) +
-                     (energyScore * esgWeights.energy) +
-                     (carbonScore * esgWeights.carbon);
+    // ESG score: shared composite, weighted by priorities (0-1)
+    const esgScore = Math.max(0, Math.min(1, esgMetrics.composite / 100));
 
     // Overall weighted score
     const overallScore = (techScore * 0.4) + (costScore * 0.3) + (esgScore * 0.3);
@@ -82,12 +117,22 @@ export function evaluateTechnologies(inputs) {
       name: chain.name,
       description: chain.description,
       techs: chain.techs,
+      synthesized: chain.synthesized,
       tssRemoval: perf.tssRemoval,
       tdsRemoval: perf.tdsRemoval,
       energy: perf.energy,
+      power: perf.power,
       footprint,
       capex,
+      opex: opexBreakdown.total,
+      opexBreakdown,
+      esgMetrics,
+      confidence,
       recovery,
+      performance: perf,
+      product: perf.product,
+      rejects: perf.rejects,
+      stages: perf.stages,
       techScore,
       costScore,
       esgScore,
@@ -96,8 +141,8 @@ export function evaluateTechnologies(inputs) {
     });
   });
 
-  // Sort by overall score (descending)
-  return solutions.sort((a, b) => b.overallScore - a.overallScore);
+  // Feasible solutions first, then by overall score (descending)
+  return solutions.sort((a, b) => (b.feasible - a.feasible) || (b.overallScore - a.overallScore));
 }
 
 /**
@@ -107,21 +152,22 @@ export function evaluateTechnologies(inputs) {
  * @returns {Object} Mass balance results
  */
 export function calculateMassBalance(inputs, solution) {
+  const stages = solution.stages ||
+    calculateChainPerformance(solution.techs, getFeedStream(inputs)).stages;
+  const product = stages.length ? stages[stages.length - 1].permeate : getFeedStream(inputs);
+  const rejects = stages.filter(stage => stage.reject).map(stage => stage.reject);
+  const concentrate = blendStreams(rejects);
+
   const Qin = inputs.flow;
-  const Qout = Qin * solution.recovery;
-  const Qreject = Qin * (1 - solution.recovery);
+  const Qout = product.flow;
+  const Qreject = concentrate ? concentrate.flow : 0;
 
-  // Concentrations
+  // Concentrations from the simulated streams
   const Cin = { tss: inputs.tss, tds: inputs.tds };
-  const Cout = {
-    tss: inputs.tss * (1 - solution.tssRemoval),
-    tds: inputs.tds * (1 - solution.tdsRemoval)
-  };
-  // Mass balance: Qin*Cin = Qout*Cout + Qreject*Creject
-  const Creject = {
-    tss: (Qin * Cin.tss - Qout * Cout.tss) / Qreject,
-    tds: (Qin * Cin.tds - Qout * Cout.tds) / Qreject
-  };
+  const Cout = { tss: product.tss, tds: product.tds };
+  const Creject = concentrate
+    ? { tss: concentrate.tss, tds: concentrate.tds }
+    : { tss: 0, tds: 0 };
 
   return {
     Qin,
@@ -130,7 +176,16 @@ export function calculateMassBalance(inputs, solution) {
     Cin,
     Cout,
     Creject,
-    recovery: solution.recovery
+    recovery: Qin > 0 ? Qout / Qin : 0,
+    stages: stages.map(stage => ({
+      tech: stage.tech,
+      name: stage.name,
+      feed: stage.feed,
+      permeate: stage.permeate,
+      reject: stage.reject,
+      recovery: stage.recovery,
+      feedPressure: stage.feedPressure
+    }))
   };
 }
 
@@ -141,19 +196,7 @@ export function calculateMassBalance(inputs, solution) {
  * @returns {Object} Energy metrics
  */
 export function calculateEnergy(inputs, solution) {
-  const specificEnergy = solution.energy; // kWh/m³
-  const totalPower = specificEnergy * inputs.flow; // kW
-  const annualEnergy = totalPower * inputs.hours; // kWh/year
-  const carbonFactor = 0.233; // kg CO2/kWh (UK grid average)
-  const annualCarbon = annualEnergy * carbonFactor / 1000; // tonnes CO2/year
-
-  return {
-    specificEnergy,
-    totalPower,
-    annualEnergy,
-    carbonFactor,
-    annualCarbon
-  };
+  return calculateEnergyMetrics(toCustomerSpec(inputs), solution);
 }
 
 /**
@@ -163,32 +206,25 @@ export function calculateEnergy(inputs, solution) {
  * @returns {Object} OPEX breakdown
  */
 export function calculateOPEX(inputs, solution) {
-  const electricityRate = 0.15; // £/kWh
-  const energy = calculateEnergy(inputs, solution);
-
-  const energyCost = energy.annualEnergy * electricityRate;
-  const chemicalCost = inputs.flow * inputs.hours * 0.02; // Simplified
-  const maintenanceCost = solution.capex * 0.03; // 3% of CAPEX
-  const laborCost = inputs.flow * 50; // Simplified estimate
-  const totalOPEX = energyCost + chemicalCost + maintenanceCost + laborCost;
+  return solution.opexBreakdown ||
+    calculateOpex(toCustomerSpec(inputs), solutionPerformance(inputs, solution));
+}
 
-  return {
-    energy: energyCost,
-    chemicals: chemicalCost,
-    maintenance: maintenanceCost,
-    labor: laborCost,
-    total: totalOPEX,
-    perCubicMeter: totalOPEX / (inputs.flow * inputs.hours)
-  };
+/**
+ * Chain performance behind a solution (recomputed if the solution was stored without it)
+ */
+function solutionPerformance(inputs, solution) {
+  return solution.performance || calculateChainPerformance(solution.techs, getFeedStream(inputs));
 }
 
 /**
  * Calculate multi-objective optimization function
  * @param {Object} inputs - Simulator inputs
  * @param {Object} solution - Selected solution
+ * @param {Array} solutions - All evaluated solutions (for the Pareto front)
  * @returns {Object} Optimization results
  */
-export function calculateOptimization(inputs, solution) {
+export function calculateOptimization(inputs, solution, solutions = [solution]) {
   // Objective weights
   const weights = { cost: 0.30, tech: 0.30, esg: 0.25, risk: 0.15 };
 
@@ -204,6 +240,9 @@ export function calculateOptimization(inputs, solution) {
             weights.esg * f3_esg +
             weights.risk * f4_risk;
 
+  const pareto = calculateParetoFront(inputs, solutions, solution);
+  const selected = pareto.points.find(point => point.selected);
+
   return {
     weights,
     objectives: {
@@ -213,50 +252,69 @@ export function calculateOptimization(inputs, solution) {
       risk: f4_risk
     },
     totalScore: F,
-    paretoOptimal: F < 0.3 // Simplified Pareto check
+    paretoOptimal: selected ? selected.paretoOptimal : false,
+    paretoRank: selected ? selected.rank : null,
+    crowdingDistance: selected ? selected.crowdingDistance : null,
+    pareto
   };
 }
 
+/**
+ * Non-dominated ranking of the evaluated solutions across CAPEX, OPEX, ESG and risk
+ * (only feasible solutions compete unless none are feasible)
+ * @param {Object} inputs - Simulator inputs
+ * @param {Array} solutions - Evaluated solutions
+ * @param {Object} selectedSolution - Solution to flag as selected
+ * @returns {Object} { objectives, points } with rank and crowding distance per point
+ */
+export function calculateParetoFront(inputs, solutions, selectedSolution = null) {
+  const feasible = solutions.filter(s => s.feasible);
+  const candidates = [...(feasible.length ? feasible : solutions)];
+  if (selectedSolution && !candidates.includes(selectedSolution)) {
+    candidates.push(selectedSolution);
+  }
+
+  const points = candidates.map(s => ({
+    name: s.name,
+    techs: s.techs,
+    capex: s.capex,
+    opex: calculateOPEX(inputs, s).total,
+    esg: s.esgMetrics ? s.esgMetrics.composite : s.esgScore * 100,
+    risk: 1 - calculateConfidence(inputs, s).score / 100,
+    selected: s === selectedSolution
+  }));
+
+  const { ranks } = paretoRank(points);
+  points.forEach((point, i) => Object.assign(point, ranks[i]));
+
+  return { objectives: PARETO_OBJECTIVES, points };
+}
+
 /**
  * Calculate win probability using logistic regression model
+ * (shared model, evaluated at the expected-value optimal price)
  * @param {Object} inputs - Simulator inputs
  * @param {Object} solution - Selected solution
  * @returns {Object} Win probability results
  */
 export function calculateWinProbability(inputs, solution) {
-  // Logistic regression coefficients (simplified model)
-  const intercept = 1.5;
-  const coefficients = {
-    priceRatio: -2.5,
-    techFit: 1.8,
-    esgScore: 0.5,
-    sectorMatch: 0.3
-  };
-
-  const priceRatio = solution.capex / inputs.maxBudget;
-  const techFit = solution.techScore;
-  const esgScore = solution.esgScore;
-  const sectorMatch = 0.8; // Simplified
-
-  // Linear combination
-  const z = intercept +
-            coefficients.priceRatio * priceRatio +
-            coefficients.techFit * techFit +
-            coefficients.esgScore * esgScore +
-            coefficients.sectorMatch * sectorMatch;
-
-  // Sigmoid function
-  const probability = 1 / (1 + Math.exp(-z));
+  const esgComposite = solution.esgMetrics.composite;
+  const sector = toCustomerSpec(inputs).sector;
+  const price = findOptimalPrice(solution.capex, solution.confidence, esgComposite, sector).price;
+  const { z, probability, factors, sectorOffset, model } =
+    calculateWinScore(price, solution.capex, solution.confidence, esgComposite, sector);
 
   return {
     z,
     probability,
+    price,
+    model,
+    sectorOffset,
     confidence: probability > 0.7 ? 'high' : probability > 0.4 ? 'medium' : 'low',
     factors: {
-      priceRatio,
-      techFit,
-      esgScore,
-      sectorMatch
+      ...factors,
+      priceRatio: price / solution.capex,
+      budgetRatio: inputs.maxBudget ? solution.capex / inputs.maxBudget : null
     }
   };
 }
@@ -309,27 +367,18 @@ export function checkConstraints(inputs, solution) {
  * @returns {Object} ESG score details
  */
 export function calculateESGScore(inputs, solution) {
-  const energy = calculateEnergy(inputs, solution);
-  const esgWeights = normalizeESGWeights(inputs);
-
-  const scores = {
-    waterRecovery: solution.recovery * 100,
-    energyEfficiency: Math.max(0, 100 - solution.energy * 20),
-    carbonReduction: Math.max(0, 100 - energy.annualCarbon * 2),
-    wasteMinimization: 75 // Simplified
-  };
-
-  const composite = (scores.waterRecovery * esgWeights.water * 0.3) +
-                   (scores.energyEfficiency * esgWeights.energy * 0.3) +
-                   (scores.carbonReduction * esgWeights.carbon * 0.25) +
-                   (scores.wasteMinimization * 0.15);
+  const metrics = solution.esgMetrics ||
+    calculateEsgMetrics(toCustomerSpec(inputs), solutionPerformance(inputs, solution));
 
   return {
-    scores,
-    composite,
-    rating: composite >= 80 ? 'Excellent' :
-            composite >= 60 ? 'Good' :
-            composite >= 40 ? 'Moderate' : 'Needs Improvement'
+    scores: {
+      waterRecovery: metrics.waterScore,
+      energyEfficiency: metrics.energyScore,
+      carbonReduction: metrics.carbonScore
+    },
+    metrics,
+    composite: metrics.composite,
+    rating: metrics.rating
   };
 }
 
@@ -340,27 +389,19 @@ export function calculateESGScore(inputs, solution) {
  * @returns {Object} Confidence metrics
  */
 export function calculateConfidence(inputs, solution) {
-  const dataQuality = 0.85; // Assumed
-  const modelCertainty = solution.techScore;
-  const constraintMargin = solution.feasible ? 0.9 : 0.3;
-
-  const confidence = (0.4 * dataQuality) +
-                    (0.35 * modelCertainty) +
-                    (0.25 * constraintMargin);
+  const result = calculateConfidenceScore(toCustomerSpec(inputs),
+    solutionPerformance(inputs, solution), solution.name);
 
-  const score = confidence * 100;
+  const factors = {};
+  Object.entries(result.factors).forEach(([key, value]) => {
+    factors[key] = value * 100;
+  });
 
   return {
-    score,
-    factors: {
-      dataQuality: dataQuality * 100,
-      modelCertainty: modelCertainty * 100,
-      constraintMargin: constraintMargin * 100
-    },
-    decision: score >= 80 ? 'Auto-approve recommended' :
-              score >= 50 ? 'Human review recommended' :
-              'Manual override required',
-    level: score >= 80 ? 'high' : score >= 50 ? 'medium' : 'low'
+    score: result.score * 100,
+    factors,
+    decision: result.decision,
+    level: result.level
   };
 }
 
@@ -374,9 +415,14 @@ export function calculatePricing(inputs, solution) {
   const costPlus = solution.capex * 1.25;
   const valueBased = solution.capex * 1.40;
   const competitive = solution.capex * 1.15;
+  const optimal = findOptimalPrice(solution.capex, solution.confidence, solution.esgMetrics.composite,
+    toCustomerSpec(inputs).sector);
 
   const opex = calculateOPEX(inputs, solution);
-  const tco = solution.capex + (opex.total * 10); // 10-year TCO
+  const lifecycle = calculateLifecycle(toCustomerSpec(inputs), solutionPerformance(inputs, solution), solution.capex, opex);
+
+  // Undiscounted total cost of ownership over the project term
+  const tco = lifecycle.cashFlows.reduce((sum, flow) => sum + flow.capex + flow.opex + flow.replacement, 0);
 
   return {
     capex: solution.capex,
@@ -385,53 +431,34 @@ export function calculatePricing(inputs, solution) {
     competitive,
     margins: {
       costPlus: (costPlus - solution.capex) / costPlus * 100,
-      valueBased: (valueBased - solution.capex) / valueBased * 100
+      valueBased: (valueBased - solution.capex) / valueBased * 100,
+      recommended: (optimal.price - solution.capex) / optimal.price * 100
     },
     annualOpex: opex.total,
     tco,
-    recommended: valueBased,
-    rationale: 'Value-based pricing reflects ESG benefits and total value delivered'
+    npv: lifecycle.npv,
+    lcow: lifecycle.lcow,
+    lifecycle,
+    recommended: optimal.price,
+    winProbability: optimal.winProbability,
+    rationale: 'Expected-value optimum of margin × win probability (same model as the generated proposal)'
   };
 }
 
-/**
- * Generate a deterministic hash for ledger entry
- * @param {Object} inputs - Simulator inputs
- * @param {Object} solution - Selected solution
- * @returns {string} Hash string
- */
-export function generateLedgerHash(inputs, solution) {
-  const data = JSON.stringify({
-    inputs,
-    solution: solution.name,
-    timestamp: Date.now()
-  });
-
-  let hash = 0;
-  for (let i = 0; i < data.length; i++) {
-    const char = data.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-
-  const hexHash = '0x' + Math.abs(hash).toString(16).padStart(16, '0') +
-                  Math.random().toString(16).substr(2, 48);
-
-  return hexHash;
-}
-
 export default {
   normalizeESGWeights,
   calculateRemovalNeeded,
+  toCustomerSpec,
+  getFeedStream,
   evaluateTechnologies,
   calculateMassBalance,
   calculateEnergy,
   calculateOPEX,
   calculateOptimization,
+  calculateParetoFront,
   calculateWinProbability,
   checkConstraints,
   calculateESGScore,
   calculateConfidence,
-  calculatePricing,
-  generateLedgerHash
+  calculatePricing
 };
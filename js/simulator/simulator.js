@@ -3,7 +3,7 @@
  */
 
 import { eventBus, EVENTS } from '../core/events.js';
-import { state, actions } from '../core/state.js';
+import { state, store, actions, history } from '../core/state.js';
 import { wrapWithTooltips } from '../data/acronyms.js';
 import {
   evaluateTechnologies,
@@ -16,8 +16,28 @@ import {
   calculateESGScore,
   calculateConfidence,
   calculatePricing,
-  generateLedgerHash
+  toCustomerSpec
 } from './calculations.js';
+import { DecisionLedger } from '../engine/ledger.js';
+import { SolutionEngine } from '../proposal-engine.js';
+
+// Form field behind each input, with the factor from the form's units
+const INPUT_FIELDS = {
+  sector: ['simSector', 1],
+  flow: ['simFlow', 1],
+  hours: ['simHours', 1],
+  tss: ['simTSS', 1],
+  tds: ['simTDS', 1],
+  bod: ['simBOD', 1],
+  cod: ['simCOD', 1],
+  tssTarget: ['simTSSTarget', 1],
+  tdsTarget: ['simTDSTarget', 1],
+  waterPriority: ['simWaterPriority', 0.01],
+  carbonPriority: ['simCarbonPriority', 0.01],
+  energyPriority: ['simEnergyPriority', 0.01],
+  maxFootprint: ['simFootprint', 1],
+  maxBudget: ['simBudget', 1000]
+};
 
 /**
  * Simulator controller class
@@ -27,6 +47,7 @@ export class Simulator {
     this.overlay = null;
     this.isInitialized = false;
     this.lastResults = null;
+    this.ledger = new DecisionLedger();
   }
 
   /**
@@ -40,6 +61,7 @@ export class Simulator {
     }
 
     this.bindEvents();
+    if (this.ledger.warning) this.displayLedgerWarning(this.ledger.warning);
     this.isInitialized = true;
   }
 
@@ -77,6 +99,9 @@ export class Simulator {
 
     // Role tabs
     this.bindRoleTabs();
+
+    // Undo/redo and timeline jumps
+    eventBus.on(EVENTS.STATE_RESTORED, () => this.restore());
   }
 
   /**
@@ -106,14 +131,7 @@ export class Simulator {
   bindRoleTabs() {
     const tabs = document.querySelectorAll('.role-tab');
     tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const role = tab.dataset.role;
-        this.setRole(role);
-
-        // Update active state
-        tabs.forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-      });
+      tab.addEventListener('click', () => this.setRole(tab.dataset.role));
     });
   }
 
@@ -123,6 +141,15 @@ export class Simulator {
    */
   setRole(role) {
     actions.setSimulatorRole(role);
+    this.showRole(role);
+  }
+
+  /**
+   * Show a role's sections and mark its tab active
+   * @param {string} role - Role ID
+   */
+  showRole(role) {
+    document.querySelectorAll('.role-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.role === role));
     this.updateSectionVisibility(role);
   }
 
@@ -180,28 +207,37 @@ export class Simulator {
    * @returns {Object} Input values
    */
   gatherInputs() {
-    const getValue = (id, isNumber = true) => {
+    return Object.fromEntries(Object.entries(INPUT_FIELDS).map(([key, [id, factor]]) => {
       const el = document.getElementById(id);
-      if (!el) return null;
-      return isNumber ? parseFloat(el.value) : el.value;
-    };
+      return [key, el ? parseFloat(el.value) * factor : null];
+    }));
+  }
 
-    return {
-      sector: getValue('simSector'),
-      flow: getValue('simFlow'),
-      hours: getValue('simHours'),
-      tss: getValue('simTSS'),
-      tds: getValue('simTDS'),
-      bod: getValue('simBOD'),
-      cod: getValue('simCOD'),
-      tssTarget: getValue('simTSSTarget'),
-      tdsTarget: getValue('simTDSTarget'),
-      waterPriority: getValue('simWaterPriority') / 100,
-      carbonPriority: getValue('simCarbonPriority') / 100,
-      energyPriority: getValue('simEnergyPriority') / 100,
-      maxFootprint: getValue('simFootprint'),
-      maxBudget: getValue('simBudget') * 1000
-    };
+  /**
+   * Put an input vector back into the form
+   * @param {Object} inputs - Input values
+   */
+  setInputs(inputs) {
+    Object.entries(INPUT_FIELDS).forEach(([key, [id, factor]]) => {
+      const el = document.getElementById(id);
+      if (!el || inputs[key] === null || inputs[key] === undefined) return;
+      el.value = Math.round(inputs[key] / factor * 1e6) / 1e6;
+      // Refresh the slider value labels
+      el.dispatchEvent(new Event('input'));
+    });
+  }
+
+  /**
+   * Show the state restored by undo/redo or a timeline jump
+   */
+  restore() {
+    const { results } = state.simulator;
+    this.lastResults = results;
+    if (results) {
+      this.setInputs(results.inputs);
+      this.displayResults(results);
+    }
+    this.showRole(state.simulatorRole);
   }
 
   /**
@@ -209,7 +245,6 @@ export class Simulator {
    */
   run() {
     const inputs = this.gatherInputs();
-    actions.updateSimulatorInputs(inputs);
 
     // Evaluate technologies
     const solutions = evaluateTechnologies(inputs);
@@ -224,22 +259,78 @@ export class Simulator {
       massBalance: calculateMassBalance(inputs, bestSolution),
       energy: calculateEnergy(inputs, bestSolution),
       opex: calculateOPEX(inputs, bestSolution),
-      optimization: calculateOptimization(inputs, bestSolution),
+      optimization: calculateOptimization(inputs, bestSolution, solutions),
       winProbability: calculateWinProbability(inputs, bestSolution),
       esgScore: calculateESGScore(inputs, bestSolution),
       confidence: calculateConfidence(inputs, bestSolution),
       pricing: calculatePricing(inputs, bestSolution),
-      ledgerHash: generateLedgerHash(inputs, bestSolution)
+      ledgerEntry: null
     };
 
+    const previousChain = this.lastResults?.bestSolution.techs;
     this.lastResults = results;
-    actions.setSimulatorResults(results);
+
+    // One history entry per run, so undo returns to the previous run
+    history.batch('Optimization run', () => {
+      actions.updateSimulatorInputs(inputs);
+      actions.setSimulatorResults(results);
+    });
 
     // Update display
     this.displayResults(results);
 
     // Emit event for other visualizations
     eventBus.emit(EVENTS.SIMULATOR_RUN, results);
+    if (previousChain?.join('|') !== bestSolution.techs.join('|')) {
+      eventBus.emit(EVENTS.TECH_CHAIN_CHANGED, { techs: bestSolution.techs, name: bestSolution.name, previous: previousChain || null });
+    }
+
+    this.recordDecision(results);
+  }
+
+  /**
+   * Append the run to the decision ledger and show the new chain head
+   *
+   * The entry carries the solution engine's decision trail for the same
+   * case, and is written into the stored results through the store
+   * (results are never mutated in place).
+   * @param {Object} results - Calculation results
+   */
+  async recordDecision(results) {
+    const engine = new SolutionEngine(toCustomerSpec(results.inputs));
+    engine.generateSolutions();
+
+    let entry;
+    let persisted = true;
+    try {
+      entry = await this.ledger.append({
+        type: 'simulation',
+        user: `simulator:${state.simulatorRole}`,
+        inputs: results.inputs,
+        solution: {
+          name: results.bestSolution.name,
+          techs: results.bestSolution.techs,
+          capex: results.bestSolution.capex,
+          opex: results.bestSolution.opex,
+          recommendedPrice: results.pricing.recommended
+        },
+        decisionTrail: engine.getDecisionTrail()
+      });
+    } catch (error) {
+      console.error('Ledger append failed:', error);
+      if (error.code === 'LEDGER_STORAGE_FULL') this.displayLedgerWarning(error.message);
+      // Appended but not persisted: keep it with the results
+      entry = error.entry;
+      persisted = false;
+      if (!entry) return;
+    }
+
+    // Only if this run is still the one in state (another may have started)
+    if (store.peek('simulator.results') === results) {
+      store.set('simulator.results.ledgerEntry', entry);
+      this.lastResults = store.peek('simulator.results');
+    }
+    if (persisted && this.lastResults?.ledgerEntry === entry) this.displayLedgerEntry(entry);
   }
 
   /**
@@ -259,7 +350,7 @@ export class Simulator {
     this.displayPricing(results.pricing);
     this.displayESGScore(results.esgScore);
     this.displayConfidence(results.confidence);
-    this.displayLedgerHash(results.ledgerHash);
+    this.displayLedgerEntry(results.ledgerEntry);
   }
 
   displayInputVector(inputs) {
@@ -292,10 +383,16 @@ export class Simulator {
     const el = document.getElementById('massBalanceResult');
     if (!el) return;
 
+    const stages = (mb.stages || []).map(stage => `
+      ${stage.tech}: ${stage.feed.flow.toFixed(1)} → ${stage.permeate.flow.toFixed(1)} m³/h,
+      TDS ${stage.permeate.tds.toFixed(0)} mg/L${stage.reject ? ` (reject ${stage.reject.tds.toFixed(0)} mg/L)` : ''}
+    `).join('<br>');
+
     el.innerHTML = `
       Qᵢₙ = <span class="result">${mb.Qin} m³/h</span><br>
       Qₒᵤₜ = <span class="result">${mb.Qout.toFixed(1)} m³/h</span> (${(mb.recovery * 100).toFixed(0)}% recovery)<br>
       Qᵣₑⱼₑ꜀ₜ = <span class="result">${mb.Qreject.toFixed(1)} m³/h</span>
+      ${stages ? `<br>${stages}` : ''}
     `;
   }
 
@@ -328,7 +425,9 @@ export class Simulator {
     el.innerHTML = `
       f₁(cost) = ${opt.objectives.cost.toFixed(3)}, f₂(tech) = ${opt.objectives.tech.toFixed(3)}<br>
       f₃(esg) = ${opt.objectives.esg.toFixed(3)}, f₄(risk) = ${opt.objectives.risk.toFixed(3)}<br>
-      <span class="result">F(s) = ${opt.totalScore.toFixed(4)}</span> (minimize)
+      <span class="result">F(s) = ${opt.totalScore.toFixed(4)}</span> (minimize)<br>
+      Pareto rank ${opt.paretoRank ?? '–'}${opt.paretoOptimal ? ' (non-dominated)' : ''} of
+      ${opt.pareto ? opt.pareto.points.length : 0} solutions
     `;
   }
 
@@ -336,9 +435,13 @@ export class Simulator {
     const el = document.getElementById('winProbResult');
     if (!el) return;
 
+    const { intercept, coefficients, version } = wp.model;
+    const offset = wp.sectorOffset ? ` ${wp.sectorOffset >= 0 ? '+' : '−'} ${Math.abs(wp.sectorOffset).toFixed(2)}<sub>sector</sub>` : '';
+
     el.innerHTML = `
-      z = 1.5 - 2.5(${wp.factors.priceRatio.toFixed(2)}) + 1.8(${wp.factors.techFit.toFixed(2)}) + 0.5(${wp.factors.esgScore.toFixed(2)})<br>
-      z = <span class="result">${wp.z.toFixed(3)}</span><br>
+      z = ${intercept.toFixed(2)}${offset} ${coefficients.markup.toFixed(2)}(${wp.factors.markup.toFixed(2)}) + ${coefficients.techFit.toFixed(2)}(${wp.factors.techFit.toFixed(2)}) + ${coefficients.esg.toFixed(2)}(${wp.factors.esg.toFixed(2)})<br>
+      model ${version}<br>
+      z = <span class="result">${wp.z.toFixed(3)}</span> at £${(wp.price / 1000).toFixed(0)}k<br>
       <span class="result">P(win) = ${(wp.probability * 100).toFixed(1)}%</span>
     `;
   }
@@ -389,12 +492,16 @@ export class Simulator {
         <span class="value">£${(pricing.costPlus / 1000).toFixed(0)}k</span>
       </div>
       <div class="output-metric">
-        <span class="name">Value-Based Price</span>
-        <span class="value good">£${(pricing.valueBased / 1000).toFixed(0)}k</span>
+        <span class="name">Recommended Price</span>
+        <span class="value good">£${(pricing.recommended / 1000).toFixed(0)}k</span>
       </div>
       <div class="output-metric">
         <span class="name">Target Margin</span>
-        <span class="value">${pricing.margins.valueBased.toFixed(0)}%</span>
+        <span class="value">${pricing.margins.recommended.toFixed(0)}%</span>
+      </div>
+      <div class="output-metric">
+        <span class="name">LCOW (${pricing.lifecycle.term}-yr lifecycle)</span>
+        <span class="value">£${pricing.lcow.toFixed(2)}/m³</span>
       </div>
     `;
   }
@@ -434,11 +541,24 @@ export class Simulator {
     }
   }
 
-  displayLedgerHash(hash) {
+  displayLedgerEntry(entry) {
+    const el = document.getElementById('ledgerHash');
+    if (!el) return;
+
+    el.textContent = entry ? `#${entry.index} sha256:${entry.hash}` : 'Recording…';
+    el.title = entry ? `Previous: ${entry.previousHash}` : '';
+  }
+
+  /**
+   * Show a ledger problem in place of the chain head
+   * @param {string} message - Warning
+   */
+  displayLedgerWarning(message) {
     const el = document.getElementById('ledgerHash');
     if (!el) return;
 
-    el.textContent = hash;
+    el.textContent = `⚠ ${message}`;
+    el.title = '';
   }
 
   /**
@@ -0,0 +1,163 @@
+/**
+ * approval.test.js - Proposal approval workflow
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DecisionLedger, createMemoryStorage } from '../engine/ledger.js';
+import { assessApproval, validateRoster, assertRosterRole, ProposalWorkflow } from '../engine/approval.js';
+import { contentHashes, generateSigningKey, verifyProposalPackage } from '../engine/proposal-package.js';
+import { issueSignedPackage } from '../cli/workflow-file.js';
+
+// Confident, on margin, strategic deal: needs commercial and director
+const BASIS = { confidence: 0.95, margin: 0.25, dealSize: 14000000 };
+
+const RESULT = {
+  proposal: {
+    html: '<h1>Proposal BIG-R1</h1><p>Price: £14,000,000</p>',
+    json: { metadata: { referenceId: 'BIG-R1' }, pricing: { price: 14000000 } }
+  },
+  decisionTrail: [{ step: 'select', chain: 'UF + RO' }]
+};
+
+const copy = value => JSON.parse(JSON.stringify(value));
+const newLedger = () => new DecisionLedger({ storage: createMemoryStorage() });
+
+async function submitted(basis = BASIS, ledger = newLedger()) {
+  const workflow = new ProposalWorkflow({ proposalId: 'BIG-R1', basis, ledger });
+  await workflow.submit({ user: 'sam' }, 'Generated', await contentHashes(RESULT));
+  return workflow;
+}
+
+async function approved() {
+  const workflow = await submitted();
+  await workflow.approve({ user: 'carol', role: 'commercial' }, 'Margin fine');
+  await workflow.approve({ user: 'dan', role: 'director' }, 'Strategic fit');
+  return workflow;
+}
+
+test('the basis decides which roles must approve', () => {
+  assert.deepEqual(assessApproval({ confidence: 0.95, margin: 0.25, dealSize: 100000 }).requiredRoles, []);
+  assert.deepEqual(assessApproval({ confidence: 0.7, margin: 0.25, dealSize: 100000 }).requiredRoles, ['engineering']);
+  assert.deepEqual(assessApproval({ confidence: 0.4, margin: 0.25, dealSize: 100000 }).requiredRoles, ['engineering', 'director']);
+  assert.deepEqual(assessApproval({ confidence: 0.95, margin: 0.05, dealSize: 100000 }).requiredRoles, ['commercial']);
+  assert.deepEqual(assessApproval(BASIS).requiredRoles, ['commercial', 'director']);
+});
+
+test('a proposal that needs nobody is approved on submission', async () => {
+  const workflow = await submitted({ confidence: 0.95, margin: 0.25, dealSize: 100000 });
+  assert.equal(workflow.state, 'approved');
+  assert.deepEqual(workflow.history.map(step => step.user), ['sam', 'system']);
+});
+
+test('approval completes only when every required role has signed', async () => {
+  const workflow = await submitted();
+  assert.equal(workflow.state, 'pending_review');
+  await assert.rejects(workflow.issue({ user: 'sam' }, 'Send'), { code: 'ISSUE_BLOCKED' });
+
+  await workflow.approve({ user: 'carol', role: 'commercial' }, 'Margin fine');
+  assert.equal(workflow.state, 'pending_review');
+  assert.deepEqual(workflow.outstandingRoles, ['director']);
+
+  await workflow.approve({ user: 'dan', role: 'director' }, 'Strategic fit');
+  assert.equal(workflow.state, 'approved');
+  await workflow.issue({ user: 'sam' }, 'Send');
+  assert.equal(workflow.state, 'issued');
+  assert.deepEqual(await workflow.audit(), { valid: true, reason: null });
+});
+
+test('roles, repeats and reasons are enforced', async () => {
+  const workflow = await submitted();
+  await assert.rejects(workflow.approve({ user: 'erin', role: 'engineering' }, 'ok'), { code: 'NOT_AN_APPROVER' });
+  await assert.rejects(workflow.approve({ user: 'carol', role: 'commercial' }, ' '), { code: 'REASON_REQUIRED' });
+
+  await workflow.approve({ user: 'carol', role: 'commercial' }, 'Margin fine');
+  await assert.rejects(workflow.approve({ user: 'frank', role: 'commercial' }, 'ok'), { code: 'ALREADY_APPROVED' });
+  // One user cannot fill a second role
+  await assert.rejects(workflow.approve({ user: 'carol', role: 'director' }, 'ok'), { code: 'ALREADY_APPROVED', message: /needs someone else/ });
+  assert.equal(workflow.state, 'pending_review');
+});
+
+test('transitions follow the state machine, and a revision clears approvals', async () => {
+  const workflow = await submitted();
+  await assert.rejects(workflow.revise({ user: 'sam' }, 'Cheaper'), { code: 'INVALID_TRANSITION' });
+  await workflow.approve({ user: 'carol', role: 'commercial' }, 'Margin fine');
+  await workflow.reject({ user: 'dan', role: 'director' }, 'Too risky');
+  assert.equal(workflow.state, 'rejected');
+  await assert.rejects(workflow.approve({ user: 'dan', role: 'director' }, 'ok'), { code: 'INVALID_TRANSITION' });
+
+  await workflow.revise({ user: 'sam' }, 'Cheaper');
+  assert.equal(workflow.state, 'draft');
+  assert.deepEqual(workflow.approvals, []);
+  await workflow.submit({ user: 'sam' }, 'Resubmitted', await contentHashes(RESULT));
+  assert.deepEqual(workflow.outstandingRoles, ['commercial', 'director']);
+});
+
+test('a snapshot restores from the ledger, and an edited one is caught', async () => {
+  const ledger = newLedger();
+  const workflow = await submitted(BASIS, ledger);
+  await workflow.approve({ user: 'carol', role: 'commercial' }, 'Margin fine');
+
+  const restored = ProposalWorkflow.fromJSON(copy(workflow.toJSON()), ledger);
+  assert.deepEqual(restored.approvals.map(a => a.user), ['carol']);
+  assert.deepEqual(await restored.audit(), { valid: true, reason: null });
+
+  const claimed = copy(workflow.toJSON());
+  claimed.state = 'approved';
+  claimed.history.push({ ...claimed.history[1], role: 'director', to: 'approved' });
+  assert.equal((await ProposalWorkflow.fromJSON(claimed, ledger).audit()).valid, false);
+
+  const cheaper = copy(workflow.toJSON());
+  cheaper.basis.dealSize = 100000;
+  assert.equal((await ProposalWorkflow.fromJSON(cheaper, ledger).audit()).valid, false);
+
+  const rehashed = copy(workflow.toJSON());
+  rehashed.artefacts['proposal.json'] = '0'.repeat(64);
+  assert.match((await ProposalWorkflow.fromJSON(rehashed, ledger).audit()).reason, /Artefact hashes/);
+});
+
+test('the roster limits users to their roles', () => {
+  const roster = validateRoster({ carol: ['commercial'], dan: ['director', 'engineering'] });
+  assertRosterRole(roster, { user: 'dan', role: 'director' });
+  assert.throws(() => assertRosterRole(roster, { user: 'carol', role: 'director' }), { code: 'NOT_AN_APPROVER' });
+  assert.throws(() => assertRosterRole(roster, { user: 'mallory', role: 'commercial' }), { code: 'NOT_AN_APPROVER' });
+  assert.throws(() => assertRosterRole(roster, { user: 'toString', role: 'commercial' }), { code: 'NOT_AN_APPROVER' });
+
+  assert.throws(() => validateRoster({ carol: ['boss'] }), { code: 'ROSTER_INVALID' });
+  assert.throws(() => validateRoster({ carol: [] }), { code: 'ROSTER_INVALID' });
+  assert.throws(() => validateRoster(['carol']), { code: 'ROSTER_INVALID' });
+});
+
+test('issuing signs the approved artefacts, and refuses changed ones', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'approval-test-'));
+  try {
+    const { privateKey, publicKey } = await generateSigningKey();
+    const signing = { privateKey, signer: 'MembraCon UK' };
+    const packagePath = join(dir, 'big.package.json');
+
+    const changed = copy(RESULT);
+    changed.proposal.json.pricing.price = 9000000;
+    changed.proposal.html = changed.proposal.html.replace('14,000,000', '9,000,000');
+    const workflow = await approved();
+    await assert.rejects(issueSignedPackage(workflow, changed, signing, { user: 'sam' }, packagePath),
+      { code: 'ARTEFACTS_CHANGED', message: /proposal\.html, proposal\.json/ });
+    assert.equal(workflow.state, 'approved');
+
+    await issueSignedPackage(workflow, RESULT, signing, { user: 'sam' }, packagePath);
+    assert.equal(workflow.state, 'issued');
+    const report = await verifyProposalPackage(await readFile(packagePath, 'utf8'), { trustedKeys: [publicKey] });
+    assert.equal(report.valid, true);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a workflow submitted without artefact hashes cannot be issued', async () => {
+  const workflow = new ProposalWorkflow({ proposalId: 'BIG-R1', basis: { ...BASIS, dealSize: 100000 }, ledger: newLedger() });
+  await workflow.submit({ user: 'sam' }, 'Generated');
+  assert.equal(workflow.state, 'approved');
+  assert.throws(() => workflow.assertArtefacts({}), { code: 'ARTEFACTS_CHANGED', message: /without artefact hashes/ });
+});
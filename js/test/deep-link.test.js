@@ -0,0 +1,112 @@
+/**
+ * deep-link.test.js - Shareable case links
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LINK_VERSION,
+  MAX_TOKEN_LENGTH,
+  captureLink,
+  encodeLink,
+  decodeLink,
+  validateLink,
+  linkUrl,
+  readLink
+} from '../core/deep-link.js';
+
+const STATE = {
+  mode: 'flow',
+  perspective: 'esg',
+  activeViz: 'sankey',
+  selectedNode: { id: 'pricing', label: 'Pricing' },
+  simulator: {
+    inputs: {
+      sector: 3, flow: 321.5, hours: 8000, tss: 150, tds: 2500, bod: 200, cod: 350,
+      tssTarget: 5, tdsTarget: 500, waterPriority: 0.7, carbonPriority: 0.2, energyPriority: 0.1,
+      maxFootprint: 500, maxBudget: 2000000
+    },
+    results: { bestSolution: {} }
+  }
+};
+
+const roundTrip = async payload => validateLink(await decodeLink(await encodeLink(payload)));
+
+test('a link round-trips the inputs and view state', async () => {
+  const url = await linkUrl(STATE, 'https://example.test/ai-proposal.html?x=1');
+  assert.match(url, /^https:\/\/example\.test\/ai-proposal\.html\?x=1#case=z/);
+
+  const { link, problems } = await readLink(new URL(url).hash);
+  assert.deepEqual(problems, []);
+  assert.deepEqual(link, {
+    inputs: STATE.simulator.inputs,
+    run: true,
+    mode: 'flow',
+    perspective: 'esg',
+    viz: 'sankey',
+    node: 'pricing'
+  });
+});
+
+test('a URL without a case is not a link', async () => {
+  assert.equal(await readLink('#other=1'), null);
+  assert.equal(await readLink(''), null);
+});
+
+test('prototype-named inputs are rejected', async () => {
+  const { link, problems } = await roundTrip({
+    v: LINK_VERSION,
+    inputs: { toString: 7, constructor: 3, valueOf: 1, hasOwnProperty: 2, __proto__: 5, flow: 50 }
+  });
+  assert.deepEqual(link.inputs, { flow: 50 });
+  assert.ok(problems.includes('unknown input "toString"'));
+  assert.ok(problems.includes('unknown input "constructor"'));
+  assert.ok(problems.includes('unknown input "valueOf"'));
+  assert.ok(problems.includes('unknown input "hasOwnProperty"'));
+  assert.equal(Object.getPrototypeOf(link.inputs), Object.prototype);
+});
+
+test('prototype-named view values are rejected', async () => {
+  const { link, problems } = await roundTrip({ v: LINK_VERSION, mode: 'constructor', perspective: 'toString', viz: 'valueOf', node: '__proto__' });
+  assert.equal(link.mode, undefined);
+  assert.equal(link.perspective, undefined);
+  assert.equal(link.viz, undefined);
+  assert.equal(link.node, undefined);
+  assert.equal(problems.length, 4);
+});
+
+test('out-of-range and non-numeric inputs are dropped with a problem each', async () => {
+  const { link, problems } = await roundTrip({
+    v: LINK_VERSION,
+    inputs: { flow: 'x', tds: 1e9, sector: 2.5, hours: 8000, waterPriority: Infinity }
+  });
+  assert.deepEqual(link.inputs, { hours: 8000 });
+  assert.equal(problems.length, 4);
+});
+
+test('unreadable links and links from a newer version are refused', async () => {
+  for (const token of ['', 'q123', 'zAAAA', 'j' + Buffer.from('[1]').toString('base64url')]) {
+    await assert.rejects(decodeLink(token), { code: 'LINK_INVALID' });
+  }
+  assert.throws(() => validateLink({ v: LINK_VERSION + 1 }), { code: 'LINK_UNSUPPORTED' });
+  assert.throws(() => validateLink({ v: 'one' }), { code: 'LINK_INVALID' });
+});
+
+test('captureLink leaves out what the state does not have', () => {
+  const link = captureLink({ ...STATE, selectedNode: null, simulator: { ...STATE.simulator, results: null } });
+  assert.equal(link.node, null);
+  assert.equal(link.run, false);
+});
+
+test('a link that inflates past the size limit is refused', async () => {
+  // 2 MB of JSON whitespace deflates to a few KB
+  const bomb = new TextEncoder().encode(`{"v":1${' '.repeat(2 * 1024 * 1024)}}`);
+  const deflated = new Uint8Array(await new Response(new Blob([bomb]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+  const token = 'z' + Buffer.from(deflated).toString('base64url');
+  assert.ok(token.length <= MAX_TOKEN_LENGTH);
+  await assert.rejects(decodeLink(token), { code: 'LINK_INVALID', message: /larger than/ });
+});
+
+test('an over-long token is refused before decoding', async () => {
+  await assert.rejects(decodeLink('j' + 'A'.repeat(MAX_TOKEN_LENGTH)), { code: 'LINK_INVALID', message: /longer than/ });
+});
@@ -0,0 +1,94 @@
+/**
+ * ledger.test.js - Hash-chained decision ledger and its file storage
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DecisionLedger, createMemoryStorage } from '../engine/ledger.js';
+import { createFileStorage, openLedgerFile } from '../cli/ledger-file.js';
+
+/**
+ * Run fn with a fresh directory, removed afterwards
+ */
+async function withDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'ledger-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function ledgerFile(dir, count = 2) {
+  const path = join(dir, 'ledger.json');
+  const ledger = await openLedgerFile(path);
+  for (let i = 0; i < count; i++) {
+    await ledger.append({ type: 'proposal', user: 'alice', inputs: { flow: 100 + i } });
+  }
+  return path;
+}
+
+test('a ledger file reopens with its chain intact', () => withDir(async dir => {
+  const path = await ledgerFile(dir);
+  const ledger = await openLedgerFile(path);
+  assert.equal(ledger.entries.length, 2);
+  assert.deepEqual(await ledger.verify(), { valid: true, length: 2, brokenAt: null, reason: null });
+}));
+
+test('an unreadable ledger file is refused and left as it was', () => withDir(async dir => {
+  const path = await ledgerFile(dir);
+  const text = await readFile(path, 'utf8');
+
+  for (const corrupt of [text.slice(0, text.length / 2), '', '{"format":"other"}']) {
+    await writeFile(path, corrupt, 'utf8');
+    await assert.rejects(openLedgerFile(path), { code: 'LEDGER_BROKEN' });
+    assert.equal(await readFile(path, 'utf8'), corrupt);
+    assert.equal(existsSync(`${path}.unreadable`), false);
+  }
+}));
+
+test('file storage keeps the backup key beside the file', () => withDir(async dir => {
+  const path = join(dir, 'ledger.json');
+  await writeFile(path, 'not json', 'utf8');
+
+  const ledger = new DecisionLedger({ storage: createFileStorage(path), key: 'ledger' });
+  assert.match(ledger.warning, /kept as "ledger\.unreadable"/);
+  assert.equal(await readFile(`${path}.unreadable`, 'utf8'), 'not json\n');
+  assert.equal(await readFile(path, 'utf8'), 'not json');
+
+  const storage = createFileStorage(path);
+  storage.getItem('ledger');
+  assert.throws(() => storage.setItem('other', '{}'), /cannot store "other"/);
+}));
+
+test('an edited entry breaks the chain from that entry', async () => {
+  const ledger = new DecisionLedger({ storage: createMemoryStorage() });
+  await ledger.append({ type: 'proposal', user: 'alice', inputs: { flow: 100 } });
+  await ledger.append({ type: 'proposal', user: 'bob', inputs: { flow: 200 } });
+  await ledger.append({ type: 'approval', user: 'carol', role: 'director' });
+
+  const edited = JSON.parse(ledger.export());
+  edited.entries[1].payload.inputs.flow = 250;
+  const copy = new DecisionLedger({ storage: createMemoryStorage() });
+  await assert.rejects(copy.import(JSON.stringify(edited)), error => {
+    assert.equal(error.code, 'LEDGER_BROKEN');
+    assert.equal(error.verification.brokenAt, 1);
+    return true;
+  });
+  assert.equal(copy.entries.length, 0);
+});
+
+test('dropping the last entries is detected through the recorded head', async () => {
+  const ledger = new DecisionLedger({ storage: createMemoryStorage() });
+  await ledger.append({ type: 'proposal', user: 'alice' });
+  await ledger.append({ type: 'proposal', user: 'bob' });
+
+  const truncated = JSON.parse(ledger.export());
+  truncated.entries.pop();
+  await assert.rejects(new DecisionLedger({ storage: createMemoryStorage() }).import(JSON.stringify(truncated)),
+    { code: 'LEDGER_BROKEN' });
+});
@@ -0,0 +1,101 @@
+/**
+ * proposal-package.test.js - Signed proposal packages
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PACKAGE_FILES,
+  generateSigningKey,
+  keyFingerprint,
+  createProposalPackage,
+  verifyProposalPackage
+} from '../engine/proposal-package.js';
+
+const RESULT = {
+  proposal: {
+    html: '<h1>Proposal PROP-1-R1</h1><p>Price: £1,200,000</p>',
+    json: { metadata: { referenceId: 'PROP-1-R1', ledger: { index: 3, hash: 'ab'.repeat(32) } }, pricing: { price: 1200000 } }
+  },
+  decisionTrail: [{ step: 'select', chain: 'UF + RO' }]
+};
+
+const keys = await generateSigningKey();
+const copy = value => JSON.parse(JSON.stringify(value));
+
+test('an untouched package verifies, and is trusted with its key', async () => {
+  const pkg = await createProposalPackage(RESULT, keys.privateKey, { signer: 'MembraCon UK' });
+  const report = await verifyProposalPackage(JSON.stringify(pkg), { trustedKeys: [keys.publicKey] });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.signatureValid, true);
+  assert.equal(report.trusted, true);
+  assert.equal(report.referenceId, 'PROP-1-R1');
+  assert.equal(report.keyId, await keyFingerprint(keys.publicKey));
+  assert.deepEqual(report.errors, []);
+});
+
+test('an edited member is named', async () => {
+  const pkg = await createProposalPackage(RESULT, keys.privateKey);
+  pkg.files[PACKAGE_FILES.html] = pkg.files[PACKAGE_FILES.html].replace('1,200,000', '1,100,000');
+
+  const report = await verifyProposalPackage(pkg);
+  assert.equal(report.valid, false);
+  assert.equal(report.signatureValid, true);
+  assert.deepEqual(report.files.filter(file => !file.ok).map(file => file.name), [PACKAGE_FILES.html]);
+  assert.deepEqual(report.errors, [`${PACKAGE_FILES.html} was modified after signing`]);
+});
+
+test('a manifest edited to match changed files breaks the signature', async () => {
+  const pkg = await createProposalPackage(RESULT, keys.privateKey);
+  const edited = copy(RESULT);
+  edited.proposal.json.pricing.price = 900000;
+  const forged = await createProposalPackage(edited, (await generateSigningKey()).privateKey);
+  pkg.files = forged.files;
+  pkg.manifest.files = forged.manifest.files;
+
+  const report = await verifyProposalPackage(pkg);
+  assert.equal(report.valid, false);
+  assert.equal(report.signatureValid, false);
+});
+
+test('a package re-signed with another key is not trusted', async () => {
+  const other = await generateSigningKey();
+  const pkg = await createProposalPackage(RESULT, other.privateKey);
+
+  const report = await verifyProposalPackage(pkg, { trustedKeys: [await keyFingerprint(keys.publicKey)] });
+  assert.equal(report.signatureValid, true);
+  assert.equal(report.trusted, false);
+  assert.equal(report.valid, false);
+});
+
+test('added members are reported', async () => {
+  const pkg = await createProposalPackage(RESULT, keys.privateKey);
+  pkg.files['extra.js'] = 'alert(1)';
+  const report = await verifyProposalPackage(pkg);
+  assert.equal(report.valid, false);
+  assert.ok(report.errors.includes('extra.js is not listed in the manifest'));
+});
+
+test('malformed packages are reported as invalid, not thrown', async () => {
+  const pkg = await createProposalPackage(RESULT, keys.privateKey);
+  const cases = [
+    ['not JSON', '{"format":'],
+    ['null', null],
+    ['an array', []],
+    ['another format', { ...copy(pkg), format: 'zip' }],
+    ['no manifest files', { ...copy(pkg), manifest: {} }],
+    ['a bad manifest entry', { ...copy(pkg), manifest: { ...copy(pkg.manifest), files: [{ name: 3 }] } }],
+    ['no public key', { ...copy(pkg), signature: { algorithm: pkg.signature.algorithm, value: pkg.signature.value } }],
+    ['no signature value', { ...copy(pkg), signature: { ...copy(pkg.signature), value: undefined } }],
+    ['files as an array', { ...copy(pkg), files: [] }],
+    ['a garbled signature', { ...copy(pkg), signature: { ...copy(pkg.signature), value: '%%%' } }],
+    ['a garbled key', { ...copy(pkg), signature: { ...copy(pkg.signature), publicKey: { kty: 'EC' } } }]
+  ];
+
+  for (const [label, input] of cases) {
+    const report = await verifyProposalPackage(input);
+    assert.equal(report.valid, false, label);
+    assert.ok(report.errors.length > 0, label);
+  }
+});
@@ -0,0 +1,144 @@
+/**
+ * ro-quotation.test.js - Shared RO quotation logic
+ *
+ * Run with `npm test` in js/.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  BUILTIN_CATALOGUE,
+  MEMBRANE,
+  OVERHEADS,
+  withDefaults,
+  selectModel,
+  sizeSystem,
+  selectAddons,
+  buildBom,
+  priceBom,
+  priceLabour,
+  calculateMargin
+} from '../quotation/ro-quotation.js';
+import { designArray } from '../quotation/ro-design.js';
+
+const catalogue = BUILTIN_CATALOGUE;
+
+// Feed water as the quotation system starts
+const FEED = {
+  permeateFlow: 9, permeateQuality: 12, recovery: 75, markup: 30,
+  conductivity: 500, tds: 500, tss: 5, pressure: 4, temp: 20, ph: 7,
+  chlorine: 0, iron: 0.02, hardness: 150, turbidity: 1, sdi: 3
+};
+
+const stored = async file => JSON.parse(await readFile(new URL(`../data/catalogues/${file}`, import.meta.url), 'utf8'));
+
+test('selectModel picks the smallest skid rated for the flow', () => {
+  assert.equal(selectModel(catalogue, 1.5).code, 'MEMR015');
+  assert.equal(selectModel(catalogue, 1.51).code, 'MEMR02');
+  assert.equal(selectModel(catalogue, 3).code, 'MEMR03');
+  assert.equal(selectModel(catalogue, 3.01).code, 'MEMR04');
+});
+
+test('selectModel also needs enough membrane elements', () => {
+  assert.equal(selectModel(catalogue, 2, 2).code, 'MEMR02');
+  assert.equal(selectModel(catalogue, 2, 3).code, 'MEMR03');
+});
+
+test('selectModel falls back to the largest skid, and to the default flow', () => {
+  assert.equal(selectModel(catalogue, 100).code, 'MEMR016');
+  assert.equal(selectModel(catalogue, 4, 40).code, 'MEMR016');
+  assert.equal(selectModel(catalogue, NaN).code, 'MEMR09');
+});
+
+test('sizeSystem sizes at the model boundaries', () => {
+  assert.equal(sizeSystem({ ...FEED, permeateFlow: 1.5 }, catalogue).model.code, 'MEMR015');
+  assert.equal(sizeSystem({ ...FEED, permeateFlow: 3 }, catalogue).model.code, 'MEMR03');
+
+  const sizing = sizeSystem({ ...FEED, permeateFlow: 3 }, catalogue);
+  assert.ok(sizing.feedFlow > 3);
+  assert.ok(Math.abs(sizing.feedFlow - sizing.rejectFlow - 3) < 1e-9);
+});
+
+test('sizeSystem warns when even the largest skid is too small', () => {
+  const sizing = sizeSystem({ ...FEED, permeateFlow: 20 }, catalogue);
+  assert.equal(sizing.model.code, 'MEMR016');
+  assert.match(sizing.warnings[0], /largest skid, MEMR016, has 16/);
+});
+
+test('designArray refuses a permeate flow that is not above zero', () => {
+  [0, -2, undefined, NaN].forEach(permeateFlow => {
+    assert.throws(() => designArray({ ...FEED, permeateFlow }), { code: 'DESIGN_INVALID' });
+  });
+});
+
+test('sizeSystem sizes the default skid for a zero flow, with a warning', () => {
+  const sizing = sizeSystem({ ...FEED, permeateFlow: 0 }, catalogue);
+  assert.equal(sizing.model.code, 'MEMR09');
+  assert.ok(Number.isFinite(sizing.feedFlow) && Number.isFinite(sizing.feedPressure));
+  assert.match(sizing.warnings[0], /must be above 0; sized for 9/);
+});
+
+test('the stored built-in catalogue has MEMR015, MEMR03 and the £3000 softener', async () => {
+  const builtin = withDefaults(await stored('builtin-1.json'));
+  assert.equal(builtin.models['1.5'].code, 'MEMR015');
+  assert.equal(builtin.models['3'].code, 'MEMR03');
+  assert.equal(builtin.addons.softener.cost, 3000);
+  assert.equal(selectModel(builtin, 1.5).code, 'MEMR015');
+  assert.equal(selectModel(builtin, 3).code, 'MEMR03');
+});
+
+test('selectAddons adds the £3000 softener for hard water only', () => {
+  const soft = selectAddons(FEED, catalogue);
+  assert.ok(!soft.some(line => line.id === 'softener'));
+
+  const hard = selectAddons({ ...FEED, hardness: 800 }, catalogue);
+  const softener = hard.find(line => line.id === 'softener');
+  assert.equal(softener.cost, 3000);
+  assert.equal(softener.type, 'auto');
+  assert.ok(softener.reason);
+});
+
+test('selectAddons follows the feed water', () => {
+  const ids = selectAddons({ ...FEED, chlorine: 1, iron: 1, tss: 50 }, catalogue).map(line => line.id);
+  assert.ok(ids.includes('carbonFilter'));
+  assert.ok(ids.includes('ironRemovalDedicated'));
+  assert.ok(ids.includes('multimediaFilter'));
+});
+
+test('buildBom and priceBom total the model, add-ons and options', () => {
+  const model = selectModel(catalogue, 3);
+  const lines = buildBom(FEED, model, catalogue, { cip: true, uv: true });
+  const expected = model.roCost + model.membranes * MEMBRANE.cost + model.pipework + model.shipping +
+    model.cip + catalogue.addons.uv.cost +
+    selectAddons(FEED, catalogue).reduce((sum, line) => sum + line.cost, 0);
+
+  const priced = priceBom(lines, 30);
+  assert.equal(priced.cost, expected);
+  assert.ok(Math.abs(priced.sell - expected * 1.3) < 1e-6);
+  assert.equal(lines.filter(line => line.id === 'uv').length, 1);
+});
+
+test('buildBom does not add an option the feed water already called for', () => {
+  const model = selectModel(catalogue, 3);
+  const lines = buildBom({ ...FEED, permeateQuality: 5 }, model, catalogue, { secondRO: true });
+  const secondRO = lines.filter(line => line.id === 'secondRO');
+  assert.equal(secondRO.length, 1);
+  assert.equal(secondRO[0].type, 'auto');
+});
+
+test('priceLabour totals the built-in labour', () => {
+  const priced = priceLabour(catalogue.labour, 30);
+  // 17 man-days at £325, 1200 miles at 45p, 12 nights at £125, 3 days at £350
+  assert.equal(priced.cost, 8615);
+  assert.ok(Math.abs(priced.sell - 11199.5) < 1e-6);
+});
+
+test('calculateMargin applies overheads before the markup', () => {
+  const margin = calculateMargin(10000, 30, OVERHEADS);
+  assert.equal(margin.subtotal, 11200);
+  assert.ok(Math.abs(margin.sell - 14560) < 1e-6);
+  assert.ok(Math.abs(margin.grossProfit - 3360) < 1e-6);
+  assert.ok(Math.abs(margin.grossMargin - 3360 / 14560 * 100) < 1e-9);
+  assert.equal(calculateMargin(0, 30).grossMargin, 0);
+});
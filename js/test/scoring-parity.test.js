@@ -0,0 +1,65 @@
+/**
+ * scoring-parity.test.js - The simulator and the proposal engine agree
+ *
+ * Both paths cost and score through engine/scoring.js; the simulator gets
+ * there through CustomerSpec.fromSimulatorInputs(). For the same case
+ * every chain must come out with the same CAPEX, OPEX, ESG score,
+ * confidence and win probability on both.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTechnologies, calculateWinProbability } from '../simulator/calculations.js';
+import { SolutionEngine, PricingModel, CustomerSpec } from '../proposal-engine.js';
+
+// Simulator defaults (see core/state.js)
+const INPUTS = {
+  sector: 1, flow: 100, hours: 8000, tss: 150, tds: 2500, bod: 200, cod: 350,
+  tssTarget: 5, tdsTarget: 500, waterPriority: 0.5, carbonPriority: 0.3, energyPriority: 0.2,
+  maxFootprint: 500, maxBudget: 2000000
+};
+
+const CASES = [
+  ...[1, 2, 3, 4, 5, 6].map(sector => ({ ...INPUTS, sector })),
+  { ...INPUTS, sector: 4, flow: 40, tds: 8000, tdsTarget: 300, bod: 600, cod: 1100 },
+  { ...INPUTS, sector: 6, flow: 250, tss: 40, tds: 1200, waterPriority: 0.2, carbonPriority: 0.6, energyPriority: 0.2 }
+];
+
+/**
+ * Both paths for one case, chains matched by name
+ */
+function bothPaths(inputs) {
+  const spec = CustomerSpec.fromSimulatorInputs(inputs);
+  const simulated = new Map(evaluateTechnologies(inputs).map(solution => [solution.name, solution]));
+  const engine = new SolutionEngine(spec).generateSolutions();
+  return engine.map(solution => ({ spec, engine: solution, simulator: simulated.get(solution.name) }));
+}
+
+test('UF + RO costs the same on both paths', () => {
+  const pair = bothPaths(INPUTS).find(({ engine }) => engine.name === 'UF + RO');
+  assert.equal(pair.engine.capex, 2000000);
+  assert.equal(pair.simulator.capex, 2000000);
+  assert.equal(Math.round(pair.engine.opex), 498072);
+  assert.equal(Math.round(pair.simulator.opex), 498072);
+});
+
+CASES.forEach((inputs, i) => {
+  test(`case ${i + 1} (sector ${inputs.sector}, ${inputs.flow} m³/h): every chain scores the same on both paths`, () => {
+    const pairs = bothPaths(inputs);
+    assert.ok(pairs.length > 0);
+
+    pairs.forEach(({ spec, engine, simulator }) => {
+      assert.ok(simulator, `${engine.name} is missing from the simulator`);
+      assert.equal(simulator.capex, engine.capex, `${engine.name} CAPEX`);
+      assert.equal(simulator.opex, engine.opex, `${engine.name} OPEX`);
+      assert.equal(simulator.esgMetrics.composite, engine.esgScore, `${engine.name} ESG`);
+      assert.equal(simulator.confidence, engine.confidence, `${engine.name} confidence`);
+
+      const pricing = new PricingModel(engine, spec);
+      const optimal = pricing.findOptimalPrice();
+      const win = calculateWinProbability(inputs, simulator);
+      assert.equal(win.price, optimal.price, `${engine.name} optimal price`);
+      assert.equal(win.probability, pricing.calculateWinProbability(optimal.price), `${engine.name} win probability`);
+    });
+  });
+});
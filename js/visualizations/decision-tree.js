@@ -4,6 +4,7 @@
  */
 
 import { BaseVisualization, registerVisualization } from './base-viz.js';
+import { eventBus, EVENTS } from '../core/events.js';
 import { COLORS } from '../core/config.js';
 import { TECHNOLOGIES } from '../data/technologies.js';
 
@@ -487,6 +488,8 @@ export class DecisionTree extends BaseVisualization {
 
     // Show tooltip or details
     this.showTechDetails(d);
+
+    eventBus.emit(EVENTS.TECH_SELECTED, { tech: d.data.tech, source: 'decision-tree', path: this.highlightedPath });
   }
 
   /**
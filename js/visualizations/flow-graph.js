@@ -55,6 +55,7 @@ export class FlowGraph extends BaseVisualization {
     this.bindModeControls();
     this.bindPerspectiveControls();
     this.bindFlowToggle();
+    this.bindStateRestore();
 
     this.emitReady();
     return true;
@@ -386,13 +387,13 @@ export class FlowGraph extends BaseVisualization {
    * Select a node
    */
   selectNode(node) {
+    // The state change emits NODE_SELECTED
     actions.selectNode(node);
 
     // Highlight selected node
     this.nodeSel.classed('selected', d => d.id === node.id);
 
     showToast(`Selected: ${node.label}`);
-    eventBus.emit(EVENTS.NODE_SELECTED, node);
   }
 
   /**
@@ -401,7 +402,6 @@ export class FlowGraph extends BaseVisualization {
   clearSelection() {
     actions.clearSelection();
     this.nodeSel.classed('selected', false);
-    eventBus.emit(EVENTS.NODE_DESELECTED);
   }
 
   /**
@@ -413,6 +413,8 @@ export class FlowGraph extends BaseVisualization {
 
     if (!perspective) return;
 
+    document.querySelectorAll('.perspective-tab').forEach(t => t.classList.toggle('active', t.dataset.perspective === perspectiveId));
+
     if (perspective.nodes === null) {
       // Show all nodes
       this.nodeSel.style('opacity', 1).style('pointer-events', 'auto');
@@ -438,7 +440,8 @@ export class FlowGraph extends BaseVisualization {
     // Clear flow particles when perspective changes
     this.flowParticlesGroup.selectAll('.flow-particle').remove();
 
-    eventBus.emit(EVENTS.PERSPECTIVE_CHANGED, { perspective: perspectiveId });
+    // The state change emits PERSPECTIVE_CHANGED
+    actions.setPerspective(perspectiveId);
   }
 
   // ===== Flow Animation System =====
@@ -590,17 +593,31 @@ export class FlowGraph extends BaseVisualization {
   bindModeControls() {
     document.querySelectorAll('.pill[data-mode]').forEach(pill => {
       pill.addEventListener('click', () => {
-        const mode = pill.dataset.mode;
-        actions.setMode(mode);
+        actions.setMode(pill.dataset.mode);
+        this.showMode(pill.dataset.mode);
+      });
+    });
+  }
 
-        document.querySelectorAll('.pill[data-mode]').forEach(p => p.classList.remove('active'));
-        pill.classList.add('active');
+  showMode(mode) {
+    document.querySelectorAll('.pill[data-mode]').forEach(p => p.classList.toggle('active', p.dataset.mode === mode));
 
-        const modeBadge = document.getElementById('modeBadge');
-        if (modeBadge) {
-          modeBadge.textContent = `Mode: ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
-        }
-      });
+    const modeBadge = document.getElementById('modeBadge');
+    if (modeBadge) {
+      modeBadge.textContent = `Mode: ${mode.charAt(0).toUpperCase() + mode.slice(1)}`;
+    }
+  }
+
+  /**
+   * Reflect undo/redo and timeline jumps in the mode, perspective and selection
+   */
+  bindStateRestore() {
+    eventBus.on(EVENTS.STATE_RESTORED, ({ snapshot, previous }) => {
+      if (snapshot.mode !== previous.mode) this.showMode(snapshot.mode);
+      if (snapshot.perspective !== previous.perspective) this.applyPerspective(snapshot.perspective);
+      if (snapshot.selectedNode !== previous.selectedNode) {
+        this.nodeSel.classed('selected', d => d.id === snapshot.selectedNode?.id);
+      }
     });
   }
 
@@ -610,8 +627,6 @@ export class FlowGraph extends BaseVisualization {
       container.addEventListener('click', (e) => {
         const tab = e.target.closest('.perspective-tab');
         if (tab && tab.dataset.perspective) {
-          document.querySelectorAll('.perspective-tab').forEach(t => t.classList.remove('active'));
-          tab.classList.add('active');
           this.applyPerspective(tab.dataset.perspective);
         }
       });
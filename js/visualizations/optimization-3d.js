@@ -1,62 +1,19 @@
 /**
  * optimization-3d.js - Optimization landscape visualization
- * Shows multi-objective optimization trade-offs as a 2D contour plot with Pareto frontier
+ * Plots the evaluated solutions as CAPEX vs ESG, sized by OPEX, with the
+ * non-dominated (Pareto) front across CAPEX, OPEX, ESG and risk
  */
 
 import { BaseVisualization, registerVisualization } from './base-viz.js';
 import { COLORS } from '../core/config.js';
 
 /**
- * Generate sample optimization data
+ * Colour for a dominance rank (front 0 highlighted, later fronts fade)
  */
-function generateOptimizationData(gridSize = 30) {
-  const data = [];
-
-  for (let i = 0; i < gridSize; i++) {
-    for (let j = 0; j < gridSize; j++) {
-      const cost = i / (gridSize - 1);         // 0 to 1 (lower is better)
-      const esg = j / (gridSize - 1);          // 0 to 1 (higher is better)
-
-      // Multi-objective function (trade-off surface)
-      // Lower values are better
-      const performance = 0.4 * cost + 0.3 * (1 - esg) +
-        0.2 * Math.sin(cost * Math.PI * 2) * Math.sin(esg * Math.PI * 2) * 0.3 +
-        0.1 * Math.random() * 0.1;
-
-      data.push({
-        cost,
-        esg,
-        performance: Math.max(0, Math.min(1, performance)),
-        x: i,
-        y: j
-      });
-    }
-  }
-
-  return data;
-}
-
-/**
- * Calculate Pareto frontier
- */
-function calculateParetoFrontier(data) {
-  const pareto = [];
-
-  data.forEach(point => {
-    const dominated = data.some(other => {
-      return other !== point &&
-             other.cost <= point.cost &&
-             other.esg >= point.esg &&
-             other.performance <= point.performance &&
-             (other.cost < point.cost || other.esg > point.esg || other.performance < point.performance);
-    });
-
-    if (!dominated) {
-      pareto.push(point);
-    }
-  });
-
-  return pareto.sort((a, b) => a.cost - b.cost);
+function rankColor(rank) {
+  if (rank === 0) return '#00d4aa';
+  if (rank === 1) return '#ffc107';
+  return '#6a7a8a';
 }
 
 /**
@@ -65,15 +22,14 @@ function calculateParetoFrontier(data) {
 export class Optimization3D extends BaseVisualization {
   constructor(containerId, options = {}) {
     super(containerId, {
-      gridSize: 30,
       animationDuration: 500,
       margin: { top: 60, right: 100, bottom: 60, left: 80 },
       ...options
     });
 
     this.svg = null;
-    this.optimizationData = null;
-    this.paretoFrontier = null;
+    this.points = [];
+    this.paretoFrontier = [];
     this.currentSolution = null;
   }
 
@@ -100,16 +56,12 @@ export class Optimization3D extends BaseVisualization {
     // Create definitions
     this.createDefs();
 
-    // Generate initial data
-    this.optimizationData = generateOptimizationData(this.options.gridSize);
-    this.paretoFrontier = calculateParetoFrontier(this.optimizationData);
-
     // Create layers
-    this.heatmapLayer = this.svg.append('g').attr('class', 'heatmap');
-    this.contourLayer = this.svg.append('g').attr('class', 'contours');
+    this.pointLayer = this.svg.append('g').attr('class', 'solutions');
     this.paretoLayer = this.svg.append('g').attr('class', 'pareto');
     this.axisLayer = this.svg.append('g').attr('class', 'axes');
     this.solutionLayer = this.svg.append('g').attr('class', 'solution');
+    this.messageLayer = this.svg.append('g').attr('class', 'message');
 
     // Render
     this.render();
@@ -162,31 +114,45 @@ export class Optimization3D extends BaseVisualization {
   }
 
   /**
-   * Render the visualization
+   * Build scales from the evaluated solutions
    */
-  render() {
+  getScales() {
     const { width, height } = this.getSize();
-    const { margin, gridSize } = this.options;
+    const { margin } = this.options;
     const plotWidth = Math.max(width, 700) - margin.left - margin.right;
     const plotHeight = Math.max(height, 500) - margin.top - margin.bottom;
 
-    // Scales
+    const capexExtent = d3.extent(this.points, d => d.capex);
+    const esgExtent = d3.extent(this.points, d => d.esg);
+    const pad = (extent, fallback) => {
+      if (extent[0] === undefined) return fallback;
+      const span = (extent[1] - extent[0]) || Math.abs(extent[0]) || 1;
+      return [extent[0] - span * 0.1, extent[1] + span * 0.1];
+    };
+
     const xScale = d3.scaleLinear()
-      .domain([0, 1])
+      .domain(pad(capexExtent, [0, 1000000]))
       .range([margin.left, margin.left + plotWidth]);
 
     const yScale = d3.scaleLinear()
-      .domain([0, 1])
+      .domain(pad(esgExtent, [0, 100]))
       .range([margin.top + plotHeight, margin.top]);
 
-    const colorScale = d3.scaleSequential(d3.interpolateRdYlGn)
-      .domain([0.8, 0]); // Inverted so green is good
+    const rScale = d3.scaleSqrt()
+      .domain(d3.extent(this.points, d => d.opex).map(v => v ?? 0))
+      .range([5, 14]);
+
+    return { xScale, yScale, rScale, plotWidth, plotHeight };
+  }
 
-    // Draw heatmap
-    this.renderHeatmap(xScale, yScale, colorScale, plotWidth, plotHeight);
+  /**
+   * Render the visualization
+   */
+  render() {
+    const { xScale, yScale, rScale, plotWidth, plotHeight } = this.getScales();
 
-    // Draw contour lines
-    this.renderContours(xScale, yScale, plotWidth, plotHeight);
+    // Draw evaluated solutions
+    this.renderSolutions(xScale, yScale, rScale);
 
     // Draw Pareto frontier
     this.renderParetoFrontier(xScale, yScale);
@@ -198,79 +164,33 @@ export class Optimization3D extends BaseVisualization {
     this.renderTitleAndLegend(plotWidth, plotHeight);
 
     // Draw current solution if available
-    if (this.currentSolution) {
-      this.renderCurrentSolution(xScale, yScale);
-    }
-  }
+    this.renderCurrentSolution(xScale, yScale);
 
-  /**
-   * Render heatmap
-   */
-  renderHeatmap(xScale, yScale, colorScale, plotWidth, plotHeight) {
-    const { gridSize } = this.options;
-    const cellWidth = plotWidth / gridSize;
-    const cellHeight = plotHeight / gridSize;
-
-    const cells = this.heatmapLayer.selectAll('.heatmap-cell')
-      .data(this.optimizationData);
-
-    cells.enter()
-      .append('rect')
-      .attr('class', 'heatmap-cell')
-      .merge(cells)
-      .attr('x', d => xScale(d.cost) - cellWidth / 2)
-      .attr('y', d => yScale(d.esg) - cellHeight / 2)
-      .attr('width', cellWidth)
-      .attr('height', cellHeight)
-      .attr('fill', d => colorScale(d.performance))
-      .attr('opacity', 0.8);
-
-    cells.exit().remove();
+    this.renderEmptyMessage(plotWidth, plotHeight);
   }
 
   /**
-   * Render contour lines
+   * Render every evaluated solution, coloured by dominance rank and sized by OPEX
    */
-  renderContours(xScale, yScale, plotWidth, plotHeight) {
-    const { gridSize, margin } = this.options;
-
-    // Create contour data grid
-    const values = new Array(gridSize * gridSize);
-    this.optimizationData.forEach((d, i) => {
-      values[d.y * gridSize + d.x] = d.performance;
-    });
-
-    // Generate contours
-    const contours = d3.contours()
-      .size([gridSize, gridSize])
-      .thresholds(d3.range(0.1, 0.9, 0.1))
-      (values);
-
-    // Scale transform
-    const transform = d3.geoTransform({
-      point: function(x, y) {
-        this.stream.point(
-          margin.left + x * plotWidth / (gridSize - 1),
-          margin.top + plotHeight - y * plotHeight / (gridSize - 1)
-        );
-      }
-    });
-
-    const path = d3.geoPath().projection(transform);
-
-    // Draw contour lines
-    this.contourLayer.selectAll('.contour')
-      .data(contours)
-      .join('path')
-      .attr('class', 'contour')
-      .attr('d', path)
-      .attr('fill', 'none')
-      .attr('stroke', 'rgba(255,255,255,0.3)')
-      .attr('stroke-width', 1);
+  renderSolutions(xScale, yScale, rScale) {
+    this.pointLayer.selectAll('.solution-point')
+      .data(this.points, d => d.name)
+      .join('circle')
+      .attr('class', 'solution-point')
+      .attr('cx', d => xScale(d.capex))
+      .attr('cy', d => yScale(d.esg))
+      .attr('r', d => rScale(d.opex))
+      .attr('fill', d => rankColor(d.rank))
+      .attr('fill-opacity', d => d.paretoOptimal ? 0.9 : 0.45)
+      .attr('stroke', d => d.paretoOptimal ? '#fff' : 'none')
+      .attr('stroke-width', 1.5)
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => this.showPointTooltip(event, d, xScale, yScale))
+      .on('mouseleave', () => this.hideTooltip());
   }
 
   /**
-   * Render Pareto frontier
+   * Render Pareto frontier (CAPEX/ESG projection of the rank-0 solutions)
    */
   renderParetoFrontier(xScale, yScale) {
     // Clear existing
@@ -280,9 +200,8 @@ export class Optimization3D extends BaseVisualization {
 
     // Draw Pareto curve
     const line = d3.line()
-      .x(d => xScale(d.cost))
-      .y(d => yScale(d.esg))
-      .curve(d3.curveMonotoneX);
+      .x(d => xScale(d.capex))
+      .y(d => yScale(d.esg));
 
     this.paretoLayer.append('path')
       .attr('class', 'pareto-line')
@@ -291,22 +210,8 @@ export class Optimization3D extends BaseVisualization {
       .attr('stroke', '#00d4aa')
       .attr('stroke-width', 3)
       .attr('stroke-dasharray', '8,4')
-      .attr('filter', 'url(#opt-glow)');
-
-    // Draw Pareto points
-    this.paretoLayer.selectAll('.pareto-point')
-      .data(this.paretoFrontier)
-      .join('circle')
-      .attr('class', 'pareto-point')
-      .attr('cx', d => xScale(d.cost))
-      .attr('cy', d => yScale(d.esg))
-      .attr('r', 5)
-      .attr('fill', '#00d4aa')
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 1.5)
-      .style('cursor', 'pointer')
-      .on('mouseenter', (event, d) => this.showPointTooltip(event, d, xScale, yScale))
-      .on('mouseleave', () => this.hideTooltip());
+      .attr('filter', 'url(#opt-glow)')
+      .style('pointer-events', 'none');
   }
 
   /**
@@ -321,7 +226,7 @@ export class Optimization3D extends BaseVisualization {
     // X axis
     const xAxis = d3.axisBottom(xScale)
       .ticks(5)
-      .tickFormat(d => `${(d * 100).toFixed(0)}%`);
+      .tickFormat(d => `£${(d / 1000).toFixed(0)}k`);
 
     this.axisLayer.append('g')
       .attr('class', 'x-axis')
@@ -340,12 +245,12 @@ export class Optimization3D extends BaseVisualization {
       .attr('text-anchor', 'middle')
       .attr('fill', '#afc4d8')
       .attr('font-size', '12px')
-      .text('Cost (normalized)');
+      .text('CAPEX');
 
     // Y axis
     const yAxis = d3.axisLeft(yScale)
       .ticks(5)
-      .tickFormat(d => `${(d * 100).toFixed(0)}%`);
+      .tickFormat(d => d.toFixed(0));
 
     this.axisLayer.append('g')
       .attr('class', 'y-axis')
@@ -365,14 +270,14 @@ export class Optimization3D extends BaseVisualization {
       .attr('text-anchor', 'middle')
       .attr('fill', '#afc4d8')
       .attr('font-size', '12px')
-      .text('ESG Score (normalized)');
+      .text('ESG Score');
   }
 
   /**
    * Render title and legend
    */
   renderTitleAndLegend(plotWidth, plotHeight) {
-    const { margin, width, height } = this.options;
+    const { margin } = this.options;
     const actualWidth = Math.max(this.getSize().width, 700);
 
     // Title
@@ -392,12 +297,9 @@ export class Optimization3D extends BaseVisualization {
       .attr('y', 43)
       .attr('fill', '#6a7a8a')
       .attr('font-size', '11px')
-      .text('Cost vs ESG Trade-off • Green = Better Performance');
+      .text('CAPEX vs ESG • Marker size = OPEX • Front ranked on CAPEX, OPEX, ESG and risk');
 
-    // Color scale legend
-    const legendWidth = 150;
-    const legendHeight = 15;
-    const legendX = actualWidth - margin.right - legendWidth;
+    const legendX = actualWidth - margin.right - 150;
     const legendY = 25;
 
     this.svg.selectAll('.legend').remove();
@@ -405,33 +307,23 @@ export class Optimization3D extends BaseVisualization {
       .attr('class', 'legend')
       .attr('transform', `translate(${legendX}, ${legendY})`);
 
-    legend.append('rect')
-      .attr('width', legendWidth)
-      .attr('height', legendHeight)
-      .attr('fill', 'url(#perf-gradient)');
-
-    legend.append('text')
-      .attr('x', 0)
-      .attr('y', legendHeight + 12)
-      .attr('fill', '#6a7a8a')
-      .attr('font-size', '9px')
-      .text('Better');
-
-    legend.append('text')
-      .attr('x', legendWidth)
-      .attr('y', legendHeight + 12)
-      .attr('text-anchor', 'end')
-      .attr('fill', '#6a7a8a')
-      .attr('font-size', '9px')
-      .text('Worse');
-
-    legend.append('text')
-      .attr('x', legendWidth / 2)
-      .attr('y', -5)
-      .attr('text-anchor', 'middle')
-      .attr('fill', '#8fa4b8')
-      .attr('font-size', '10px')
-      .text('Performance');
+    [
+      { label: 'Rank 0 (non-dominated)', color: rankColor(0) },
+      { label: 'Rank 1', color: rankColor(1) },
+      { label: 'Rank 2+', color: rankColor(2) }
+    ].forEach((item, i) => {
+      legend.append('circle')
+        .attr('cx', 6)
+        .attr('cy', i * 14)
+        .attr('r', 5)
+        .attr('fill', item.color);
+      legend.append('text')
+        .attr('x', 16)
+        .attr('y', i * 14 + 4)
+        .attr('fill', '#8fa4b8')
+        .attr('font-size', '10px')
+        .text(item.label);
+    });
 
     // Pareto legend
     const paretoLegend = this.svg.append('g')
@@ -465,7 +357,7 @@ export class Optimization3D extends BaseVisualization {
     const sol = this.currentSolution;
     if (!sol) return;
 
-    const x = xScale(sol.cost);
+    const x = xScale(sol.capex);
     const y = yScale(sol.esg);
 
     // Pulsing rings
@@ -489,10 +381,11 @@ export class Optimization3D extends BaseVisualization {
       .attr('cx', x)
       .attr('cy', y)
       .attr('r', 12)
-      .attr('fill', '#7c5cff')
+      .attr('fill', COLORS.accent)
       .attr('stroke', '#fff')
       .attr('stroke-width', 3)
-      .attr('filter', 'url(#solution-glow)');
+      .attr('filter', 'url(#solution-glow)')
+      .style('pointer-events', 'none');
 
     // Label
     this.solutionLayer.append('text')
@@ -502,46 +395,66 @@ export class Optimization3D extends BaseVisualization {
       .attr('fill', '#fff')
       .attr('font-size', '11px')
       .attr('font-weight', 'bold')
-      .text('Current Solution');
+      .text(`Selected: ${sol.name}`);
+  }
+
+  /**
+   * Show a hint until the simulator has produced solutions
+   */
+  renderEmptyMessage(plotWidth, plotHeight) {
+    const { margin } = this.options;
+    this.messageLayer.selectAll('*').remove();
+    if (this.points.length) return;
+
+    this.messageLayer.append('text')
+      .attr('x', margin.left + plotWidth / 2)
+      .attr('y', margin.top + plotHeight / 2)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#6a7a8a')
+      .attr('font-size', '13px')
+      .text('Run the simulator to plot the evaluated solutions');
   }
 
   /**
    * Show point tooltip
    */
   showPointTooltip(event, d, xScale, yScale) {
+    const lines = [
+      `CAPEX: £${(d.capex / 1000).toFixed(0)}k`,
+      `OPEX: £${(d.opex / 1000).toFixed(0)}k/yr`,
+      `ESG: ${d.esg.toFixed(0)}/100`,
+      `Risk: ${(d.risk * 100).toFixed(0)}%`,
+      `Crowding: ${Number.isFinite(d.crowdingDistance) ? d.crowdingDistance.toFixed(2) : '∞'}`
+    ];
+
     const tooltip = this.svg.append('g')
       .attr('class', 'point-tooltip')
-      .attr('transform', `translate(${xScale(d.cost) + 15}, ${yScale(d.esg) - 10})`);
+      .attr('transform', `translate(${xScale(d.capex) + 15}, ${yScale(d.esg) - 10})`);
 
     tooltip.append('rect')
-      .attr('width', 130)
-      .attr('height', 55)
+      .attr('width', 170)
+      .attr('height', 33 + lines.length * 15)
       .attr('rx', 5)
       .attr('fill', 'rgba(17,27,61,.95)')
-      .attr('stroke', '#00d4aa')
+      .attr('stroke', rankColor(d.rank))
       .attr('stroke-width', 1);
 
     tooltip.append('text')
       .attr('x', 10)
       .attr('y', 18)
-      .attr('fill', '#00d4aa')
+      .attr('fill', rankColor(d.rank))
       .attr('font-size', '10px')
       .attr('font-weight', 'bold')
-      .text('Pareto Optimal');
-
-    tooltip.append('text')
-      .attr('x', 10)
-      .attr('y', 33)
-      .attr('fill', '#8fa4b8')
-      .attr('font-size', '10px')
-      .text(`Cost: ${(d.cost * 100).toFixed(0)}%`);
-
-    tooltip.append('text')
-      .attr('x', 10)
-      .attr('y', 48)
-      .attr('fill', '#8fa4b8')
-      .attr('font-size', '10px')
-      .text(`ESG: ${(d.esg * 100).toFixed(0)}%`);
+      .text(`${d.name} • ${d.paretoOptimal ? 'Pareto optimal' : `Rank ${d.rank}`}`);
+
+    lines.forEach((line, i) => {
+      tooltip.append('text')
+        .attr('x', 10)
+        .attr('y', 33 + i * 15)
+        .attr('fill', '#8fa4b8')
+        .attr('font-size', '10px')
+        .text(line);
+    });
   }
 
   /**
@@ -555,15 +468,12 @@ export class Optimization3D extends BaseVisualization {
    * Transform simulator data
    */
   transformData(simulatorData) {
-    if (!simulatorData || !simulatorData.optimization) {
+    const pareto = simulatorData?.optimization?.pareto;
+    if (!pareto) {
       return null;
     }
 
-    return {
-      cost: simulatorData.optimization.objectives?.cost || 0.5,
-      esg: simulatorData.esgScore?.composite / 100 || 0.5,
-      performance: simulatorData.optimization.totalScore || 0.5
-    };
+    return { points: pareto.points };
   }
 
   /**
@@ -572,21 +482,14 @@ export class Optimization3D extends BaseVisualization {
   update(data) {
     super.update(data);
 
-    if (data) {
-      const transformed = this.transformData(data);
-      if (transformed) {
-        this.currentSolution = transformed;
-
-        const { width, height } = this.getSize();
-        const { margin } = this.options;
-        const plotWidth = Math.max(width, 700) - margin.left - margin.right;
-        const plotHeight = Math.max(height, 500) - margin.top - margin.bottom;
-
-        const xScale = d3.scaleLinear().domain([0, 1]).range([margin.left, margin.left + plotWidth]);
-        const yScale = d3.scaleLinear().domain([0, 1]).range([margin.top + plotHeight, margin.top]);
+    this.points = data?.points || [];
+    this.paretoFrontier = this.points
+      .filter(point => point.paretoOptimal)
+      .sort((a, b) => a.capex - b.capex);
+    this.currentSolution = this.points.find(point => point.selected) || null;
 
-        this.renderCurrentSolution(xScale, yScale);
-      }
+    if (this.svg) {
+      this.render();
     }
   }
 
@@ -608,8 +511,8 @@ export class Optimization3D extends BaseVisualization {
    * Destroy and cleanup
    */
   destroy() {
-    this.optimizationData = null;
-    this.paretoFrontier = null;
+    this.points = [];
+    this.paretoFrontier = [];
     this.currentSolution = null;
     super.destroy();
   }